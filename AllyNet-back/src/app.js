@@ -9,6 +9,12 @@ const emergencyRoutes = require('./routes/emergency');
 const helpRequestRoutes = require('./routes/helpRequest');
 const adRoutes = require('./routes/ad');
 const contactRoutes = require('./routes/contact');
+const safetyTimerRoutes = require('./routes/safetyTimer');
+const reportRoutes = require('./routes/report');
+const adminRoutes = require('./routes/admin');
+const verificationRoutes = require('./routes/verification');
+const organizationRoutes = require('./routes/organization');
+const businessRoutes = require('./routes/business');
 
 /**
  * Express Application Setup
@@ -16,6 +22,12 @@ const contactRoutes = require('./routes/contact');
  */
 const app = express();
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For (per-IP rate limits)
+// TRUST_PROXY: hop count (e.g. 1) or an Express trust proxy value
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // CORS Configuration
 // Allow all Vite dev ports (5173, 5174, 5175) and production frontend URL
 const allowedOrigins = [
@@ -66,6 +78,12 @@ app.use('/api/v1/emergencies', emergencyRoutes);
 app.use('/api/v1/help-requests', helpRequestRoutes);
 app.use('/api/v1/ads', adRoutes);
 app.use('/api/v1/contact', contactRoutes);
+app.use('/api/v1/safety-timers', safetyTimerRoutes);
+app.use('/api/v1/reports', reportRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/verification', verificationRoutes);
+app.use('/api/v1/organizations', organizationRoutes);
+app.use('/api/v1/businesses', businessRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -0,0 +1,438 @@
+const adminService = require('../services/adminService');
+const verificationService = require('../services/verificationService');
+const { getAuditLog: getAuditLogEntries } = require('../services/adminAuditService');
+const asyncHandler = require('../utils/asyncHandler');
+const { getEmergencyNamespace } = require('../sockets');
+const { emitEmergencyResolved } = require('../sockets/emergencySocket');
+
+/**
+ * Admin Controller
+ * Handles HTTP requests for the admin console (admin role only)
+ */
+
+/**
+ * Map known admin errors to HTTP responses
+ * @returns {Boolean} True if a response was sent
+ */
+const sendKnownError = (res, error) => {
+  const notFound = [
+    'User not found',
+    'Emergency not found',
+    'Contact ticket not found',
+    'Ad not found',
+    'Organization not found'
+  ];
+  const badRequest = [
+    'Admins cannot be blocked',
+    'User is already blocked',
+    'User is not blocked',
+    'Verification is not pending review',
+    'An email domain is already used by another organization'
+  ];
+
+  const statusCode = notFound.includes(error.message)
+    ? 404
+    : badRequest.includes(error.message) || error.message.startsWith('Emergency is already')
+      ? 400
+      : null;
+
+  if (!statusCode) {
+    return false;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: statusCode,
+      message: error.message
+    }
+  });
+  return true;
+};
+
+/**
+ * @desc    Search users
+ * @route   GET /api/v1/admin/users
+ * @access  Private (admin only)
+ */
+const searchUsers = asyncHandler(async (req, res) => {
+  const { q, role, blocked, verification, page = 1, limit = 20 } = req.query;
+
+  const { users, total } = await adminService.searchUsers({
+    q,
+    role,
+    blocked: blocked === undefined ? null : blocked === 'true',
+    verification,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users,
+      count: users.length,
+      total,
+      page: parseInt(page)
+    }
+  });
+});
+
+/**
+ * @desc    Get a user with moderation context
+ * @route   GET /api/v1/admin/users/:id
+ * @access  Private (admin only)
+ */
+const getUser = asyncHandler(async (req, res) => {
+  try {
+    const { user, stats } = await adminService.getUserForAdmin(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        stats
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Block a user
+ * @route   POST /api/v1/admin/users/:id/block
+ * @access  Private (admin only)
+ */
+const blockUser = asyncHandler(async (req, res) => {
+  try {
+    const user = await adminService.setUserBlocked(req.user._id, req.params.id, true, req.body.reason, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: 'User blocked',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Unblock a user
+ * @route   POST /api/v1/admin/users/:id/unblock
+ * @access  Private (admin only)
+ */
+const unblockUser = asyncHandler(async (req, res) => {
+  try {
+    const user = await adminService.setUserBlocked(req.user._id, req.params.id, false, req.body.reason, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Verify a helper or revoke verification
+ * @route   PUT /api/v1/admin/users/:id/verification
+ * @access  Private (admin only)
+ */
+const setHelperVerification = asyncHandler(async (req, res) => {
+  const { verified, kycLevel, notes } = req.body;
+
+  try {
+    const user = await adminService.setHelperVerification(
+      req.user._id,
+      req.params.id,
+      { verified, kycLevel, notes },
+      req.ip
+    );
+
+    res.status(200).json({
+      success: true,
+      message: verified ? 'Helper verified' : 'Helper verification revoked',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Get the helper verification queue
+ * @route   GET /api/v1/admin/verifications
+ * @access  Private (admin only)
+ */
+const getVerificationQueue = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const { users, total } = await verificationService.getVerificationQueue({
+    status,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users,
+      count: users.length,
+      total,
+      page: parseInt(page)
+    }
+  });
+});
+
+/**
+ * @desc    Approve or reject a pending helper verification
+ * @route   POST /api/v1/admin/verifications/:userId/review
+ * @access  Private (admin only)
+ */
+const reviewVerification = asyncHandler(async (req, res) => {
+  const { approved, kycLevel, notes } = req.body;
+
+  try {
+    const user = await verificationService.reviewVerification(
+      req.user._id,
+      req.params.userId,
+      { approved, kycLevel, notes },
+      req.ip
+    );
+
+    res.status(200).json({
+      success: true,
+      message: approved ? 'Helper verified' : 'Verification rejected',
+      data: {
+        userId: user._id,
+        helperVerified: user.helperVerified,
+        verification: verificationService.serializeVerification(user.verification)
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Force-resolve an emergency (admin_resolved)
+ * @route   POST /api/v1/admin/emergencies/:id/resolve
+ * @access  Private (admin only)
+ */
+const forceResolveEmergency = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  let emergency;
+  try {
+    emergency = await adminService.forceResolveEmergency(req.user._id, id, req.body.notes, req.ip);
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+    return;
+  }
+
+  // Same real-time events as a regular resolution
+  const emergencyNamespace = getEmergencyNamespace();
+  emitEmergencyResolved(emergencyNamespace, id, emergency);
+
+  res.status(200).json({
+    success: true,
+    message: 'Emergency resolved by admin',
+    data: {
+      emergency
+    }
+  });
+});
+
+/**
+ * @desc    List contact tickets
+ * @route   GET /api/v1/admin/contacts
+ * @access  Private (admin only)
+ */
+const getContacts = asyncHandler(async (req, res) => {
+  const { status, category, page = 1, limit = 20 } = req.query;
+
+  const { contacts, total } = await adminService.getContactTickets({
+    status,
+    category,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      contacts,
+      count: contacts.length,
+      total,
+      page: parseInt(page)
+    }
+  });
+});
+
+/**
+ * @desc    Update a contact ticket (status, admin response)
+ * @route   PUT /api/v1/admin/contacts/:id
+ * @access  Private (admin only)
+ */
+const updateContact = asyncHandler(async (req, res) => {
+  const { status, response } = req.body;
+
+  try {
+    const contact = await adminService.updateContactTicket(req.user._id, req.params.id, { status, response }, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact ticket updated',
+      data: {
+        contact
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    List ads for moderation
+ * @route   GET /api/v1/admin/ads
+ * @access  Private (admin only)
+ */
+const getAds = asyncHandler(async (req, res) => {
+  const { status, q, page = 1, limit = 20 } = req.query;
+
+  const { ads, total } = await adminService.getAdsForModeration({
+    status,
+    q,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ads,
+      count: ads.length,
+      total,
+      page: parseInt(page)
+    }
+  });
+});
+
+/**
+ * @desc    Activate or deactivate an ad
+ * @route   PUT /api/v1/admin/ads/:id/status
+ * @access  Private (admin only)
+ */
+const setAdStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  try {
+    const ad = await adminService.setAdStatus(req.user._id, req.params.id, status, reason, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: `Ad is now ${status}`,
+      data: {
+        ad
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Remove an ad
+ * @route   DELETE /api/v1/admin/ads/:id
+ * @access  Private (admin only)
+ */
+const removeAd = asyncHandler(async (req, res) => {
+  try {
+    const result = await adminService.removeAd(req.user._id, req.params.id, req.body.reason, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ad removed',
+      data: result
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Verify or unverify an organization
+ * @route   PUT /api/v1/admin/organizations/:id/verification
+ * @access  Private (admin only)
+ */
+const setOrganizationVerification = asyncHandler(async (req, res) => {
+  const { verified, reason } = req.body;
+
+  try {
+    const organization = await adminService.setOrganizationVerified(req.user._id, req.params.id, verified, reason, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: verified ? 'Organization verified' : 'Organization verification removed',
+      data: {
+        organization
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Get the admin audit log
+ * @route   GET /api/v1/admin/audit-log
+ * @access  Private (admin only)
+ */
+const getAuditLog = asyncHandler(async (req, res) => {
+  const { admin, action, targetType, targetId, before, limit = 50 } = req.query;
+
+  const entries = await getAuditLogEntries({
+    admin,
+    action,
+    targetType,
+    targetId,
+    before,
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      entries,
+      count: entries.length
+    }
+  });
+});
+
+module.exports = {
+  searchUsers,
+  getUser,
+  blockUser,
+  unblockUser,
+  setHelperVerification,
+  getVerificationQueue,
+  reviewVerification,
+  forceResolveEmergency,
+  getContacts,
+  updateContact,
+  getAds,
+  setAdStatus,
+  removeAd,
+  setOrganizationVerification,
+  getAuditLog
+};
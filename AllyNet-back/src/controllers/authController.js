@@ -1,6 +1,11 @@
 const { User, HelpRequest, Emergency } = require('../models');
-const { generateTokenPair, verifyRefreshToken, generateAccessToken } = require('../utils/jwt');
 const asyncHandler = require('../utils/asyncHandler');
+const availabilityService = require('../services/availabilityService');
+const reputationService = require('../services/reputationService');
+const sessionService = require('../services/sessionService');
+const accountTokenService = require('../services/accountTokenService');
+const rateLimitService = require('../services/rateLimitService');
+const organizationService = require('../services/organizationService');
 const mongoose = require('mongoose');
 
 /**
@@ -8,6 +13,40 @@ const mongoose = require('mongoose');
  * Handles registration, login, logout, token refresh, and profile management
  */
 
+// Refresh failures reported to the client as-is (401)
+const REFRESH_ERRORS = [
+  'Invalid or expired refresh token',
+  'Session has been revoked',
+  'Refresh token reuse detected',
+  'User not found or account is inactive'
+];
+
+// Password reset / email verification link failures (400)
+const LINK_ERRORS = [
+  'Invalid or expired link',
+  'Email is already verified'
+];
+
+/**
+ * Respond 429 for an email locked after repeated failed logins
+ */
+const sendLoginLocked = (res, retryAfterSeconds) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: {
+      code: 429,
+      message: `Too many failed login attempts. Please try again in ${rateLimitService.formatRetryAfter(retryAfterSeconds)} or reset your password`
+    }
+  });
+};
+
+// Device details stored on the session
+const getSessionContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
 /**
  * @desc    Register new user
  * @route   POST /api/v1/auth/register
@@ -18,7 +57,7 @@ const register = asyncHandler(async (req, res) => {
   console.log('REGISTER BODY:', JSON.stringify(req.body, null, 2));
 
   // Get email - express-validator's normalizeEmail() may have already normalized it
-  let { email, password, name } = req.body;
+  let { email, password, name, inviteCode } = req.body;
   
   // Ensure email is a string and normalize it (express-validator may have done this already)
   if (typeof email !== 'string') {
@@ -108,6 +147,21 @@ const register = asyncHandler(async (req, res) => {
   }
   console.log('NO EXISTING USER FOUND - PROCEEDING WITH REGISTRATION');
 
+  // Check the organization invite code before creating the account
+  if (inviteCode) {
+    try {
+      await organizationService.getInviteCodePreview(inviteCode);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 400,
+          message: error.message
+        }
+      });
+    }
+  }
+
   // Create user with ONLY required fields
   const createData = {
     email: normalizedEmail,
@@ -180,10 +234,26 @@ const register = asyncHandler(async (req, res) => {
     throw createError;
   }
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokenPair(user);
+  // Start a session for this device and generate its tokens
+  const { tokens: { accessToken, refreshToken } } = await sessionService.createSession(user, getSessionContext(req));
   console.log('TOKENS GENERATED SUCCESSFULLY');
 
+  // Send the email confirmation link in the background - registration doesn't wait for SMTP
+  accountTokenService.sendEmailVerification(user, { ipAddress: req.ip }).catch((error) => {
+    console.error('❌ Failed to send verification email:', error.message);
+  });
+
+  // Join the invite code's organization - the account is kept even if the code ran out in the meantime
+  let organization = null;
+  if (inviteCode) {
+    try {
+      organization = await organizationService.joinWithInviteCode(inviteCode, user);
+      console.log('🏢 JOINED ORGANIZATION WITH INVITE CODE:', organization._id);
+    } catch (error) {
+      console.error('⚠️ Invite code join failed after registration:', error.message);
+    }
+  }
+
   // Prepare response payload
   const responsePayload = {
     success: true,
@@ -195,12 +265,14 @@ const register = asyncHandler(async (req, res) => {
           firstName: user.profile?.firstName || null,
           lastName: user.profile?.lastName || null
         },
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       },
       tokens: {
         accessToken,
         refreshToken
-      }
+      },
+      organization: organization ? { _id: organization._id, name: organization.name, myRole: organization.myRole } : null
     }
   };
 
@@ -231,11 +303,22 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
+  // Locked after repeated failures (checked before the password so guessing stops)
+  const lockout = await rateLimitService.getLoginLockout(email);
+  if (lockout.locked) {
+    return sendLoginLocked(res, lockout.retryAfterSeconds);
+  }
+
   // Find user and include password for comparison
   const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
 
   if (!user) {
     console.log('LOGIN FAILED: User not found for email:', email.toLowerCase().trim());
+    // Unknown emails count too - lockout must not reveal which accounts exist
+    const failure = await rateLimitService.recordFailedLogin(email);
+    if (failure.locked) {
+      return sendLoginLocked(res, failure.retryAfterSeconds);
+    }
     return res.status(401).json({
       success: false,
       error: {
@@ -249,6 +332,10 @@ const login = asyncHandler(async (req, res) => {
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
     console.log('LOGIN FAILED: Invalid password for email:', email.toLowerCase().trim());
+    const failure = await rateLimitService.recordFailedLogin(email);
+    if (failure.locked) {
+      return sendLoginLocked(res, failure.retryAfterSeconds);
+    }
     return res.status(401).json({
       success: false,
       error: {
@@ -280,8 +367,10 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokenPair(user);
+  await rateLimitService.clearLoginFailures(email);
+
+  // Start a session for this device and generate its tokens
+  const { tokens: { accessToken, refreshToken } } = await sessionService.createSession(user, getSessionContext(req));
 
   // Update last login
   user.lastLogin = new Date();
@@ -298,7 +387,8 @@ const login = asyncHandler(async (req, res) => {
           firstName: user.profile?.firstName || null,
           lastName: user.profile?.lastName || null
         },
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       },
       tokens: {
         accessToken,
@@ -313,7 +403,7 @@ const login = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Refresh access token
+ * @desc    Refresh access token (rotates the refresh token - the old one stops working)
  * @route   POST /api/v1/auth/refresh
  * @access  Public (requires refresh token)
  */
@@ -331,38 +421,27 @@ const refreshToken = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Verify refresh token
-    const decoded = verifyRefreshToken(token);
-
-    // Get user from database
-    const user = await User.findById(decoded.userId);
-
-    if (!user || !user.isActive || user.isBlocked) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 401,
-          message: 'User not found or account is inactive'
-        }
-      });
-    }
-
-    // Generate new access token
-    const accessToken = generateAccessToken({
-      userId: user._id.toString(),
-      email: user.email,
-      role: user.role
-    });
+    const { tokens } = await sessionService.rotateRefreshToken(token, getSessionContext(req));
 
     res.status(200).json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        accessToken
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
       }
     });
   } catch (error) {
-    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+    if (REFRESH_ERRORS.includes(error.message)) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 401,
+          message: error.message
+        }
+      });
+    }
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError' || error.message === 'Invalid token type') {
       return res.status(401).json({
         success: false,
         error: {
@@ -393,7 +472,8 @@ const getMe = asyncHandler(async (req, res) => {
           firstName: user.profile?.firstName || null,
           lastName: user.profile?.lastName || null
         },
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     }
   });
@@ -405,7 +485,7 @@ const getMe = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const updateProfile = asyncHandler(async (req, res) => {
-  const { firstName, lastName, phone, bio, avatar } = req.body;
+  const { firstName, lastName, phone, bio, avatar, helperSkills } = req.body;
 
   const user = await User.findById(req.user._id);
 
@@ -415,6 +495,7 @@ const updateProfile = asyncHandler(async (req, res) => {
   if (phone !== undefined) user.profile.phone = phone;
   if (bio !== undefined) user.profile.bio = bio;
   if (avatar !== undefined) user.profile.avatar = avatar;
+  if (helperSkills !== undefined) user.helperSkills = helperSkills; // e.g. ['first_aid', 'cpr'] - used by helper matching
 
   await user.save();
 
@@ -426,6 +507,7 @@ const updateProfile = asyncHandler(async (req, res) => {
         id: user._id,
         email: user.email,
         profile: user.profile,
+        helperSkills: user.helperSkills,
         role: user.role
       }
     }
@@ -469,30 +551,225 @@ const updatePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save(); // Password will be hashed by pre-save middleware
 
+  // Reset links sent before the change must not override it
+  await accountTokenService.revokeAccountTokens(user._id, 'password_reset');
+
+  // Sign out every other device - this one stays logged in
+  const revokedSessions = await sessionService.revokeUserSessions(user._id, 'password_change', {
+    exceptSessionId: req.sessionId
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password updated successfully',
+    data: {
+      revokedSessions
+    }
+  });
+});
+
+/**
+ * @desc    Request a password reset link (same response whether or not the account exists)
+ * @route   POST /api/v1/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  await accountTokenService.requestPasswordReset(req.body.email, { ipAddress: req.ip });
+
   res.status(200).json({
     success: true,
-    message: 'Password updated successfully'
+    message: 'If an account exists for this email, a password reset link has been sent'
   });
 });
 
 /**
- * @desc    Logout (client-side token removal)
+ * @desc    Set a new password from a reset link (signs out every device)
+ * @route   POST /api/v1/auth/reset-password
+ * @access  Public (requires reset token)
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const { revokedSessions } = await accountTokenService.resetPassword(token, password);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password',
+      data: {
+        revokedSessions
+      }
+    });
+  } catch (error) {
+    if (!LINK_ERRORS.includes(error.message)) throw error;
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @desc    Confirm email address from a verification link
+ * @route   POST /api/v1/auth/verify-email
+ * @access  Public (requires verification token)
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  try {
+    const user = await accountTokenService.verifyEmail(req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        email: user.email,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    if (!LINK_ERRORS.includes(error.message)) throw error;
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @desc    Send a new email verification link (older links stop working)
+ * @route   POST /api/v1/auth/verify-email/resend
+ * @access  Private
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  try {
+    await accountTokenService.sendEmailVerification(user, { ipAddress: req.ip });
+  } catch (error) {
+    if (!LINK_ERRORS.includes(error.message)) throw error;
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Verification link sent to ${user.email}`
+  });
+});
+
+/**
+ * @desc    Logout - revokes the current session (its access and refresh tokens stop working)
  * @route   POST /api/v1/auth/logout
  * @access  Private
- * 
- * Note: Since we're using JWT (stateless), logout is primarily client-side.
- * This endpoint can be used for logging/logging purposes or if implementing token blacklist.
  */
 const logout = asyncHandler(async (req, res) => {
-  // In a stateless JWT system, logout is handled client-side by removing tokens
-  // If you want to implement token blacklisting, you'd store blacklisted tokens in Redis/DB here
-  
+  await sessionService.revokeSession(req.sessionId, 'logout');
+
   res.status(200).json({
     success: true,
     message: 'Logged out successfully'
   });
 });
 
+/**
+ * @desc    Logout everywhere - revokes all sessions (optionally keeping the current one)
+ * @route   POST /api/v1/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const keepCurrent = req.body.keepCurrent === true || req.body.keepCurrent === 'true';
+
+  const revokedSessions = await sessionService.revokeUserSessions(req.user._id, 'logout_all', {
+    exceptSessionId: keepCurrent ? req.sessionId : null
+  });
+
+  res.status(200).json({
+    success: true,
+    message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+    data: {
+      revokedSessions
+    }
+  });
+});
+
+/**
+ * @desc    List active sessions (one per logged-in device) with device, IP, last seen and socket state
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.getActiveSessions(req.user._id, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions,
+      count: sessions.length
+    }
+  });
+});
+
+/**
+ * @desc    Sign out one device (revokes its session and disconnects its sockets)
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  try {
+    await sessionService.revokeUserSession(req.user._id, req.params.id);
+  } catch (error) {
+    if (error.message !== 'Session not found') throw error;
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 404,
+        message: error.message
+      }
+    });
+  }
+
+  const current = req.params.id === req.sessionId?.toString();
+
+  res.status(200).json({
+    success: true,
+    message: current ? 'Logged out successfully' : 'Device signed out',
+    data: {
+      sessionId: req.params.id,
+      current
+    }
+  });
+});
+
+/**
+ * @desc    Sign out all other devices (the current session stays active)
+ * @route   DELETE /api/v1/auth/sessions
+ * @access  Private
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revokedSessions = await sessionService.revokeUserSessions(req.user._id, 'logout_all', {
+    exceptSessionId: req.sessionId
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Signed out of all other devices',
+    data: {
+      revokedSessions
+    }
+  });
+});
+
 /**
  * @desc    Get user stats (helped, requested, SOS counts, reports)
  * @route   GET /api/v1/auth/stats
@@ -576,6 +853,25 @@ const getUserStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get trust score history (ledger of score changes, newest first)
+ * @route   GET /api/v1/auth/trust-history
+ * @access  Private
+ */
+const getTrustHistory = asyncHandler(async (req, res) => {
+  const { limit, before } = req.query;
+
+  const history = await reputationService.getTrustHistory(req.user._id, {
+    limit: parseInt(limit) || 20,
+    before: before || null
+  });
+
+  res.status(200).json({
+    success: true,
+    data: history
+  });
+});
+
 /**
  * @desc    Get user's emergency contacts
  * @route   GET /api/v1/auth/emergency-contacts
@@ -598,7 +894,7 @@ const getEmergencyContacts = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const addEmergencyContact = asyncHandler(async (req, res) => {
-  const { name, email } = req.body;
+  const { name, email, phone } = req.body;
 
   if (!name || !email) {
     return res.status(400).json({
@@ -633,6 +929,18 @@ const addEmergencyContact = asyncHandler(async (req, res) => {
     });
   }
 
+  // Normalize optional phone to E.164 (SMS providers need the international format)
+  const phoneNormalized = phone ? phone.replace(/[\s\-()]/g, '') : undefined;
+  if (phoneNormalized && !/^\+[1-9]\d{7,14}$/.test(phoneNormalized)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: 'Phone number must be in international format, e.g. +14155550123'
+      }
+    });
+  }
+
   // Check if contact already exists (by email)
   const emailNormalized = email.trim().toLowerCase();
   const existingContact = user.emergencyContacts?.find(
@@ -655,7 +963,8 @@ const addEmergencyContact = asyncHandler(async (req, res) => {
   }
   user.emergencyContacts.push({
     name: name.trim(),
-    email: emailNormalized
+    email: emailNormalized,
+    phone: phoneNormalized
   });
 
   await user.save();
@@ -712,17 +1021,67 @@ const deleteEmergencyContact = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get helper availability
+ * @route   GET /api/v1/auth/availability
+ * @access  Private
+ */
+const getAvailability = asyncHandler(async (req, res) => {
+  const result = await availabilityService.getAvailability(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Update helper availability
+ * @route   PUT /api/v1/auth/availability
+ * @access  Private
+ */
+const updateAvailability = asyncHandler(async (req, res) => {
+  const { onDuty, timezone, quietHours, weeklySchedule, maxConcurrentEmergencies } = req.body;
+
+  const result = await availabilityService.updateAvailability(req.user._id, {
+    onDuty: onDuty !== undefined ? onDuty === true || onDuty === 'true' : undefined,
+    timezone,
+    quietHours,
+    weeklySchedule,
+    maxConcurrentEmergencies
+  });
+
+  res.status(200).json({
+    success: true,
+    message: onDuty === undefined
+      ? 'Availability updated successfully'
+      : `You are now ${result.availability.onDuty ? 'on' : 'off'} duty`,
+    data: result
+  });
+});
+
 module.exports = {
   register,
   login,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   refreshToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   getMe,
   updateProfile,
   updatePassword,
   getUserStats,
+  getTrustHistory,
   getEmergencyContacts,
   addEmergencyContact,
-  deleteEmergencyContact
+  deleteEmergencyContact,
+  getAvailability,
+  updateAvailability
 };
 
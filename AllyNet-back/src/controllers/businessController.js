@@ -0,0 +1,239 @@
+const businessService = require('../services/businessService');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Business Controller
+ * Handles HTTP requests for business profiles and promotions
+ */
+
+/**
+ * Map known business errors to HTTP responses
+ * @returns {Boolean} True if a response was sent
+ */
+const sendKnownError = (res, error) => {
+  const notFound = [
+    'Business not found',
+    'Promotion not found'
+  ];
+  const forbidden = [
+    'Not authorized to manage this business'
+  ];
+  const badRequest = [
+    'You already have a business profile',
+    'Promotion must end after it starts',
+    'Promotion must end in the future'
+  ];
+
+  const statusCode = notFound.includes(error.message)
+    ? 404
+    : forbidden.includes(error.message)
+      ? 403
+      : badRequest.includes(error.message) || error.message.startsWith('Promotions can run for at most')
+        ? 400
+        : null;
+
+  if (!statusCode) {
+    return false;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: statusCode,
+      message: error.message
+    }
+  });
+  return true;
+};
+
+/**
+ * @desc    Create a business profile (the account gets the business role)
+ * @route   POST /api/v1/businesses
+ * @access  Private
+ */
+const createBusiness = asyncHandler(async (req, res) => {
+  try {
+    const business = await businessService.createBusiness(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Business profile created',
+      data: {
+        business
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Get the current user's business profile
+ * @route   GET /api/v1/businesses/me
+ * @access  Private
+ */
+const getMyBusiness = asyncHandler(async (req, res) => {
+  const business = await businessService.getMyBusiness(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      business
+    }
+  });
+});
+
+/**
+ * @desc    Search the nearby business directory (closest first)
+ * @route   GET /api/v1/businesses/directory
+ * @access  Private
+ */
+const searchDirectory = asyncHandler(async (req, res) => {
+  const {
+    latitude,
+    longitude,
+    radius = 10000,
+    q,
+    category,
+    openNow,
+    verified,
+    hasPromotion,
+    page = 1,
+    limit = 20
+  } = req.query;
+
+  const { businesses, total } = await businessService.searchDirectory({
+    latitude: parseFloat(latitude),
+    longitude: parseFloat(longitude),
+    radiusMeters: parseInt(radius),
+    q,
+    category: category || null,
+    openNow: openNow === 'true',
+    verifiedOnly: verified === 'true',
+    hasPromotion: hasPromotion === 'true',
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      businesses,
+      count: businesses.length,
+      total,
+      page: parseInt(page)
+    }
+  });
+});
+
+/**
+ * @desc    Get a business page (profile, running promotions, active ads)
+ * @route   GET /api/v1/businesses/:id
+ * @access  Private
+ */
+const getBusiness = asyncHandler(async (req, res) => {
+  try {
+    const business = await businessService.getBusiness(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        business
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Update the business profile
+ * @route   PUT /api/v1/businesses/:id
+ * @access  Private (business owner)
+ */
+const updateBusiness = asyncHandler(async (req, res) => {
+  try {
+    const business = await businessService.updateBusiness(req.params.id, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Business profile updated',
+      data: {
+        business
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Add a promotion
+ * @route   POST /api/v1/businesses/:id/promotions
+ * @access  Private (business owner)
+ */
+const addPromotion = asyncHandler(async (req, res) => {
+  try {
+    const promotion = await businessService.addPromotion(req.params.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created',
+      data: {
+        promotion
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Update, pause or resume a promotion
+ * @route   PUT /api/v1/businesses/:id/promotions/:promotionId
+ * @access  Private (business owner)
+ */
+const updatePromotion = asyncHandler(async (req, res) => {
+  try {
+    const promotion = await businessService.updatePromotion(req.params.id, req.user, req.params.promotionId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated',
+      data: {
+        promotion
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Delete a promotion
+ * @route   DELETE /api/v1/businesses/:id/promotions/:promotionId
+ * @access  Private (business owner)
+ */
+const removePromotion = asyncHandler(async (req, res) => {
+  try {
+    await businessService.removePromotion(req.params.id, req.user, req.params.promotionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted'
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+module.exports = {
+  createBusiness,
+  getMyBusiness,
+  searchDirectory,
+  getBusiness,
+  updateBusiness,
+  addPromotion,
+  updatePromotion,
+  removePromotion
+};
@@ -1,5 +1,10 @@
 const emergencyService = require('../services/emergencyService');
+const emergencyLocationService = require('../services/emergencyLocationService');
+const dispatchService = require('../services/dispatchService');
+const helperMatchingService = require('../services/helperMatchingService');
+const { getVerificationPolicy } = require('../services/verificationService');
 const asyncHandler = require('../utils/asyncHandler');
+const { getEmergencySmsDeliveries } = require('../utils/smsService');
 const { getEmergencyNamespace } = require('../sockets');
 const {
   emitEmergencyCreated,
@@ -40,8 +45,8 @@ const createEmergency = asyncHandler(async (req, res) => {
     requestId // For idempotency
   );
 
-  // DELIVERY-FIRST: Broadcast emergency:created unconditionally to entire namespace
-  // Frontend will filter notifications client-side
+  // TARGETED DISPATCH: Alert only eligible nearby helpers via their user rooms
+  // Frontend still validates notifications client-side
   try {
     const emergencyNamespace = getEmergencyNamespace();
     
@@ -49,13 +54,12 @@ const createEmergency = asyncHandler(async (req, res) => {
       console.error('❌ Emergency namespace not available');
       // Don't fail request - emergency is already created
     } else {
-      // Unconditional broadcast - no filtering, no helper logic
-      emitEmergencyCreated(emergencyNamespace, emergency);
-      console.log(`📢 Emergency created event broadcasted unconditionally: ${emergency._id}`);
+      const helperIds = await dispatchService.dispatchEmergency(emergency);
+      emitEmergencyCreated(emergencyNamespace, emergency, helperIds);
     }
-  } catch (socketError) {
-    console.error('⚠️ Error emitting socket event (emergency still created):', socketError);
-    // Don't fail the request if socket emission fails
+  } catch (dispatchError) {
+    console.error('⚠️ Error dispatching emergency to helpers (emergency still created):', dispatchError);
+    // Don't fail the request if dispatch or socket emission fails
   }
 
   res.status(201).json({
@@ -382,6 +386,91 @@ const cancelEmergency = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Submit post-emergency debrief (arrivals, ratings, misconduct)
+ * @route   POST /api/v1/emergencies/:id/debrief
+ * @access  Private (owner only)
+ */
+const submitDebrief = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { summary, helpers } = req.body;
+
+  let emergency;
+  try {
+    emergency = await emergencyService.submitEmergencyDebrief(id, req.user._id, {
+      summary,
+      helpers: helpers.map(entry => ({
+        ...entry,
+        rating: entry.rating ? parseInt(entry.rating) : null
+      }))
+    });
+  } catch (error) {
+    if (error.message === 'Emergency not found') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 404,
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message === 'Only the emergency creator can submit a debrief') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 403,
+          message: error.message
+        }
+      });
+    }
+
+    if ([
+      'Emergency must be resolved or cancelled before a debrief',
+      'Debrief has already been submitted',
+      'Debrief can only include responding helpers',
+      'Each helper can only appear once in a debrief'
+    ].includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 400,
+          message: error.message
+        }
+      });
+    }
+
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Debrief submitted - thank you for the feedback',
+    data: {
+      emergency
+    }
+  });
+});
+
+/**
+ * @desc    Answer inactivity check-in ("are you still in danger?")
+ * @route   POST /api/v1/emergencies/:id/check-in
+ * @access  Private (owner only)
+ */
+const confirmCheckIn = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const emergency = await emergencyService.confirmCheckIn(id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Check-in confirmed - your SOS stays active',
+    data: {
+      emergency
+    }
+  });
+});
+
 /**
  * @desc    Delete emergency (only resolved/cancelled, creator only)
  * @route   DELETE /api/v1/emergencies/:id
@@ -403,29 +492,129 @@ const deleteEmergency = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get nearby helpers for an emergency
+ * @desc    Get nearby helpers for an emergency, ranked for its type
  * @route   GET /api/v1/emergencies/:id/helpers
  * @access  Private
  */
 const getEmergencyHelpers = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { radius = 5000, limit = 50 } = req.query;
+  const { radius, limit = 50 } = req.query;
 
-  // Get emergency to get location
+  // Get emergency to get location/type (also enforces visibility)
   const emergency = await emergencyService.getEmergencyById(id, req.user._id);
 
-  const helpers = await emergencyService.findNearbyHelpers(
-    emergency.location.latitude,
-    emergency.location.longitude,
-    parseFloat(radius),
-    parseInt(limit)
-  );
+  // Ranked by relevant skills for the emergency type, distance and trust score
+  const helpers = await helperMatchingService.rankHelpersForEmergency(emergency, {
+    radiusMeters: radius ? parseFloat(radius) : undefined,
+    limit: parseInt(limit)
+  });
 
   res.status(200).json({
     success: true,
     data: {
       helpers,
-      count: helpers.length
+      count: helpers.length,
+      relevantSkills: helperMatchingService.getRelevantSkills(emergency.type),
+      verificationPolicy: getVerificationPolicy(emergency.type)
+    }
+  });
+});
+
+/**
+ * @desc    Get live location trail for an emergency
+ * @route   GET /api/v1/emergencies/:id/location-trail
+ * @access  Private (same visibility as GET /api/v1/emergencies/:id)
+ */
+const getLocationTrail = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { limit = 500, since } = req.query;
+
+  try {
+    // Reuse emergency visibility rules for the trail
+    await emergencyService.getEmergencyById(id, req.user._id);
+  } catch (error) {
+    if (error.message === 'Not authorized to view this emergency') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 403,
+          message: 'Not authorized to view this emergency'
+        }
+      });
+    }
+
+    if (error.message === 'Emergency not found' || error.message === 'Emergency has invalid or deleted user') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 404,
+          message: 'Emergency not found'
+        }
+      });
+    }
+
+    throw error;
+  }
+
+  const trail = await emergencyLocationService.getLocationTrail(id, {
+    limit: parseInt(limit),
+    since: since || null
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      trail,
+      count: trail.length
+    }
+  });
+});
+
+/**
+ * @desc    Get SMS delivery status per emergency contact
+ * @route   GET /api/v1/emergencies/:id/sms-deliveries
+ * @access  Private (owner only)
+ */
+const getSmsDeliveries = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  let emergency;
+  try {
+    emergency = await emergencyService.getEmergencyById(id, req.user._id);
+  } catch (error) {
+    if (error.message === 'Emergency not found' || error.message === 'Emergency has invalid or deleted user') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 404,
+          message: 'Emergency not found'
+        }
+      });
+    }
+
+    if (error.message !== 'Not authorized to view this emergency') {
+      throw error;
+    }
+  }
+
+  // Delivery details include contact phone numbers - creator only
+  if (!emergency || emergency.user._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 403,
+        message: 'Only the emergency creator can view SMS deliveries'
+      }
+    });
+  }
+
+  const deliveries = await getEmergencySmsDeliveries(id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      deliveries,
+      count: deliveries.length
     }
   });
 });
@@ -473,8 +662,12 @@ module.exports = {
   updateHelperStatus,
   resolveEmergency,
   cancelEmergency,
+  submitDebrief,
+  confirmCheckIn,
   deleteEmergency,
   getEmergencyHelpers,
-  getEmergencyHistory
+  getEmergencyHistory,
+  getLocationTrail,
+  getSmsDeliveries
 };
 
@@ -6,6 +6,47 @@ const asyncHandler = require('../utils/asyncHandler');
  * Handles HTTP requests for help request operations
  */
 
+/**
+ * Map known completion/rating errors to HTTP responses
+ * @returns {Boolean} True if a response was sent
+ */
+const sendKnownError = (res, error) => {
+  const notFound = ['Help request not found'];
+  const forbidden = [
+    'Only the creator can complete a help request',
+    'Only an accepted helper can propose completion',
+    'Only the creator or an accepted helper can rate this request',
+    'You can only rate helpers you accepted'
+  ];
+  const badRequest = [
+    'Help request must be accepted before completion',
+    'Help request must be completed before rating',
+    'You have already rated this user for this request',
+    'Helper ID is required'
+  ];
+
+  const statusCode = notFound.includes(error.message)
+    ? 404
+    : forbidden.includes(error.message)
+      ? 403
+      : badRequest.includes(error.message) || error.message.startsWith('Help request is already')
+        ? 400
+        : null;
+
+  if (!statusCode) {
+    return false;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: statusCode,
+      message: error.message
+    }
+  });
+  return true;
+};
+
 /**
  * @desc    Create help request
  * @route   POST /api/v1/help-requests
@@ -42,11 +83,12 @@ const createHelpRequest = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getMyHelpRequests = asyncHandler(async (req, res) => {
-  const { status, limit } = req.query;
+  const { status, limit, role } = req.query;
 
   const requests = await helpRequestService.getUserHelpRequests(req.user._id, {
     status: status || null,
-    limit: parseInt(limit) || 50
+    limit: parseInt(limit) || 50,
+    role: role || 'creator'
   });
 
   res.status(200).json({
@@ -308,6 +350,99 @@ const replyToResponse = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Propose completion (accepted helper marks the job done)
+ * @route   POST /api/v1/help-requests/:id/propose-completion
+ * @access  Private (accepted helper)
+ */
+const proposeCompletion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { notes } = req.body;
+
+  try {
+    const helpRequest = await helpRequestService.proposeHelpRequestCompletion(
+      id,
+      req.user._id,
+      notes ? notes.trim() : null
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Completion proposed. Waiting for the requester to confirm.',
+      data: {
+        helpRequest
+      }
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * @desc    Complete help request (creator confirms)
+ * @route   POST /api/v1/help-requests/:id/complete
+ * @access  Private (creator only)
+ */
+const completeHelpRequest = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { notes } = req.body;
+
+  try {
+    const helpRequest = await helpRequestService.completeHelpRequest(
+      id,
+      req.user._id,
+      notes ? notes.trim() : null
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Help request completed',
+      data: {
+        helpRequest
+      }
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * @desc    Rate the creator or an accepted helper of a completed request
+ * @route   POST /api/v1/help-requests/:id/ratings
+ * @access  Private (creator or accepted helper)
+ */
+const rateParticipant = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { helperId, rating, comment } = req.body;
+
+  try {
+    const helpRequest = await helpRequestService.rateHelpRequestParticipant(id, req.user._id, {
+      helperId: helperId || null,
+      rating: parseInt(rating),
+      comment: comment ? comment.trim() : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rating submitted',
+      data: {
+        helpRequest
+      }
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) {
+      return;
+    }
+    throw error;
+  }
+});
+
 module.exports = {
   createHelpRequest,
   getMyHelpRequests,
@@ -318,6 +453,9 @@ module.exports = {
   acceptHelper,
   denyHelper,
   reportHelper,
-  replyToResponse
+  replyToResponse,
+  proposeCompletion,
+  completeHelpRequest,
+  rateParticipant
 };
 
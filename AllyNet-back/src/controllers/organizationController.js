@@ -0,0 +1,502 @@
+const organizationService = require('../services/organizationService');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Organization Controller
+ * Handles HTTP requests for organizations (members, invitations, roles, dashboard)
+ */
+
+/**
+ * Map known organization errors to HTTP responses
+ * @returns {Boolean} True if a response was sent
+ */
+const sendKnownError = (res, error) => {
+  const notFound = [
+    'Organization not found',
+    'Member not found',
+    'Invitation not found',
+    'Invite code not found'
+  ];
+  const forbidden = [
+    'Not a member of this organization',
+    'Not authorized to manage this organization',
+    'The emergency dashboard is disabled for this organization'
+  ];
+  const badRequest = [
+    'You already belong to an organization',
+    'User is already a member of this organization',
+    'Organization member limit reached',
+    "The organization owner's role cannot be changed",
+    'The organization owner cannot be removed',
+    'The organization owner cannot leave the organization',
+    'Invalid or expired invite code',
+    'The CSV has no email addresses',
+    'Email-domain auto-join is only available for company and campus organizations',
+    'Public email domains cannot be used for auto-join',
+    'An email domain is already used by another organization',
+    'Add at least one email domain to enable auto-join',
+    'Email-domain auto-join requires a verified organization'
+  ];
+  // Messages that carry a value (bulk invite limit, rejected domain)
+  const badRequestPrefixes = ['At most ', 'Invalid email domain: '];
+
+  const statusCode = notFound.includes(error.message)
+    ? 404
+    : forbidden.includes(error.message)
+      ? 403
+      : badRequest.includes(error.message) || badRequestPrefixes.some(prefix => error.message.startsWith(prefix))
+        ? 400
+        : null;
+
+  if (!statusCode) {
+    return false;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: statusCode,
+      message: error.message
+    }
+  });
+  return true;
+};
+
+/**
+ * @desc    Create an organization (the creator becomes its admin)
+ * @route   POST /api/v1/organizations
+ * @access  Private
+ */
+const createOrganization = asyncHandler(async (req, res) => {
+  try {
+    const organization = await organizationService.createOrganization(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created',
+      data: {
+        organization
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Get the current user's organization
+ * @route   GET /api/v1/organizations/me
+ * @access  Private
+ */
+const getMyOrganization = asyncHandler(async (req, res) => {
+  const organization = await organizationService.getMyOrganization(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      organization
+    }
+  });
+});
+
+/**
+ * @desc    Get invitations for the current user's email
+ * @route   GET /api/v1/organizations/invitations
+ * @access  Private
+ */
+const getMyInvitations = asyncHandler(async (req, res) => {
+  const invitations = await organizationService.getMyInvitations(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      invitations
+    }
+  });
+});
+
+/**
+ * @desc    Get an organization
+ * @route   GET /api/v1/organizations/:id
+ * @access  Private (members)
+ */
+const getOrganization = asyncHandler(async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        organization
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Update organization details and emergency settings
+ * @route   PUT /api/v1/organizations/:id
+ * @access  Private (org admins)
+ */
+const updateOrganization = asyncHandler(async (req, res) => {
+  try {
+    const organization = await organizationService.updateOrganization(req.params.id, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization updated',
+      data: {
+        organization
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    List members (online status, emails for admins and moderators)
+ * @route   GET /api/v1/organizations/:id/members
+ * @access  Private (members)
+ */
+const getMembers = asyncHandler(async (req, res) => {
+  try {
+    const members = await organizationService.getMembers(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        members
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Invite someone by email
+ * @route   POST /api/v1/organizations/:id/invitations
+ * @access  Private (org admins)
+ */
+const inviteMember = asyncHandler(async (req, res) => {
+  try {
+    const invitation = await organizationService.inviteMember(req.params.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: {
+        invitation
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Invite everyone in a CSV (`email[,role]` per line)
+ * @route   POST /api/v1/organizations/:id/invitations/bulk
+ * @access  Private (org admins)
+ */
+const bulkInviteMembers = asyncHandler(async (req, res) => {
+  try {
+    const result = await organizationService.bulkInviteMembers(req.params.id, req.user, req.body.csv, req.body.role);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.invited.length} invited, ${result.updated.length} updated, ${result.skipped.length} skipped`,
+      data: result
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Cancel a pending invitation
+ * @route   DELETE /api/v1/organizations/:id/invitations/:invitationId
+ * @access  Private (org admins)
+ */
+const revokeInvitation = asyncHandler(async (req, res) => {
+  try {
+    await organizationService.revokeInvitation(req.params.id, req.user, req.params.invitationId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation cancelled'
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Accept an invitation and join the organization
+ * @route   POST /api/v1/organizations/:id/join
+ * @access  Private (invited users)
+ */
+const joinOrganization = asyncHandler(async (req, res) => {
+  try {
+    const organization = await organizationService.joinOrganization(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `You joined ${organization.name}`,
+      data: {
+        organization
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Create an invite code / link
+ * @route   POST /api/v1/organizations/:id/invite-codes
+ * @access  Private (org admins)
+ */
+const createInviteCode = asyncHandler(async (req, res) => {
+  try {
+    const inviteCode = await organizationService.createInviteCode(req.params.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite code created',
+      data: {
+        inviteCode
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Revoke an invite code
+ * @route   DELETE /api/v1/organizations/:id/invite-codes/:codeId
+ * @access  Private (org admins)
+ */
+const revokeInviteCode = asyncHandler(async (req, res) => {
+  try {
+    await organizationService.revokeInviteCode(req.params.id, req.user, req.params.codeId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite code revoked'
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Which organization an invite code joins
+ * @route   GET /api/v1/organizations/invite-codes/:code
+ * @access  Public
+ */
+const getInviteCodePreview = asyncHandler(async (req, res) => {
+  try {
+    const invite = await organizationService.getInviteCodePreview(req.params.code);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invite
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Join an organization with an invite code
+ * @route   POST /api/v1/organizations/join-code
+ * @access  Private
+ */
+const joinWithInviteCode = asyncHandler(async (req, res) => {
+  try {
+    const organization = await organizationService.joinWithInviteCode(req.body.code, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `You joined ${organization.name}`,
+      data: {
+        organization
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Decline an invitation
+ * @route   POST /api/v1/organizations/:id/decline
+ * @access  Private (invited users)
+ */
+const declineInvitation = asyncHandler(async (req, res) => {
+  try {
+    await organizationService.declineInvitation(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Change a member's role
+ * @route   PUT /api/v1/organizations/:id/members/:userId/role
+ * @access  Private (org admins)
+ */
+const updateMemberRole = asyncHandler(async (req, res) => {
+  try {
+    const member = await organizationService.updateMemberRole(req.params.id, req.user, req.params.userId, req.body.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated',
+      data: {
+        member
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Remove a member
+ * @route   DELETE /api/v1/organizations/:id/members/:userId
+ * @access  Private (org admins)
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  try {
+    await organizationService.removeMember(req.params.id, req.user, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Leave the organization
+ * @route   POST /api/v1/organizations/:id/leave
+ * @access  Private (members)
+ */
+const leaveOrganization = asyncHandler(async (req, res) => {
+  try {
+    await organizationService.leaveOrganization(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'You left the organization'
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Live dashboard counts (members, active emergencies, open help requests)
+ * @route   GET /api/v1/organizations/:id/dashboard
+ * @access  Private (org admins and moderators)
+ */
+const getDashboard = asyncHandler(async (req, res) => {
+  try {
+    const dashboard = await organizationService.getDashboard(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        dashboard
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Live view of members' active emergencies (read-only)
+ * @route   GET /api/v1/organizations/:id/emergencies
+ * @access  Private (org admins and moderators, when the emergency dashboard is enabled)
+ */
+const getMemberEmergencies = asyncHandler(async (req, res) => {
+  try {
+    const emergencies = await organizationService.getMemberEmergencies(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        emergencies,
+        count: emergencies.length
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    SOS alert deliveries for the organization
+ * @route   GET /api/v1/organizations/:id/alerts
+ * @access  Private (org admins)
+ */
+const getAlertLog = asyncHandler(async (req, res) => {
+  const { emergency, before, limit = 50 } = req.query;
+
+  try {
+    const alerts = await organizationService.getAlertLog(req.params.id, req.user, {
+      emergency,
+      before,
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        alerts
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+module.exports = {
+  createOrganization,
+  getMyOrganization,
+  getMyInvitations,
+  getOrganization,
+  updateOrganization,
+  getMembers,
+  inviteMember,
+  bulkInviteMembers,
+  revokeInvitation,
+  joinOrganization,
+  declineInvitation,
+  createInviteCode,
+  revokeInviteCode,
+  getInviteCodePreview,
+  joinWithInviteCode,
+  updateMemberRole,
+  removeMember,
+  leaveOrganization,
+  getDashboard,
+  getMemberEmergencies,
+  getAlertLog
+};
@@ -0,0 +1,203 @@
+const reportService = require('../services/reportService');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Report Controller
+ * Handles HTTP requests for abuse reports and the moderation queue
+ */
+
+/**
+ * Map known report errors to HTTP responses
+ * @returns {Boolean} True if a response was sent
+ */
+const sendKnownError = (res, error) => {
+  const notFound = [
+    'Report not found',
+    'Reported user not found',
+    'Emergency not found',
+    'Emergency has invalid or deleted user',
+    'Message not found',
+    'Help request not found',
+    'Ad not found'
+  ];
+  const forbidden = [
+    'Not authorized to view this emergency',
+    'Not authorized to report this message'
+  ];
+  const badRequest = [
+    'You cannot report yourself',
+    'You have already reported this',
+    'Content of this report type cannot be removed',
+    'Invalid report target',
+    'Admins cannot be blocked'
+  ];
+
+  const statusCode = notFound.includes(error.message)
+    ? 404
+    : forbidden.includes(error.message)
+      ? 403
+      : badRequest.includes(error.message) || error.message.startsWith('Report is already')
+        ? 400
+        : null;
+
+  if (!statusCode) {
+    return false;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: statusCode,
+      message: error.message
+    }
+  });
+  return true;
+};
+
+/**
+ * @desc    Report a user, emergency (false alarm), emergency chat message, help request or ad
+ * @route   POST /api/v1/reports
+ * @access  Private
+ */
+const createReport = asyncHandler(async (req, res) => {
+  const { targetType, targetId, reason, details } = req.body;
+
+  try {
+    const report = await reportService.createReport(req.user._id, {
+      targetType,
+      targetId,
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you. Our moderators will review your report.',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Get reports filed by the current user
+ * @route   GET /api/v1/reports/mine
+ * @access  Private
+ */
+const getMyReports = asyncHandler(async (req, res) => {
+  const { limit = 50 } = req.query;
+
+  const reports = await reportService.getUserReports(req.user._id, {
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reports,
+      count: reports.length
+    }
+  });
+});
+
+/**
+ * @desc    Get the moderation queue
+ * @route   GET /api/v1/reports
+ * @access  Private (admin only)
+ */
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const { status, targetType, limit = 50, page = 1 } = req.query;
+
+  const { reports, total } = await reportService.getModerationQueue({
+    status,
+    targetType,
+    limit: parseInt(limit),
+    page: parseInt(page)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reports,
+      count: reports.length,
+      total,
+      page: parseInt(page)
+    }
+  });
+});
+
+/**
+ * @desc    Get a report with its evidence
+ * @route   GET /api/v1/reports/:id
+ * @access  Private (admin only)
+ */
+const getReport = asyncHandler(async (req, res) => {
+  try {
+    const report = await reportService.getReportById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Take a report into review
+ * @route   POST /api/v1/reports/:id/review
+ * @access  Private (admin only)
+ */
+const startReview = asyncHandler(async (req, res) => {
+  try {
+    const report = await reportService.startReview(req.params.id, req.user._id, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: 'Report is now in review',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Resolve a report (warn, block, remove content or dismiss)
+ * @route   POST /api/v1/reports/:id/resolve
+ * @access  Private (admin only)
+ */
+const resolveReport = asyncHandler(async (req, res) => {
+  const { action, notes } = req.body;
+
+  try {
+    const report = await reportService.resolveReport(req.params.id, req.user._id, { action, notes }, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: action === 'dismiss' ? 'Report dismissed' : 'Moderation action applied',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+module.exports = {
+  createReport,
+  getMyReports,
+  getModerationQueue,
+  getReport,
+  startReview,
+  resolveReport
+};
@@ -0,0 +1,142 @@
+const safetyTimerService = require('../services/safetyTimerService');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Safety Timer Controller
+ * Handles HTTP requests for "check in with me" timers
+ */
+
+/**
+ * Map known service errors to HTTP responses
+ * @returns {Boolean} True if a response was sent
+ */
+const sendKnownError = (res, error) => {
+  if (error.message === 'No active safety timer found') {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 404,
+        message: error.message
+      }
+    });
+    return true;
+  }
+
+  if (error.message.startsWith('You already have a safety timer running')) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: error.message
+      }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * @desc    Start a safety timer
+ * @route   POST /api/v1/safety-timers
+ * @access  Private
+ */
+const startTimer = asyncHandler(async (req, res) => {
+  const { durationMinutes, label, location } = req.body;
+
+  try {
+    const timer = await safetyTimerService.startTimer(req.user._id, {
+      durationMinutes: parseInt(durationMinutes),
+      label,
+      location
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Safety timer started',
+      data: {
+        timer
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) {
+      throw error;
+    }
+  }
+});
+
+/**
+ * @desc    Get current user's running safety timer
+ * @route   GET /api/v1/safety-timers/active
+ * @access  Private
+ * @note    Returns { timer: null } when no timer is running
+ */
+const getActiveTimer = asyncHandler(async (req, res) => {
+  const timer = await safetyTimerService.getActiveTimer(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      timer
+    }
+  });
+});
+
+/**
+ * @desc    Check in as safe (stops the running timer)
+ * @route   POST /api/v1/safety-timers/active/check-in
+ * @access  Private
+ */
+const checkIn = asyncHandler(async (req, res) => {
+  try {
+    const timer = await safetyTimerService.checkIn(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Glad you are safe - timer stopped',
+      data: {
+        timer
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) {
+      throw error;
+    }
+  }
+});
+
+/**
+ * @desc    Extend the running timer
+ * @route   POST /api/v1/safety-timers/active/extend
+ * @access  Private
+ */
+const extendTimer = asyncHandler(async (req, res) => {
+  const { minutes, location } = req.body;
+
+  try {
+    const timer = await safetyTimerService.extendTimer(
+      req.user._id,
+      minutes ? parseInt(minutes) : undefined,
+      location
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Safety timer extended',
+      data: {
+        timer
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) {
+      throw error;
+    }
+  }
+});
+
+module.exports = {
+  startTimer,
+  getActiveTimer,
+  checkIn,
+  extendTimer
+};
@@ -0,0 +1,124 @@
+const verificationService = require('../services/verificationService');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Verification Controller
+ * Handles HTTP requests for helper identity verification (submission side)
+ * Review lives in the admin console (controllers/adminController)
+ */
+
+/**
+ * Map known verification errors to HTTP responses
+ * @returns {Boolean} True if a response was sent
+ */
+const sendKnownError = (res, error) => {
+  const notFound = [
+    'User not found',
+    'Verification document not found'
+  ];
+  const forbidden = [
+    'Only helpers can request verification',
+    'Not authorized to view this document'
+  ];
+  const badRequest = [
+    'Verification is already pending review',
+    'Helper is already verified',
+    'At least one verification document is required'
+  ];
+
+  const statusCode = notFound.includes(error.message)
+    ? 404
+    : forbidden.includes(error.message)
+      ? 403
+      : badRequest.includes(error.message) || error.message.startsWith('At most')
+        ? 400
+        : null;
+
+  if (!statusCode) {
+    return false;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: statusCode,
+      message: error.message
+    }
+  });
+  return true;
+};
+
+/**
+ * @desc    Submit identity documents for review (multipart: documents[], documentTypes[], requestedLevel)
+ * @route   POST /api/v1/verification
+ * @access  Private (helpers)
+ */
+const submitVerification = asyncHandler(async (req, res) => {
+  const { documentTypes, requestedLevel } = req.body;
+
+  try {
+    const verification = await verificationService.submitVerification(req.user._id, {
+      files: req.files || [],
+      documentTypes,
+      requestedLevel
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Verification submitted. We will review your documents shortly.',
+      data: {
+        verification
+      }
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Get the current user's verification status
+ * @route   GET /api/v1/verification/me
+ * @access  Private
+ */
+const getMyVerification = asyncHandler(async (req, res) => {
+  try {
+    const result = await verificationService.getMyVerification(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+/**
+ * @desc    Download a verification document
+ * @route   GET /api/v1/verification/:userId/documents/:documentId
+ * @access  Private (the helper or admin)
+ */
+const getVerificationDocument = asyncHandler(async (req, res) => {
+  const { userId, documentId } = req.params;
+
+  try {
+    const { document, buffer } = await verificationService.getVerificationDocument(userId, documentId, req.user);
+
+    res.set({
+      'Content-Type': document.contentType || 'application/octet-stream',
+      'Content-Length': buffer.length,
+      'Content-Disposition': `inline; filename="${(document.originalName || 'document').replace(/[^\w.-]/g, '_')}"`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.status(200).send(buffer);
+  } catch (error) {
+    if (!sendKnownError(res, error)) throw error;
+  }
+});
+
+module.exports = {
+  submitVerification,
+  getMyVerification,
+  getVerificationDocument
+};
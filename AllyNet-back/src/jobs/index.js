@@ -0,0 +1,118 @@
+const { runEscalationCycle, getEscalationWindows } = require('../services/escalationService');
+const {
+  runEmergencyExpiryCycle,
+  runHelpRequestExpiryCycle,
+  runAdExpiryCycle
+} = require('../services/expiryService');
+const { runSafetyTimerCycle } = require('../services/safetyTimerService');
+const { runEmailRetryCycle } = require('../utils/emailService');
+const { runTrustDecayCycle } = require('../services/reputationService');
+const { runVerificationExpiryCycle } = require('../services/verificationService');
+
+/**
+ * Background Jobs
+ * In-process scheduler for periodic work (SOS escalation, safety timers, expiry, email retries,
+ * trust score decay, helper verification expiry)
+ * Each job runs on its own interval; a tick is skipped while the previous run is still going
+ * Jobs emit Socket.IO events, so start them after Socket.IO is initialized
+ */
+
+// How often expiry jobs run (emergency check-ins/expiry, help requests, ads)
+const EXPIRY_CHECK_INTERVAL_MS = parseInt(process.env.EXPIRY_CHECK_INTERVAL_MS) || 60 * 1000;
+
+const jobs = [
+  {
+    name: 'sos-escalation',
+    intervalMs: parseInt(process.env.SOS_ESCALATION_CHECK_INTERVAL_MS) || 30 * 1000,
+    run: runEscalationCycle
+  },
+  {
+    name: 'safety-timer',
+    intervalMs: parseInt(process.env.SAFETY_TIMER_CHECK_INTERVAL_MS) || 15 * 1000,
+    run: runSafetyTimerCycle
+  },
+  {
+    name: 'emergency-expiry',
+    intervalMs: EXPIRY_CHECK_INTERVAL_MS,
+    run: runEmergencyExpiryCycle
+  },
+  {
+    name: 'help-request-expiry',
+    intervalMs: EXPIRY_CHECK_INTERVAL_MS,
+    run: runHelpRequestExpiryCycle
+  },
+  {
+    name: 'ad-expiry',
+    intervalMs: EXPIRY_CHECK_INTERVAL_MS,
+    run: runAdExpiryCycle
+  },
+  {
+    name: 'email-retry',
+    intervalMs: parseInt(process.env.EMAIL_RETRY_CHECK_INTERVAL_MS) || 30 * 1000,
+    run: runEmailRetryCycle
+  },
+  {
+    name: 'trust-decay',
+    intervalMs: parseInt(process.env.TRUST_DECAY_CHECK_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+    run: runTrustDecayCycle
+  },
+  {
+    name: 'verification-expiry',
+    intervalMs: parseInt(process.env.VERIFICATION_EXPIRY_CHECK_INTERVAL_MS) || 60 * 60 * 1000,
+    run: runVerificationExpiryCycle
+  }
+];
+
+// Job name → { timer, isRunning }
+const scheduled = new Map();
+
+/**
+ * Run a job once, skipping if it is already running
+ * @param {Object} job - Job definition
+ */
+const runJob = async (job) => {
+  const state = scheduled.get(job.name);
+  if (!state || state.isRunning) {
+    return;
+  }
+
+  state.isRunning = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error.message);
+  } finally {
+    state.isRunning = false;
+  }
+};
+
+/**
+ * Start all background jobs
+ * Safe to call more than once (only one timer per job)
+ */
+const startJobs = () => {
+  jobs.forEach(job => {
+    if (scheduled.has(job.name)) {
+      return;
+    }
+
+    const state = { timer: null, isRunning: false };
+    scheduled.set(job.name, state);
+    state.timer = setInterval(() => runJob(job), job.intervalMs);
+  });
+
+  console.log(`✅ Background jobs started: ${jobs.map(job => job.name).join(', ')} (SOS escalation windows: ${getEscalationWindows().join(', ')} min)`);
+};
+
+/**
+ * Stop all background jobs
+ */
+const stopJobs = () => {
+  scheduled.forEach(state => clearInterval(state.timer));
+  scheduled.clear();
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -1,6 +1,7 @@
 const { verifyAccessToken } = require('../utils/jwt');
 const { User } = require('../models');
 const asyncHandler = require('../utils/asyncHandler');
+const { assertActiveSession } = require('../services/sessionService');
 
 /**
  * Authentication Middleware
@@ -69,8 +70,23 @@ const protect = asyncHandler(async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Reject tokens from revoked sessions (logout, sign-out-everywhere, refresh token reuse)
+    try {
+      await assertActiveSession(decoded.sessionId, user._id);
+    } catch (sessionError) {
+      if (sessionError.message !== 'Session has been revoked') throw sessionError;
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 401,
+          message: 'Session has been revoked'
+        }
+      });
+    }
+
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -143,7 +159,9 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
       const user = await User.findById(decoded.userId).select('-password');
       
       if (user && user.isActive && !user.isBlocked) {
+        await assertActiveSession(decoded.sessionId, user._id);
         req.user = user;
+        req.sessionId = decoded.sessionId;
       }
     } catch (error) {
       // Silently fail - user will be undefined
@@ -0,0 +1,54 @@
+const { getPolicy, consume, formatRetryAfter } = require('../services/rateLimitService');
+
+/**
+ * Rate Limit Middleware
+ * Applies a rate limit policy (services/rateLimitService) to a route
+ * Sets RateLimit-* headers and responds 429 with Retry-After once the limit is reached
+ */
+
+// How each request is identified for a policy
+const KEY_RESOLVERS = {
+  ip: (req) => req.ip,
+  user: (req) => req.user?._id?.toString() || req.ip // protect must run first
+};
+
+/**
+ * Limit a route
+ * @param {String} policyName - Policy name (e.g. 'login')
+ * @param {String|Function} keyBy - 'ip', 'user' or (req) → key
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (policyName, keyBy = 'ip') => {
+  const resolveKey = typeof keyBy === 'function' ? keyBy : KEY_RESOLVERS[keyBy];
+  if (!resolveKey) {
+    throw new Error(`Unknown rate limit key: ${keyBy}`);
+  }
+  getPolicy(policyName); // Fail at startup on unknown policies
+
+  return async (req, res, next) => {
+    const result = await consume(policyName, resolveKey(req));
+
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    if (result.resetAt) {
+      res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000))));
+    }
+
+    if (result.allowed) {
+      return next();
+    }
+
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+      success: false,
+      error: {
+        code: 429,
+        message: `Too many requests. Please try again in ${formatRetryAfter(result.retryAfterSeconds)}`
+      }
+    });
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,60 @@
+const multer = require('multer');
+const { MAX_VERIFICATION_DOCUMENTS } = require('../services/verificationService');
+
+/**
+ * Upload Middleware
+ * Parses multipart uploads into memory (req.files) - services hand the buffers to utils/storage
+ */
+
+const VERIFICATION_DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+const getMaxUploadBytes = () => parseInt(process.env.VERIFICATION_MAX_FILE_BYTES) || 5 * 1024 * 1024;
+
+/**
+ * Respond 400 for rejected uploads (size/count limits, file type)
+ */
+const sendUploadError = (res, error) => {
+  const message = error.code === 'LIMIT_FILE_SIZE'
+    ? `Each document must be at most ${Math.round(getMaxUploadBytes() / (1024 * 1024))} MB`
+    : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+      ? `Upload at most ${MAX_VERIFICATION_DOCUMENTS} documents in the "documents" field`
+      : error.message;
+
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 400,
+      message
+    }
+  });
+};
+
+/**
+ * Verification documents (multipart field "documents": JPEG, PNG or PDF)
+ */
+const verificationDocumentsUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: getMaxUploadBytes(),
+      files: MAX_VERIFICATION_DOCUMENTS
+    },
+    fileFilter: (req, file, callback) => {
+      if (!VERIFICATION_DOCUMENT_TYPES.includes(file.mimetype)) {
+        return callback(new Error('Only JPEG, PNG or PDF documents are allowed'));
+      }
+      callback(null, true);
+    }
+  }).array('documents', MAX_VERIFICATION_DOCUMENTS);
+
+  upload(req, res, (error) => {
+    if (error) {
+      return sendUploadError(res, error);
+    }
+    next();
+  });
+};
+
+module.exports = {
+  verificationDocumentsUpload
+};
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Account Token Model
+ * Tracks the signed links sent by email (password reset, email verification) so each one
+ * works only once and older links stop working when a new one is sent
+ * (written by services/accountTokenService)
+ */
+
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    purpose: {
+      type: String,
+      enum: ['password_reset', 'email_verification'],
+      required: [true, 'Purpose is required']
+    },
+    // jti of the signed token sent in the link
+    tokenId: {
+      type: String,
+      required: [true, 'Token ID is required'],
+      unique: true
+    },
+    // Address the link was sent to - a verification link only confirms this address
+    email: {
+      type: String,
+      required: [true, 'Email is required']
+    },
+    ipAddress: String,
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    },
+    // Superseded by a newer link or invalidated by a password change
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Indexes for performance
+accountTokenSchema.index({ user: 1, purpose: 1, usedAt: 1, revokedAt: 1 }); // Outstanding links per user
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // Purge a week after expiry
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
@@ -16,6 +16,13 @@ const adSchema = new mongoose.Schema(
       index: true
     },
 
+    // Business profile of the creator (set when they own one)
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      default: null
+    },
+
     // Ad Details
     title: {
       type: String,
@@ -366,6 +373,7 @@ adSchema.statics.findNearbyActive = async function(latitude, longitude, radiusMe
 
 // Indexes
 adSchema.index({ createdBy: 1, status: 1 });
+adSchema.index({ business: 1, status: 1 });
 adSchema.index({ status: 1, createdAt: -1 });
 adSchema.index({ category: 1 });
 adSchema.index({ expiresAt: 1 }); // For cleanup of expired ads
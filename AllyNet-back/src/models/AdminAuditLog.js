@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin Audit Log Model
+ * Append-only record of every action taken through the admin console and the moderation queue
+ * (written by services/adminAuditService)
+ */
+
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Admin is required']
+    },
+    action: {
+      type: String,
+      enum: [
+        'user_block',
+        'user_unblock',
+        'helper_verify',
+        'helper_unverify',
+        'emergency_force_resolve',
+        'contact_update',
+        'ad_status_change',
+        'ad_remove',
+        'report_review',
+        'report_resolve',
+        'organization_verify',
+        'organization_unverify'
+      ],
+      required: [true, 'Action is required']
+    },
+    targetType: {
+      type: String,
+      enum: ['User', 'Emergency', 'Contact', 'Ad', 'Report', 'Organization'],
+      required: [true, 'Target type is required']
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'targetType',
+      required: [true, 'Target ID is required']
+    },
+    // Action specific data (reason, previous/new status, notes)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    ipAddress: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Audit entries are never edited
+const rejectUpdate = function(next) {
+  next(new Error('Admin audit log entries are append-only'));
+};
+adminAuditLogSchema.pre('updateOne', rejectUpdate);
+adminAuditLogSchema.pre('updateMany', rejectUpdate);
+adminAuditLogSchema.pre('findOneAndUpdate', rejectUpdate);
+adminAuditLogSchema.pre('replaceOne', rejectUpdate);
+
+// Indexes for performance
+adminAuditLogSchema.index({ createdAt: -1 }); // Latest actions
+adminAuditLogSchema.index({ admin: 1, createdAt: -1 }); // Actions by admin
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 }); // History of a target
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+module.exports = AdminAuditLog;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Auth Session Model
+ * One per login (device). Refresh tokens are bound to a session and rotate on every use;
+ * access tokens carry the session ID so revoking the session logs the device out
+ * (written by services/sessionService)
+ */
+
+const authSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    // jti of the only refresh token currently valid for this session
+    currentTokenId: {
+      type: String,
+      required: [true, 'Current token ID is required']
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500
+    },
+    deviceLabel: String, // "Chrome on Windows" (utils/deviceLabel)
+    ipAddress: String,
+    // Last authenticated request, socket connection or token refresh
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Refresh token expiry - extended on every rotation
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'token_reuse', 'password_change', 'password_reset', null],
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Whether tokens of this session are still accepted
+ */
+authSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Indexes for performance
+authSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 }); // Active sessions per user
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Purge a month after expiry
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+module.exports = AuthSession;
@@ -10,8 +10,7 @@ const businessSchema = new mongoose.Schema(
     owner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: [true, 'Business owner is required'],
-      index: true
+      required: [true, 'Business owner is required']
     },
 
     // Business Info
@@ -80,6 +79,31 @@ const businessSchema = new mongoose.Schema(
       }
     },
 
+    // Opening Hours (local time in `timezone`; a slot that closes before it opens runs past midnight, 00:00-00:00 is all day)
+    hours: [{
+      _id: false,
+      day: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6
+      },
+      opens: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Opening time must be HH:MM']
+      },
+      closes: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Closing time must be HH:MM']
+      }
+    }],
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+
     // Promotions & Deals
     promotions: [{
       title: {
@@ -151,9 +175,53 @@ businessSchema.pre('save', function(next) {
   next();
 });
 
-// Static Method: Find nearby businesses
-businessSchema.statics.findNearby = function(latitude, longitude, radiusMeters = 10000, category = null, limit = 50) {
+// Instance Method: Promotions running now (active and inside their validity window)
+businessSchema.methods.getActivePromotions = function(now = new Date()) {
+  return this.promotions.filter(
+    promotion => promotion.isActive && promotion.validFrom <= now && promotion.validUntil > now
+  );
+};
+
+// Instance Method: Open at a moment (null when no hours are set)
+businessSchema.methods.isOpenAt = function(now = new Date()) {
+  if (!this.hours || this.hours.length === 0) {
+    return null;
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: this.timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  const today = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday'));
+  const yesterday = (today + 6) % 7;
+  const minutes = parseInt(part('hour')) * 60 + parseInt(part('minute'));
+  const toMinutes = (time) => {
+    const [hours, mins] = time.split(':').map(Number);
+    return hours * 60 + mins;
+  };
+
+  return this.hours.some(slot => {
+    const opens = toMinutes(slot.opens);
+    const closes = toMinutes(slot.closes);
+
+    if (opens < closes) {
+      return slot.day === today && minutes >= opens && minutes < closes;
+    }
+    // Overnight slot: the evening of its day and the early hours of the next
+    return (slot.day === today && minutes >= opens) || (slot.day === yesterday && minutes < closes);
+  });
+};
+
+// Static Method: Find nearby businesses (closest first)
+// `filters` adds conditions to the query (e.g. { isVerified: true })
+businessSchema.statics.findNearby = function(latitude, longitude, radiusMeters = 10000, category = null, limit = 50, filters = {}) {
   const query = {
+    ...filters,
     isActive: true,
     'location.coordinates': {
       $near: {
@@ -176,7 +244,7 @@ businessSchema.statics.findNearby = function(latitude, longitude, radiusMeters =
 };
 
 // Indexes
-businessSchema.index({ owner: 1 });
+businessSchema.index({ owner: 1 }, { unique: true, partialFilterExpression: { isActive: true } }); // One active business per user
 businessSchema.index({ category: 1, isActive: 1 });
 businessSchema.index({ isVerified: 1 });
 businessSchema.index({ 'subscription.tier': 1, 'subscription.status': 1 });
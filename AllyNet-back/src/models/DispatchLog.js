@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Dispatch Log Model
+ * Records which helpers were alerted for each emergency, and why
+ * One entry per helper per dispatch (initial SOS or escalation step)
+ */
+
+const dispatchLogSchema = new mongoose.Schema(
+  {
+    emergency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency',
+      required: [true, 'Emergency is required']
+    },
+    helper: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Helper is required']
+    },
+    trigger: {
+      type: String,
+      enum: ['created', 'escalation'],
+      required: [true, 'Dispatch trigger is required']
+    },
+    radiusKm: {
+      type: Number, // Search radius in effect when this helper was alerted
+      min: 0
+    },
+    escalationLevel: {
+      type: Number,
+      default: 0
+    },
+    channel: {
+      type: String,
+      enum: ['socket'],
+      default: 'socket'
+    },
+    dispatchedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for performance
+dispatchLogSchema.index({ emergency: 1, dispatchedAt: 1 }); // Dispatch history per emergency
+dispatchLogSchema.index({ emergency: 1, helper: 1 }); // "Was this helper already alerted?"
+dispatchLogSchema.index({ helper: 1, dispatchedAt: -1 }); // Alerts received by a helper
+
+const DispatchLog = mongoose.model('DispatchLog', dispatchLogSchema);
+
+module.exports = DispatchLog;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * Email Delivery Model
+ * One record per outgoing email (rendered message + delivery status)
+ * Status Lifecycle: queued → sending → sent | failed
+ * Without SMTP (development) messages are only logged and end in 'simulated'
+ * Transient SMTP failures go back to queued with a nextAttemptAt until attempts run out
+ */
+
+const emailDeliverySchema = new mongoose.Schema(
+  {
+    template: {
+      type: String,
+      enum: ['sos_alert', 'sos_resolved', 'help_request_accepted', 'password_reset', 'email_verification', 'org_sos_alert'],
+      required: [true, 'Template is required']
+    },
+    to: {
+      type: String,
+      required: [true, 'Recipient is required'],
+      lowercase: true,
+      trim: true
+    },
+    subject: {
+      type: String,
+      required: [true, 'Subject is required']
+    },
+    text: String,
+    html: String,
+
+    // What the email is about (for lookups and debugging)
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null // Null for emergency contacts (not registered users)
+    },
+    emergency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency',
+      default: null
+    },
+    helpRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HelpRequest',
+      default: null
+    },
+
+    status: {
+      type: String,
+      enum: ['queued', 'sending', 'sent', 'simulated', 'failed'],
+      default: 'queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null
+    },
+    lastError: String,
+    messageId: String, // SMTP Message-ID
+    sentAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for performance
+emailDeliverySchema.index({ status: 1, nextAttemptAt: 1 }); // Retry job
+emailDeliverySchema.index({ emergency: 1, template: 1 });
+emailDeliverySchema.index({ to: 1, createdAt: -1 });
+
+const EmailDelivery = mongoose.model('EmailDelivery', emailDeliverySchema);
+
+module.exports = EmailDelivery;
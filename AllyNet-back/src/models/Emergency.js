@@ -78,6 +78,11 @@ const emergencySchema = new mongoose.Schema(
       type: Boolean,
       default: false // If true, trigger a fake incoming call for safety
     },
+    // Created over the user's SOS rate limit - still active, but fewer helpers are alerted at first
+    rateLimited: {
+      type: Boolean,
+      default: false
+    },
     
     // Search Radius (in kilometers) - auto-determined by system (5km → 10km → 15km)
     avoidRadiusKm: {
@@ -87,6 +92,39 @@ const emergencySchema = new mongoose.Schema(
       default: 5
     },
 
+    // Escalation (background scheduler widens radius/priority while nobody responds)
+    escalationLevel: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastEscalatedAt: Date,
+    escalationHistory: [{
+      level: {
+        type: Number,
+        required: true
+      },
+      escalatedAt: {
+        type: Date,
+        default: Date.now
+      },
+      fromRadiusKm: Number,
+      toRadiusKm: Number,
+      fromPriority: String,
+      toPriority: String,
+      notifiedHelpers: {
+        type: Number,
+        default: 0 // Newly covered helpers notified at this step
+      }
+    }],
+
+    // Inactivity check-in ("are you still in danger?") sent before auto-expiry
+    checkInSentAt: {
+      type: Date,
+      default: null // Set while a check-in is waiting for the owner's answer
+    },
+    lastCheckInAt: Date,
+
     // Responding Helpers
     respondingHelpers: [{
       helper: {
@@ -104,6 +142,13 @@ const emergencySchema = new mongoose.Schema(
         default: 'responding'
       },
       estimatedArrival: Date,
+      // Live tracking (updated from the helper's location stream)
+      lastLocation: {
+        latitude: Number,
+        longitude: Number,
+        updatedAt: Date
+      },
+      distanceKm: Number, // Straight-line distance to the emergency location
       notes: String
     }],
 
@@ -123,6 +168,45 @@ const emergencySchema = new mongoose.Schema(
       default: null
     },
 
+    // Debrief (filled in once by the owner after the emergency ends)
+    debrief: {
+      submittedAt: Date,
+      summary: {
+        type: String,
+        maxlength: [1000, 'Debrief summary cannot exceed 1000 characters']
+      },
+      helperFeedback: [{
+        helper: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        arrived: {
+          type: Boolean,
+          default: false
+        },
+        rating: {
+          type: Number,
+          min: [1, 'Rating must be between 1 and 5'],
+          max: [5, 'Rating must be between 1 and 5']
+        },
+        comment: {
+          type: String,
+          maxlength: [500, 'Comment cannot exceed 500 characters']
+        },
+        misconduct: {
+          flagged: {
+            type: Boolean,
+            default: false
+          },
+          reason: {
+            type: String,
+            maxlength: [500, 'Misconduct reason cannot exceed 500 characters']
+          }
+        }
+      }]
+    },
+
     // Emergency Metadata
     priority: {
       type: String,
@@ -232,6 +316,18 @@ emergencySchema.methods.resolve = function(resolvedBy = null, resolutionType = '
   return this.save();
 };
 
+// Instance Method: Owner confirms they still need help (answers a pending check-in)
+emergencySchema.methods.confirmCheckIn = function() {
+  if (this.status !== 'active' && this.status !== 'responding') {
+    throw new Error(`Emergency is already ${this.status}`);
+  }
+
+  this.checkInSentAt = null;
+  this.lastCheckInAt = new Date();
+
+  return this.save();
+};
+
 // Instance Method: Cancel emergency
 emergencySchema.methods.cancel = function(reason = null) {
   if (this.status === 'resolved' || this.status === 'cancelled') {
@@ -246,6 +342,64 @@ emergencySchema.methods.cancel = function(reason = null) {
   return this.save();
 };
 
+// Instance Method: Owner submits the debrief (who arrived, ratings, misconduct)
+emergencySchema.methods.submitDebrief = function(summary, helperFeedback) {
+  if (this.status !== 'resolved' && this.status !== 'cancelled') {
+    throw new Error('Emergency must be resolved or cancelled before a debrief');
+  }
+
+  if (this.debrief && this.debrief.submittedAt) {
+    throw new Error('Debrief has already been submitted');
+  }
+
+  const responderIds = new Set(this.respondingHelpers.map(h => h.helper.toString()));
+  const seen = new Set();
+
+  for (const entry of helperFeedback) {
+    const helperId = entry.helper.toString();
+    if (!responderIds.has(helperId)) {
+      throw new Error('Debrief can only include responding helpers');
+    }
+    if (seen.has(helperId)) {
+      throw new Error('Each helper can only appear once in a debrief');
+    }
+    seen.add(helperId);
+  }
+
+  this.debrief = {
+    submittedAt: new Date(),
+    summary: summary || undefined,
+    helperFeedback
+  };
+
+  return this.save();
+};
+
+// Instance Method: Record an escalation step (widen radius, bump priority)
+emergencySchema.methods.escalate = function(toRadiusKm, toPriority, notifiedHelpers = 0) {
+  if (this.status !== 'active') {
+    throw new Error('Only active emergencies can be escalated');
+  }
+
+  const step = {
+    level: this.escalationLevel + 1,
+    escalatedAt: new Date(),
+    fromRadiusKm: this.avoidRadiusKm,
+    toRadiusKm,
+    fromPriority: this.priority,
+    toPriority,
+    notifiedHelpers
+  };
+
+  this.escalationHistory.push(step);
+  this.escalationLevel = step.level;
+  this.lastEscalatedAt = step.escalatedAt;
+  this.avoidRadiusKm = toRadiusKm;
+  this.priority = toPriority;
+
+  return this.save();
+};
+
 // Static Method: Find active emergency for user
 emergencySchema.statics.findActiveEmergency = function(userId) {
   return this.findOne({
@@ -277,6 +431,7 @@ emergencySchema.statics.findNearbyActive = function(latitude, longitude, radiusM
 emergencySchema.index({ user: 1, status: 1 }); // For finding user's active emergency
 emergencySchema.index({ status: 1, activatedAt: -1 }); // For listing active emergencies
 emergencySchema.index({ 'respondingHelpers.helper': 1 }); // For finding helper's emergencies
+emergencySchema.index({ 'debrief.helperFeedback.helper': 1 }); // For helper rating aggregation
 emergencySchema.index({ requestId: 1 }); // For idempotency checks
 emergencySchema.index({ createdAt: -1 }); // For recent emergencies
 
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Emergency Location Model
+ * Breadcrumb trail of positions streamed by the SOS owner while an emergency is live
+ * Emergency.location always mirrors the most recent point
+ */
+
+const emergencyLocationSchema = new mongoose.Schema(
+  {
+    emergencyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency',
+      required: [true, 'Emergency ID is required'],
+      index: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    latitude: {
+      type: Number,
+      required: [true, 'Latitude is required'],
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+      type: Number,
+      required: [true, 'Longitude is required'],
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    },
+    coordinates: {
+      type: [Number] // [longitude, latitude] for MongoDB geospatial
+    },
+    accuracy: {
+      type: Number, // in meters, as reported by the device
+      min: 0
+    },
+    heading: {
+      type: Number, // degrees clockwise from true north
+      min: 0,
+      max: 360
+    },
+    speed: {
+      type: Number, // meters per second
+      min: 0
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Keep GeoJSON-style coordinates in sync with latitude/longitude
+emergencyLocationSchema.pre('save', function(next) {
+  if (this.latitude !== undefined && this.longitude !== undefined) {
+    this.coordinates = [this.longitude, this.latitude];
+  }
+  next();
+});
+
+emergencyLocationSchema.index({ emergencyId: 1, recordedAt: 1 });
+
+const EmergencyLocation = mongoose.model('EmergencyLocation', emergencyLocationSchema);
+
+module.exports = EmergencyLocation;
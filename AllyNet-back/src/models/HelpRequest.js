@@ -156,8 +156,22 @@ const helpRequestSchema = new mongoose.Schema(
     // Completion
     completedAt: Date,
     completionNotes: String,
+    // Set when an accepted helper marks the job done; the creator confirms with complete()
+    completionProposal: {
+      proposedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      proposedAt: Date,
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+      }
+    },
     
-    // Feedback & Rating
+    // Feedback & Rating (legacy single rating - superseded by ratings below)
     feedback: {
       rating: {
         type: Number,
@@ -171,6 +185,40 @@ const helpRequestSchema = new mongoose.Schema(
       submittedAt: Date
     },
 
+    // Mutual ratings after completion: creator rates each accepted helper, each helper rates the creator
+    ratings: [{
+      rater: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      ratee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      raterRole: {
+        type: String,
+        enum: ['creator', 'helper'],
+        required: true
+      },
+      rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: 1,
+        max: 5
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Comment cannot exceed 500 characters']
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
     // Expiration
     expiresAt: {
       type: Date,
@@ -346,9 +394,35 @@ helpRequestSchema.methods.addMessageToResponse = function(helperId, senderId, me
   return this.save();
 };
 
+// Instance Method: Helper proposes completion (creator still has to confirm)
+helpRequestSchema.methods.proposeCompletion = function(helperId, notes = null) {
+  if (!['open', 'accepted', 'in_progress'].includes(this.status)) {
+    throw new Error(`Help request is already ${this.status}`);
+  }
+
+  const response = this.responses.find(
+    r => r.helper.toString() === helperId.toString()
+  );
+
+  if (!response || response.status !== 'accepted') {
+    throw new Error('Only an accepted helper can propose completion');
+  }
+
+  this.completionProposal = {
+    proposedBy: helperId,
+    proposedAt: new Date(),
+    notes: notes || undefined
+  };
+
+  return this.save();
+};
+
 // Instance Method: Complete help request
+// Accepting a helper leaves the request open (several helpers can be accepted),
+// so an open request with at least one accepted helper can be completed too
 helpRequestSchema.methods.complete = function(notes = null) {
-  if (this.status !== 'accepted' && this.status !== 'in_progress') {
+  const hasAcceptedHelper = this.responses.some(r => r.status === 'accepted');
+  if (!['open', 'accepted', 'in_progress'].includes(this.status) || !hasAcceptedHelper) {
     throw new Error('Help request must be accepted before completion');
   }
 
@@ -361,6 +435,32 @@ helpRequestSchema.methods.complete = function(notes = null) {
   return this.save();
 };
 
+// Instance Method: Rate the other side of a completed request (one rating per rater → ratee)
+helpRequestSchema.methods.addRating = function(raterId, rateeId, raterRole, rating, comment = null) {
+  if (this.status !== 'completed') {
+    throw new Error('Help request must be completed before rating');
+  }
+
+  const alreadyRated = this.ratings.some(
+    r => r.rater.toString() === raterId.toString() && r.ratee.toString() === rateeId.toString()
+  );
+
+  if (alreadyRated) {
+    throw new Error('You have already rated this user for this request');
+  }
+
+  this.ratings.push({
+    rater: raterId,
+    ratee: rateeId,
+    raterRole,
+    rating,
+    comment: comment || undefined,
+    createdAt: new Date()
+  });
+
+  return this.save();
+};
+
 // Instance Method: Cancel help request
 helpRequestSchema.methods.cancel = function() {
   if (this.status === 'completed' || this.status === 'cancelled') {
@@ -402,6 +502,7 @@ helpRequestSchema.index({ user: 1, status: 1 });
 helpRequestSchema.index({ status: 1, createdAt: -1 });
 helpRequestSchema.index({ acceptedHelper: 1 });
 helpRequestSchema.index({ 'responses.helper': 1 }); // For finding helper's responses
+helpRequestSchema.index({ 'ratings.ratee': 1 }); // For recomputing a user's rating
 helpRequestSchema.index({ expiresAt: 1 }); // For cleanup of expired requests
 helpRequestSchema.index({ category: 1 });
 
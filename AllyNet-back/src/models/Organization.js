@@ -78,6 +78,88 @@ const organizationSchema = new mongoose.Schema(
       }
     }],
 
+    // Pending email invitations (accepted through POST /organizations/:id/join)
+    invitations: [{
+      email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+      },
+      role: {
+        type: String,
+        enum: ['member', 'moderator', 'admin'],
+        default: 'member'
+      },
+      invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      invitedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
+    // Shareable invite codes / links (used at signup or through POST /organizations/join-code)
+    inviteCodes: [{
+      code: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+      },
+      role: {
+        type: String,
+        enum: ['member', 'moderator'],
+        default: 'member'
+      },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      expiresAt: {
+        type: Date,
+        required: true
+      },
+      maxUses: {
+        type: Number,
+        min: 1,
+        default: null // Unlimited until it expires
+      },
+      uses: {
+        type: Number,
+        default: 0
+      },
+      revokedAt: {
+        type: Date,
+        default: null
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
+    // Email-domain auto-join (company and campus organizations)
+    // Users with a verified address on one of the domains join as autoJoin.role
+    autoJoin: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      domains: [{
+        type: String,
+        lowercase: true,
+        trim: true
+      }],
+      role: {
+        type: String,
+        enum: ['member', 'moderator'],
+        default: 'member'
+      }
+    },
+
     // Subscription
     subscription: {
       tier: {
@@ -156,6 +238,29 @@ organizationSchema.methods.addMember = function(userId, role = 'member') {
   return this.save();
 };
 
+// Instance Method: Get a user's role in this organization (the owner is always admin)
+organizationSchema.methods.getMemberRole = function(userId) {
+  if (this.admin.toString() === userId.toString()) {
+    return 'admin';
+  }
+
+  const member = this.members.find(
+    m => m.user.toString() === userId.toString()
+  );
+  return member ? member.role : null;
+};
+
+// Instance Method: Get a usable invite code (not revoked, expired or used up)
+organizationSchema.methods.findUsableInviteCode = function(code) {
+  const now = new Date();
+  return this.inviteCodes.find(
+    c => c.code === code &&
+      !c.revokedAt &&
+      c.expiresAt > now &&
+      (!c.maxUses || c.uses < c.maxUses)
+  ) || null;
+};
+
 // Instance Method: Remove member
 organizationSchema.methods.removeMember = function(userId) {
   this.members = this.members.filter(
@@ -182,6 +287,9 @@ organizationSchema.methods.updateMemberRole = function(userId, newRole) {
 organizationSchema.index({ admin: 1 });
 organizationSchema.index({ type: 1, isActive: 1 });
 organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.email': 1 });
+organizationSchema.index({ 'inviteCodes.code': 1 });
+organizationSchema.index({ 'autoJoin.domains': 1 });
 organizationSchema.index({ isVerified: 1 });
 
 const Organization = mongoose.model('Organization', organizationSchema);
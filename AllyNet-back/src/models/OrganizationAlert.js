@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organization Alert Model
+ * Delivery log of organization SOS alerts (Organization.emergencySettings)
+ * One entry per recipient per channel when a member triggers an SOS
+ */
+
+const organizationAlertSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required']
+    },
+    emergency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency',
+      required: [true, 'Emergency is required']
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Member is required'] // Member who triggered the SOS
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Recipient is required']
+    },
+    // Which setting the recipient was alerted under
+    reason: {
+      type: String,
+      enum: ['admin', 'member'], // alertAdmins | alertAllMembers
+      required: [true, 'Reason is required']
+    },
+    channel: {
+      type: String,
+      enum: ['socket', 'email'],
+      required: [true, 'Channel is required']
+    },
+    // socket: sent (recipient online) | offline; email: EmailDelivery status when the alert went out
+    status: {
+      type: String,
+      enum: ['sent', 'offline', 'queued', 'simulated', 'failed'],
+      required: [true, 'Status is required']
+    },
+    emailDelivery: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailDelivery',
+      default: null
+    },
+    error: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Indexes for performance
+organizationAlertSchema.index({ organization: 1, createdAt: -1 }); // Alert log per organization
+organizationAlertSchema.index({ organization: 1, emergency: 1 }); // Deliveries for one SOS
+organizationAlertSchema.index({ recipient: 1, createdAt: -1 });
+
+const OrganizationAlert = mongoose.model('OrganizationAlert', organizationAlertSchema);
+
+module.exports = OrganizationAlert;
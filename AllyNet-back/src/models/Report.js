@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Report Model
+ * Abuse / false-SOS reports filed by users and worked through the moderation queue
+ * The evidence snapshot is a copy of the reported content taken when the report is filed,
+ * so it survives edits and removal of the original
+ */
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reporter is required']
+    },
+
+    // What is being reported
+    targetType: {
+      type: String,
+      enum: ['user', 'emergency', 'emergency_message', 'help_request', 'ad'],
+      required: [true, 'Target type is required']
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Target ID is required']
+    },
+    // User responsible for the reported content (the reported user for 'user' reports)
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Target user is required']
+    },
+
+    reason: {
+      type: String,
+      enum: ['false_alarm', 'harassment', 'spam', 'scam', 'inappropriate', 'unsafe_behavior', 'other'],
+      required: [true, 'Reason is required']
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Details cannot exceed 1000 characters']
+    },
+    evidence: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    // Moderation lifecycle: open → in_review → actioned | dismissed
+    status: {
+      type: String,
+      enum: ['open', 'in_review', 'actioned', 'dismissed'],
+      default: 'open'
+    },
+    moderation: {
+      action: {
+        type: String,
+        enum: ['warn', 'block', 'remove_content', null],
+        default: null
+      },
+      notes: {
+        type: String,
+        maxlength: [1000, 'Moderation notes cannot exceed 1000 characters']
+      },
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      moderatedAt: Date
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for performance
+reportSchema.index({ status: 1, createdAt: 1 }); // Moderation queue (oldest first)
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 }); // Reports per target
+reportSchema.index({ reporter: 1, createdAt: -1 }); // User's own reports
+reportSchema.index({ targetUser: 1, createdAt: -1 }); // Reports against a user
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Safety Timer Model
+ * "Check in with me" / dead-man's switch
+ * User starts a countdown (e.g. walking home, 25 min); if they don't confirm they're
+ * safe before it runs out, the backend raises an SOS on their behalf
+ * Status Lifecycle: active → completed (user checked in) | triggered (SOS raised)
+ */
+
+const safetyTimerSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'triggered'],
+      default: 'active',
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Label cannot exceed 100 characters'] // e.g. "Walking home"
+    },
+    durationMinutes: {
+      type: Number,
+      required: [true, 'Duration is required'],
+      min: [1, 'Duration must be at least 1 minute'],
+      max: [720, 'Duration cannot exceed 12 hours']
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry time is required']
+    },
+    extensions: {
+      type: Number,
+      default: 0 // How many times the user pushed the deadline back
+    },
+
+    // Where the user was when the timer started (fallback if User.location is missing)
+    startLocation: {
+      latitude: Number,
+      longitude: Number
+    },
+
+    // Outcome
+    checkedInAt: Date,
+    triggeredAt: Date,
+    emergency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency',
+      default: null // SOS raised when the timer ran out
+    },
+    triggerError: String // Why the SOS could not be raised (if it failed)
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Virtual: Seconds left before the SOS is raised
+safetyTimerSchema.virtual('remainingSeconds').get(function() {
+  if (this.status !== 'active' || !this.expiresAt) {
+    return 0;
+  }
+  return Math.max(0, Math.round((this.expiresAt.getTime() - Date.now()) / 1000));
+});
+
+// Static Method: Find user's running timer
+safetyTimerSchema.statics.findActiveTimer = function(userId) {
+  return this.findOne({ user: userId, status: 'active' });
+};
+
+// Indexes for performance
+safetyTimerSchema.index({ user: 1, status: 1 }); // User's running timer
+safetyTimerSchema.index({ status: 1, expiresAt: 1 }); // Scheduler: timers that ran out
+
+const SafetyTimer = mongoose.model('SafetyTimer', safetyTimerSchema);
+
+module.exports = SafetyTimer;
@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 /**
  * Skill Model
  * Individual skills marketplace - users can offer services/skills
+ * Safety categories (first aid, CPR, ...) also feed emergency-type-aware helper matching
  */
 
 const skillSchema = new mongoose.Schema(
@@ -44,10 +45,39 @@ const skillSchema = new mongoose.Schema(
         'photography',
         'writing',
         'translation',
+        // Safety / emergency response skills (used by helper matching)
+        'first_aid',
+        'cpr',
+        'medical',
+        'security',
+        'self_defense',
+        'crisis_support',
+        'search_rescue',
+        'roadside_assistance',
         'other'
       ]
     },
 
+    // Certification backing this skill (e.g. Red Cross First Aid)
+    certification: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Certification name cannot exceed 100 characters']
+      },
+      issuer: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Issuer cannot exceed 100 characters']
+      },
+      issuedAt: Date,
+      expiresAt: Date,
+      verified: {
+        type: Boolean,
+        default: false
+      }
+    },
+
     // Pricing
     pricing: {
       type: {
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * SMS Delivery Model
+ * Delivery status of an SOS text message, one record per emergency contact per emergency
+ * Status Lifecycle: queued → sent (accepted by provider) → delivered | failed
+ * Stand-in drivers (file, console) end in 'simulated': nothing reached the contact
+ */
+
+const smsDeliverySchema = new mongoose.Schema(
+  {
+    emergency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency',
+      required: [true, 'Emergency is required']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'] // Emergency owner whose contact is texted
+    },
+    contact: {
+      contactId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Contact ID is required'] // User.emergencyContacts subdocument
+      },
+      name: String,
+      phone: {
+        type: String,
+        required: [true, 'Phone number is required']
+      }
+    },
+    provider: {
+      type: String,
+      required: [true, 'Provider is required'] // SMS_PROVIDER driver name
+    },
+    providerMessageId: String,
+    status: {
+      type: String,
+      enum: ['queued', 'sent', 'delivered', 'simulated', 'failed'],
+      default: 'queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String,
+    sentAt: Date,
+    deliveredAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for performance
+smsDeliverySchema.index({ emergency: 1, 'contact.contactId': 1 }, { unique: true }); // One record per contact per emergency
+smsDeliverySchema.index({ provider: 1, providerMessageId: 1 }); // Provider status callbacks
+
+const SmsDelivery = mongoose.model('SmsDelivery', smsDeliverySchema);
+
+module.exports = SmsDelivery;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Trust Event Model
+ * Append-only ledger of trust score changes (written by services/reputationService)
+ * Summing `delta` over a user's events gives their current trustScore
+ */
+
+const trustEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    reason: {
+      type: String,
+      enum: [
+        'sos_response', // Responded to an SOS
+        'help_accepted', // Offer to help was accepted
+        'help_reported', // Reported by a help request creator
+        'help_rating', // Rated by a help request creator or SOS owner
+        'sos_misconduct', // Flagged for misconduct in an SOS debrief
+        'decay', // Inactivity decay
+        'admin_adjustment'
+      ],
+      required: [true, 'Reason is required']
+    },
+    // Applied change (after clamping to the trust score bounds)
+    delta: {
+      type: Number,
+      required: [true, 'Delta is required']
+    },
+    scoreAfter: {
+      type: Number,
+      required: [true, 'Score after is required']
+    },
+    // Entity that caused the change (null for decay/admin)
+    sourceModel: {
+      type: String,
+      enum: ['Emergency', 'HelpRequest', null],
+      default: null
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'sourceModel',
+      default: null
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Ledger entries are never edited
+const rejectUpdate = function(next) {
+  next(new Error('Trust events are append-only'));
+};
+trustEventSchema.pre('updateOne', rejectUpdate);
+trustEventSchema.pre('updateMany', rejectUpdate);
+trustEventSchema.pre('findOneAndUpdate', rejectUpdate);
+trustEventSchema.pre('replaceOne', rejectUpdate);
+
+// Indexes for performance
+trustEventSchema.index({ user: 1, createdAt: -1 }); // Trust history
+trustEventSchema.index({ user: 1, reason: 1, sourceId: 1 }); // Idempotency checks
+
+const TrustEvent = mongoose.model('TrustEvent', trustEventSchema);
+
+module.exports = TrustEvent;
@@ -97,26 +97,61 @@ const userSchema = new mongoose.Schema(
     },
 
     // Trust & Verification
+    // Changed only through services/reputationService (ledger in TrustEvent)
     trustScore: {
       type: Number,
       default: 0,
       min: [0, 'Trust score cannot be negative'],
       max: [1000, 'Trust score cannot exceed 1000']
     },
+    trustUpdatedAt: {
+      type: Date,
+      default: null // Last trust change - drives inactivity decay
+    },
+    // Helper identity verification - changed only through services/verificationService
     verification: {
       status: {
         type: String,
-        enum: ['unverified', 'pending', 'verified', 'rejected'],
+        enum: ['unverified', 'pending', 'verified', 'rejected', 'expired'],
         default: 'unverified'
       },
+      submittedAt: Date,
+      requestedLevel: {
+        type: String,
+        enum: ['basic', 'advanced']
+      },
       verifiedAt: Date,
       verifiedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewNotes: {
+        type: String,
+        maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+      },
+      expiresAt: Date, // Verified status lapses after this date (re-submission required)
       documents: [{
-        type: String, // URL or path to verification document
-        uploadedAt: Date
+        documentType: {
+          type: String,
+          enum: ['id_card', 'passport', 'drivers_license', 'certification', 'other'],
+          required: true
+        },
+        key: {
+          type: String, // Storage key (utils/storage) - never exposed as a public URL
+          required: true
+        },
+        originalName: String,
+        contentType: String,
+        size: Number,
+        uploadedAt: {
+          type: Date,
+          default: Date.now
+        }
       }],
       kycLevel: {
         type: String,
@@ -131,6 +166,12 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'helper', 'business', 'org_admin', 'admin'],
       default: 'user'
     },
+    // Role before promotion to business / org_admin, restored when it no longer applies
+    baseRole: {
+      type: String,
+      enum: ['user', 'helper', null],
+      default: null
+    },
     
     // Helper-specific fields
     helper: {
@@ -162,7 +203,65 @@ const userSchema = new mongoose.Schema(
       }
     },
 
+    // Helper availability (respected by helper matching and SOS dispatch)
+    availability: {
+      onDuty: {
+        type: Boolean,
+        default: true
+      },
+      timezone: {
+        type: String,
+        default: 'UTC' // IANA timezone used to evaluate quiet hours and schedule
+      },
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        start: {
+          type: String, // "HH:mm" local time
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours start must be HH:mm'],
+          default: '22:00'
+        },
+        end: {
+          type: String, // "HH:mm" local time (may be earlier than start - wraps midnight)
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours end must be HH:mm'],
+          default: '07:00'
+        }
+      },
+      // Empty schedule = available any day (outside quiet hours)
+      weeklySchedule: [{
+        day: {
+          type: Number, // 0 = Sunday ... 6 = Saturday
+          min: 0,
+          max: 6,
+          required: true
+        },
+        start: {
+          type: String,
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Schedule start must be HH:mm'],
+          required: true
+        },
+        end: {
+          type: String,
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Schedule end must be HH:mm'],
+          required: true
+        }
+      }],
+      maxConcurrentEmergencies: {
+        type: Number,
+        default: 1,
+        min: [1, 'Must allow at least 1 concurrent emergency'],
+        max: [5, 'Cannot exceed 5 concurrent emergencies']
+      }
+    },
+
     // Account Status
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: Date,
     isActive: {
       type: Boolean,
       default: true
@@ -173,6 +272,22 @@ const userSchema = new mongoose.Schema(
     },
     blockedReason: String,
     blockedAt: Date,
+    // Moderator warnings (see services/reportService)
+    warnings: [{
+      reason: String,
+      report: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Report'
+      },
+      issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      issuedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
 
     // Activity Tracking
     lastLogin: Date,
@@ -185,7 +300,7 @@ const userSchema = new mongoose.Schema(
       default: 0
     },
     
-    // Emergency Contacts (for email notifications)
+    // Emergency Contacts (email notifications, SMS when a phone number is set)
     emergencyContacts: [{
       name: {
         type: String,
@@ -200,6 +315,12 @@ const userSchema = new mongoose.Schema(
         lowercase: true,
         match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
       },
+      // Optional - stored in E.164 format (e.g. +14155550123)
+      phone: {
+        type: String,
+        trim: true,
+        match: [/^\+[1-9]\d{7,14}$/, 'Phone number must be in international format, e.g. +14155550123']
+      },
       createdAt: {
         type: Date,
         default: Date.now
@@ -275,22 +396,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance Method: Update trust score (can be called by services)
-userSchema.methods.updateTrustScore = function(newScore) {
-  if (newScore >= 0 && newScore <= 100) {
-    this.trustScore = newScore;
-    return this.save();
-  }
-  throw new Error('Trust score must be between 0 and 100');
-};
-
 // Static Method: Find nearby helpers
-userSchema.statics.findNearbyHelpers = function(latitude, longitude, radiusMeters = 5000, limit = 50) {
+// options.verifiedOnly (default true) - false also returns unverified helpers, verified ones first
+userSchema.statics.findNearbyHelpers = function(latitude, longitude, radiusMeters = 5000, limit = 50, options = {}) {
+  const { verifiedOnly = true } = options;
+
   return this.find({
     helper: true,
-    helperVerified: true,
+    ...(verifiedOnly && { helperVerified: true }),
     isActive: true,
     isBlocked: false,
+    'availability.onDuty': { $ne: false }, // Off-duty helpers are never matched
     location: {
       $near: {
         $geometry: {
@@ -302,7 +418,7 @@ userSchema.statics.findNearbyHelpers = function(latitude, longitude, radiusMeter
     }
   })
   .select('-password')
-  .sort({ trustScore: -1, 'helperRating.average': -1 })
+  .sort({ helperVerified: -1, trustScore: -1, 'helperRating.average': -1 })
   .limit(limit);
 };
 
@@ -9,11 +9,22 @@ const HelpRequest = require('./HelpRequest');
 const Skill = require('./Skill');
 const Business = require('./Business');
 const Organization = require('./Organization');
+const OrganizationAlert = require('./OrganizationAlert');
 const Payment = require('./Payment');
 const EmergencyMessage = require('./EmergencyMessage');
 const HelpRequestMessage = require('./HelpRequestMessage');
 const Ad = require('./Ad');
 const Contact = require('./Contact');
+const EmergencyLocation = require('./EmergencyLocation');
+const DispatchLog = require('./DispatchLog');
+const SafetyTimer = require('./SafetyTimer');
+const SmsDelivery = require('./SmsDelivery');
+const EmailDelivery = require('./EmailDelivery');
+const TrustEvent = require('./TrustEvent');
+const Report = require('./Report');
+const AdminAuditLog = require('./AdminAuditLog');
+const AuthSession = require('./AuthSession');
+const AccountToken = require('./AccountToken');
 
 module.exports = {
   User,
@@ -22,10 +33,21 @@ module.exports = {
   Skill,
   Business,
   Organization,
+  OrganizationAlert,
   Payment,
   EmergencyMessage,
   HelpRequestMessage,
   Ad,
-  Contact
+  Contact,
+  EmergencyLocation,
+  DispatchLog,
+  SafetyTimer,
+  SmsDelivery,
+  EmailDelivery,
+  TrustEvent,
+  Report,
+  AdminAuditLog,
+  AuthSession,
+  AccountToken
 };
 
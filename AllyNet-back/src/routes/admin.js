@@ -0,0 +1,373 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Validation Middleware Wrapper
+ */
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+      return next();
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: 'Validation error',
+        details: errors.array()
+      }
+    });
+  };
+};
+
+// All routes require an authenticated admin
+router.use(protect);
+router.use(authorize('admin'));
+
+const paging = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    Search users by email/name, role, blocked state or verification status
+ * @access  Private (admin only)
+ */
+router.get(
+  '/users',
+  validate([
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search cannot exceed 100 characters'),
+    query('role')
+      .optional()
+      .isIn(['user', 'helper', 'business', 'org_admin', 'admin'])
+      .withMessage('Invalid role filter'),
+    query('blocked')
+      .optional()
+      .isBoolean()
+      .withMessage('Blocked must be true or false'),
+    query('verification')
+      .optional()
+      .isIn(['unverified', 'pending', 'verified', 'rejected'])
+      .withMessage('Invalid verification filter'),
+    ...paging
+  ]),
+  adminController.searchUsers
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:id
+ * @desc    Get a user with warnings and report counts
+ * @access  Private (admin only)
+ */
+router.get(
+  '/users/:id',
+  validate([
+    param('id').isMongoId().withMessage('Invalid user ID')
+  ]),
+  adminController.getUser
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/block
+ * @desc    Block a user (isBlocked)
+ * @access  Private (admin only)
+ */
+router.post(
+  '/users/:id/block',
+  validate([
+    param('id').isMongoId().withMessage('Invalid user ID'),
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Block reason is required')
+      .isLength({ max: 500 })
+      .withMessage('Block reason cannot exceed 500 characters')
+  ]),
+  adminController.blockUser
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/unblock
+ * @desc    Unblock a user
+ * @access  Private (admin only)
+ */
+router.post(
+  '/users/:id/unblock',
+  validate([
+    param('id').isMongoId().withMessage('Invalid user ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ]),
+  adminController.unblockUser
+);
+
+/**
+ * @route   PUT /api/v1/admin/users/:id/verification
+ * @desc    Verify a helper or revoke verification (helperVerified, verification.status)
+ * @access  Private (admin only)
+ */
+router.put(
+  '/users/:id/verification',
+  validate([
+    param('id').isMongoId().withMessage('Invalid user ID'),
+    body('verified')
+      .isBoolean()
+      .withMessage('Verified must be true or false'),
+    body('kycLevel')
+      .optional()
+      .isIn(['none', 'basic', 'advanced'])
+      .withMessage('KYC level must be none, basic or advanced'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ]),
+  adminController.setHelperVerification
+);
+
+/**
+ * @route   GET /api/v1/admin/verifications
+ * @desc    Helper verification queue (oldest submission first)
+ * @access  Private (admin only)
+ */
+router.get(
+  '/verifications',
+  validate([
+    query('status')
+      .optional()
+      .isIn(['unverified', 'pending', 'verified', 'rejected', 'expired'])
+      .withMessage('Invalid verification status filter'),
+    ...paging
+  ]),
+  adminController.getVerificationQueue
+);
+
+/**
+ * @route   POST /api/v1/admin/verifications/:userId/review
+ * @desc    Approve or reject a pending helper verification
+ * @access  Private (admin only)
+ */
+router.post(
+  '/verifications/:userId/review',
+  validate([
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('approved')
+      .isBoolean()
+      .withMessage('Approved must be true or false')
+      .toBoolean(),
+    body('kycLevel')
+      .optional()
+      .isIn(['basic', 'advanced'])
+      .withMessage('KYC level must be basic or advanced'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Review notes cannot exceed 1000 characters')
+  ]),
+  adminController.reviewVerification
+);
+
+/**
+ * @route   POST /api/v1/admin/emergencies/:id/resolve
+ * @desc    Force-resolve an emergency (resolutionType admin_resolved)
+ * @access  Private (admin only)
+ */
+router.post(
+  '/emergencies/:id/resolve',
+  validate([
+    param('id').isMongoId().withMessage('Invalid emergency ID'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Resolution notes cannot exceed 500 characters')
+  ]),
+  adminController.forceResolveEmergency
+);
+
+/**
+ * @route   GET /api/v1/admin/contacts
+ * @desc    List Help Center contact tickets
+ * @access  Private (admin only)
+ */
+router.get(
+  '/contacts',
+  validate([
+    query('status')
+      .optional()
+      .isIn(['open', 'in_progress', 'resolved', 'closed'])
+      .withMessage('Invalid status filter'),
+    query('category')
+      .optional()
+      .isIn(['question', 'complaint', 'bug_report', 'feature_request', 'other'])
+      .withMessage('Invalid category filter'),
+    ...paging
+  ]),
+  adminController.getContacts
+);
+
+/**
+ * @route   PUT /api/v1/admin/contacts/:id
+ * @desc    Update a contact ticket status and/or reply to it
+ * @access  Private (admin only)
+ */
+router.put(
+  '/contacts/:id',
+  validate([
+    param('id').isMongoId().withMessage('Invalid contact ID'),
+    body('status')
+      .optional()
+      .isIn(['open', 'in_progress', 'resolved', 'closed'])
+      .withMessage('Invalid status'),
+    body('response')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Response must be between 1 and 2000 characters'),
+    body()
+      .custom(value => value.status !== undefined || value.response !== undefined)
+      .withMessage('Status or response is required')
+  ]),
+  adminController.updateContact
+);
+
+/**
+ * @route   GET /api/v1/admin/ads
+ * @desc    List ads for moderation (any status)
+ * @access  Private (admin only)
+ */
+router.get(
+  '/ads',
+  validate([
+    query('status')
+      .optional()
+      .isIn(['active', 'inactive', 'expired'])
+      .withMessage('Invalid status filter'),
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search cannot exceed 100 characters'),
+    ...paging
+  ]),
+  adminController.getAds
+);
+
+/**
+ * @route   PUT /api/v1/admin/ads/:id/status
+ * @desc    Activate or deactivate an ad
+ * @access  Private (admin only)
+ */
+router.put(
+  '/ads/:id/status',
+  validate([
+    param('id').isMongoId().withMessage('Invalid ad ID'),
+    body('status')
+      .isIn(['active', 'inactive'])
+      .withMessage('Status must be active or inactive'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ]),
+  adminController.setAdStatus
+);
+
+/**
+ * @route   DELETE /api/v1/admin/ads/:id
+ * @desc    Remove an ad
+ * @access  Private (admin only)
+ */
+router.delete(
+  '/ads/:id',
+  validate([
+    param('id').isMongoId().withMessage('Invalid ad ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ]),
+  adminController.removeAd
+);
+
+/**
+ * @route   PUT /api/v1/admin/organizations/:id/verification
+ * @desc    Verify an organization (confirms it owns its auto-join email domains) or unverify it
+ * @access  Private (admin only)
+ */
+router.put(
+  '/organizations/:id/verification',
+  validate([
+    param('id').isMongoId().withMessage('Invalid organization ID'),
+    body('verified')
+      .isBoolean()
+      .withMessage('Verified must be true or false')
+      .toBoolean(),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ]),
+  adminController.setOrganizationVerification
+);
+
+/**
+ * @route   GET /api/v1/admin/audit-log
+ * @desc    Get the admin audit log (newest first)
+ * @access  Private (admin only)
+ */
+router.get(
+  '/audit-log',
+  validate([
+    query('admin')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid admin ID'),
+    query('targetId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid target ID'),
+    query('targetType')
+      .optional()
+      .isIn(['User', 'Emergency', 'Contact', 'Ad', 'Report', 'Organization'])
+      .withMessage('Invalid target type'),
+    query('before')
+      .optional()
+      .isISO8601()
+      .withMessage('Before must be an ISO 8601 date'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ]),
+  adminController.getAuditLog
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const authController = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const asyncHandler = require('../utils/asyncHandler');
 
 const router = express.Router();
@@ -40,11 +41,12 @@ const validate = (validations) => {
 
 /**
  * @route   POST /api/v1/auth/register
- * @desc    Register new user
+ * @desc    Register new user (optionally joining an organization with an invite code)
  * @access  Public
  */
 router.post(
   '/register',
+  rateLimit('register'),
   validate([
     body('email')
       .isEmail()
@@ -71,18 +73,24 @@ router.post(
     body('phone')
       .optional()
       .matches(/^\+?[\d\s\-()]+$/)
-      .withMessage('Please provide a valid phone number')
+      .withMessage('Please provide a valid phone number'),
+    body('inviteCode')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 32 })
+      .withMessage('Invalid invite code')
   ]),
   authController.register
 );
 
 /**
  * @route   POST /api/v1/auth/login
- * @desc    Login user
+ * @desc    Login user (rate limited per IP; repeated failures lock the email temporarily)
  * @access  Public
  */
 router.post(
   '/login',
+  rateLimit('login'),
   validate([
     body('email')
       .isEmail()
@@ -109,6 +117,66 @@ router.post(
   authController.refreshToken
 );
 
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Email a password reset link (always 200 - doesn't reveal whether the account exists)
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  rateLimit('account_recovery'),
+  validate([
+    body('email')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+  ]),
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Set a new password from a reset link (single use, signs out every device)
+ * @access  Public (requires reset token)
+ */
+router.post(
+  '/reset-password',
+  rateLimit('account_recovery'),
+  validate([
+    body('token')
+      .notEmpty()
+      .withMessage('Reset token is required'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters long')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+  ]),
+  authController.resetPassword
+);
+
+/**
+ * @route   POST /api/v1/auth/verify-email
+ * @desc    Confirm email address from a verification link (single use)
+ * @access  Public (requires verification token)
+ */
+router.post(
+  '/verify-email',
+  rateLimit('account_recovery'),
+  validate([
+    body('token')
+      .notEmpty()
+      .withMessage('Verification token is required')
+  ]),
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/v1/auth/verify-email/resend
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/verify-email/resend', protect, rateLimit('account_recovery', 'user'), authController.resendVerificationEmail);
+
 /**
  * @route   GET /api/v1/auth/me
  * @desc    Get current user profile
@@ -147,7 +215,16 @@ router.put(
     body('avatar')
       .optional()
       .isURL()
-      .withMessage('Avatar must be a valid URL')
+      .withMessage('Avatar must be a valid URL'),
+    body('helperSkills')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Helper skills must be an array (max 20)'),
+    body('helperSkills.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Each helper skill must be between 1 and 50 characters')
   ]),
   authController.updateProfile
 );
@@ -175,11 +252,56 @@ router.put(
 
 /**
  * @route   POST /api/v1/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user (revokes the current session)
  * @access  Private
  */
 router.post('/logout', protect, authController.logout);
 
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    Revoke all sessions (keepCurrent: true keeps this device signed in)
+ * @access  Private
+ */
+router.post(
+  '/logout-all',
+  protect,
+  validate([
+    body('keepCurrent')
+      .optional()
+      .isBoolean()
+      .withMessage('keepCurrent must be a boolean')
+  ]),
+  authController.logoutAll
+);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List active sessions (device label, IP, last seen, socket connection state)
+ * @access  Private
+ */
+router.get('/sessions', protect, authController.getSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions
+ * @desc    Sign out all other devices
+ * @access  Private
+ */
+router.delete('/sessions', protect, authController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    Sign out one device (also disconnects its /emergencies sockets)
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:id',
+  protect,
+  validate([
+    param('id').isMongoId().withMessage('Invalid session ID')
+  ]),
+  authController.revokeSession
+);
+
 /**
  * @route   GET /api/v1/auth/stats
  * @desc    Get user stats (helped, requested, SOS counts, trust score)
@@ -187,6 +309,27 @@ router.post('/logout', protect, authController.logout);
  */
 router.get('/stats', protect, authController.getUserStats);
 
+/**
+ * @route   GET /api/v1/auth/trust-history
+ * @desc    Get trust score history (score changes with reason and source)
+ * @access  Private
+ */
+router.get(
+  '/trust-history',
+  protect,
+  validate([
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('before')
+      .optional()
+      .isISO8601()
+      .withMessage('Before must be a valid date')
+  ]),
+  authController.getTrustHistory
+);
+
 /**
  * @route   GET /api/v1/auth/emergency-contacts
  * @desc    Get user's emergency contacts
@@ -214,7 +357,12 @@ router.post(
       .withMessage('Email is required')
       .trim()
       .isEmail()
-      .withMessage('Please provide a valid email address')
+      .withMessage('Please provide a valid email address'),
+    body('phone')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .matches(/^\+[\d\s\-()]+$/)
+      .withMessage('Phone number must be in international format, e.g. +14155550123')
   ]),
   authController.addEmergencyContact
 );
@@ -226,5 +374,78 @@ router.post(
  */
 router.delete('/emergency-contacts/:contactId', protect, authController.deleteEmergencyContact);
 
+// "HH:mm" 24-hour time (availability windows)
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * @route   GET /api/v1/auth/availability
+ * @desc    Get helper availability (on-duty, quiet hours, schedule, concurrency)
+ * @access  Private
+ */
+router.get('/availability', protect, authController.getAvailability);
+
+/**
+ * @route   PUT /api/v1/auth/availability
+ * @desc    Update helper availability (partial update)
+ * @access  Private
+ */
+router.put(
+  '/availability',
+  protect,
+  validate([
+    body('onDuty')
+      .optional()
+      .isBoolean()
+      .withMessage('onDuty must be a boolean'),
+    body('timezone')
+      .optional()
+      .isString()
+      .custom((value) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          throw new Error('Timezone must be a valid IANA timezone (e.g. Europe/London)');
+        }
+      }),
+    body('quietHours')
+      .optional()
+      .isObject()
+      .withMessage('Quiet hours must be an object'),
+    body('quietHours.enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Quiet hours enabled must be a boolean'),
+    body('quietHours.start')
+      .optional()
+      .matches(TIME_OF_DAY_REGEX)
+      .withMessage('Quiet hours start must be HH:mm'),
+    body('quietHours.end')
+      .optional()
+      .matches(TIME_OF_DAY_REGEX)
+      .withMessage('Quiet hours end must be HH:mm'),
+    body('weeklySchedule')
+      .optional()
+      .isArray({ max: 28 })
+      .withMessage('Weekly schedule must be an array (max 28 slots)'),
+    body('weeklySchedule.*.day')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Schedule day must be 0 (Sunday) to 6 (Saturday)')
+      .toInt(),
+    body('weeklySchedule.*.start')
+      .matches(TIME_OF_DAY_REGEX)
+      .withMessage('Schedule start must be HH:mm'),
+    body('weeklySchedule.*.end')
+      .matches(TIME_OF_DAY_REGEX)
+      .withMessage('Schedule end must be HH:mm'),
+    body('maxConcurrentEmergencies')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Max concurrent emergencies must be between 1 and 5')
+      .toInt()
+  ]),
+  authController.updateAvailability
+);
+
 module.exports = router;
 
@@ -0,0 +1,262 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const businessController = require('../controllers/businessController');
+const { protect } = require('../middleware/auth');
+const { BUSINESS_CATEGORIES } = require('../services/businessService');
+
+const router = express.Router();
+
+/**
+ * Validation Middleware Wrapper
+ */
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+      return next();
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: 'Validation error',
+        details: errors.array()
+      }
+    });
+  };
+};
+
+const businessIdValidation = param('id').isMongoId().withMessage('Invalid business ID');
+const promotionIdValidation = param('promotionId').isMongoId().withMessage('Invalid promotion ID');
+
+// IANA time zone check (Intl throws a RangeError for unknown zones)
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Profile fields shared by create (required) and update (optional)
+const profileValidation = (required) => {
+  const field = (validation) => (required ? validation : validation.optional());
+
+  return [
+    field(body('name'))
+      .trim()
+      .notEmpty()
+      .withMessage('Business name is required')
+      .isLength({ max: 100 })
+      .withMessage('Business name cannot exceed 100 characters'),
+    field(body('category'))
+      .isIn(BUSINESS_CATEGORIES)
+      .withMessage(`Category must be one of: ${BUSINESS_CATEGORIES.join(', ')}`),
+    field(body('location.latitude'))
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90')
+      .toFloat(),
+    field(body('location.longitude'))
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+      .toFloat(),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+    body('contact.email')
+      .optional({ checkFalsy: true })
+      .isEmail()
+      .withMessage('Please provide a valid contact email'),
+    body('contact.website')
+      .optional({ checkFalsy: true })
+      .isURL()
+      .withMessage('Please provide a valid website URL'),
+    body('contact.phone')
+      .optional({ checkFalsy: true })
+      .matches(/^\+?[\d\s\-()]+$/)
+      .withMessage('Please provide a valid phone number'),
+    body('hours')
+      .optional()
+      .isArray({ max: 21 })
+      .withMessage('Hours must be a list of at most 21 time slots'),
+    body('hours.*.day')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Day must be 0 (Sunday) to 6 (Saturday)')
+      .toInt(),
+    body(['hours.*.opens', 'hours.*.closes'])
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Opening and closing times must be HH:MM'),
+    body('timezone')
+      .optional()
+      .custom(isTimeZone)
+      .withMessage('Time zone must be an IANA time zone (e.g. America/New_York)')
+  ];
+};
+
+// Promotion fields shared by create (title and end date required) and update (all optional)
+const promotionValidation = (required) => {
+  const field = (validation) => (required ? validation : validation.optional());
+
+  return [
+    field(body('title'))
+      .trim()
+      .notEmpty()
+      .withMessage('Promotion title is required')
+      .isLength({ max: 100 })
+      .withMessage('Promotion title cannot exceed 100 characters'),
+    field(body('validUntil'))
+      .isISO8601()
+      .withMessage('Valid until must be an ISO 8601 date'),
+    body('validFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid from must be an ISO 8601 date'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Promotion description cannot exceed 500 characters'),
+    body('discount')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Discount must be between 0 and 100 percent')
+      .toFloat()
+  ];
+};
+
+// All routes require authentication
+// Management rights come from owning the business (checked by the service), not the platform role
+router.use(protect);
+
+/**
+ * @route   POST /api/v1/businesses
+ * @desc    Create a business profile (the account gets the business role; existing ads are linked)
+ * @access  Private
+ */
+router.post(
+  '/',
+  validate(profileValidation(true)),
+  businessController.createBusiness
+);
+
+/**
+ * @route   GET /api/v1/businesses/me
+ * @desc    Get the current user's business profile (null if none)
+ * @access  Private
+ */
+router.get('/me', businessController.getMyBusiness);
+
+/**
+ * @route   GET /api/v1/businesses/directory
+ * @desc    Search nearby businesses (closest first) by name, category, open now, verified and running promotions
+ * @access  Private
+ */
+router.get(
+  '/directory',
+  validate([
+    query('latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude is required and must be between -90 and 90'),
+    query('longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude is required and must be between -180 and 180'),
+    query('radius')
+      .optional()
+      .isInt({ min: 100, max: 50000 })
+      .withMessage('Radius must be between 100 and 50000 meters'),
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search cannot exceed 100 characters'),
+    query('category')
+      .optional({ checkFalsy: true })
+      .isIn(BUSINESS_CATEGORIES)
+      .withMessage(`Category must be one of: ${BUSINESS_CATEGORIES.join(', ')}`),
+    query(['openNow', 'verified', 'hasPromotion'])
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Filters must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive number'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ]),
+  businessController.searchDirectory
+);
+
+/**
+ * @route   GET /api/v1/businesses/:id
+ * @desc    Get a business page (profile, running promotions, active ads)
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validate([businessIdValidation]),
+  businessController.getBusiness
+);
+
+/**
+ * @route   PUT /api/v1/businesses/:id
+ * @desc    Update the business profile
+ * @access  Private (business owner)
+ */
+router.put(
+  '/:id',
+  validate([businessIdValidation, ...profileValidation(false)]),
+  businessController.updateBusiness
+);
+
+/**
+ * @route   POST /api/v1/businesses/:id/promotions
+ * @desc    Add a time-boxed promotion
+ * @access  Private (business owner)
+ */
+router.post(
+  '/:id/promotions',
+  validate([businessIdValidation, ...promotionValidation(true)]),
+  businessController.addPromotion
+);
+
+/**
+ * @route   PUT /api/v1/businesses/:id/promotions/:promotionId
+ * @desc    Update a promotion (isActive pauses or resumes it)
+ * @access  Private (business owner)
+ */
+router.put(
+  '/:id/promotions/:promotionId',
+  validate([
+    businessIdValidation,
+    promotionIdValidation,
+    ...promotionValidation(false),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean()
+  ]),
+  businessController.updatePromotion
+);
+
+/**
+ * @route   DELETE /api/v1/businesses/:id/promotions/:promotionId
+ * @desc    Delete a promotion
+ * @access  Private (business owner)
+ */
+router.delete(
+  '/:id/promotions/:promotionId',
+  validate([businessIdValidation, promotionIdValidation]),
+  businessController.removePromotion
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const { body, query, param, validationResult } = require('express-validator');
 const emergencyController = require('../controllers/emergencyController');
 const messageController = require('../controllers/messageController');
 const { protect, authorize } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const asyncHandler = require('../utils/asyncHandler');
 
 const router = express.Router();
@@ -173,7 +174,8 @@ router.get(
 
 /**
  * @route   GET /api/v1/emergencies/:id/helpers
- * @desc    Get nearby helpers for an emergency
+ * @desc    Get nearby helpers for an emergency, ranked by skills, distance and trust
+ *          (radius defaults to the emergency's search radius)
  * @access  Private
  */
 router.get(
@@ -192,6 +194,40 @@ router.get(
   emergencyController.getEmergencyHelpers
 );
 
+/**
+ * @route   GET /api/v1/emergencies/:id/location-trail
+ * @desc    Get live location trail (breadcrumb path) for an emergency
+ * @access  Private
+ */
+router.get(
+  '/:id/location-trail',
+  validate([
+    param('id').isMongoId().withMessage('Invalid emergency ID'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Limit must be between 1 and 1000'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since must be a valid ISO 8601 date')
+  ]),
+  emergencyController.getLocationTrail
+);
+
+/**
+ * @route   GET /api/v1/emergencies/:id/sms-deliveries
+ * @desc    Get SMS delivery status per emergency contact (owner only)
+ * @access  Private
+ */
+router.get(
+  '/:id/sms-deliveries',
+  validate([
+    param('id').isMongoId().withMessage('Invalid emergency ID')
+  ]),
+  emergencyController.getSmsDeliveries
+);
+
 /**
  * @route   POST /api/v1/emergencies/:id/respond
  * @desc    Respond to emergency (add helper)
@@ -242,7 +278,7 @@ router.post(
     param('id').isMongoId().withMessage('Invalid emergency ID'),
     body('resolutionType')
       .optional()
-      .isIn(['user_resolved', 'helper_resolved', 'auto_expired', 'admin_resolved'])
+      .isIn(['user_resolved', 'helper_resolved']) // auto_expired/admin_resolved are set by the system and admin console
       .withMessage('Invalid resolution type'),
     body('notes')
       .optional()
@@ -271,6 +307,65 @@ router.post(
   emergencyController.cancelEmergency
 );
 
+/**
+ * @route   POST /api/v1/emergencies/:id/debrief
+ * @desc    Submit post-emergency debrief - arrivals, ratings, misconduct (owner only, once)
+ * @access  Private
+ */
+router.post(
+  '/:id/debrief',
+  validate([
+    param('id').isMongoId().withMessage('Invalid emergency ID'),
+    body('summary')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Summary cannot exceed 1000 characters'),
+    body('helpers')
+      .isArray({ max: 50 })
+      .withMessage('Helpers must be an array'),
+    body('helpers.*.helperId')
+      .isMongoId()
+      .withMessage('Invalid helper ID'),
+    body('helpers.*.arrived')
+      .optional()
+      .isBoolean()
+      .withMessage('Arrived must be true or false'),
+    body('helpers.*.rating')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5'),
+    body('helpers.*.comment')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Comment cannot exceed 500 characters'),
+    body('helpers.*.misconduct')
+      .optional()
+      .isBoolean()
+      .withMessage('Misconduct must be true or false'),
+    body('helpers.*.misconductReason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Misconduct reason cannot exceed 500 characters')
+  ]),
+  emergencyController.submitDebrief
+);
+
+/**
+ * @route   POST /api/v1/emergencies/:id/check-in
+ * @desc    Answer an inactivity check-in - owner is still in danger (owner only)
+ * @access  Private
+ */
+router.post(
+  '/:id/check-in',
+  validate([
+    param('id').isMongoId().withMessage('Invalid emergency ID')
+  ]),
+  emergencyController.confirmCheckIn
+);
+
 /**
  * @route   DELETE /api/v1/emergencies/:id
  * @desc    Delete emergency (only resolved/cancelled, owner only)
@@ -312,6 +407,7 @@ router.get(
  */
 router.post(
   '/:id/messages',
+  rateLimit('emergency_message', 'user'),
   validate([
     param('id').isMongoId().withMessage('Invalid emergency ID'),
     body('message')
@@ -97,6 +97,10 @@ router.get(
       .optional()
       .isIn(['open', 'accepted', 'in_progress', 'completed', 'cancelled', 'expired'])
       .withMessage('Invalid status filter'),
+    query('role')
+      .optional()
+      .isIn(['creator', 'helper'])
+      .withMessage('Role must be creator or helper'),
     query('limit')
       .optional()
       .isInt({ min: 1, max: 100 })
@@ -250,5 +254,66 @@ router.post(
   helpRequestController.replyToResponse
 );
 
+/**
+ * @route   POST /api/v1/help-requests/:id/propose-completion
+ * @desc    Mark the request as done (accepted helper) - creator still confirms
+ * @access  Private
+ */
+router.post(
+  '/:id/propose-completion',
+  validate([
+    param('id').isMongoId().withMessage('Invalid help request ID'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ]),
+  helpRequestController.proposeCompletion
+);
+
+/**
+ * @route   POST /api/v1/help-requests/:id/complete
+ * @desc    Complete help request (creator confirms the help was given)
+ * @access  Private
+ */
+router.post(
+  '/:id/complete',
+  validate([
+    param('id').isMongoId().withMessage('Invalid help request ID'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ]),
+  helpRequestController.completeHelpRequest
+);
+
+/**
+ * @route   POST /api/v1/help-requests/:id/ratings
+ * @desc    Rate an accepted helper (creator, helperId required) or the creator (accepted helper)
+ * @access  Private
+ */
+router.post(
+  '/:id/ratings',
+  validate([
+    param('id').isMongoId().withMessage('Invalid help request ID'),
+    body('helperId')
+      .optional()
+      .isMongoId()
+      .withMessage('Helper ID must be valid'),
+    body('rating')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be a whole number between 1 and 5'),
+    body('comment')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Comment cannot exceed 500 characters')
+  ]),
+  helpRequestController.rateParticipant
+);
+
 module.exports = router;
 
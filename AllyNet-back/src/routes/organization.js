@@ -0,0 +1,397 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const organizationController = require('../controllers/organizationController');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { ORGANIZATION_TYPES, MEMBER_ROLES } = require('../services/organizationService');
+
+const router = express.Router();
+
+/**
+ * Validation Middleware Wrapper
+ */
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+      return next();
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: 'Validation error',
+        details: errors.array()
+      }
+    });
+  };
+};
+
+const organizationIdValidation = param('id').isMongoId().withMessage('Invalid organization ID');
+
+// Invite codes can only be used as member or moderator - admins are promoted explicitly
+const INVITE_CODE_ROLES = ['member', 'moderator'];
+
+const inviteCodeValidation = (field) => field
+  .trim()
+  .notEmpty()
+  .withMessage('Invite code is required')
+  .isLength({ max: 32 })
+  .withMessage('Invalid invite code');
+
+/**
+ * @route   GET /api/v1/organizations/invite-codes/:code
+ * @desc    Which organization an invite code joins (shown on the signup page; rate limited per IP)
+ * @access  Public
+ */
+router.get(
+  '/invite-codes/:code',
+  rateLimit('invite_code'),
+  validate([inviteCodeValidation(param('code'))]),
+  organizationController.getInviteCodePreview
+);
+
+// All other routes require authentication
+// Management rights come from the caller's role in the organization (checked by the service), not the platform role
+router.use(protect);
+
+/**
+ * @route   POST /api/v1/organizations
+ * @desc    Create an organization (the creator becomes its admin)
+ * @access  Private
+ */
+router.post(
+  '/',
+  validate([
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Organization name is required')
+      .isLength({ max: 200 })
+      .withMessage('Organization name cannot exceed 200 characters'),
+    body('type')
+      .isIn(ORGANIZATION_TYPES)
+      .withMessage(`Type must be one of: ${ORGANIZATION_TYPES.join(', ')}`),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+    body('contact.email')
+      .optional({ checkFalsy: true })
+      .isEmail()
+      .withMessage('Please provide a valid contact email')
+  ]),
+  organizationController.createOrganization
+);
+
+/**
+ * @route   GET /api/v1/organizations/me
+ * @desc    Get the current user's organization (null if none)
+ * @access  Private
+ */
+router.get('/me', organizationController.getMyOrganization);
+
+/**
+ * @route   GET /api/v1/organizations/invitations
+ * @desc    Get pending invitations for the current user's email
+ * @access  Private
+ */
+router.get('/invitations', organizationController.getMyInvitations);
+
+/**
+ * @route   POST /api/v1/organizations/join-code
+ * @desc    Join an organization with an invite code (rate limited per IP)
+ * @access  Private
+ */
+router.post(
+  '/join-code',
+  rateLimit('invite_code'),
+  validate([inviteCodeValidation(body('code'))]),
+  organizationController.joinWithInviteCode
+);
+
+/**
+ * @route   GET /api/v1/organizations/:id
+ * @desc    Get an organization
+ * @access  Private (members)
+ */
+router.get(
+  '/:id',
+  validate([organizationIdValidation]),
+  organizationController.getOrganization
+);
+
+/**
+ * @route   PUT /api/v1/organizations/:id
+ * @desc    Update organization details and emergency settings
+ * @access  Private (org admins)
+ */
+router.put(
+  '/:id',
+  validate([
+    organizationIdValidation,
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Organization name cannot be empty')
+      .isLength({ max: 200 })
+      .withMessage('Organization name cannot exceed 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+    body('contact.email')
+      .optional({ checkFalsy: true })
+      .isEmail()
+      .withMessage('Please provide a valid contact email'),
+    body(['emergencySettings.enableDashboard', 'emergencySettings.alertAdmins', 'emergencySettings.alertAllMembers'])
+      .optional()
+      .isBoolean()
+      .withMessage('Emergency settings must be true or false')
+      .toBoolean(),
+    body('autoJoin.enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Auto-join must be true or false')
+      .toBoolean(),
+    body('autoJoin.domains')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Auto-join domains must be a list of at most 10 domains'),
+    body('autoJoin.role')
+      .optional()
+      .isIn(INVITE_CODE_ROLES)
+      .withMessage(`Auto-join role must be one of: ${INVITE_CODE_ROLES.join(', ')}`)
+  ]),
+  organizationController.updateOrganization
+);
+
+/**
+ * @route   GET /api/v1/organizations/:id/members
+ * @desc    List members with role and online status
+ * @access  Private (members)
+ */
+router.get(
+  '/:id/members',
+  validate([organizationIdValidation]),
+  organizationController.getMembers
+);
+
+/**
+ * @route   POST /api/v1/organizations/:id/invitations
+ * @desc    Invite someone by email
+ * @access  Private (org admins)
+ */
+router.post(
+  '/:id/invitations',
+  validate([
+    organizationIdValidation,
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail(),
+    body('role')
+      .optional()
+      .isIn(MEMBER_ROLES)
+      .withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+  ]),
+  organizationController.inviteMember
+);
+
+/**
+ * @route   POST /api/v1/organizations/:id/invitations/bulk
+ * @desc    Invite everyone in a CSV (`email[,role]` per line, optional header row); invalid rows are skipped
+ * @access  Private (org admins)
+ */
+router.post(
+  '/:id/invitations/bulk',
+  validate([
+    organizationIdValidation,
+    body('csv')
+      .isString()
+      .notEmpty()
+      .withMessage('CSV content is required')
+      .isLength({ max: 100000 })
+      .withMessage('CSV cannot exceed 100000 characters'),
+    body('role')
+      .optional()
+      .isIn(MEMBER_ROLES)
+      .withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+  ]),
+  organizationController.bulkInviteMembers
+);
+
+/**
+ * @route   DELETE /api/v1/organizations/:id/invitations/:invitationId
+ * @desc    Cancel a pending invitation
+ * @access  Private (org admins)
+ */
+router.delete(
+  '/:id/invitations/:invitationId',
+  validate([
+    organizationIdValidation,
+    param('invitationId').isMongoId().withMessage('Invalid invitation ID')
+  ]),
+  organizationController.revokeInvitation
+);
+
+/**
+ * @route   POST /api/v1/organizations/:id/join
+ * @desc    Accept an invitation and join the organization
+ * @access  Private (invited users)
+ */
+router.post(
+  '/:id/join',
+  validate([organizationIdValidation]),
+  organizationController.joinOrganization
+);
+
+/**
+ * @route   POST /api/v1/organizations/:id/invite-codes
+ * @desc    Create an invite code / signup link (expires after expiresInDays, optionally limited to maxUses)
+ * @access  Private (org admins)
+ */
+router.post(
+  '/:id/invite-codes',
+  validate([
+    organizationIdValidation,
+    body('role')
+      .optional()
+      .isIn(INVITE_CODE_ROLES)
+      .withMessage(`Role must be one of: ${INVITE_CODE_ROLES.join(', ')}`),
+    body('expiresInDays')
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .withMessage('Expiry must be between 1 and 90 days')
+      .toInt(),
+    body('maxUses')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Max uses must be between 1 and 10000')
+      .toInt()
+  ]),
+  organizationController.createInviteCode
+);
+
+/**
+ * @route   DELETE /api/v1/organizations/:id/invite-codes/:codeId
+ * @desc    Revoke an invite code
+ * @access  Private (org admins)
+ */
+router.delete(
+  '/:id/invite-codes/:codeId',
+  validate([
+    organizationIdValidation,
+    param('codeId').isMongoId().withMessage('Invalid invite code ID')
+  ]),
+  organizationController.revokeInviteCode
+);
+
+/**
+ * @route   POST /api/v1/organizations/:id/decline
+ * @desc    Decline an invitation
+ * @access  Private (invited users)
+ */
+router.post(
+  '/:id/decline',
+  validate([organizationIdValidation]),
+  organizationController.declineInvitation
+);
+
+/**
+ * @route   PUT /api/v1/organizations/:id/members/:userId/role
+ * @desc    Change a member's role
+ * @access  Private (org admins)
+ */
+router.put(
+  '/:id/members/:userId/role',
+  validate([
+    organizationIdValidation,
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('role')
+      .isIn(MEMBER_ROLES)
+      .withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+  ]),
+  organizationController.updateMemberRole
+);
+
+/**
+ * @route   DELETE /api/v1/organizations/:id/members/:userId
+ * @desc    Remove a member
+ * @access  Private (org admins)
+ */
+router.delete(
+  '/:id/members/:userId',
+  validate([
+    organizationIdValidation,
+    param('userId').isMongoId().withMessage('Invalid user ID')
+  ]),
+  organizationController.removeMember
+);
+
+/**
+ * @route   POST /api/v1/organizations/:id/leave
+ * @desc    Leave the organization
+ * @access  Private (members)
+ */
+router.post(
+  '/:id/leave',
+  validate([organizationIdValidation]),
+  organizationController.leaveOrganization
+);
+
+/**
+ * @route   GET /api/v1/organizations/:id/dashboard
+ * @desc    Live counts: members online, active member emergencies, open member help requests
+ * @access  Private (org admins and moderators)
+ */
+router.get(
+  '/:id/dashboard',
+  validate([organizationIdValidation]),
+  organizationController.getDashboard
+);
+
+/**
+ * @route   GET /api/v1/organizations/:id/emergencies
+ * @desc    Live (read-only) view of members' active emergencies
+ * @access  Private (org admins and moderators, when emergencySettings.enableDashboard is on)
+ */
+router.get(
+  '/:id/emergencies',
+  validate([organizationIdValidation]),
+  organizationController.getMemberEmergencies
+);
+
+/**
+ * @route   GET /api/v1/organizations/:id/alerts
+ * @desc    SOS alert deliveries (socket and email, one entry per recipient per channel), newest first
+ * @access  Private (org admins)
+ */
+router.get(
+  '/:id/alerts',
+  validate([
+    organizationIdValidation,
+    query('emergency')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid emergency ID'),
+    query('before')
+      .optional()
+      .isISO8601()
+      .withMessage('Before must be an ISO 8601 date'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ]),
+  organizationController.getAlertLog
+);
+
+module.exports = router;
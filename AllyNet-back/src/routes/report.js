@@ -0,0 +1,155 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const reportController = require('../controllers/reportController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Validation Middleware Wrapper
+ */
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+      return next();
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: 'Validation error',
+        details: errors.array()
+      }
+    });
+  };
+};
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   POST /api/v1/reports
+ * @desc    Report a user, emergency (false alarm), emergency chat message, help request or ad
+ * @access  Private
+ */
+router.post(
+  '/',
+  validate([
+    body('targetType')
+      .isIn(['user', 'emergency', 'emergency_message', 'help_request', 'ad'])
+      .withMessage('Invalid report target type'),
+    body('targetId')
+      .isMongoId()
+      .withMessage('Invalid target ID'),
+    body('reason')
+      .isIn(['false_alarm', 'harassment', 'spam', 'scam', 'inappropriate', 'unsafe_behavior', 'other'])
+      .withMessage('Invalid report reason'),
+    body('details')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Details cannot exceed 1000 characters')
+  ]),
+  reportController.createReport
+);
+
+/**
+ * @route   GET /api/v1/reports/mine
+ * @desc    Get reports filed by the current user
+ * @access  Private
+ */
+router.get(
+  '/mine',
+  validate([
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ]),
+  reportController.getMyReports
+);
+
+/**
+ * @route   GET /api/v1/reports
+ * @desc    Get the moderation queue
+ * @access  Private (admin only)
+ */
+router.get(
+  '/',
+  authorize('admin'),
+  validate([
+    query('status')
+      .optional()
+      .isIn(['open', 'in_review', 'actioned', 'dismissed'])
+      .withMessage('Invalid status filter'),
+    query('targetType')
+      .optional()
+      .isIn(['user', 'emergency', 'emergency_message', 'help_request', 'ad'])
+      .withMessage('Invalid target type filter'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive number')
+  ]),
+  reportController.getModerationQueue
+);
+
+/**
+ * @route   GET /api/v1/reports/:id
+ * @desc    Get a report with its evidence snapshot
+ * @access  Private (admin only)
+ */
+router.get(
+  '/:id',
+  authorize('admin'),
+  validate([
+    param('id').isMongoId().withMessage('Invalid report ID')
+  ]),
+  reportController.getReport
+);
+
+/**
+ * @route   POST /api/v1/reports/:id/review
+ * @desc    Take a report into review
+ * @access  Private (admin only)
+ */
+router.post(
+  '/:id/review',
+  authorize('admin'),
+  validate([
+    param('id').isMongoId().withMessage('Invalid report ID')
+  ]),
+  reportController.startReview
+);
+
+/**
+ * @route   POST /api/v1/reports/:id/resolve
+ * @desc    Resolve a report - warn, block (isBlocked), remove content or dismiss
+ * @access  Private (admin only)
+ */
+router.post(
+  '/:id/resolve',
+  authorize('admin'),
+  validate([
+    param('id').isMongoId().withMessage('Invalid report ID'),
+    body('action')
+      .isIn(['warn', 'block', 'remove_content', 'dismiss'])
+      .withMessage('Action must be warn, block, remove_content or dismiss'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters')
+  ]),
+  reportController.resolveReport
+);
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const safetyTimerController = require('../controllers/safetyTimerController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Validation Middleware Wrapper
+ */
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+      return next();
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: 'Validation error',
+        details: errors.array()
+      }
+    });
+  };
+};
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   POST /api/v1/safety-timers
+ * @desc    Start a safety timer ("check in with me") - SOS is raised if it runs out
+ * @access  Private
+ */
+router.post(
+  '/',
+  validate([
+    body('durationMinutes')
+      .isInt({ min: 1, max: 720 })
+      .withMessage('Duration must be between 1 and 720 minutes'),
+    body('label')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Label cannot exceed 100 characters'),
+    body('location.latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('location.longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+  ]),
+  safetyTimerController.startTimer
+);
+
+/**
+ * @route   GET /api/v1/safety-timers/active
+ * @desc    Get current user's running safety timer
+ * @access  Private
+ */
+router.get('/active', safetyTimerController.getActiveTimer);
+
+/**
+ * @route   POST /api/v1/safety-timers/active/check-in
+ * @desc    Check in as safe (stops the timer)
+ * @access  Private
+ */
+router.post('/active/check-in', safetyTimerController.checkIn);
+
+/**
+ * @route   POST /api/v1/safety-timers/active/extend
+ * @desc    Push the running timer's deadline back
+ * @access  Private
+ */
+router.post(
+  '/active/extend',
+  validate([
+    body('minutes')
+      .optional()
+      .isInt({ min: 1, max: 120 })
+      .withMessage('Extension must be between 1 and 120 minutes'),
+    body('location.latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('location.longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+  ]),
+  safetyTimerController.extendTimer
+);
+
+module.exports = router;
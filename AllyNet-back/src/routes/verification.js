@@ -0,0 +1,80 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const verificationController = require('../controllers/verificationController');
+const { protect } = require('../middleware/auth');
+const { verificationDocumentsUpload } = require('../middleware/upload');
+const { DOCUMENT_TYPES } = require('../services/verificationService');
+
+const router = express.Router();
+
+/**
+ * Validation Middleware Wrapper
+ */
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+      return next();
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 400,
+        message: 'Validation error',
+        details: errors.array()
+      }
+    });
+  };
+};
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   POST /api/v1/verification
+ * @desc    Submit identity documents for review
+ *          multipart/form-data: documents (1-5 files, JPEG/PNG/PDF), documentTypes (one per file), requestedLevel
+ * @access  Private (helpers)
+ */
+router.post(
+  '/',
+  verificationDocumentsUpload,
+  validate([
+    body('documentTypes')
+      .optional()
+      .customSanitizer(value => [].concat(value))
+      .custom(value => value.every(type => DOCUMENT_TYPES.includes(type)))
+      .withMessage(`Document types must be one of: ${DOCUMENT_TYPES.join(', ')}`),
+    body('requestedLevel')
+      .optional()
+      .isIn(['basic', 'advanced'])
+      .withMessage('Requested level must be basic or advanced')
+  ]),
+  verificationController.submitVerification
+);
+
+/**
+ * @route   GET /api/v1/verification/me
+ * @desc    Get the current user's verification status
+ * @access  Private
+ */
+router.get('/me', verificationController.getMyVerification);
+
+/**
+ * @route   GET /api/v1/verification/:userId/documents/:documentId
+ * @desc    Download a verification document
+ * @access  Private (the helper or admin)
+ */
+router.get(
+  '/:userId/documents/:documentId',
+  validate([
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    param('documentId').isMongoId().withMessage('Invalid document ID')
+  ]),
+  verificationController.getVerificationDocument
+);
+
+module.exports = router;
@@ -2,6 +2,9 @@ const http = require('http');
 const app = require('./app');
 const connectDB = require('./config/database');
 const { initializeSocketIO } = require('./sockets');
+const { startJobs } = require('./jobs');
+const { assertSmsProviderConfigured } = require('./utils/smsProviders');
+const { assertMailTransportConfigured } = require('./utils/mailTransport');
 
 // Load environment variables
 require('dotenv').config();
@@ -14,6 +17,10 @@ const PORT = process.env.PORT || 5000;
  */
 const startServer = async () => {
   try {
+    // SOS texts and emails must really go out in production - refuse to start without a driver / SMTP
+    assertSmsProviderConfigured();
+    assertMailTransportConfigured();
+
     // Connect to MongoDB
     await connectDB();
 
@@ -23,6 +30,9 @@ const startServer = async () => {
     // Initialize Socket.IO
     initializeSocketIO(server);
 
+    // Start background jobs - SOS escalation, check-ins and expiry (need Socket.IO for events)
+    startJobs();
+
     // Start server
     server.listen(PORT, () => {
       console.log(`
@@ -0,0 +1,251 @@
+const { randomUUID } = require('crypto');
+const { AccountToken, User } = require('../models');
+const { generateAccountToken, verifyAccountToken } = require('../utils/jwt');
+const { sendPasswordResetEmail, sendEmailVerificationEmail, renderAccountLinkEmail } = require('../utils/emailService');
+const sessionService = require('./sessionService');
+const rateLimitService = require('./rateLimitService');
+const organizationService = require('./organizationService');
+
+/**
+ * Account Token Service
+ * Password reset and email verification links
+ * - Links carry a signed, time-limited token (utils/jwt) backed by an AccountToken record
+ * - A token works once; sending a new link (or changing the password) invalidates older ones
+ * - Resetting the password signs out every device
+ * - Link emails are never stored (utils/emailService); a retry re-issues the link
+ */
+
+/**
+ * Link lifetimes
+ * PASSWORD_RESET_EXPIRES_MINUTES: password reset link lifetime (default 30)
+ * EMAIL_VERIFICATION_EXPIRES_HOURS: email verification link lifetime (default 48)
+ * @returns {{resetMinutes: Number, verificationHours: Number}}
+ */
+const getAccountTokenConfig = () => ({
+  resetMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30,
+  verificationHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48
+});
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Invalidate a user's outstanding links
+ * @param {String} userId - User ID
+ * @param {String} purpose - 'password_reset' | 'email_verification'
+ * @returns {Promise<Number>} Number of links invalidated
+ */
+const revokeAccountTokens = async (userId, purpose) => {
+  const result = await AccountToken.updateMany(
+    { user: userId, purpose, usedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Create a link token (older links for the same purpose stop working)
+ * @returns {Promise<String>} Signed token
+ */
+const issueAccountToken = async (user, purpose, lifetimeSeconds, ipAddress = null) => {
+  await revokeAccountTokens(user._id, purpose);
+
+  const tokenId = randomUUID();
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenId,
+    email: user.email,
+    ipAddress: ipAddress || undefined,
+    expiresAt: new Date(Date.now() + lifetimeSeconds * 1000)
+  });
+
+  return generateAccountToken(
+    { userId: user._id.toString(), email: user.email, purpose, tokenId },
+    lifetimeSeconds
+  );
+};
+
+/**
+ * Issue a fresh link for a purpose (older links for the same purpose stop working)
+ * @returns {Promise<{url: String, lifetime: Number}>} Link and its lifetime as the email shows it
+ *   (minutes for password resets, hours for email verification)
+ */
+const createAccountLink = async (user, purpose, ipAddress = null) => {
+  const { resetMinutes, verificationHours } = getAccountTokenConfig();
+
+  if (purpose === 'password_reset') {
+    const token = await issueAccountToken(user, purpose, resetMinutes * 60, ipAddress);
+    return {
+      url: `${getFrontendUrl()}/auth/reset-password?token=${encodeURIComponent(token)}`,
+      lifetime: resetMinutes
+    };
+  }
+
+  const token = await issueAccountToken(user, purpose, verificationHours * 60 * 60, ipAddress);
+  return {
+    url: `${getFrontendUrl()}/auth/verify-email?token=${encodeURIComponent(token)}`,
+    lifetime: verificationHours
+  };
+};
+
+/**
+ * Verify a link token and mark it used (atomic - a token can only be consumed once)
+ * @returns {Promise<Object>} AccountToken record
+ */
+const consumeAccountToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = verifyAccountToken(token, purpose);
+  } catch (error) {
+    throw new Error('Invalid or expired link');
+  }
+
+  const record = await AccountToken.findOneAndUpdate(
+    {
+      tokenId: decoded.jti,
+      purpose,
+      user: decoded.userId,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!record) {
+    throw new Error('Invalid or expired link');
+  }
+
+  return record;
+};
+
+/**
+ * Email a password reset link
+ * Unknown, inactive and blocked accounts are ignored silently so the endpoint doesn't reveal which emails exist
+ * - The link is issued and sent in the background: the response takes as long whether or not the account exists
+ * @param {String} email - Account email
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<Boolean>} Whether a link is being sent
+ */
+const requestPasswordReset = async (email, context = {}) => {
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  if (!user || !user.isActive || user.isBlocked) {
+    console.log(`🔑 Password reset requested for unknown or disabled account: ${email}`);
+    return false;
+  }
+
+  createAccountLink(user, 'password_reset', context.ipAddress)
+    .then(({ url, lifetime }) => sendPasswordResetEmail(user, url, lifetime))
+    .then(() => console.log(`🔑 Password reset link sent to user ${user._id}`))
+    .catch(error => console.error(`⚠️ Error sending password reset link to user ${user._id}:`, error));
+
+  return true;
+};
+
+/**
+ * Set a new password from a reset link
+ * Signs out every device and invalidates other outstanding reset links
+ * @param {String} token - Reset token from the link
+ * @param {String} newPassword - New password
+ * @returns {Promise<{user: Object, revokedSessions: Number}>}
+ */
+const resetPassword = async (token, newPassword) => {
+  const record = await consumeAccountToken(token, 'password_reset');
+
+  const user = await User.findById(record.user).select('+password');
+  if (!user || !user.isActive || user.isBlocked) {
+    throw new Error('Invalid or expired link');
+  }
+
+  user.password = newPassword;
+  // Opening the link proves the user controls this address
+  if (!user.emailVerified && record.email === user.email) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save(); // Password will be hashed by pre-save middleware
+
+  await revokeAccountTokens(user._id, 'password_reset');
+  const revokedSessions = await sessionService.revokeUserSessions(user._id, 'password_reset');
+  // A locked-out user gets back in with the new password straight away
+  await rateLimitService.clearLoginFailures(user.email);
+
+  console.log(`🔑 Password reset for user ${user._id} (${revokedSessions} sessions revoked)`);
+
+  return { user, revokedSessions };
+};
+
+/**
+ * Email a verification link for the user's current address
+ * @param {Object} user - User document
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<Object>} EmailDelivery record
+ */
+const sendEmailVerification = async (user, context = {}) => {
+  if (user.emailVerified) {
+    throw new Error('Email is already verified');
+  }
+
+  const { url, lifetime } = await createAccountLink(user, 'email_verification', context.ipAddress);
+
+  return sendEmailVerificationEmail(user, url, lifetime);
+};
+
+/**
+ * Fresh link email for a queued retry of a link email (its body was never stored)
+ * The new link invalidates the one that failed to send
+ * @param {Object} delivery - EmailDelivery document ('password_reset' | 'email_verification')
+ * @returns {Promise<Object|null>} { subject, text, html }, or null when the link is no longer wanted
+ *   (account gone, disabled, address changed or already verified)
+ */
+const reissueLinkEmail = async (delivery) => {
+  const user = await User.findById(delivery.recipient);
+  if (!user || !user.isActive || user.isBlocked || user.email !== delivery.to) {
+    return null;
+  }
+  if (delivery.template === 'email_verification' && user.emailVerified) {
+    return null;
+  }
+
+  const { url, lifetime } = await createAccountLink(user, delivery.template);
+
+  return renderAccountLinkEmail(delivery.template, user, url, lifetime);
+};
+
+/**
+ * Confirm an email address from a verification link
+ * @param {String} token - Verification token from the link
+ * @returns {Promise<Object>} Updated user
+ */
+const verifyEmail = async (token) => {
+  const record = await consumeAccountToken(token, 'email_verification');
+
+  const user = await User.findById(record.user);
+  // The link only confirms the address it was sent to
+  if (!user || record.email !== user.email) {
+    throw new Error('Invalid or expired link');
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    console.log(`✉️ Email verified for user ${user._id}`);
+
+    // A verified company/campus address joins its organization (never throws)
+    await organizationService.autoJoinByEmailDomain(user);
+  }
+
+  return user;
+};
+
+module.exports = {
+  revokeAccountTokens,
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  reissueLinkEmail,
+  verifyEmail
+};
@@ -1,4 +1,5 @@
 const { Ad, User } = require('../models');
+const { getBusinessIdForOwner } = require('./businessService');
 
 /**
  * Ad Service
@@ -18,9 +19,10 @@ const createAd = async (adData, userId) => {
     throw new Error('User not found or account is inactive');
   }
 
-  // Create ad
+  // Create ad (linked to the creator's business profile, if they have one)
   const ad = await Ad.create({
     createdBy: userId,
+    business: await getBusinessIdForOwner(userId),
     title: adData.title,
     description: adData.description,
     image: adData.image || null,
@@ -214,6 +216,7 @@ const getRandomAds = async (limit = 2, userId = null) => {
 const getAdById = async (adId, userId = null) => {
   const ad = await Ad.findById(adId)
     .populate('createdBy', 'profile firstName lastName email location')
+    .populate({ path: 'business', match: { isActive: true }, select: 'name category isVerified' })
     .populate('ratings.user', 'profile firstName lastName');
 
   if (!ad) {
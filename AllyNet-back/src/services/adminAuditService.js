@@ -0,0 +1,57 @@
+const { AdminAuditLog } = require('../models');
+
+/**
+ * Admin Audit Service
+ * Writes and reads the admin audit log
+ */
+
+/**
+ * Record an admin action
+ * @param {String} adminId - Acting admin
+ * @param {String} action - AdminAuditLog action
+ * @param {Object} target - { targetType, targetId }
+ * @param {Object} details - Action specific data
+ * @param {String} ipAddress - Request IP (optional)
+ * @returns {Promise<Object>} Audit log entry
+ */
+const recordAdminAction = async (adminId, action, target, details = {}, ipAddress = null) => {
+  const entry = await AdminAuditLog.create({
+    admin: adminId,
+    action,
+    targetType: target.targetType,
+    targetId: target.targetId,
+    details,
+    ipAddress: ipAddress || undefined
+  });
+
+  console.log(`🛡️ Admin ${adminId}: ${action} ${target.targetType} ${target.targetId}`);
+
+  return entry;
+};
+
+/**
+ * Get audit log entries (newest first)
+ * @param {Object} options - { admin, action, targetType, targetId, before (ISO date), limit }
+ * @returns {Promise<Array>} Audit log entries
+ */
+const getAuditLog = async (options = {}) => {
+  const { admin = null, action = null, targetType = null, targetId = null, before = null, limit = 50 } = options;
+
+  const query = {};
+  if (admin) query.admin = admin;
+  if (action) query.action = action;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (before) query.createdAt = { $lt: new Date(before) };
+
+  return AdminAuditLog.find(query)
+    .populate('admin', 'profile firstName lastName email')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = {
+  recordAdminAction,
+  getAuditLog
+};
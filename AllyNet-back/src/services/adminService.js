@@ -0,0 +1,404 @@
+const { User, Emergency, Contact, Ad, Report, Organization } = require('../models');
+const emergencyService = require('./emergencyService');
+const { recordAdminAction } = require('./adminAuditService');
+const verificationService = require('./verificationService');
+
+/**
+ * Admin Service
+ * Admin console operations; every change is written to the admin audit log
+ */
+
+const USER_ADMIN_FIELDS = 'email profile firstName lastName role helper helperVerified verification trustScore helperRating isActive isBlocked blockedReason blockedAt lastLogin emergencyCount createdAt';
+
+// Escape user input for use in a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Search users
+ * @param {Object} options - { q (email/name), role, blocked, verification, page, limit }
+ * @returns {Promise<{users: Array, total: Number}>}
+ */
+const searchUsers = async (options = {}) => {
+  const { q = null, role = null, blocked = null, verification = null, page = 1, limit = 20 } = options;
+
+  const query = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    query.$or = [
+      { email: pattern },
+      { firstName: pattern },
+      { lastName: pattern },
+      { 'profile.firstName': pattern },
+      { 'profile.lastName': pattern }
+    ];
+  }
+  if (role) query.role = role;
+  if (blocked !== null) query.isBlocked = blocked;
+  if (verification) query['verification.status'] = verification;
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .select(USER_ADMIN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    User.countDocuments(query)
+  ]);
+
+  return { users, total };
+};
+
+/**
+ * Get a user with moderation context (warnings, reports, emergencies)
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { user, stats }
+ */
+const getUserForAdmin = async (userId) => {
+  const user = await User.findById(userId)
+    .select(`${USER_ADMIN_FIELDS} warnings`)
+    .populate('warnings.issuedBy', 'profile firstName lastName')
+    .lean();
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [reportsAgainst, openReportsAgainst, reportsFiled, emergencies] = await Promise.all([
+    Report.countDocuments({ targetUser: userId }),
+    Report.countDocuments({ targetUser: userId, status: { $in: ['open', 'in_review'] } }),
+    Report.countDocuments({ reporter: userId }),
+    Emergency.countDocuments({ user: userId })
+  ]);
+
+  return {
+    user,
+    stats: { reportsAgainst, openReportsAgainst, reportsFiled, emergencies }
+  };
+};
+
+/**
+ * Block or unblock a user
+ * @param {String} adminId - Acting admin
+ * @param {String} userId - User to (un)block
+ * @param {Boolean} blocked - New state
+ * @param {String} reason - Block reason (required to block)
+ * @param {String} ipAddress - Request IP (audit log)
+ * @returns {Promise<Object>} Updated user
+ */
+const setUserBlocked = async (adminId, userId, blocked, reason = null, ipAddress = null) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (blocked) {
+    if (user.role === 'admin') {
+      throw new Error('Admins cannot be blocked');
+    }
+    if (user.isBlocked) {
+      throw new Error('User is already blocked');
+    }
+    user.isBlocked = true;
+    user.blockedReason = reason;
+    user.blockedAt = new Date();
+  } else {
+    if (!user.isBlocked) {
+      throw new Error('User is not blocked');
+    }
+    user.isBlocked = false;
+    user.blockedReason = undefined;
+    user.blockedAt = undefined;
+  }
+
+  await user.save();
+
+  await recordAdminAction(
+    adminId,
+    blocked ? 'user_block' : 'user_unblock',
+    { targetType: 'User', targetId: user._id },
+    { reason },
+    ipAddress
+  );
+
+  return User.findById(user._id).select(USER_ADMIN_FIELDS);
+};
+
+/**
+ * Verify a helper (or revoke verification) without a pending submission
+ * @param {String} adminId - Acting admin
+ * @param {String} userId - Helper
+ * @param {Object} data - { verified, kycLevel?, notes? }
+ * @param {String} ipAddress - Request IP (audit log)
+ * @returns {Promise<Object>} Updated user
+ */
+const setHelperVerification = async (adminId, userId, data, ipAddress = null) => {
+  const { verified, kycLevel = null, notes = null } = data;
+
+  // Same state changes and audit entry as reviewing a submission
+  const user = await verificationService.reviewVerification(
+    adminId,
+    userId,
+    { approved: verified, kycLevel, notes },
+    ipAddress,
+    { requirePending: false }
+  );
+
+  return User.findById(user._id).select(USER_ADMIN_FIELDS);
+};
+
+/**
+ * Force-resolve an emergency (resolutionType admin_resolved)
+ * @param {String} adminId - Acting admin
+ * @param {String} emergencyId - Emergency ID
+ * @param {String} notes - Resolution notes
+ * @param {String} ipAddress - Request IP (audit log)
+ * @returns {Promise<Object>} Resolved emergency
+ */
+const forceResolveEmergency = async (adminId, emergencyId, notes = null, ipAddress = null) => {
+  const existing = await Emergency.findById(emergencyId).select('status');
+  if (!existing) {
+    throw new Error('Emergency not found');
+  }
+  const previousStatus = existing.status;
+
+  const emergency = await emergencyService.resolveEmergency(emergencyId, adminId, 'admin_resolved', notes, { asAdmin: true });
+
+  await recordAdminAction(
+    adminId,
+    'emergency_force_resolve',
+    { targetType: 'Emergency', targetId: emergency._id },
+    { previousStatus, notes },
+    ipAddress
+  );
+
+  return emergency;
+};
+
+/**
+ * List contact tickets (oldest open first)
+ * @param {Object} options - { status, category, page, limit }
+ * @returns {Promise<{contacts: Array, total: Number}>}
+ */
+const getContactTickets = async (options = {}) => {
+  const { status = null, category = null, page = 1, limit = 20 } = options;
+
+  const query = {};
+  if (status) query.status = status;
+  if (category) query.category = category;
+
+  const [contacts, total] = await Promise.all([
+    Contact.find(query)
+      .populate('user', 'profile firstName lastName email')
+      .populate('adminResponse.respondedBy', 'profile firstName lastName')
+      .sort({ createdAt: status === 'open' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Contact.countDocuments(query)
+  ]);
+
+  return { contacts, total };
+};
+
+/**
+ * Update a contact ticket (status and/or admin response)
+ * @param {String} adminId - Acting admin
+ * @param {String} contactId - Contact ID
+ * @param {Object} data - { status?, response? }
+ * @param {String} ipAddress - Request IP (audit log)
+ * @returns {Promise<Object>} Updated contact
+ */
+const updateContactTicket = async (adminId, contactId, data, ipAddress = null) => {
+  const { status = null, response = null } = data;
+
+  const contact = await Contact.findById(contactId);
+  if (!contact) {
+    throw new Error('Contact ticket not found');
+  }
+
+  const previousStatus = contact.status;
+
+  if (response) {
+    contact.adminResponse = {
+      message: response.trim(),
+      respondedBy: adminId,
+      respondedAt: new Date()
+    };
+    // Answering an open ticket moves it along unless a status is given
+    if (!status && contact.status === 'open') {
+      contact.status = 'in_progress';
+    }
+  }
+  if (status) {
+    contact.status = status;
+  }
+
+  await contact.save();
+
+  await recordAdminAction(
+    adminId,
+    'contact_update',
+    { targetType: 'Contact', targetId: contact._id },
+    { previousStatus, status: contact.status, responded: !!response },
+    ipAddress
+  );
+
+  await contact.populate('user', 'profile firstName lastName email');
+
+  return contact;
+};
+
+/**
+ * List ads for moderation (any status, including expired)
+ * @param {Object} options - { status, q (title/business), page, limit }
+ * @returns {Promise<{ads: Array, total: Number}>}
+ */
+const getAdsForModeration = async (options = {}) => {
+  const { status = null, q = null, page = 1, limit = 20 } = options;
+
+  const query = {};
+  if (status) query.status = status;
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    query.$or = [{ title: pattern }, { businessName: pattern }];
+  }
+
+  const [ads, total] = await Promise.all([
+    Ad.find(query)
+      .select('-viewHistory -ratings')
+      .populate('createdBy', 'profile firstName lastName email isBlocked')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Ad.countDocuments(query)
+  ]);
+
+  return { ads, total };
+};
+
+/**
+ * Activate or deactivate an ad
+ * @param {String} adminId - Acting admin
+ * @param {String} adId - Ad ID
+ * @param {String} status - 'active' | 'inactive'
+ * @param {String} reason - Optional reason
+ * @param {String} ipAddress - Request IP (audit log)
+ * @returns {Promise<Object>} Updated ad
+ */
+const setAdStatus = async (adminId, adId, status, reason = null, ipAddress = null) => {
+  const ad = await Ad.findById(adId);
+  if (!ad) {
+    throw new Error('Ad not found');
+  }
+
+  const previousStatus = ad.status;
+  ad.status = status;
+  await ad.save();
+
+  await recordAdminAction(
+    adminId,
+    'ad_status_change',
+    { targetType: 'Ad', targetId: ad._id },
+    { previousStatus, status, reason },
+    ipAddress
+  );
+
+  return ad;
+};
+
+/**
+ * Remove an ad
+ * @param {String} adminId - Acting admin
+ * @param {String} adId - Ad ID
+ * @param {String} reason - Removal reason
+ * @param {String} ipAddress - Request IP (audit log)
+ * @returns {Promise<Object>} { adId, deleted }
+ */
+const removeAd = async (adminId, adId, reason = null, ipAddress = null) => {
+  const ad = await Ad.findById(adId);
+  if (!ad) {
+    throw new Error('Ad not found');
+  }
+
+  await ad.deleteOne();
+
+  // Keep enough of the ad in the audit log to know what was removed
+  await recordAdminAction(
+    adminId,
+    'ad_remove',
+    { targetType: 'Ad', targetId: ad._id },
+    { reason, title: ad.title, businessName: ad.businessName, createdBy: ad.createdBy },
+    ipAddress
+  );
+
+  return { adId: ad._id, deleted: true };
+};
+
+/**
+ * Verify or unverify an organization
+ * Verification confirms the organization owns its auto-join email domains; unverifying turns auto-join off
+ * @param {String} adminId - Acting admin
+ * @param {String} organizationId - Organization ID
+ * @param {Boolean} verified - New state
+ * @param {String} reason - Optional reason
+ * @param {String} ipAddress - Request IP (audit log)
+ * @returns {Promise<Object>} { _id, name, isVerified, verifiedAt, autoJoin }
+ */
+const setOrganizationVerified = async (adminId, organizationId, verified, reason = null, ipAddress = null) => {
+  const organization = await Organization.findOne({ _id: organizationId, isActive: true });
+  if (!organization) {
+    throw new Error('Organization not found');
+  }
+
+  // A domain belongs to one verified organization
+  if (verified && organization.autoJoin.domains.length > 0) {
+    const claimed = await Organization.exists({
+      _id: { $ne: organization._id },
+      isActive: true,
+      isVerified: true,
+      'autoJoin.domains': { $in: organization.autoJoin.domains }
+    });
+    if (claimed) {
+      throw new Error('An email domain is already used by another organization');
+    }
+  }
+
+  organization.isVerified = verified;
+  organization.verifiedAt = verified ? new Date() : null;
+  if (!verified) {
+    organization.autoJoin.enabled = false;
+  }
+  await organization.save();
+
+  await recordAdminAction(
+    adminId,
+    verified ? 'organization_verify' : 'organization_unverify',
+    { targetType: 'Organization', targetId: organization._id },
+    { reason, domains: organization.autoJoin.domains },
+    ipAddress
+  );
+
+  return {
+    _id: organization._id,
+    name: organization.name,
+    isVerified: organization.isVerified,
+    verifiedAt: organization.verifiedAt,
+    autoJoin: organization.autoJoin
+  };
+};
+
+module.exports = {
+  searchUsers,
+  getUserForAdmin,
+  setUserBlocked,
+  setHelperVerification,
+  forceResolveEmergency,
+  getContactTickets,
+  updateContactTicket,
+  getAdsForModeration,
+  setAdStatus,
+  removeAd,
+  setOrganizationVerified
+};
@@ -0,0 +1,244 @@
+const { User, Emergency } = require('../models');
+
+/**
+ * Availability Service
+ * Helper on-duty status, quiet hours, weekly schedule and concurrency limits
+ * Used by helper matching and SOS dispatch to skip helpers who aren't available
+ */
+
+// Helper statuses that still count as "busy" on an emergency
+const BUSY_HELPER_STATUSES = ['responding', 'on_way', 'arrived'];
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ * @param {String} time - Time string
+ * @returns {Number} Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check if a minute-of-day falls inside a window (end before start wraps midnight)
+ */
+const isWithinWindow = (minuteOfDay, start, end) => {
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+
+  if (startMinutes <= endMinutes) {
+    return minuteOfDay >= startMinutes && minuteOfDay < endMinutes;
+  }
+  return minuteOfDay >= startMinutes || minuteOfDay < endMinutes;
+};
+
+/**
+ * Get local weekday and minute-of-day in a timezone
+ * @param {Date} date - Point in time
+ * @param {String} timezone - IANA timezone (falls back to UTC if invalid)
+ * @returns {{day: Number, minuteOfDay: Number}}
+ */
+const getLocalTime = (date, timezone = 'UTC') => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch (error) {
+    return getLocalTime(date, 'UTC'); // Invalid timezone stored - evaluate in UTC
+  }
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const value = (type) => parts.find(part => part.type === type)?.value;
+
+  return {
+    day: weekdays.indexOf(value('weekday')),
+    minuteOfDay: parseInt(value('hour')) * 60 + parseInt(value('minute'))
+  };
+};
+
+/**
+ * Check on-duty toggle, quiet hours and weekly schedule (no DB access)
+ * @param {Object} availability - User.availability
+ * @param {Date} date - Point in time to check (default: now)
+ * @returns {Boolean} True if the helper is available at that time
+ */
+const isScheduledAvailable = (availability, date = new Date()) => {
+  // No availability set = legacy helper, treated as always on duty
+  if (!availability) {
+    return true;
+  }
+
+  if (availability.onDuty === false) {
+    return false;
+  }
+
+  const { day, minuteOfDay } = getLocalTime(date, availability.timezone);
+
+  const quietHours = availability.quietHours;
+  if (quietHours?.enabled && quietHours.start && quietHours.end &&
+      isWithinWindow(minuteOfDay, quietHours.start, quietHours.end)) {
+    return false;
+  }
+
+  const schedule = availability.weeklySchedule || [];
+  if (schedule.length === 0) {
+    return true;
+  }
+
+  // Windows that wrap midnight belong to the day they start on
+  return schedule.some(slot => {
+    const startMinutes = toMinutes(slot.start);
+    const endMinutes = toMinutes(slot.end);
+
+    if (startMinutes <= endMinutes) {
+      return slot.day === day && minuteOfDay >= startMinutes && minuteOfDay < endMinutes;
+    }
+    return (slot.day === day && minuteOfDay >= startMinutes) ||
+      (slot.day === (day + 6) % 7 && minuteOfDay < endMinutes);
+  });
+};
+
+/**
+ * Count emergencies a helper is currently busy with
+ * @param {Array<String>} helperIds - Helper IDs
+ * @returns {Promise<Map<String, Number>>} helperId → active emergency count
+ */
+const getActiveResponseCounts = async (helperIds) => {
+  if (!helperIds || helperIds.length === 0) {
+    return new Map();
+  }
+
+  const emergencies = await Emergency.find({
+    status: { $in: ['active', 'responding'] },
+    respondingHelpers: {
+      $elemMatch: {
+        helper: { $in: helperIds },
+        status: { $in: BUSY_HELPER_STATUSES }
+      }
+    }
+  })
+    .select('respondingHelpers.helper respondingHelpers.status')
+    .lean();
+
+  const wanted = new Set(helperIds.map(id => id.toString()));
+  const counts = new Map();
+
+  emergencies.forEach(emergency => {
+    emergency.respondingHelpers.forEach(h => {
+      const id = h.helper.toString();
+      if (wanted.has(id) && BUSY_HELPER_STATUSES.includes(h.status)) {
+        counts.set(id, (counts.get(id) || 0) + 1);
+      }
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * Filter helpers down to those available right now
+ * (on duty, outside quiet hours, inside schedule, below concurrency limit)
+ * @param {Array<Object>} helpers - User documents (must include availability)
+ * @param {Date} date - Point in time to check (default: now)
+ * @returns {Promise<Array<Object>>} Available helpers (original order kept)
+ */
+const filterAvailableHelpers = async (helpers, date = new Date()) => {
+  const scheduled = helpers.filter(helper => isScheduledAvailable(helper.availability, date));
+  if (scheduled.length === 0) {
+    return [];
+  }
+
+  const counts = await getActiveResponseCounts(scheduled.map(helper => helper._id));
+
+  return scheduled.filter(helper => {
+    const maxConcurrent = helper.availability?.maxConcurrentEmergencies || 1;
+    return (counts.get(helper._id.toString()) || 0) < maxConcurrent;
+  });
+};
+
+/**
+ * Check whether a single user can take on another emergency
+ * @param {Object} user - User document
+ * @returns {Promise<Boolean>}
+ */
+const hasCapacity = async (user) => {
+  const counts = await getActiveResponseCounts([user._id]);
+  const maxConcurrent = user.availability?.maxConcurrentEmergencies || 1;
+  return (counts.get(user._id.toString()) || 0) < maxConcurrent;
+};
+
+/**
+ * Get a user's availability settings with current computed state
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { availability, availableNow, activeEmergencies }
+ */
+const getAvailability = async (userId) => {
+  const user = await User.findById(userId).select('availability');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const counts = await getActiveResponseCounts([user._id]);
+  const activeEmergencies = counts.get(user._id.toString()) || 0;
+  const maxConcurrent = user.availability?.maxConcurrentEmergencies || 1;
+
+  return {
+    availability: user.availability,
+    availableNow: isScheduledAvailable(user.availability) && activeEmergencies < maxConcurrent,
+    activeEmergencies
+  };
+};
+
+/**
+ * Update a user's availability settings (partial update)
+ * @param {String} userId - User ID
+ * @param {Object} updates - { onDuty, timezone, quietHours, weeklySchedule, maxConcurrentEmergencies }
+ * @returns {Promise<Object>} Same shape as getAvailability
+ */
+const updateAvailability = async (userId, updates = {}) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (!user.availability) {
+    user.availability = {};
+  }
+
+  const { onDuty, timezone, quietHours, weeklySchedule, maxConcurrentEmergencies } = updates;
+
+  if (onDuty !== undefined) user.availability.onDuty = onDuty;
+  if (timezone !== undefined) user.availability.timezone = timezone;
+  if (maxConcurrentEmergencies !== undefined) user.availability.maxConcurrentEmergencies = maxConcurrentEmergencies;
+
+  if (quietHours && typeof quietHours === 'object') {
+    if (quietHours.enabled !== undefined) user.availability.quietHours.enabled = quietHours.enabled;
+    if (quietHours.start !== undefined) user.availability.quietHours.start = quietHours.start;
+    if (quietHours.end !== undefined) user.availability.quietHours.end = quietHours.end;
+  }
+
+  if (weeklySchedule !== undefined) {
+    user.availability.weeklySchedule = weeklySchedule.map(slot => ({
+      day: slot.day,
+      start: slot.start,
+      end: slot.end
+    }));
+  }
+
+  await user.save();
+
+  return getAvailability(userId);
+};
+
+module.exports = {
+  isScheduledAvailable,
+  filterAvailableHelpers,
+  hasCapacity,
+  getAvailability,
+  updateAvailability
+};
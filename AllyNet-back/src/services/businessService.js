@@ -0,0 +1,406 @@
+const { Business, Ad, User } = require('../models');
+const { calculateDistanceKm } = require('../utils/geo');
+const { syncPlatformRole } = require('./platformRoleService');
+
+/**
+ * Business Service
+ * Business profiles and time-boxed promotions
+ * - A user owns at most one business; creating it gives the account the `business` role (platformRoleService)
+ * - The owner's ads are linked to the business (Ad.business) and show its page
+ * - Promotions run between validFrom and validUntil (at most BUSINESS_PROMOTION_MAX_DAYS) and can be paused
+ * - The nearby directory searches around a point (closest first) by name, category, open-now, verified and promotions
+ */
+
+const BUSINESS_CATEGORIES = Business.schema.path('category').enumValues;
+
+// Ads shown on a business page
+const BUSINESS_AD_FIELDS = 'title description image category adType radiusKm averageRating totalRatings createdAt';
+const BUSINESS_PAGE_AD_LIMIT = 20;
+
+/**
+ * Longest a promotion can run
+ * BUSINESS_PROMOTION_MAX_DAYS (default 90)
+ */
+const getPromotionMaxDays = () => parseInt(process.env.BUSINESS_PROMOTION_MAX_DAYS) || 90;
+
+/**
+ * Most businesses a directory search considers (closest first) before filtering and paging
+ * BUSINESS_DIRECTORY_MAX_RESULTS (default 500)
+ */
+const getDirectoryMaxResults = () => parseInt(process.env.BUSINESS_DIRECTORY_MAX_RESULTS) || 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load an active business
+ */
+const findBusiness = async (businessId) => {
+  const business = await Business.findOne({ _id: businessId, isActive: true });
+  if (!business) {
+    throw new Error('Business not found');
+  }
+  return business;
+};
+
+const isOwner = (business, actor) => (business.owner._id || business.owner).toString() === actor._id.toString();
+
+/**
+ * Require the owner (or a platform admin)
+ */
+const assertCanManage = (business, actor) => {
+  if (actor.role !== 'admin' && !isOwner(business, actor)) {
+    throw new Error('Not authorized to manage this business');
+  }
+};
+
+/**
+ * Promotion as returned by the API, with its status right now
+ * status: scheduled | active | paused | ended
+ */
+const serializePromotion = (promotion, now = new Date()) => ({
+  _id: promotion._id,
+  title: promotion.title,
+  description: promotion.description,
+  discount: promotion.discount,
+  validFrom: promotion.validFrom,
+  validUntil: promotion.validUntil,
+  isActive: promotion.isActive,
+  status: promotion.validUntil <= now
+    ? 'ended'
+    : !promotion.isActive
+      ? 'paused'
+      : promotion.validFrom > now
+        ? 'scheduled'
+        : 'active'
+});
+
+/**
+ * Business as returned by the API
+ * Everyone sees running promotions; the owner also sees scheduled, paused and ended ones and the subscription
+ */
+const serializeBusiness = (business, canManage = false) => {
+  const now = new Date();
+  const data = {
+    _id: business._id,
+    name: business.name,
+    description: business.description,
+    category: business.category,
+    contact: business.contact,
+    location: {
+      latitude: business.location.latitude,
+      longitude: business.location.longitude,
+      address: business.location.address
+    },
+    hours: business.hours,
+    timezone: business.timezone,
+    isOpenNow: business.isOpenAt(now),
+    isVerified: business.isVerified,
+    promotions: (canManage ? business.promotions : business.getActivePromotions(now))
+      .map(promotion => serializePromotion(promotion, now)),
+    createdAt: business.createdAt,
+    canManage
+  };
+
+  if (canManage) {
+    data.subscription = business.subscription;
+  }
+
+  return data;
+};
+
+/**
+ * Apply profile fields (create and update)
+ * @param {Object} data - { name, description, category, contact, hours, timezone, location: { latitude, longitude, address } }
+ */
+const applyProfile = (business, data) => {
+  ['name', 'description', 'category', 'contact', 'hours', 'timezone'].forEach(field => {
+    if (data[field] !== undefined) {
+      business[field] = data[field];
+    }
+  });
+
+  if (data.location) {
+    if (data.location.latitude !== undefined) business.location.latitude = data.location.latitude;
+    if (data.location.longitude !== undefined) business.location.longitude = data.location.longitude;
+    if (data.location.address !== undefined) business.location.address = data.location.address;
+  }
+};
+
+/**
+ * Create the caller's business profile and link their ads to it
+ * @param {Object} actor - Creating user
+ * @param {Object} data - { name, description, category, contact, location: { latitude, longitude, address } }
+ * @returns {Promise<Object>} Business
+ */
+const createBusiness = async (actor, data) => {
+  if (await Business.exists({ owner: actor._id, isActive: true })) {
+    throw new Error('You already have a business profile');
+  }
+
+  const business = new Business({ owner: actor._id, location: {} });
+  applyProfile(business, data);
+  try {
+    await business.save();
+  } catch (error) {
+    // The unique index catches a concurrent create that passed the check above
+    if (error.code === 11000) {
+      throw new Error('You already have a business profile');
+    }
+    throw error;
+  }
+
+  await syncPlatformRole(actor._id);
+
+  const { modifiedCount } = await Ad.updateMany(
+    { createdBy: actor._id, business: null },
+    { $set: { business: business._id } }
+  );
+
+  console.log(`🏪 Business ${business._id} created by user ${actor._id} (${modifiedCount} ads linked)`);
+
+  return serializeBusiness(business, true);
+};
+
+/**
+ * Get the caller's business profile
+ * @returns {Promise<Object|null>} Business (with adCount), or null
+ */
+const getMyBusiness = async (actor) => {
+  const business = await Business.findOne({ owner: actor._id, isActive: true });
+  if (!business) {
+    return null;
+  }
+
+  const adCount = await Ad.countDocuments({ business: business._id });
+
+  return { ...serializeBusiness(business, true), adCount };
+};
+
+/**
+ * Business page: profile, running promotions and active ads
+ * @returns {Promise<Object>} Business (with ads)
+ */
+const getBusiness = async (businessId, actor) => {
+  const business = await findBusiness(businessId);
+
+  const ads = await Ad.find({
+    business: business._id,
+    status: 'active',
+    $or: [
+      { expiresAt: { $gt: new Date() } },
+      { expiresAt: null }
+    ]
+  })
+    .select(BUSINESS_AD_FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(BUSINESS_PAGE_AD_LIMIT)
+    .lean();
+
+  const canManage = actor.role === 'admin' || isOwner(business, actor);
+
+  return { ...serializeBusiness(business, canManage), ads };
+};
+
+/**
+ * Update the business profile (owner)
+ * A new name is copied to the business's ads (Ad.businessName)
+ * @returns {Promise<Object>} Business
+ */
+const updateBusiness = async (businessId, actor, data) => {
+  const business = await findBusiness(businessId);
+  assertCanManage(business, actor);
+
+  const previousName = business.name;
+  applyProfile(business, data);
+  await business.save();
+
+  if (business.name !== previousName) {
+    await Ad.updateMany({ business: business._id }, { $set: { businessName: business.name } });
+  }
+
+  return serializeBusiness(business, true);
+};
+
+/**
+ * Check a promotion's validity window
+ */
+const assertPromotionWindow = (validFrom, validUntil) => {
+  const maxDays = getPromotionMaxDays();
+
+  if (validUntil <= validFrom) {
+    throw new Error('Promotion must end after it starts');
+  }
+  if (validUntil <= new Date()) {
+    throw new Error('Promotion must end in the future');
+  }
+  if (validUntil - validFrom > maxDays * 24 * 60 * 60 * 1000) {
+    throw new Error(`Promotions can run for at most ${maxDays} days`);
+  }
+};
+
+/**
+ * Add a promotion (owner)
+ * @param {Object} data - { title, description, discount, validFrom (default now), validUntil }
+ * @returns {Promise<Object>} Promotion
+ */
+const addPromotion = async (businessId, actor, data) => {
+  const business = await findBusiness(businessId);
+  assertCanManage(business, actor);
+
+  const validFrom = data.validFrom ? new Date(data.validFrom) : new Date();
+  const validUntil = new Date(data.validUntil);
+  assertPromotionWindow(validFrom, validUntil);
+
+  business.promotions.push({
+    title: data.title,
+    description: data.description,
+    discount: data.discount,
+    validFrom,
+    validUntil
+  });
+  await business.save();
+
+  const promotion = business.promotions[business.promotions.length - 1];
+  console.log(`🏪 Promotion ${promotion._id} added to business ${business._id} (${validFrom.toISOString()} - ${validUntil.toISOString()})`);
+
+  return serializePromotion(promotion);
+};
+
+/**
+ * Update a promotion (owner) - isActive pauses or resumes it
+ * @param {Object} data - { title, description, discount, validFrom, validUntil, isActive }
+ * @returns {Promise<Object>} Promotion
+ */
+const updatePromotion = async (businessId, actor, promotionId, data) => {
+  const business = await findBusiness(businessId);
+  assertCanManage(business, actor);
+
+  const promotion = business.promotions.id(promotionId);
+  if (!promotion) {
+    throw new Error('Promotion not found');
+  }
+
+  ['title', 'description', 'discount', 'isActive'].forEach(field => {
+    if (data[field] !== undefined) {
+      promotion[field] = data[field];
+    }
+  });
+
+  if (data.validFrom !== undefined || data.validUntil !== undefined) {
+    const validFrom = data.validFrom !== undefined ? new Date(data.validFrom) : promotion.validFrom;
+    const validUntil = data.validUntil !== undefined ? new Date(data.validUntil) : promotion.validUntil;
+    assertPromotionWindow(validFrom, validUntil);
+    promotion.validFrom = validFrom;
+    promotion.validUntil = validUntil;
+  }
+
+  await business.save();
+
+  return serializePromotion(promotion);
+};
+
+/**
+ * Delete a promotion (owner)
+ */
+const removePromotion = async (businessId, actor, promotionId) => {
+  const business = await findBusiness(businessId);
+  assertCanManage(business, actor);
+
+  const promotion = business.promotions.id(promotionId);
+  if (!promotion) {
+    throw new Error('Promotion not found');
+  }
+
+  promotion.deleteOne();
+  await business.save();
+};
+
+/**
+ * Nearby business directory (closest first)
+ * Open-now depends on each business's hours and time zone, so it is applied after the geo query;
+ * only the closest BUSINESS_DIRECTORY_MAX_RESULTS matches are considered
+ * @param {Object} options - { latitude, longitude, radiusMeters, q, category, openNow, verifiedOnly, hasPromotion, page, limit }
+ * @returns {Promise<Object>} { businesses (with distanceKm and adCount), total }
+ */
+const searchDirectory = async (options) => {
+  const {
+    latitude,
+    longitude,
+    radiusMeters = 10000,
+    q = null,
+    category = null,
+    openNow = false,
+    verifiedOnly = false,
+    hasPromotion = false,
+    page = 1,
+    limit = 20
+  } = options;
+  const now = new Date();
+
+  const filters = {};
+  if (q && q.trim()) {
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    filters.$or = [{ name: pattern }, { description: pattern }];
+  }
+  if (verifiedOnly) {
+    filters.isVerified = true;
+  }
+  if (hasPromotion) {
+    filters.promotions = {
+      $elemMatch: { isActive: true, validFrom: { $lte: now }, validUntil: { $gt: now } }
+    };
+  }
+
+  let matches = await Business.findNearby(latitude, longitude, radiusMeters, category, getDirectoryMaxResults(), filters);
+  if (openNow) {
+    matches = matches.filter(business => business.isOpenAt(now) === true);
+  }
+
+  const pageItems = matches.slice((page - 1) * limit, page * limit);
+
+  // Active ads per business on this page
+  const adCounts = await Ad.aggregate([
+    {
+      $match: {
+        business: { $in: pageItems.map(business => business._id) },
+        status: 'active',
+        $or: [
+          { expiresAt: { $gt: now } },
+          { expiresAt: null }
+        ]
+      }
+    },
+    { $group: { _id: '$business', count: { $sum: 1 } } }
+  ]);
+  const adCountById = new Map(adCounts.map(entry => [entry._id.toString(), entry.count]));
+
+  const businesses = pageItems.map(business => ({
+    ...serializeBusiness(business, false),
+    distanceKm: Math.round(calculateDistanceKm(latitude, longitude, business.location.latitude, business.location.longitude) * 10) / 10,
+    adCount: adCountById.get(business._id.toString()) || 0
+  }));
+
+  return { businesses, total: matches.length };
+};
+
+/**
+ * Business linked to a new ad: the creator's active business, if any
+ * @returns {Promise<String|null>} Business ID
+ */
+const getBusinessIdForOwner = async (userId) => {
+  const business = await Business.findOne({ owner: userId, isActive: true }).select('_id');
+  return business ? business._id : null;
+};
+
+module.exports = {
+  BUSINESS_CATEGORIES,
+  createBusiness,
+  getMyBusiness,
+  getBusiness,
+  updateBusiness,
+  addPromotion,
+  updatePromotion,
+  removePromotion,
+  searchDirectory,
+  getBusinessIdForOwner
+};
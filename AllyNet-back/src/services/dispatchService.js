@@ -0,0 +1,116 @@
+const { User, DispatchLog } = require('../models');
+const availabilityService = require('./availabilityService');
+const { getVerificationPolicy } = require('./verificationService');
+const { getThrottledSosHelperLimit } = require('./rateLimitService');
+
+/**
+ * Dispatch Service
+ * Targeted helper dispatch for SOS alerts
+ * Selects eligible helpers near an emergency and records who was alerted,
+ * so notifications go only to those helpers' user rooms (never a global broadcast)
+ */
+
+// Upper bound on helpers alerted per dispatch
+const MAX_DISPATCH_HELPERS = 200;
+
+/**
+ * Select helpers eligible to be alerted for an emergency
+ * Within radius, active, not blocked, on duty (User.findNearbyHelpers), not the victim,
+ * not already responding, and available (quiet hours, schedule, concurrency limit)
+ * Verified helpers only for emergency types that require them, verified helpers first otherwise
+ * @param {Object} emergency - Emergency document
+ * @param {Number} radiusKm - Search radius in km (defaults to emergency.avoidRadiusKm)
+ * @returns {Promise<Array<String>>} Eligible helper IDs
+ */
+const selectEligibleHelpers = async (emergency, radiusKm = null) => {
+  const searchRadiusKm = radiusKm || emergency.avoidRadiusKm || 5;
+
+  const helpers = await User.findNearbyHelpers(
+    emergency.location.latitude,
+    emergency.location.longitude,
+    searchRadiusKm * 1000,
+    MAX_DISPATCH_HELPERS,
+    { verifiedOnly: getVerificationPolicy(emergency.type) === 'require' }
+  );
+
+  const victimId = emergency.user?._id?.toString() || emergency.user?.toString();
+  const respondingIds = new Set(
+    (emergency.respondingHelpers || []).map(h => h.helper?._id?.toString() || h.helper?.toString())
+  );
+
+  const availableHelpers = await availabilityService.filterAvailableHelpers(helpers);
+
+  return availableHelpers
+    .map(helper => helper._id.toString())
+    .filter(id => id !== victimId && !respondingIds.has(id));
+};
+
+/**
+ * Get IDs of helpers already alerted for an emergency
+ * @param {String} emergencyId - Emergency ID
+ * @returns {Promise<Set<String>>} Set of helper IDs
+ */
+const getDispatchedHelperIds = async (emergencyId) => {
+  const helperIds = await DispatchLog.distinct('helper', { emergency: emergencyId });
+  return new Set(helperIds.map(id => id.toString()));
+};
+
+/**
+ * Record a dispatch in the log
+ * @param {Object} emergency - Emergency document
+ * @param {Array<String>} helperIds - Helpers alerted
+ * @param {Object} options - { trigger, radiusKm, escalationLevel }
+ * @returns {Promise<Array>} Created log entries
+ */
+const recordDispatch = async (emergency, helperIds, options = {}) => {
+  if (!helperIds || helperIds.length === 0) {
+    return [];
+  }
+
+  const {
+    trigger = 'created',
+    radiusKm = emergency.avoidRadiusKm,
+    escalationLevel = emergency.escalationLevel || 0
+  } = options;
+
+  const dispatchedAt = new Date();
+
+  return DispatchLog.insertMany(helperIds.map(helperId => ({
+    emergency: emergency._id,
+    helper: helperId,
+    trigger,
+    radiusKm,
+    escalationLevel,
+    dispatchedAt
+  })));
+};
+
+/**
+ * Dispatch a newly created emergency
+ * Selects eligible helpers within the emergency radius and logs the dispatch
+ * Helpers already alerted are skipped (idempotent SOS retries don't re-alert)
+ * SOS alerts created over the rate limit (emergency.rateLimited) only reach the top-ranked few
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<Array<String>>} Helper IDs to notify
+ */
+const dispatchEmergency = async (emergency) => {
+  const [eligibleIds, alreadyDispatched] = await Promise.all([
+    selectEligibleHelpers(emergency),
+    getDispatchedHelperIds(emergency._id)
+  ]);
+
+  let helperIds = eligibleIds.filter(id => !alreadyDispatched.has(id));
+  if (emergency.rateLimited) {
+    helperIds = helperIds.slice(0, Math.max(0, getThrottledSosHelperLimit() - alreadyDispatched.size));
+  }
+
+  await recordDispatch(emergency, helperIds, { trigger: 'created' });
+  return helperIds;
+};
+
+module.exports = {
+  selectEligibleHelpers,
+  getDispatchedHelperIds,
+  recordDispatch,
+  dispatchEmergency
+};
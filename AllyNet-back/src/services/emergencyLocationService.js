@@ -0,0 +1,192 @@
+const { Emergency, EmergencyLocation, User } = require('../models');
+const { calculateDistanceKm } = require('../utils/geo');
+
+/**
+ * Emergency Location Service
+ * Live location trail for active SOS sessions
+ * The owner's device streams positions; each one is appended to the trail
+ * and becomes the emergency's current location.
+ * Responding helpers stream their own positions to keep distance/ETA up to date.
+ */
+
+// Assumed travel speed when the device doesn't report a usable one (brisk walk)
+const DEFAULT_HELPER_SPEED_KMH = 5;
+
+// Below this device speed (m/s) the helper is considered stationary - use the default instead
+const MIN_MOVING_SPEED_MS = 0.5;
+
+// Helper statuses that no longer need live tracking
+const TRACKING_ENDED_STATUSES = ['arrived', 'completed', 'cancelled'];
+
+/**
+ * Record a live location point from the emergency owner
+ * @param {String} emergencyId - Emergency ID
+ * @param {String} userId - User ID streaming the location (must be owner)
+ * @param {Object} locationData - { latitude, longitude, accuracy, heading, speed, recordedAt }
+ * @returns {Promise<{point: Object, emergency: Object}>} Saved trail point and updated emergency
+ */
+const recordOwnerLocation = async (emergencyId, userId, locationData = {}) => {
+  const latitude = parseFloat(locationData.latitude);
+  const longitude = parseFloat(locationData.longitude);
+
+  if (isNaN(latitude) || latitude < -90 || latitude > 90 ||
+      isNaN(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error('Valid latitude and longitude are required');
+  }
+
+  const emergency = await Emergency.findById(emergencyId);
+  if (!emergency) {
+    throw new Error('Emergency not found');
+  }
+
+  // Only the SOS owner may move the emergency location
+  if (emergency.user.toString() !== userId.toString()) {
+    throw new Error('Only the emergency creator can share live location');
+  }
+
+  if (emergency.status !== 'active' && emergency.status !== 'responding') {
+    throw new Error('Can only share location for active or responding emergencies');
+  }
+
+  // Optional device metadata - ignore anything that isn't a usable number
+  const toOptionalNumber = (value) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? undefined : parsed;
+  };
+
+  const recordedAt = locationData.recordedAt ? new Date(locationData.recordedAt) : new Date();
+
+  const point = await EmergencyLocation.create({
+    emergencyId: emergency._id,
+    user: userId,
+    latitude,
+    longitude,
+    accuracy: toOptionalNumber(locationData.accuracy),
+    heading: toOptionalNumber(locationData.heading),
+    speed: toOptionalNumber(locationData.speed),
+    recordedAt: isNaN(recordedAt.getTime()) ? new Date() : recordedAt
+  });
+
+  // Emergency.location tracks the latest known position (pre-save syncs coordinates)
+  emergency.location.latitude = latitude;
+  emergency.location.longitude = longitude;
+  await emergency.save();
+
+  return { point, emergency };
+};
+
+/**
+ * Record a live location point from a responding helper
+ * Recalculates straight-line distance and ETA to the emergency location
+ * @param {String} emergencyId - Emergency ID
+ * @param {String} helperId - Helper user ID (must be in respondingHelpers)
+ * @param {Object} locationData - { latitude, longitude, speed }
+ * @returns {Promise<Object>} { emergency, status, tracking: { location, distanceKm, estimatedArrival } }
+ */
+const recordHelperLocation = async (emergencyId, helperId, locationData = {}) => {
+  const latitude = parseFloat(locationData.latitude);
+  const longitude = parseFloat(locationData.longitude);
+
+  if (isNaN(latitude) || latitude < -90 || latitude > 90 ||
+      isNaN(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error('Valid latitude and longitude are required');
+  }
+
+  const emergency = await Emergency.findById(emergencyId);
+  if (!emergency) {
+    throw new Error('Emergency not found');
+  }
+
+  if (emergency.status !== 'active' && emergency.status !== 'responding') {
+    throw new Error('Can only share location for active or responding emergencies');
+  }
+
+  const helperEntry = emergency.respondingHelpers.find(
+    h => h.helper.toString() === helperId.toString()
+  );
+
+  if (!helperEntry) {
+    throw new Error('Only responding helpers can share live location');
+  }
+
+  if (TRACKING_ENDED_STATUSES.includes(helperEntry.status)) {
+    throw new Error(`Helper is already ${helperEntry.status}`);
+  }
+
+  const distanceKm = calculateDistanceKm(
+    latitude,
+    longitude,
+    emergency.location.latitude,
+    emergency.location.longitude
+  );
+
+  // Prefer the device-reported speed when the helper is actually moving
+  const deviceSpeed = parseFloat(locationData.speed);
+  const speedKmh = !isNaN(deviceSpeed) && deviceSpeed >= MIN_MOVING_SPEED_MS
+    ? deviceSpeed * 3.6
+    : DEFAULT_HELPER_SPEED_KMH;
+
+  const now = new Date();
+  const estimatedArrival = new Date(now.getTime() + (distanceKm / speedKmh) * 60 * 60 * 1000);
+
+  helperEntry.lastLocation = { latitude, longitude, updatedAt: now };
+  helperEntry.distanceKm = Math.round(distanceKm * 100) / 100;
+  helperEntry.estimatedArrival = estimatedArrival;
+
+  // First position from a helper who accepted means they're on their way
+  if (helperEntry.status === 'responding') {
+    helperEntry.status = 'on_way';
+  }
+
+  await emergency.save();
+
+  // Keep the helper's own location fresh too (same as location:update)
+  const helper = await User.findById(helperId);
+  if (helper) {
+    helper.location = {
+      type: 'Point',
+      coordinates: [longitude, latitude] // [longitude, latitude] for GeoJSON
+    };
+    await helper.save();
+  }
+
+  return {
+    emergency,
+    status: helperEntry.status,
+    tracking: {
+      location: helperEntry.lastLocation,
+      distanceKm: helperEntry.distanceKm,
+      estimatedArrival
+    }
+  };
+};
+
+/**
+ * Get the location trail for an emergency (oldest first)
+ * @param {String} emergencyId - Emergency ID
+ * @param {Object} options - Query options (limit, since)
+ * @returns {Promise<Array>} Array of trail points
+ */
+const getLocationTrail = async (emergencyId, options = {}) => {
+  const { limit = 500, since = null } = options;
+
+  const query = { emergencyId };
+  if (since) {
+    query.recordedAt = { $gt: new Date(since) };
+  }
+
+  // Fetch the most recent points, then return them in chronological order
+  const points = await EmergencyLocation.find(query)
+    .select('latitude longitude accuracy heading speed recordedAt')
+    .sort({ recordedAt: -1 })
+    .limit(parseInt(limit))
+    .lean();
+
+  return points.reverse();
+};
+
+module.exports = {
+  recordOwnerLocation,
+  recordHelperLocation,
+  getLocationTrail
+};
@@ -1,6 +1,13 @@
 const { Emergency, User } = require('../models');
 const { randomUUID } = require('crypto');
-const { sendEmergencyEmail } = require('../utils/emailService');
+const { sendEmergencyEmail, sendEmergencyResolvedEmail } = require('../utils/emailService');
+const { sendEmergencySMS } = require('../utils/smsService');
+const availabilityService = require('./availabilityService');
+const reputationService = require('./reputationService');
+const { recomputeHelperRating } = require('./ratingService');
+const { getVerificationPolicy } = require('./verificationService');
+const rateLimitService = require('./rateLimitService');
+const { alertOrganization } = require('./organizationAlertService');
 
 /**
  * Emergency Service
@@ -11,6 +18,8 @@ const { sendEmergencyEmail } = require('../utils/emailService');
 /**
  * Create Emergency (SOS)
  * Prevents duplicate active emergencies per user (idempotent)
+ * Never rejected for rate limiting: an SOS over the user's `sos` limit is created with rateLimited set,
+ * so dispatch alerts only a few helpers at first (escalation still widens it if nobody responds)
  * @param {Object} emergencyData - Emergency creation data
  * @param {String} userId - User ID creating the emergency
  * @param {String} requestId - Optional request ID for idempotency
@@ -30,12 +39,18 @@ const createEmergency = async (emergencyData, userId, requestId = null) => {
     throw new Error('User already has an active emergency. Please resolve the current emergency first.');
   }
 
-  // Validate user exists and is active (also fetch emergency contacts for SMS)
-  const user = await User.findById(userId).select('emergencyContacts profile firstName lastName email isActive isBlocked');
+  // Validate user exists and is active (also fetch emergency contacts for SMS and the organization to alert)
+  const user = await User.findById(userId).select('emergencyContacts organization profile firstName lastName email isActive isBlocked');
   if (!user || !user.isActive || user.isBlocked) {
     throw new Error('User not found or account is inactive');
   }
 
+  // Count only new SOS alerts - idempotent retries returned above
+  const sosLimit = await rateLimitService.consume('sos', userId.toString());
+  if (!sosLimit.allowed) {
+    console.warn(`🚦 SOS rate limit exceeded for user ${userId} - creating with reduced dispatch`);
+  }
+
   // Generate requestId for idempotency if not provided
   const finalRequestId = requestId || randomUUID();
 
@@ -44,6 +59,8 @@ const createEmergency = async (emergencyData, userId, requestId = null) => {
   const radiusOptions = [5, 10, 15]; // in km
   let finalRadiusKm = 5; // default start
   let helperCount = 0;
+  // Only count helpers that dispatch may alert for this emergency type
+  const verifiedOnly = getVerificationPolicy(emergencyData.type || 'other') === 'require';
 
   for (const radiusKm of radiusOptions) {
     const radiusMeters = radiusKm * 1000;
@@ -51,10 +68,12 @@ const createEmergency = async (emergencyData, userId, requestId = null) => {
       emergencyData.location.latitude,
       emergencyData.location.longitude,
       radiusMeters,
-      50
+      50,
+      { verifiedOnly }
     );
     
-    helperCount = helpers.length;
+    // Only count helpers who are actually available right now
+    helperCount = (await availabilityService.filterAvailableHelpers(helpers)).length;
     finalRadiusKm = radiusKm;
     
     // If we found at least 3 helpers, use this radius
@@ -87,6 +106,7 @@ const createEmergency = async (emergencyData, userId, requestId = null) => {
     priority: emergencyData.priority || 'high',
     severity: emergencyData.severity || 5,
     requestId: finalRequestId,
+    rateLimited: !sosLimit.allowed,
     status: 'active'
   });
 
@@ -106,11 +126,30 @@ const createEmergency = async (emergencyData, userId, requestId = null) => {
     // Don't fail emergency creation if email fails
   }
 
+  // Send SMS to emergency contacts with a phone number (non-blocking, tracked per contact)
+  try {
+    if (user.emergencyContacts && user.emergencyContacts.length > 0) {
+      sendEmergencySMS(user.emergencyContacts, emergency, user).catch(error => {
+        console.error('⚠️ Error sending emergency SMS notifications:', error);
+        // Don't fail emergency creation if SMS fails
+      });
+    }
+  } catch (smsError) {
+    console.error('⚠️ Error initiating SMS notifications:', smsError);
+    // Don't fail emergency creation if SMS fails
+  }
+
+  // Alert the user's organization per its emergency settings (non-blocking, logged per recipient)
+  alertOrganization(emergency, user).catch(error => {
+    console.error('⚠️ Error sending organization SOS alerts:', error);
+    // Don't fail emergency creation if organization alerts fail
+  });
+
   return emergency;
 };
 
 /**
- * Find nearby helpers for an emergency
+ * Find nearby helpers for an emergency (available helpers only)
  * @param {Number} latitude - Emergency latitude
  * @param {Number} longitude - Emergency longitude
  * @param {Number} radiusMeters - Search radius in meters (default: user's radius or 5000m)
@@ -120,7 +159,7 @@ const createEmergency = async (emergencyData, userId, requestId = null) => {
 const findNearbyHelpers = async (latitude, longitude, radiusMeters = 5000, limit = 50) => {
   try {
     const helpers = await User.findNearbyHelpers(latitude, longitude, radiusMeters, limit);
-    return helpers;
+    return availabilityService.filterAvailableHelpers(helpers);
   } catch (error) {
     throw new Error(`Error finding nearby helpers: ${error.message}`);
   }
@@ -210,6 +249,7 @@ const getEmergencyById = async (emergencyId, userId = null) => {
  * - user != helperId (creator is NOT the helper)
  * - helperId NOT IN respondingHelpers (helper hasn't accepted yet)
  * - helper is within emergency's avoidRadiusKm (CRITICAL: radius-based filtering)
+ * - helper is on duty and inside their schedule (off-duty helpers get no notifications)
  */
 const getPendingEmergenciesForHelper = async (helperId) => {
   try {
@@ -218,12 +258,17 @@ const getPendingEmergenciesForHelper = async (helperId) => {
     }
 
     // Get helper's location (required for radius filtering)
-    const helper = await User.findById(helperId).select('location');
+    const helper = await User.findById(helperId).select('location availability');
     if (!helper || !helper.location || !helper.location.latitude || !helper.location.longitude) {
       // Helper has no location - return empty array (can't filter by radius)
       return [];
     }
 
+    // Helper is off duty / in quiet hours / outside schedule - nothing to show
+    if (!availabilityService.isScheduledAvailable(helper.availability)) {
+      return [];
+    }
+
     const helperLat = helper.location.latitude;
     const helperLon = helper.location.longitude;
 
@@ -468,12 +513,22 @@ const addRespondingHelper = async (emergencyId, helperId, estimatedArrival = nul
     throw new Error('You cannot respond to your own emergency');
   }
 
+  // Respect helper's concurrency limit (availability settings)
+  const alreadyResponding = emergency.respondingHelpers.some(
+    h => h.helper.toString() === helperId.toString()
+  );
+  if (!alreadyResponding && !(await availabilityService.hasCapacity(helper))) {
+    throw new Error('You are already responding to the maximum number of concurrent emergencies');
+  }
+
   // Add helper using model method
   await emergency.addRespondingHelper(helperId, estimatedArrival);
 
-  // Increase helper's trust score by 50 (capped at 1000) when they accept/respond to SOS
-  helper.trustScore = Math.min(1000, (helper.trustScore || 0) + 50);
-  await helper.save();
+  // Credit the helper for responding (once per emergency)
+  await reputationService.recordTrustEvent(helperId, 'sos_response', {
+    sourceModel: 'Emergency',
+    sourceId: emergency._id
+  });
 
   // Populate and return
   await emergency.populate('respondingHelpers.helper', 'profile firstName lastName helperRating trustScore');
@@ -510,9 +565,10 @@ const updateHelperStatus = async (emergencyId, helperId, status, notes = null) =
  * @param {String} resolvedBy - User ID who resolved (can be user or helper)
  * @param {String} resolutionType - Type of resolution (user_resolved, helper_resolved, etc.)
  * @param {String} notes - Optional resolution notes
+ * @param {Object} options - { asAdmin: skip the owner/helper check (admin console) }
  * @returns {Promise<Object>} Resolved emergency
  */
-const resolveEmergency = async (emergencyId, resolvedBy, resolutionType = 'user_resolved', notes = null) => {
+const resolveEmergency = async (emergencyId, resolvedBy, resolutionType = 'user_resolved', notes = null, options = {}) => {
   const emergency = await Emergency.findById(emergencyId);
   if (!emergency) {
     throw new Error('Emergency not found');
@@ -524,7 +580,7 @@ const resolveEmergency = async (emergencyId, resolvedBy, resolutionType = 'user_
     h => h.helper.toString() === resolvedBy.toString()
   );
 
-  if (!isOwner && !isRespondingHelper) {
+  if (!options.asAdmin && !isOwner && !isRespondingHelper) {
     throw new Error('Not authorized to resolve this emergency');
   }
 
@@ -540,6 +596,11 @@ const resolveEmergency = async (emergencyId, resolvedBy, resolutionType = 'user_
   // Note: Trust score increase is handled in addRespondingHelper (when helper accepts SOS)
   // We do NOT increase trust score again on resolution to avoid double-counting
 
+  // All-clear to the contacts that got the SOS email (non-blocking)
+  sendEmergencyResolvedEmail(emergency).catch(error => {
+    console.error('⚠️ Error sending SOS resolved emails:', error);
+  });
+
   await emergency.populate('respondingHelpers.helper', 'profile firstName lastName helperRating trustScore');
   await emergency.populate('user', 'profile firstName lastName email location');
 
@@ -566,12 +627,99 @@ const cancelEmergency = async (emergencyId, userId, reason = null) => {
 
   await emergency.cancel(reason);
 
+  // All-clear to the contacts that got the SOS email (non-blocking)
+  sendEmergencyResolvedEmail(emergency).catch(error => {
+    console.error('⚠️ Error sending SOS resolved emails:', error);
+  });
+
   await emergency.populate('respondingHelpers.helper', 'profile firstName lastName helperRating trustScore');
   await emergency.populate('user', 'profile firstName lastName email location');
 
   return emergency;
 };
 
+/**
+ * Submit the post-emergency debrief (owner only, once)
+ * Ratings flow into the helpers' helperRating and trust score; misconduct flags cost trust
+ * @param {String} emergencyId - Emergency ID
+ * @param {String} userId - User ID (must be owner)
+ * @param {Object} debriefData - { summary?, helpers: [{ helperId, arrived, rating?, comment?, misconduct?, misconductReason? }] }
+ * @returns {Promise<Object>} Updated emergency
+ */
+const submitEmergencyDebrief = async (emergencyId, userId, debriefData) => {
+  const { summary = null, helpers = [] } = debriefData;
+
+  const emergency = await Emergency.findById(emergencyId);
+  if (!emergency) {
+    throw new Error('Emergency not found');
+  }
+
+  // Only owner can debrief
+  if (emergency.user.toString() !== userId.toString()) {
+    throw new Error('Only the emergency creator can submit a debrief');
+  }
+
+  const helperFeedback = helpers.map(entry => ({
+    helper: entry.helperId,
+    arrived: !!entry.arrived,
+    rating: entry.rating || undefined,
+    comment: entry.comment || undefined,
+    misconduct: {
+      flagged: !!entry.misconduct,
+      reason: entry.misconduct ? entry.misconductReason || undefined : undefined
+    }
+  }));
+
+  await emergency.submitDebrief(summary, helperFeedback);
+
+  for (const feedback of helperFeedback) {
+    if (feedback.rating) {
+      await recomputeHelperRating(feedback.helper);
+      await reputationService.recordRatingReceived(feedback.helper, feedback.rating, {
+        sourceModel: 'Emergency',
+        sourceId: emergency._id
+      });
+    }
+
+    if (feedback.misconduct.flagged) {
+      await reputationService.recordTrustEvent(feedback.helper, 'sos_misconduct', {
+        sourceModel: 'Emergency',
+        sourceId: emergency._id,
+        note: feedback.misconduct.reason
+      });
+      console.log(`🚩 Helper ${feedback.helper} flagged for misconduct in emergency ${emergency._id}`);
+    }
+  }
+
+  await emergency.populate('respondingHelpers.helper', 'profile firstName lastName helperRating trustScore');
+  await emergency.populate('debrief.helperFeedback.helper', 'profile firstName lastName');
+
+  return emergency;
+};
+
+/**
+ * Answer an inactivity check-in ("are you still in danger?")
+ * Clears the pending check-in so the emergency is not auto-expired
+ * @param {String} emergencyId - Emergency ID
+ * @param {String} userId - User ID (must be owner)
+ * @returns {Promise<Object>} Updated emergency
+ */
+const confirmCheckIn = async (emergencyId, userId) => {
+  const emergency = await Emergency.findById(emergencyId);
+  if (!emergency) {
+    throw new Error('Emergency not found');
+  }
+
+  // Only owner can answer the check-in
+  if (emergency.user.toString() !== userId.toString()) {
+    throw new Error('Only the emergency creator can answer the check-in');
+  }
+
+  await emergency.confirmCheckIn();
+
+  return emergency;
+};
+
 /**
  * Delete emergency (only resolved/cancelled, creator only)
  * @param {String} emergencyId - Emergency ID
@@ -671,6 +819,8 @@ module.exports = {
   updateHelperStatus,
   resolveEmergency,
   cancelEmergency,
+  submitEmergencyDebrief,
+  confirmCheckIn,
   deleteEmergency,
   getNearbyActiveEmergencies,
   getUserEmergencyHistory,
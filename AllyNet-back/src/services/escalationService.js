@@ -0,0 +1,123 @@
+const { Emergency } = require('../models');
+const dispatchService = require('./dispatchService');
+
+/**
+ * Escalation Service
+ * Background SOS escalation engine
+ * While nobody responds to an active emergency, each configured window widens
+ * the search radius (5km → 10km → 15km), bumps priority, dispatches to the newly
+ * covered helpers, and records the step in the emergency's escalation history
+ * Scheduled by the background jobs runner (src/jobs)
+ */
+
+// Radius steps (km) - must stay within Emergency.avoidRadiusKm bounds
+const RADIUS_STEPS_KM = [5, 10, 15];
+
+// Priority ladder (lowest → highest)
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Get escalation windows (minutes since activation for each step)
+ * Configurable via SOS_ESCALATION_WINDOWS_MINUTES, e.g. "2,5,10"
+ * @returns {Array<Number>} Ascending list of windows in minutes
+ */
+const getEscalationWindows = () => {
+  const windows = (process.env.SOS_ESCALATION_WINDOWS_MINUTES || '2,5,10')
+    .split(',')
+    .map(value => parseFloat(value.trim()))
+    .filter(value => !isNaN(value) && value > 0);
+
+  return windows.sort((a, b) => a - b);
+};
+
+/**
+ * Escalate a single emergency by one step
+ * @param {Object} emergency - Emergency document (must be active)
+ * @returns {Promise<{emergency: Object, step: Object, notifiedHelperIds: Array<String>}>}
+ */
+const escalateEmergency = async (emergency) => {
+  const currentRadiusKm = emergency.avoidRadiusKm || RADIUS_STEPS_KM[0];
+  const nextRadiusKm = RADIUS_STEPS_KM.find(radius => radius > currentRadiusKm) || currentRadiusKm;
+
+  const currentPriorityIndex = Math.max(PRIORITY_LEVELS.indexOf(emergency.priority), 0);
+  const nextPriority = PRIORITY_LEVELS[Math.min(currentPriorityIndex + 1, PRIORITY_LEVELS.length - 1)];
+
+  // Only helpers not alerted before get notified (newly covered by the wider radius,
+  // or moved into range since the last dispatch)
+  const [eligibleIds, alreadyDispatched] = await Promise.all([
+    dispatchService.selectEligibleHelpers(emergency, nextRadiusKm),
+    dispatchService.getDispatchedHelperIds(emergency._id)
+  ]);
+  const notifiedHelperIds = eligibleIds.filter(id => !alreadyDispatched.has(id));
+
+  await emergency.escalate(nextRadiusKm, nextPriority, notifiedHelperIds.length);
+
+  const step = emergency.escalationHistory[emergency.escalationHistory.length - 1];
+  await dispatchService.recordDispatch(emergency, notifiedHelperIds, {
+    trigger: 'escalation',
+    radiusKm: nextRadiusKm,
+    escalationLevel: step.level
+  });
+
+  return { emergency, step, notifiedHelperIds };
+};
+
+/**
+ * Run one escalation pass over all unanswered active emergencies
+ * @returns {Promise<Number>} Number of emergencies escalated
+ */
+const runEscalationCycle = async () => {
+  const windows = getEscalationWindows();
+  if (windows.length === 0) {
+    return 0;
+  }
+
+  // Active = nobody has responded yet (first helper switches status to 'responding')
+  const candidates = await Emergency.find({
+    status: 'active',
+    escalationLevel: { $lt: windows.length }
+  });
+
+  const now = Date.now();
+  let escalatedCount = 0;
+
+  for (const emergency of candidates) {
+    if (emergency.respondingHelpers && emergency.respondingHelpers.length > 0) {
+      continue;
+    }
+
+    const activatedAt = emergency.activatedAt || emergency.createdAt;
+    const minutesActive = (now - new Date(activatedAt).getTime()) / (60 * 1000);
+    if (minutesActive < windows[emergency.escalationLevel]) {
+      continue;
+    }
+
+    try {
+      const { step, notifiedHelperIds } = await escalateEmergency(emergency);
+      escalatedCount++;
+
+      console.log(`⚠️ Emergency ${emergency._id} escalated to level ${step.level}: ${step.fromRadiusKm}km → ${step.toRadiusKm}km, priority ${step.toPriority}`);
+
+      // Socket notification is best-effort - escalation is already recorded
+      try {
+        const { getEmergencyNamespace } = require('../sockets');
+        const { emitEmergencyEscalated } = require('../sockets/emergencySocket');
+        if (notifiedHelperIds.length > 0) {
+          emitEmergencyEscalated(getEmergencyNamespace(), emergency, notifiedHelperIds, step);
+        }
+      } catch (socketError) {
+        console.error('⚠️ Error emitting escalation event (escalation still recorded):', socketError.message);
+      }
+    } catch (error) {
+      console.error(`❌ Error escalating emergency ${emergency._id}:`, error.message);
+    }
+  }
+
+  return escalatedCount;
+};
+
+module.exports = {
+  getEscalationWindows,
+  escalateEmergency,
+  runEscalationCycle
+};
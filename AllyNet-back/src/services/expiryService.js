@@ -0,0 +1,226 @@
+const { Emergency, HelpRequest, Ad } = require('../models');
+const { sendEmergencyResolvedEmail } = require('../utils/emailService');
+
+/**
+ * Expiry Service
+ * Background clean-up of content that outlived its purpose:
+ * - Abandoned emergencies: owner gets an "are you still in danger?" check-in after
+ *   a period of inactivity, and the SOS is auto-expired if nobody answers in time
+ * - Open help requests past expiresAt → expired
+ * - Active ads past expiresAt → expired
+ */
+
+// Statuses that count as a live SOS
+const LIVE_EMERGENCY_STATUSES = ['active', 'responding'];
+
+/**
+ * Get emergency expiry timings (minutes)
+ * Configurable via SOS_CHECK_IN_AFTER_MINUTES and SOS_CHECK_IN_GRACE_MINUTES
+ * @returns {{checkInAfterMinutes: Number, graceMinutes: Number}}
+ */
+const getEmergencyExpiryConfig = () => ({
+  // Inactivity before the owner is asked whether they still need help
+  checkInAfterMinutes: parseFloat(process.env.SOS_CHECK_IN_AFTER_MINUTES) || 60,
+  // Time the owner has to answer before the SOS is auto-expired
+  graceMinutes: parseFloat(process.env.SOS_CHECK_IN_GRACE_MINUTES) || 15
+});
+
+/**
+ * Lazily load socket emitters (sockets may not be initialized, e.g. in scripts)
+ * @returns {{namespace: Object, emitters: Object}|null}
+ */
+const getSocketEmitters = () => {
+  try {
+    const { getEmergencyNamespace } = require('../sockets');
+    return {
+      namespace: getEmergencyNamespace(),
+      emitters: require('../sockets/emergencySocket')
+    };
+  } catch (socketError) {
+    console.error('⚠️ Socket.IO unavailable for expiry events:', socketError.message);
+    return null;
+  }
+};
+
+/**
+ * Run one pass over live emergencies: send check-ins and auto-expire unanswered ones
+ * Any save on the emergency (helper update, check-in answer, escalation) counts as activity
+ * @returns {Promise<{checkInsSent: Number, expired: Number}>}
+ */
+const runEmergencyExpiryCycle = async () => {
+  const { checkInAfterMinutes, graceMinutes } = getEmergencyExpiryConfig();
+  const now = Date.now();
+  const inactiveSince = new Date(now - checkInAfterMinutes * 60 * 1000);
+
+  const candidates = await Emergency.find({
+    status: { $in: LIVE_EMERGENCY_STATUSES },
+    $or: [
+      { checkInSentAt: { $ne: null } },
+      { lastUpdatedAt: { $lte: inactiveSince } }
+    ]
+  });
+
+  const sockets = candidates.length > 0 ? getSocketEmitters() : null;
+  let checkInsSent = 0;
+  let expired = 0;
+
+  for (const emergency of candidates) {
+    try {
+      const lastActivity = new Date(emergency.lastUpdatedAt || emergency.activatedAt).getTime();
+
+      if (!emergency.checkInSentAt) {
+        // Written without save() so the check-in itself doesn't count as activity
+        const checkInSentAt = new Date(now);
+        await Emergency.updateOne({ _id: emergency._id }, { $set: { checkInSentAt } });
+        emergency.checkInSentAt = checkInSentAt;
+        checkInsSent++;
+
+        const expiresAt = new Date(now + graceMinutes * 60 * 1000);
+        console.log(`⚠️ Emergency ${emergency._id} inactive for ${checkInAfterMinutes} min - check-in sent to owner`);
+        if (sockets) {
+          sockets.emitters.emitEmergencyCheckIn(sockets.namespace, emergency, expiresAt);
+        }
+        continue;
+      }
+
+      const checkInSentAt = new Date(emergency.checkInSentAt).getTime();
+
+      // Activity after the check-in went out - the SOS is not abandoned
+      if (lastActivity > checkInSentAt) {
+        await Emergency.updateOne({ _id: emergency._id }, { $set: { checkInSentAt: null } });
+        continue;
+      }
+
+      if (now - checkInSentAt < graceMinutes * 60 * 1000) {
+        continue;
+      }
+
+      // Conditional on what was read above: a check-in answer, resolve or cancel since then wins
+      const resolvedAt = new Date();
+      const expiredEmergency = await Emergency.findOneAndUpdate(
+        {
+          _id: emergency._id,
+          status: { $in: LIVE_EMERGENCY_STATUSES },
+          checkInSentAt: emergency.checkInSentAt,
+          lastUpdatedAt: { $lte: emergency.checkInSentAt }
+        },
+        {
+          $set: {
+            status: 'resolved',
+            resolvedAt,
+            resolvedBy: emergency.user,
+            resolutionType: 'auto_expired',
+            resolutionNotes: `Auto-expired: no activity for ${checkInAfterMinutes} min and no answer to check-in within ${graceMinutes} min`,
+            lastUpdatedAt: resolvedAt
+          }
+        },
+        { new: true }
+      );
+      if (!expiredEmergency) {
+        continue;
+      }
+      expired++;
+
+      console.log(`✅ Emergency ${emergency._id} auto-expired (check-in unanswered)`);
+      sendEmergencyResolvedEmail(expiredEmergency).catch(error => {
+        console.error('⚠️ Error sending SOS resolved emails:', error);
+      });
+      if (sockets) {
+        sockets.emitters.emitEmergencyExpired(sockets.namespace, expiredEmergency);
+      }
+    } catch (error) {
+      console.error(`❌ Error processing expiry for emergency ${emergency._id}:`, error.message);
+    }
+  }
+
+  return { checkInsSent, expired };
+};
+
+/**
+ * Expire open help requests past their expiresAt
+ * @returns {Promise<Number>} Number of help requests expired
+ */
+const runHelpRequestExpiryCycle = async () => {
+  const helpRequests = await HelpRequest.find({
+    status: 'open',
+    expiresAt: { $lte: new Date() }
+  })
+    .select('user title expiresAt')
+    .lean();
+
+  if (helpRequests.length === 0) {
+    return 0;
+  }
+
+  // One at a time with a status guard: a request accepted meanwhile is left alone and its owner isn't told it expired
+  const expired = [];
+  for (const request of helpRequests) {
+    const result = await HelpRequest.updateOne(
+      { _id: request._id, status: 'open' },
+      { $set: { status: 'expired' } }
+    );
+    if (result.modifiedCount === 1) {
+      expired.push(request);
+    }
+  }
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const sockets = getSocketEmitters();
+  if (sockets) {
+    expired.forEach(request => sockets.emitters.emitHelpRequestExpired(sockets.namespace, request));
+  }
+
+  console.log(`✅ Expired ${expired.length} help request(s)`);
+  return expired.length;
+};
+
+/**
+ * Mark active ads past their expiresAt as expired
+ * @returns {Promise<Number>} Number of ads expired
+ */
+const runAdExpiryCycle = async () => {
+  const ads = await Ad.find({
+    status: 'active',
+    expiresAt: { $ne: null, $lte: new Date() }
+  })
+    .select('createdBy title expiresAt')
+    .lean();
+
+  if (ads.length === 0) {
+    return 0;
+  }
+
+  // Same status guard as help requests: only ads still active are expired and reported
+  const expired = [];
+  for (const ad of ads) {
+    const result = await Ad.updateOne(
+      { _id: ad._id, status: 'active' },
+      { $set: { status: 'expired' } }
+    );
+    if (result.modifiedCount === 1) {
+      expired.push(ad);
+    }
+  }
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const sockets = getSocketEmitters();
+  if (sockets) {
+    expired.forEach(ad => sockets.emitters.emitAdExpired(sockets.namespace, ad));
+  }
+
+  console.log(`✅ Expired ${expired.length} ad(s)`);
+  return expired.length;
+};
+
+module.exports = {
+  getEmergencyExpiryConfig,
+  runEmergencyExpiryCycle,
+  runHelpRequestExpiryCycle,
+  runAdExpiryCycle
+};
@@ -1,4 +1,8 @@
 const { HelpRequest, User } = require('../models');
+const { sendHelpRequestAcceptedEmail } = require('../utils/emailService');
+const { recomputeHelperRating } = require('./ratingService');
+const reputationService = require('./reputationService');
+const reportService = require('./reportService');
 
 /**
  * Help Request Service
@@ -69,13 +73,17 @@ const createHelpRequest = async (requestData, userId) => {
 /**
  * Get user's help requests
  * @param {String} userId - User ID
- * @param {Object} options - Query options (status, limit)
+ * @param {Object} options - Query options (status, limit, role)
+ *   role 'creator' (default): requests the user created
+ *   role 'helper': requests where the user is an accepted helper
  * @returns {Promise<Array>} Array of help requests
  */
 const getUserHelpRequests = async (userId, options = {}) => {
-  const { status = null, limit = 50 } = options;
+  const { status = null, limit = 50, role = 'creator' } = options;
   
-  const query = { user: userId };
+  const query = role === 'helper'
+    ? { responses: { $elemMatch: { helper: userId, status: 'accepted' } } }
+    : { user: userId };
   if (status) {
     query.status = status;
   }
@@ -248,15 +256,21 @@ const acceptHelperResponse = async (requestId, helperId, userId) => {
   // Accept response using model method (doesn't change request status, allows multiple accepts)
   await request.acceptResponse(helperId);
 
-  // Increase helper's trust score by 10 (capped at 1000)
-  helper.trustScore = Math.min(1000, (helper.trustScore || 0) + 10);
-  await helper.save();
+  await reputationService.recordTrustEvent(helperId, 'help_accepted', {
+    sourceModel: 'HelpRequest',
+    sourceId: request._id
+  });
 
   // Populate and return (including messages in responses)
   await request.populate('user', 'profile firstName lastName email location');
   await request.populate('responses.helper', 'profile firstName lastName helperRating trustScore');
   await request.populate('responses.messages.senderId', 'profile firstName lastName email');
 
+  // Let the helper know their offer was accepted (non-blocking)
+  sendHelpRequestAcceptedEmail(request, helper).catch(error => {
+    console.error('⚠️ Error sending help request accepted email:', error);
+  });
+
   return request;
 };
 
@@ -393,9 +407,23 @@ const reportHelperResponse = async (requestId, helperId, reportReason, userId) =
   // Mark response as reported (DO NOT remove - helper needs to see it)
   await request.reportResponse(helperId, reportReason.trim(), userId);
 
-  // Decrease helper's trust score by 50 (capped at 0)
-  helper.trustScore = Math.max(0, (helper.trustScore || 0) - 50);
-  await helper.save();
+  await reputationService.recordTrustEvent(helperId, 'help_reported', {
+    sourceModel: 'HelpRequest',
+    sourceId: request._id,
+    note: reportReason.trim().slice(0, 500)
+  });
+
+  // Also goes to the moderation queue so repeat offenders get looked at
+  try {
+    await reportService.createReport(userId, {
+      targetType: 'user',
+      targetId: helperId,
+      reason: 'other',
+      details: `Reported on help request "${request.title}": ${reportReason.trim()}`.slice(0, 1000)
+    });
+  } catch (error) {
+    console.error('⚠️ Error filing moderation report for reported helper:', error.message);
+  }
 
   // Populate and return (including messages)
   await request.populate('user', 'profile firstName lastName email location');
@@ -449,6 +477,104 @@ const addMessageToResponse = async (requestId, helperId, senderId, message) => {
   return request;
 };
 
+/**
+ * Helper marks the request as done (creator confirms with completeHelpRequest)
+ * @param {String} requestId - Help request ID
+ * @param {String} helperId - Helper ID (must be an accepted helper)
+ * @param {String} notes - Optional notes for the creator
+ * @returns {Promise<Object>} Updated help request
+ */
+const proposeHelpRequestCompletion = async (requestId, helperId, notes = null) => {
+  const request = await HelpRequest.findById(requestId);
+  if (!request) {
+    throw new Error('Help request not found');
+  }
+
+  await request.proposeCompletion(helperId, notes);
+
+  await request.populate('user', 'profile firstName lastName email location');
+  await request.populate('responses.helper', 'profile firstName lastName helperRating trustScore');
+  await request.populate('responses.messages.senderId', 'profile firstName lastName email');
+
+  return request;
+};
+
+/**
+ * Complete a help request (creator confirms the help was given)
+ * @param {String} requestId - Help request ID
+ * @param {String} userId - User ID (must be creator)
+ * @param {String} notes - Optional completion notes
+ * @returns {Promise<Object>} Completed help request
+ */
+const completeHelpRequest = async (requestId, userId, notes = null) => {
+  const request = await HelpRequest.findById(requestId);
+  if (!request) {
+    throw new Error('Help request not found');
+  }
+
+  // Only creator can complete
+  if (request.user.toString() !== userId.toString()) {
+    throw new Error('Only the creator can complete a help request');
+  }
+
+  await request.complete(notes || request.completionProposal?.notes || null);
+
+  await request.populate('user', 'profile firstName lastName email location');
+  await request.populate('responses.helper', 'profile firstName lastName helperRating trustScore');
+  await request.populate('responses.messages.senderId', 'profile firstName lastName email');
+
+  return request;
+};
+
+/**
+ * Rate the other side of a completed help request
+ * Creator rates an accepted helper (helperId required); an accepted helper rates the creator
+ * Ratings given to helpers update their helperRating
+ * @param {String} requestId - Help request ID
+ * @param {String} raterId - User ID giving the rating
+ * @param {Object} ratingData - { helperId?, rating, comment? }
+ * @returns {Promise<Object>} Updated help request
+ */
+const rateHelpRequestParticipant = async (requestId, raterId, ratingData) => {
+  const { helperId, rating, comment } = ratingData;
+
+  const request = await HelpRequest.findById(requestId);
+  if (!request) {
+    throw new Error('Help request not found');
+  }
+
+  const acceptedHelperIds = request.responses
+    .filter(r => r.status === 'accepted')
+    .map(r => r.helper.toString());
+  const isCreator = request.user.toString() === raterId.toString();
+
+  if (isCreator) {
+    if (!helperId) {
+      throw new Error('Helper ID is required');
+    }
+    if (!acceptedHelperIds.includes(helperId.toString())) {
+      throw new Error('You can only rate helpers you accepted');
+    }
+
+    await request.addRating(raterId, helperId, 'creator', rating, comment);
+    await recomputeHelperRating(helperId);
+    await reputationService.recordRatingReceived(helperId, rating, {
+      sourceModel: 'HelpRequest',
+      sourceId: request._id
+    });
+  } else if (acceptedHelperIds.includes(raterId.toString())) {
+    await request.addRating(raterId, request.user, 'helper', rating, comment);
+  } else {
+    throw new Error('Only the creator or an accepted helper can rate this request');
+  }
+
+  await request.populate('user', 'profile firstName lastName email location');
+  await request.populate('responses.helper', 'profile firstName lastName helperRating trustScore');
+  await request.populate('responses.messages.senderId', 'profile firstName lastName email');
+
+  return request;
+};
+
 module.exports = {
   createHelpRequest,
   getUserHelpRequests,
@@ -459,6 +585,9 @@ module.exports = {
   acceptHelperResponse,
   denyHelperResponse,
   reportHelperResponse,
-  addMessageToResponse
+  addMessageToResponse,
+  proposeHelpRequestCompletion,
+  completeHelpRequest,
+  rateHelpRequestParticipant
 };
 
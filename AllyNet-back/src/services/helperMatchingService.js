@@ -0,0 +1,192 @@
+const { User, Skill } = require('../models');
+const availabilityService = require('./availabilityService');
+const { TRUST_SCORE_MAX } = require('./reputationService');
+const { getVerificationPolicy } = require('./verificationService');
+const { calculateDistanceKm } = require('../utils/geo');
+
+/**
+ * Helper Matching Service
+ * Ranks candidate helpers for an emergency by relevant skills/certifications,
+ * distance and trust score, honouring the verified-helper policy for its type
+ */
+
+// Skill categories relevant to each emergency type (most relevant first)
+const EMERGENCY_SKILL_MAP = {
+  medical: ['first_aid', 'cpr', 'medical'],
+  accident: ['first_aid', 'cpr', 'medical', 'roadside_assistance'],
+  assault: ['security', 'self_defense', 'crisis_support', 'first_aid'],
+  safety: ['security', 'self_defense', 'crisis_support'],
+  natural_disaster: ['search_rescue', 'first_aid', 'medical'],
+  other: ['first_aid', 'crisis_support']
+};
+
+// Score weights (sum to 1)
+const SKILL_WEIGHT = 0.5;
+const DISTANCE_WEIGHT = 0.3;
+const TRUST_WEIGHT = 0.2;
+
+// Added to verified helpers' score when the emergency type prefers (but doesn't require) verification
+const VERIFIED_BONUS = 0.15;
+
+// A verified, unexpired certification counts more than a self-declared skill
+const DECLARED_SKILL_POINTS = 1;
+const CERTIFIED_SKILL_POINTS = 1.5;
+
+// Points needed for a full skill score (two declared skills or one certified + one declared)
+const FULL_SKILL_POINTS = 2;
+
+// Trust score scale (User.trustScore upper bound)
+const TRUST_SCORE_SCALE = TRUST_SCORE_MAX;
+
+// Candidate pool size before ranking
+const CANDIDATE_POOL_SIZE = 200;
+
+/**
+ * Normalize free-form skill names ("First Aid" → "first_aid")
+ */
+const normalizeSkill = (skill) => String(skill || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Get skill categories relevant to an emergency type
+ * @param {String} emergencyType - Emergency.type
+ * @returns {Array<String>} Skill categories
+ */
+const getRelevantSkills = (emergencyType) => {
+  return EMERGENCY_SKILL_MAP[emergencyType] || EMERGENCY_SKILL_MAP.other;
+};
+
+/**
+ * Rank nearby helpers for an emergency
+ * @param {Object} emergency - Emergency document
+ * @param {Object} options - { radiusMeters, limit }
+ * @returns {Promise<Array>} Ranked candidates (best first)
+ */
+const rankHelpersForEmergency = async (emergency, options = {}) => {
+  const {
+    radiusMeters = (emergency.avoidRadiusKm || 5) * 1000,
+    limit = 50
+  } = options;
+
+  const { latitude, longitude } = emergency.location;
+  const relevantSkills = getRelevantSkills(emergency.type);
+  const verificationPolicy = getVerificationPolicy(emergency.type);
+
+  // Candidates: nearby, on duty, available, not the victim, not already responding
+  const nearbyHelpers = await User.findNearbyHelpers(latitude, longitude, radiusMeters, CANDIDATE_POOL_SIZE, {
+    verifiedOnly: verificationPolicy === 'require'
+  });
+  const availableHelpers = await availabilityService.filterAvailableHelpers(nearbyHelpers);
+
+  const victimId = emergency.user?._id?.toString() || emergency.user?.toString();
+  const respondingIds = new Set(
+    (emergency.respondingHelpers || []).map(h => h.helper?._id?.toString() || h.helper?.toString())
+  );
+  const candidates = availableHelpers.filter(helper => {
+    const id = helper._id.toString();
+    return id !== victimId && !respondingIds.has(id);
+  });
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  // Declared skills (Skill listings) for relevant categories
+  const skills = await Skill.find({
+    user: { $in: candidates.map(helper => helper._id) },
+    category: { $in: relevantSkills },
+    isActive: true
+  })
+    .select('user title category certification serviceRadius')
+    .lean();
+
+  const skillsByHelper = new Map();
+  skills.forEach(skill => {
+    const id = skill.user.toString();
+    if (!skillsByHelper.has(id)) {
+      skillsByHelper.set(id, []);
+    }
+    skillsByHelper.get(id).push(skill);
+  });
+
+  const now = new Date();
+  const radiusKm = radiusMeters / 1000;
+
+  const ranked = candidates.map(helper => {
+    const id = helper._id.toString();
+    const [helperLon, helperLat] = helper.location.coordinates;
+    const distanceKm = calculateDistanceKm(latitude, longitude, helperLat, helperLon);
+
+    // Best evidence per relevant category (certified Skill > declared Skill/helperSkills tag)
+    const matchedByCategory = new Map();
+
+    (skillsByHelper.get(id) || []).forEach(skill => {
+      // Skill only counts if the emergency is inside the helper's service radius
+      if (skill.serviceRadius && distanceKm * 1000 > skill.serviceRadius) {
+        return;
+      }
+
+      const certification = skill.certification;
+      const certified = !!(certification?.verified &&
+        (!certification.expiresAt || new Date(certification.expiresAt) > now));
+
+      const existing = matchedByCategory.get(skill.category);
+      if (!existing || (certified && !existing.certified)) {
+        matchedByCategory.set(skill.category, {
+          category: skill.category,
+          title: skill.title,
+          certified,
+          certification: certified ? certification.name : undefined
+        });
+      }
+    });
+
+    (helper.helperSkills || []).map(normalizeSkill).forEach(tag => {
+      if (relevantSkills.includes(tag) && !matchedByCategory.has(tag)) {
+        matchedByCategory.set(tag, { category: tag, title: tag, certified: false });
+      }
+    });
+
+    const matchedSkills = Array.from(matchedByCategory.values());
+    const skillPoints = matchedSkills.reduce(
+      (sum, skill) => sum + (skill.certified ? CERTIFIED_SKILL_POINTS : DECLARED_SKILL_POINTS),
+      0
+    );
+
+    const skillScore = Math.min(1, skillPoints / FULL_SKILL_POINTS);
+    const distanceScore = Math.max(0, 1 - distanceKm / radiusKm);
+    const trustScore = Math.min(1, (helper.trustScore || 0) / TRUST_SCORE_SCALE);
+
+    const verifiedScore = verificationPolicy === 'prefer' && helper.helperVerified ? VERIFIED_BONUS : 0;
+
+    const score = SKILL_WEIGHT * skillScore + DISTANCE_WEIGHT * distanceScore + TRUST_WEIGHT * trustScore + verifiedScore;
+
+    return {
+      helper: {
+        _id: helper._id,
+        profile: helper.profile,
+        trustScore: helper.trustScore,
+        helperRating: helper.helperRating,
+        helperVerified: helper.helperVerified
+      },
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      matchedSkills,
+      score: Math.round(score * 1000) / 1000,
+      scoreBreakdown: {
+        skill: Math.round(skillScore * 1000) / 1000,
+        distance: Math.round(distanceScore * 1000) / 1000,
+        trust: Math.round(trustScore * 1000) / 1000,
+        verified: verifiedScore
+      }
+    };
+  });
+
+  // Best score first; closer helper wins ties
+  ranked.sort((a, b) => b.score - a.score || a.distanceKm - b.distanceKm);
+
+  return ranked.slice(0, limit);
+};
+
+module.exports = {
+  getRelevantSkills,
+  rankHelpersForEmergency
+};
@@ -0,0 +1,130 @@
+const { Organization, OrganizationAlert, User } = require('../models');
+const { sendOrganizationEmergencyEmail } = require('../utils/emailService');
+
+/**
+ * Organization Alert Service
+ * Fans out a member's SOS to their organization per Organization.emergencySettings
+ * - alertAdmins: org admins (owner included) are alerted
+ * - alertAllMembers: every member is alerted
+ * Each recipient gets a socket alert (user room) and an email; every delivery is logged in OrganizationAlert
+ */
+
+const formatName = (user) => {
+  const firstName = user?.profile?.firstName || user?.firstName;
+  const lastName = user?.profile?.lastName || user?.lastName;
+  return [firstName, lastName].filter(Boolean).join(' ') || user?.email?.split('@')[0] || 'A member';
+};
+
+/**
+ * Get the socket namespace and emitters (null when Socket.IO isn't running)
+ */
+const getSocketHelpers = () => {
+  try {
+    const { getEmergencyNamespace } = require('../sockets');
+    const { emitOrganizationEmergency, getOnlineUserIds } = require('../sockets/emergencySocket');
+    return { namespace: getEmergencyNamespace(), emitOrganizationEmergency, getOnlineUserIds };
+  } catch (socketError) {
+    return null;
+  }
+};
+
+/**
+ * Pick who an SOS alerts in the organization (never the member who triggered it)
+ * @returns {Array<Object>} [{ userId, reason: 'admin' | 'member', canViewLive }]
+ */
+const selectRecipients = (organization, memberId) => {
+  const { alertAdmins, alertAllMembers, enableDashboard } = organization.emergencySettings;
+
+  return organization.members
+    .map(member => ({ userId: member.user.toString(), role: organization.getMemberRole(member.user) }))
+    .filter(({ userId, role }) => userId !== memberId.toString() && (alertAllMembers || (alertAdmins && role === 'admin')))
+    .map(({ userId, role }) => ({
+      userId,
+      reason: alertAdmins && role === 'admin' ? 'admin' : 'member',
+      canViewLive: enableDashboard && ['admin', 'moderator'].includes(role)
+    }));
+};
+
+/**
+ * Alert a member's organization about their SOS
+ * Call after the emergency is created (non-blocking - failures are logged, never thrown to the SOS flow)
+ * @param {Object} emergency - Created emergency
+ * @param {Object} user - Member who triggered it (needs organization, profile, email)
+ * @returns {Promise<Array>} OrganizationAlert entries
+ */
+const alertOrganization = async (emergency, user) => {
+  if (!user?.organization) {
+    return [];
+  }
+
+  const organization = await Organization.findOne({ _id: user.organization, isActive: true });
+  if (!organization) {
+    return [];
+  }
+
+  const recipients = selectRecipients(organization, user._id);
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  const memberName = formatName(user);
+  const base = { organization: organization._id, emergency: emergency._id, member: user._id };
+  const entries = [];
+
+  // Socket: every recipient's user room (logged as offline when they have no connection)
+  const socket = getSocketHelpers();
+  if (socket?.namespace) {
+    const online = await socket.getOnlineUserIds(socket.namespace, recipients.map(recipient => recipient.userId));
+    socket.emitOrganizationEmergency(socket.namespace, organization, emergency, memberName, recipients);
+    recipients.forEach(({ userId, reason }) => {
+      entries.push({ ...base, recipient: userId, reason, channel: 'socket', status: online.has(userId) ? 'sent' : 'offline' });
+    });
+  } else {
+    recipients.forEach(({ userId, reason }) => {
+      entries.push({ ...base, recipient: userId, reason, channel: 'socket', status: 'failed', error: 'Socket.IO not initialized' });
+    });
+  }
+
+  // Email: active, unblocked recipients
+  const users = await User.find({
+    _id: { $in: recipients.map(recipient => recipient.userId) },
+    isActive: true,
+    isBlocked: false
+  }).select('email profile');
+  const usersById = new Map(users.map(recipientUser => [recipientUser._id.toString(), recipientUser]));
+
+  for (const { userId, reason, canViewLive } of recipients) {
+    const recipientUser = usersById.get(userId);
+    if (!recipientUser?.email) {
+      continue;
+    }
+
+    try {
+      const delivery = await sendOrganizationEmergencyEmail(organization, recipientUser, emergency, user, {
+        includeDashboardLink: canViewLive
+      });
+      entries.push({
+        ...base,
+        recipient: userId,
+        reason,
+        channel: 'email',
+        status: ['sent', 'simulated', 'failed'].includes(delivery.status) ? delivery.status : 'queued',
+        emailDelivery: delivery._id,
+        error: delivery.lastError
+      });
+    } catch (emailError) {
+      entries.push({ ...base, recipient: userId, reason, channel: 'email', status: 'failed', error: emailError.message });
+    }
+  }
+
+  const logged = await OrganizationAlert.insertMany(entries);
+
+  console.log(`🏢 SOS ${emergency._id} alerted ${recipients.length} member(s) of organization ${organization._id}`);
+
+  return logged;
+};
+
+module.exports = {
+  selectRecipients,
+  alertOrganization
+};
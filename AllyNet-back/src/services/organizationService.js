@@ -0,0 +1,967 @@
+const { randomInt } = require('crypto');
+const { Organization, OrganizationAlert, User, Emergency, HelpRequest } = require('../models');
+const { syncPlatformRole } = require('./platformRoleService');
+
+/**
+ * Organization Service
+ * B2B organizations (apartments, campuses, companies, ...): members, invitations, roles and the org dashboard
+ * - A user belongs to at most one organization (User.organization)
+ * - Org admins (the owner and members with role admin) manage the organization; moderators can view the dashboard
+ * - Being an org admin gives the platform role org_admin (and losing it restores the previous role - platformRoleService)
+ * - Platform admins can act as admin of any organization
+ * - With emergencySettings.enableDashboard, org admins and moderators get a read-only live view of member emergencies
+ *   (SOS alerts to admins/members are sent by organizationAlertService)
+ * - People join through an email invitation, an expiring invite code/link (also accepted at signup),
+ *   or - for company and campus organizations - automatically once they verify an email on one of the org's domains
+ */
+
+const ORGANIZATION_TYPES = Organization.schema.path('type').enumValues;
+const MEMBER_ROLES = ['member', 'moderator', 'admin'];
+const ACTIVE_EMERGENCY_STATUSES = ['active', 'responding'];
+const OPEN_HELP_REQUEST_STATUSES = ['open', 'accepted', 'in_progress'];
+
+const MEMBER_USER_FIELDS = 'email profile firstName lastName helper helperVerified';
+
+// Organization types that can auto-join users by verified email domain
+const AUTO_JOIN_TYPES = ['company', 'college', 'university'];
+
+// Free webmail domains say nothing about where someone works or studies
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'mail.com'
+];
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// Invite codes skip look-alike characters (0/O, 1/I/L) so they can be read out or typed
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+/**
+ * Invite code settings
+ * ORG_INVITE_CODE_EXPIRES_DAYS: default lifetime of a new invite code (default 7, at most 90)
+ * ORG_BULK_INVITE_MAX: rows accepted per CSV upload (default 200)
+ * @returns {{expiresDays: Number, maxExpiresDays: Number, bulkInviteMax: Number}}
+ */
+const getInviteConfig = () => ({
+  expiresDays: parseInt(process.env.ORG_INVITE_CODE_EXPIRES_DAYS) || 7,
+  maxExpiresDays: 90,
+  bulkInviteMax: parseInt(process.env.ORG_BULK_INVITE_MAX) || 200
+});
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const normalizeInviteCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const getEmailDomain = (email) => String(email || '').toLowerCase().split('@')[1] || null;
+
+const generateInviteCode = () => Array.from(
+  { length: INVITE_CODE_LENGTH },
+  () => INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)]
+).join('');
+
+/**
+ * Get whether users are online (null when Socket.IO isn't running)
+ */
+const getOnlineUserIds = async (userIds) => {
+  try {
+    const { getEmergencyNamespace } = require('../sockets');
+    const { getOnlineUserIds: fetchOnlineUserIds } = require('../sockets/emergencySocket');
+    return await fetchOnlineUserIds(getEmergencyNamespace(), userIds);
+  } catch (socketError) {
+    return null;
+  }
+};
+
+const formatName = (user) => {
+  const firstName = user?.profile?.firstName || user?.firstName;
+  const lastName = user?.profile?.lastName || user?.lastName;
+  return [firstName, lastName].filter(Boolean).join(' ') || user?.email?.split('@')[0] || 'Member';
+};
+
+/**
+ * Load an active organization
+ */
+const findOrganization = async (organizationId) => {
+  const organization = await Organization.findOne({ _id: organizationId, isActive: true });
+  if (!organization) {
+    throw new Error('Organization not found');
+  }
+  return organization;
+};
+
+/**
+ * Get the acting user's role, requiring one of `roles`
+ * @returns {String} Role in the organization
+ */
+const assertOrgRole = (organization, actor, roles = MEMBER_ROLES) => {
+  const role = actor.role === 'admin' ? 'admin' : organization.getMemberRole(actor._id);
+
+  if (!role) {
+    throw new Error('Not a member of this organization');
+  }
+  if (!roles.includes(role)) {
+    throw new Error('Not authorized to manage this organization');
+  }
+  return role;
+};
+
+/**
+ * Invite code as returned to org admins (with its shareable signup link)
+ */
+const serializeInviteCode = (inviteCode) => ({
+  _id: inviteCode._id,
+  code: inviteCode.code,
+  link: `${getFrontendUrl()}/auth/signup?invite=${inviteCode.code}`,
+  role: inviteCode.role,
+  expiresAt: inviteCode.expiresAt,
+  maxUses: inviteCode.maxUses,
+  uses: inviteCode.uses,
+  createdAt: inviteCode.createdAt
+});
+
+/**
+ * Whether a user's verified email lets them auto-join the organization
+ * Only organizations verified by a platform admin auto-join (that is what ties them to their domains)
+ */
+const canAutoJoin = (organization, user) => !!user.emailVerified &&
+  organization.isVerified &&
+  organization.autoJoin?.enabled &&
+  AUTO_JOIN_TYPES.includes(organization.type) &&
+  organization.autoJoin.domains.includes(getEmailDomain(user.email));
+
+/**
+ * Organization as returned by the API (invitations, invite codes and auto-join only for org admins)
+ */
+const serializeOrganization = (organization, myRole) => {
+  const data = {
+    _id: organization._id,
+    name: organization.name,
+    description: organization.description,
+    type: organization.type,
+    contact: organization.contact,
+    admin: organization.admin,
+    memberCount: organization.members.length,
+    subscription: {
+      tier: organization.subscription.tier,
+      status: organization.subscription.status,
+      expiresAt: organization.subscription.expiresAt,
+      maxMembers: organization.subscription.maxMembers
+    },
+    emergencySettings: organization.emergencySettings,
+    isVerified: organization.isVerified,
+    createdAt: organization.createdAt,
+    myRole
+  };
+
+  if (myRole === 'admin') {
+    data.invitations = organization.invitations.map(invitation => ({
+      _id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      invitedAt: invitation.invitedAt
+    }));
+    data.inviteCodes = organization.inviteCodes
+      .filter(inviteCode => !inviteCode.revokedAt && inviteCode.expiresAt > new Date() &&
+        (!inviteCode.maxUses || inviteCode.uses < inviteCode.maxUses))
+      .map(serializeInviteCode);
+    data.autoJoin = {
+      available: AUTO_JOIN_TYPES.includes(organization.type),
+      enabled: !!organization.autoJoin?.enabled,
+      domains: organization.autoJoin?.domains || [],
+      role: organization.autoJoin?.role || 'member'
+    };
+  }
+
+  return data;
+};
+
+/**
+ * Point a user at an organization, only if they belong to none
+ * Conditional so two concurrent joins (or a join and a create) can't both go through
+ */
+const claimUserForOrganization = async (userId, organizationId) => {
+  const result = await User.updateOne(
+    { _id: userId, organization: null },
+    { $set: { organization: organizationId } }
+  );
+  if (result.modifiedCount === 0) {
+    throw new Error('You already belong to an organization');
+  }
+};
+
+/**
+ * Undo claimUserForOrganization when the join itself failed
+ */
+const releaseUserFromOrganization = async (userId, organizationId) => {
+  await User.updateOne({ _id: userId, organization: organizationId }, { $set: { organization: null } });
+};
+
+/**
+ * Add a user to an organization (they must not belong to one yet)
+ * Saves the organization - pending changes on it (used invitation or invite code) are saved too
+ * @returns {Promise<String>} Role the user joined with
+ */
+const addToOrganization = async (organization, userId, role) => {
+  await claimUserForOrganization(userId, organization._id);
+
+  try {
+    await organization.addMember(userId, role); // Saves (and enforces the member limit)
+  } catch (error) {
+    await releaseUserFromOrganization(userId, organization._id);
+    throw error;
+  }
+
+  if (role === 'admin') {
+    await syncPlatformRole(userId);
+  }
+
+  console.log(`🏢 User ${userId} joined organization ${organization._id} as ${role}`);
+
+  return role;
+};
+
+/**
+ * Validate and normalize auto-join domains
+ * @returns {Promise<Array<String>>} Domains
+ */
+const normalizeAutoJoinDomains = async (organization, domains) => {
+  const normalized = [...new Set(domains.map(domain => String(domain).toLowerCase().trim().replace(/^@/, '')).filter(Boolean))];
+
+  normalized.forEach(domain => {
+    if (!DOMAIN_PATTERN.test(domain)) {
+      throw new Error(`Invalid email domain: ${domain}`);
+    }
+    if (PUBLIC_EMAIL_DOMAINS.includes(domain)) {
+      throw new Error('Public email domains cannot be used for auto-join');
+    }
+  });
+
+  // Only verified organizations hold a domain - an unverified one listing it first cannot block its owner
+  if (normalized.length > 0) {
+    const claimed = await Organization.exists({
+      _id: { $ne: organization._id },
+      isActive: true,
+      isVerified: true,
+      'autoJoin.domains': { $in: normalized }
+    });
+    if (claimed) {
+      throw new Error('An email domain is already used by another organization');
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * Create an organization (the creator becomes its owner and admin)
+ * @param {Object} actor - Creating user
+ * @param {Object} data - { name, type, description, contact }
+ * @returns {Promise<Object>} Organization
+ */
+const createOrganization = async (actor, data) => {
+  const organization = new Organization({
+    admin: actor._id,
+    name: data.name,
+    type: data.type,
+    description: data.description,
+    contact: data.contact,
+    members: [{ user: actor._id, role: 'admin', joinedAt: new Date() }]
+  });
+
+  await claimUserForOrganization(actor._id, organization._id);
+  try {
+    await organization.save();
+  } catch (error) {
+    await releaseUserFromOrganization(actor._id, organization._id);
+    throw error;
+  }
+
+  await syncPlatformRole(actor._id);
+
+  console.log(`🏢 Organization ${organization._id} created by ${actor._id}`);
+
+  return serializeOrganization(organization, 'admin');
+};
+
+/**
+ * Get the caller's organization
+ * @param {Object} actor - User
+ * @returns {Promise<Object|null>} Organization or null
+ */
+const getMyOrganization = async (actor) => {
+  const user = await User.findById(actor._id).select('organization');
+  if (!user?.organization) {
+    return null;
+  }
+
+  const organization = await Organization.findOne({ _id: user.organization, isActive: true });
+  if (!organization) {
+    return null;
+  }
+
+  return serializeOrganization(organization, assertOrgRole(organization, actor));
+};
+
+/**
+ * Get an organization (members and platform admins)
+ */
+const getOrganization = async (organizationId, actor) => {
+  const organization = await findOrganization(organizationId);
+  return serializeOrganization(organization, assertOrgRole(organization, actor));
+};
+
+/**
+ * Update organization details and emergency settings (org admins)
+ * @param {String} organizationId - Organization ID
+ * @param {Object} actor - Acting user
+ * @param {Object} data - { name, description, contact, emergencySettings, autoJoin: { enabled, domains, role } }
+ */
+const updateOrganization = async (organizationId, actor, data) => {
+  const organization = await findOrganization(organizationId);
+  const myRole = assertOrgRole(organization, actor, ['admin']);
+
+  if (data.name !== undefined) organization.name = data.name;
+  if (data.description !== undefined) organization.description = data.description;
+  if (data.contact !== undefined) organization.contact = data.contact;
+  if (data.emergencySettings) {
+    ['enableDashboard', 'alertAdmins', 'alertAllMembers'].forEach(key => {
+      if (data.emergencySettings[key] !== undefined) {
+        organization.emergencySettings[key] = data.emergencySettings[key];
+      }
+    });
+  }
+  if (data.autoJoin) {
+    if (!AUTO_JOIN_TYPES.includes(organization.type) && (data.autoJoin.enabled || data.autoJoin.domains?.length)) {
+      throw new Error('Email-domain auto-join is only available for company and campus organizations');
+    }
+    if (data.autoJoin.domains !== undefined) {
+      organization.autoJoin.domains = await normalizeAutoJoinDomains(organization, data.autoJoin.domains);
+    }
+    if (data.autoJoin.role !== undefined) organization.autoJoin.role = data.autoJoin.role;
+    if (data.autoJoin.enabled && !organization.isVerified) {
+      throw new Error('Email-domain auto-join requires a verified organization');
+    }
+    if (data.autoJoin.enabled !== undefined) organization.autoJoin.enabled = data.autoJoin.enabled;
+    if (organization.autoJoin.enabled && organization.autoJoin.domains.length === 0) {
+      throw new Error('Add at least one email domain to enable auto-join');
+    }
+  }
+
+  await organization.save();
+
+  return serializeOrganization(organization, myRole);
+};
+
+/**
+ * List members with their role and whether they are online (emails for admins and moderators)
+ */
+const getMembers = async (organizationId, actor) => {
+  const organization = await findOrganization(organizationId);
+  const myRole = assertOrgRole(organization, actor);
+  await organization.populate('members.user', MEMBER_USER_FIELDS);
+
+  const members = organization.members.filter(member => member.user);
+  const online = await getOnlineUserIds(members.map(member => member.user._id.toString()));
+  const showEmail = ['admin', 'moderator'].includes(myRole);
+
+  return members.map(member => ({
+    userId: member.user._id,
+    name: formatName(member.user),
+    email: showEmail ? member.user.email : undefined,
+    role: organization.admin.toString() === member.user._id.toString() ? 'admin' : member.role,
+    owner: organization.admin.toString() === member.user._id.toString(),
+    helper: !!member.user.helper,
+    helperVerified: !!member.user.helperVerified,
+    joinedAt: member.joinedAt,
+    online: online ? online.has(member.user._id.toString()) : null
+  }));
+};
+
+/**
+ * Add or refresh a pending invitation (not saved) - re-inviting updates the role
+ * @returns {{invitation: Object, created: Boolean}}
+ */
+const addInvitation = (organization, actorId, email, role) => {
+  let invitation = organization.invitations.find(inv => inv.email === email);
+  if (invitation) {
+    invitation.role = role;
+    invitation.invitedBy = actorId;
+    invitation.invitedAt = new Date();
+    return { invitation, created: false };
+  }
+
+  if (organization.members.length + organization.invitations.length >= organization.subscription.maxMembers) {
+    throw new Error('Organization member limit reached');
+  }
+  organization.invitations.push({ email, role, invitedBy: actorId });
+  invitation = organization.invitations[organization.invitations.length - 1];
+  return { invitation, created: true };
+};
+
+/**
+ * Invite someone by email (org admins) - re-inviting updates the role
+ * @param {Object} data - { email, role }
+ * @returns {Promise<Object>} Invitation
+ */
+const inviteMember = async (organizationId, actor, data) => {
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin']);
+
+  const email = data.email.toLowerCase().trim();
+  const role = data.role || 'member';
+
+  const existingUser = await User.findOne({ email }).select('_id');
+  if (existingUser && organization.getMemberRole(existingUser._id)) {
+    throw new Error('User is already a member of this organization');
+  }
+
+  const { invitation } = addInvitation(organization, actor._id, email, role);
+  await organization.save();
+
+  console.log(`🏢 ${email} invited to organization ${organization._id} as ${role}`);
+
+  return {
+    _id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    invitedAt: invitation.invitedAt
+  };
+};
+
+/**
+ * Parse an invite CSV: one person per line as `email[,role]`, optional header row
+ * @returns {Array<{email: String, role: String|null}>}
+ */
+const parseInviteCsv = (csv) => {
+  const rows = String(csv || '')
+    .split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim()))
+    .filter(cells => cells[0]);
+
+  if (rows.length > 0 && rows[0][0].toLowerCase() === 'email') {
+    rows.shift();
+  }
+
+  return rows.map(([email, role]) => ({ email: email.toLowerCase(), role: role ? role.toLowerCase() : null }));
+};
+
+/**
+ * Invite everyone in a CSV (org admins)
+ * Rows without a valid email, current members and rows over the member limit are skipped (with a reason)
+ * @param {String} csv - CSV text (`email[,role]` per line)
+ * @param {String} defaultRole - Role for rows without one
+ * @returns {Promise<Object>} { invited: [email], updated: [email], skipped: [{ email, reason }] }
+ */
+const bulkInviteMembers = async (organizationId, actor, csv, defaultRole = 'member') => {
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin']);
+
+  const rows = parseInviteCsv(csv);
+  const { bulkInviteMax } = getInviteConfig();
+  if (rows.length === 0) {
+    throw new Error('The CSV has no email addresses');
+  }
+  if (rows.length > bulkInviteMax) {
+    throw new Error(`At most ${bulkInviteMax} invitations per upload`);
+  }
+
+  const memberIds = new Set(organization.members.map(member => member.user.toString()));
+  const existingUsers = await User.find({ email: { $in: rows.map(row => row.email) } }).select('email');
+  const memberEmails = new Set(existingUsers.filter(user => memberIds.has(user._id.toString())).map(user => user.email));
+
+  const result = { invited: [], updated: [], skipped: [] };
+  const seen = new Set();
+
+  rows.forEach(({ email, role }) => {
+    if (!EMAIL_PATTERN.test(email)) {
+      result.skipped.push({ email, reason: 'Invalid email' });
+    } else if (seen.has(email)) {
+      result.skipped.push({ email, reason: 'Duplicate row' });
+    } else if (role && !MEMBER_ROLES.includes(role)) {
+      result.skipped.push({ email, reason: `Unknown role: ${role}` });
+    } else if (memberEmails.has(email)) {
+      result.skipped.push({ email, reason: 'Already a member' });
+    } else {
+      try {
+        const { created } = addInvitation(organization, actor._id, email, role || defaultRole);
+        result[created ? 'invited' : 'updated'].push(email);
+      } catch (error) {
+        result.skipped.push({ email, reason: error.message });
+      }
+    }
+    seen.add(email);
+  });
+
+  await organization.save();
+
+  console.log(`🏢 Bulk invite to organization ${organization._id}: ${result.invited.length} invited, ${result.updated.length} updated, ${result.skipped.length} skipped`);
+
+  return result;
+};
+
+/**
+ * Cancel a pending invitation (org admins)
+ */
+const revokeInvitation = async (organizationId, actor, invitationId) => {
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin']);
+
+  const invitation = organization.invitations.id(invitationId);
+  if (!invitation) {
+    throw new Error('Invitation not found');
+  }
+
+  invitation.deleteOne();
+  await organization.save();
+};
+
+/**
+ * Public summary of an organization (invitations and invite code previews)
+ */
+const serializeOrganizationPreview = (organization) => ({
+  _id: organization._id,
+  name: organization.name,
+  type: organization.type,
+  description: organization.description,
+  memberCount: organization.members.length
+});
+
+/**
+ * Organization the email's domain auto-joins (verified company/campus domains only)
+ * @returns {Promise<Object|null>} Organization
+ */
+const findAutoJoinOrganization = async (email) => {
+  const domain = getEmailDomain(email);
+  if (!domain) {
+    return null;
+  }
+
+  return Organization.findOne({
+    'autoJoin.enabled': true,
+    'autoJoin.domains': domain,
+    type: { $in: AUTO_JOIN_TYPES },
+    isVerified: true,
+    isActive: true
+  });
+};
+
+/**
+ * Invitations waiting for the caller's email, plus the organization their verified email domain can join
+ * @returns {Promise<Array>} [{ organization: { _id, name, type, memberCount }, role, invitedAt, via: 'invitation' | 'domain' }]
+ */
+const getMyInvitations = async (actor) => {
+  const email = actor.email.toLowerCase();
+  const organizations = await Organization.find({ 'invitations.email': email, isActive: true })
+    .select('name type description members invitations');
+
+  const invitations = organizations.map(organization => {
+    const invitation = organization.invitations.find(inv => inv.email === email);
+    return {
+      organization: serializeOrganizationPreview(organization),
+      role: invitation.role,
+      invitedAt: invitation.invitedAt,
+      via: 'invitation'
+    };
+  });
+
+  if (actor.emailVerified && !actor.organization) {
+    const domainOrganization = await findAutoJoinOrganization(email);
+    if (domainOrganization && !invitations.some(inv => inv.organization._id.equals(domainOrganization._id))) {
+      invitations.push({
+        organization: serializeOrganizationPreview(domainOrganization),
+        role: domainOrganization.autoJoin.role,
+        invitedAt: null,
+        via: 'domain'
+      });
+    }
+  }
+
+  return invitations;
+};
+
+/**
+ * Accept an invitation for the caller's email (or join through a verified email domain)
+ * @returns {Promise<Object>} Organization
+ */
+const joinOrganization = async (organizationId, actor) => {
+  const organization = await findOrganization(organizationId);
+  const email = actor.email.toLowerCase();
+
+  const invitation = organization.invitations.find(inv => inv.email === email);
+  let role;
+  if (invitation) {
+    role = invitation.role;
+    invitation.deleteOne();
+  } else if (canAutoJoin(organization, actor)) {
+    role = organization.autoJoin.role;
+  } else {
+    throw new Error('Invitation not found');
+  }
+
+  await addToOrganization(organization, actor._id, role);
+
+  return serializeOrganization(organization, role);
+};
+
+/**
+ * Create an invite code / link (org admins)
+ * @param {Object} data - { role, expiresInDays, maxUses }
+ * @returns {Promise<Object>} Invite code with its signup link
+ */
+const createInviteCode = async (organizationId, actor, data = {}) => {
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin']);
+
+  const { expiresDays, maxExpiresDays } = getInviteConfig();
+  const expiresInDays = Math.min(data.expiresInDays || expiresDays, maxExpiresDays);
+
+  // Codes are looked up across all organizations - retry the (unlikely) collision
+  let code = null;
+  for (let attempt = 0; attempt < 5 && !code; attempt++) {
+    const candidate = generateInviteCode();
+    if (!(await Organization.exists({ 'inviteCodes.code': candidate }))) {
+      code = candidate;
+    }
+  }
+  if (!code) {
+    throw new Error('Could not generate an invite code, please try again');
+  }
+
+  organization.inviteCodes.push({
+    code,
+    role: data.role || 'member',
+    createdBy: actor._id,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    maxUses: data.maxUses || null
+  });
+  await organization.save();
+
+  console.log(`🏢 Invite code created for organization ${organization._id} (expires in ${expiresInDays} days)`);
+
+  return serializeInviteCode(organization.inviteCodes[organization.inviteCodes.length - 1]);
+};
+
+/**
+ * Revoke an invite code (org admins)
+ */
+const revokeInviteCode = async (organizationId, actor, inviteCodeId) => {
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin']);
+
+  const inviteCode = organization.inviteCodes.id(inviteCodeId);
+  if (!inviteCode || inviteCode.revokedAt) {
+    throw new Error('Invite code not found');
+  }
+
+  inviteCode.revokedAt = new Date();
+  await organization.save();
+};
+
+/**
+ * Find the organization and usable invite code for a code
+ * @returns {Promise<{organization: Object, inviteCode: Object}>}
+ */
+const findByInviteCode = async (code) => {
+  const normalized = normalizeInviteCode(code);
+  const organization = normalized
+    ? await Organization.findOne({ 'inviteCodes.code': normalized, isActive: true })
+    : null;
+  const inviteCode = organization?.findUsableInviteCode(normalized);
+
+  if (!inviteCode) {
+    throw new Error('Invalid or expired invite code');
+  }
+  return { organization, inviteCode };
+};
+
+/**
+ * What an invite code joins (public - shown on the signup page)
+ * @returns {Promise<Object>} { organization: { _id, name, type, description, memberCount }, role, expiresAt }
+ */
+const getInviteCodePreview = async (code) => {
+  const { organization, inviteCode } = await findByInviteCode(code);
+
+  return {
+    organization: serializeOrganizationPreview(organization),
+    role: inviteCode.role,
+    expiresAt: inviteCode.expiresAt
+  };
+};
+
+/**
+ * Join an organization with an invite code (also used at signup)
+ * @param {String} code - Invite code
+ * @param {Object} actor - Joining user ({ _id, email })
+ * @returns {Promise<Object>} Organization
+ */
+const joinWithInviteCode = async (code, actor) => {
+  const { organization, inviteCode } = await findByInviteCode(code);
+
+  if (organization.getMemberRole(actor._id)) {
+    throw new Error('User is already a member of this organization');
+  }
+
+  // Count the use with one conditional update - checking then incrementing lets concurrent joins overshoot maxUses
+  const claimed = await Organization.updateOne(
+    {
+      _id: organization._id,
+      inviteCodes: {
+        $elemMatch: {
+          _id: inviteCode._id,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+          ...(inviteCode.maxUses
+            ? { maxUses: inviteCode.maxUses, uses: { $lt: inviteCode.maxUses } }
+            : { maxUses: null })
+        }
+      }
+    },
+    { $inc: { 'inviteCodes.$.uses': 1 } }
+  );
+  if (claimed.modifiedCount !== 1) {
+    throw new Error('Invalid or expired invite code');
+  }
+
+  // A pending email invitation is used up by joining
+  const invitation = organization.invitations.find(inv => inv.email === actor.email.toLowerCase());
+  if (invitation) {
+    invitation.deleteOne();
+  }
+
+  try {
+    const role = await addToOrganization(organization, actor._id, inviteCode.role);
+    // Mirror the $inc above in the returned copy (after the save, so the stored count isn't overwritten)
+    inviteCode.uses += 1;
+    return serializeOrganization(organization, role);
+  } catch (error) {
+    // The join didn't happen - give the use back
+    await Organization.updateOne(
+      { _id: organization._id, 'inviteCodes._id': inviteCode._id },
+      { $inc: { 'inviteCodes.$.uses': -1 } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Auto-join the organization that owns the user's (verified) email domain
+ * Called when a user verifies their email; never throws
+ * @param {Object} user - User ({ _id, email, emailVerified, organization })
+ * @returns {Promise<Object|null>} Organization joined, or null
+ */
+const autoJoinByEmailDomain = async (user) => {
+  if (!user.emailVerified || user.organization) {
+    return null;
+  }
+
+  try {
+    const organization = await findAutoJoinOrganization(user.email);
+    if (!organization || organization.getMemberRole(user._id)) {
+      return null;
+    }
+
+    const role = await addToOrganization(organization, user._id, organization.autoJoin.role);
+    return serializeOrganization(organization, role);
+  } catch (error) {
+    console.error(`⚠️ Email-domain auto-join failed for user ${user._id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Decline an invitation for the caller's email
+ */
+const declineInvitation = async (organizationId, actor) => {
+  const result = await Organization.updateOne(
+    { _id: organizationId, 'invitations.email': actor.email.toLowerCase() },
+    { $pull: { invitations: { email: actor.email.toLowerCase() } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new Error('Invitation not found');
+  }
+};
+
+/**
+ * Change a member's role (org admins; the owner's role is fixed)
+ */
+const updateMemberRole = async (organizationId, actor, memberId, role) => {
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin']);
+
+  if (organization.admin.toString() === memberId.toString()) {
+    throw new Error("The organization owner's role cannot be changed");
+  }
+  if (!organization.getMemberRole(memberId)) {
+    throw new Error('Member not found');
+  }
+
+  await organization.updateMemberRole(memberId, role);
+  await syncPlatformRole(memberId);
+
+  return { userId: memberId, role };
+};
+
+/**
+ * Remove a member (org admins; the owner can't be removed)
+ */
+const removeMember = async (organizationId, actor, memberId) => {
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin']);
+
+  if (organization.admin.toString() === memberId.toString()) {
+    throw new Error('The organization owner cannot be removed');
+  }
+  if (!organization.getMemberRole(memberId)) {
+    throw new Error('Member not found');
+  }
+
+  await organization.removeMember(memberId);
+  await User.updateOne({ _id: memberId, organization: organization._id }, { $set: { organization: null } });
+  await syncPlatformRole(memberId);
+
+  console.log(`🏢 User ${memberId} removed from organization ${organization._id} by ${actor._id}`);
+};
+
+/**
+ * Leave the caller's organization (the owner can't leave)
+ */
+const leaveOrganization = async (organizationId, actor) => {
+  const organization = await findOrganization(organizationId);
+
+  if (organization.admin.toString() === actor._id.toString()) {
+    throw new Error('The organization owner cannot leave the organization');
+  }
+  if (!organization.getMemberRole(actor._id)) {
+    throw new Error('Not a member of this organization');
+  }
+
+  await organization.removeMember(actor._id);
+  await User.updateOne({ _id: actor._id }, { $set: { organization: null } });
+  await syncPlatformRole(actor._id);
+};
+
+/**
+ * Live dashboard counts (org admins and moderators)
+ * @returns {Promise<Object>} { members, onlineMembers, maxMembers, pendingInvitations, activeEmergencies, openHelpRequests }
+ */
+const getDashboard = async (organizationId, actor) => {
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin', 'moderator']);
+
+  const memberIds = organization.members.map(member => member.user);
+
+  const [activeEmergencies, openHelpRequests, online] = await Promise.all([
+    Emergency.countDocuments({ user: { $in: memberIds }, status: { $in: ACTIVE_EMERGENCY_STATUSES } }),
+    HelpRequest.countDocuments({ user: { $in: memberIds }, status: { $in: OPEN_HELP_REQUEST_STATUSES } }),
+    getOnlineUserIds(memberIds.map(id => id.toString()))
+  ]);
+
+  return {
+    members: memberIds.length,
+    onlineMembers: online ? online.size : null,
+    maxMembers: organization.subscription.maxMembers,
+    pendingInvitations: organization.invitations.length,
+    activeEmergencies,
+    openHelpRequests
+  };
+};
+
+/**
+ * Live (read-only) view of members' active emergencies (org admins and moderators, dashboard enabled)
+ * @returns {Promise<Array>} Emergencies (newest first) with the member and responder counts
+ */
+const getMemberEmergencies = async (organizationId, actor) => {
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin', 'moderator']);
+
+  if (!organization.emergencySettings.enableDashboard && actor.role !== 'admin') {
+    throw new Error('The emergency dashboard is disabled for this organization');
+  }
+
+  const emergencies = await Emergency.find({
+    user: { $in: organization.members.map(member => member.user) },
+    status: { $in: ACTIVE_EMERGENCY_STATUSES }
+  })
+    .select('user type category description location status priority severity escalationLevel respondingHelpers createdAt activatedAt')
+    .populate('user', 'profile firstName lastName email')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return emergencies.map(emergency => ({
+    _id: emergency._id,
+    member: {
+      userId: emergency.user?._id,
+      name: formatName(emergency.user)
+    },
+    type: emergency.type,
+    category: emergency.category,
+    description: emergency.description,
+    location: emergency.location
+      ? {
+        latitude: emergency.location.latitude,
+        longitude: emergency.location.longitude,
+        address: emergency.location.address
+      }
+      : null,
+    status: emergency.status,
+    priority: emergency.priority,
+    severity: emergency.severity,
+    escalationLevel: emergency.escalationLevel,
+    responders: (emergency.respondingHelpers || []).filter(responder => !['completed', 'cancelled'].includes(responder.status)).length,
+    createdAt: emergency.createdAt || emergency.activatedAt
+  }));
+};
+
+/**
+ * Organization SOS alert deliveries, newest first (org admins)
+ * @param {Object} options - { emergency, before (ISO date), limit }
+ * @returns {Promise<Array>} OrganizationAlert entries
+ */
+const getAlertLog = async (organizationId, actor, options = {}) => {
+  const { emergency = null, before = null, limit = 50 } = options;
+
+  const organization = await findOrganization(organizationId);
+  assertOrgRole(organization, actor, ['admin']);
+
+  const query = { organization: organization._id };
+  if (emergency) query.emergency = emergency;
+  if (before) query.createdAt = { $lt: new Date(before) };
+
+  return OrganizationAlert.find(query)
+    .populate('member', 'profile firstName lastName')
+    .populate('recipient', 'profile firstName lastName email')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = {
+  ORGANIZATION_TYPES,
+  MEMBER_ROLES,
+  AUTO_JOIN_TYPES,
+  createOrganization,
+  getMyOrganization,
+  getOrganization,
+  updateOrganization,
+  getMembers,
+  inviteMember,
+  bulkInviteMembers,
+  revokeInvitation,
+  getMyInvitations,
+  joinOrganization,
+  declineInvitation,
+  createInviteCode,
+  revokeInviteCode,
+  getInviteCodePreview,
+  joinWithInviteCode,
+  autoJoinByEmailDomain,
+  updateMemberRole,
+  removeMember,
+  leaveOrganization,
+  getDashboard,
+  getMemberEmergencies,
+  getAlertLog
+};
@@ -0,0 +1,50 @@
+const { User, Business, Organization } = require('../models');
+
+/**
+ * Platform Role Service
+ * The `business` and `org_admin` roles mirror what a user runs: an active business, or an organization
+ * they administer. Access to a business or organization is always checked against ownership or membership
+ * (businessService / organizationService), never against this role - it is kept for display and admin search.
+ * - Platform admins keep their role
+ * - The role a user had before promotion (user or helper) is kept in User.baseRole and restored
+ *   once they run neither
+ */
+
+const BASE_ROLES = ['user', 'helper'];
+
+/**
+ * Recompute a user's platform role after they start or stop running a business or organization
+ * An org admin wins over a business owner when both apply
+ * @param {String} userId - User ID
+ */
+const syncPlatformRole = async (userId) => {
+  const user = await User.findById(userId).select('role baseRole organization');
+  if (!user || user.role === 'admin') {
+    return;
+  }
+
+  const [ownsBusiness, adminsOrganization] = await Promise.all([
+    Business.exists({ owner: userId, isActive: true }),
+    user.organization
+      ? Organization.exists({
+        _id: user.organization,
+        isActive: true,
+        members: { $elemMatch: { user: userId, role: 'admin' } }
+      })
+      : null
+  ]);
+
+  const baseRole = BASE_ROLES.includes(user.role) ? user.role : (user.baseRole || 'user');
+  const role = adminsOrganization ? 'org_admin' : ownsBusiness ? 'business' : baseRole;
+
+  if (role === user.role && baseRole === user.baseRole) {
+    return;
+  }
+
+  // Conditional on the role we read, so a concurrent admin role change is not overwritten
+  await User.updateOne({ _id: userId, role: user.role }, { $set: { role, baseRole } });
+};
+
+module.exports = {
+  syncPlatformRole
+};
@@ -0,0 +1,181 @@
+const { getRateLimitStore } = require('../utils/rateLimitStores');
+
+/**
+ * Rate Limit Service
+ * Fixed-window rate limiting and login lockout on top of the configured store (utils/rateLimitStores)
+ * - Policies limit a key (IP, user or email) to `max` hits per `windowMs`
+ * - Repeated failed logins lock the account's email for a while (unknown emails too, so lockout
+ *   doesn't reveal which accounts exist)
+ * - Store errors fail open: an outage never blocks logins or an SOS
+ */
+
+/**
+ * Default policies - override with RATE_LIMIT_<POLICY>_MAX and RATE_LIMIT_<POLICY>_WINDOW_MS
+ * (e.g. RATE_LIMIT_LOGIN_MAX, RATE_LIMIT_LOCATION_UPDATE_WINDOW_MS)
+ */
+const POLICY_DEFAULTS = {
+  login: { max: 20, windowMs: 15 * 60 * 1000 }, // per IP
+  register: { max: 10, windowMs: 60 * 60 * 1000 }, // per IP
+  account_recovery: { max: 10, windowMs: 15 * 60 * 1000 }, // per IP (forgot/reset password, email verification)
+  emergency_message: { max: 30, windowMs: 60 * 1000 }, // per user
+  location_update: { max: 30, windowMs: 10 * 1000 }, // per user and socket event
+  invite_code: { max: 20, windowMs: 15 * 60 * 1000 }, // per IP - organization invite code lookups and joins
+  sos: { max: 3, windowMs: 15 * 60 * 1000 } // per user - new SOS alerts, see emergencyService.createEmergency
+};
+
+/**
+ * Get a policy with environment overrides applied
+ * @param {String} name - Policy name
+ * @returns {{name: String, max: Number, windowMs: Number}}
+ */
+const getPolicy = (name) => {
+  const defaults = POLICY_DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  const envPrefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    name,
+    max: parseInt(process.env[`${envPrefix}_MAX`]) || defaults.max,
+    windowMs: parseInt(process.env[`${envPrefix}_WINDOW_MS`]) || defaults.windowMs
+  };
+};
+
+/**
+ * Login lockout settings
+ * LOGIN_LOCKOUT_THRESHOLD: failed logins that lock the email (default 5)
+ * LOGIN_LOCKOUT_WINDOW_MS: window the failures are counted in (default 15 minutes)
+ * LOGIN_LOCKOUT_DURATION_MS: how long the email stays locked (default 15 minutes)
+ * @returns {{threshold: Number, windowMs: Number, durationMs: Number}}
+ */
+const getLoginLockoutConfig = () => ({
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  windowMs: parseInt(process.env.LOGIN_LOCKOUT_WINDOW_MS) || 15 * 60 * 1000,
+  durationMs: parseInt(process.env.LOGIN_LOCKOUT_DURATION_MS) || 15 * 60 * 1000
+});
+
+/**
+ * Helpers alerted for an SOS over the `sos` limit (SOS_THROTTLED_MAX_HELPERS, default 3)
+ * @returns {Number}
+ */
+const getThrottledSosHelperLimit = () => parseInt(process.env.SOS_THROTTLED_MAX_HELPERS) || 3;
+
+const getSecondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Human readable wait ("45 seconds", "12 minutes")
+ * @param {Number} seconds - Seconds to wait
+ * @returns {String}
+ */
+const formatRetryAfter = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+/**
+ * Count a hit against a policy
+ * @param {String} policyName - Policy name
+ * @param {String} identifier - What is limited (IP, user ID, ...)
+ * @returns {Promise<{allowed: Boolean, limit: Number, remaining: Number, resetAt: Date|null, retryAfterSeconds: Number}>}
+ */
+const consume = async (policyName, identifier) => {
+  const policy = getPolicy(policyName);
+
+  try {
+    const { count, resetAt } = await getRateLimitStore().increment(`${policyName}:${identifier}`, policy.windowMs);
+    const allowed = count <= policy.max;
+
+    if (!allowed && count === policy.max + 1) {
+      console.warn(`🚦 Rate limit reached: ${policyName} for ${identifier}`);
+    }
+
+    return {
+      allowed,
+      limit: policy.max,
+      remaining: Math.max(0, policy.max - count),
+      resetAt,
+      retryAfterSeconds: allowed ? 0 : getSecondsUntil(resetAt)
+    };
+  } catch (error) {
+    console.error(`⚠️ Rate limit store error (${policyName}), allowing request:`, error.message);
+    return { allowed: true, limit: policy.max, remaining: policy.max, resetAt: null, retryAfterSeconds: 0 };
+  }
+};
+
+/**
+ * Check whether an email is locked out of login
+ * @param {String} email - Login email
+ * @returns {Promise<{locked: Boolean, retryAfterSeconds: Number}>}
+ */
+const getLoginLockout = async (email) => {
+  try {
+    const lock = await getRateLimitStore().get(`login_lock:${normalizeEmail(email)}`);
+    return lock
+      ? { locked: true, retryAfterSeconds: getSecondsUntil(lock.resetAt) }
+      : { locked: false, retryAfterSeconds: 0 };
+  } catch (error) {
+    console.error('⚠️ Rate limit store error (login lockout), allowing login:', error.message);
+    return { locked: false, retryAfterSeconds: 0 };
+  }
+};
+
+/**
+ * Record a failed login; locks the email once the threshold is reached
+ * @param {String} email - Login email
+ * @returns {Promise<{locked: Boolean, retryAfterSeconds: Number}>}
+ */
+const recordFailedLogin = async (email) => {
+  const { threshold, windowMs, durationMs } = getLoginLockoutConfig();
+  const normalizedEmail = normalizeEmail(email);
+  const store = getRateLimitStore();
+
+  try {
+    const { count } = await store.increment(`login_failures:${normalizedEmail}`, windowMs);
+    if (count < threshold) {
+      return { locked: false, retryAfterSeconds: 0 };
+    }
+
+    const lock = await store.increment(`login_lock:${normalizedEmail}`, durationMs);
+    await store.reset(`login_failures:${normalizedEmail}`);
+    console.warn(`🔒 Login locked for ${normalizedEmail} after ${count} failed attempts`);
+
+    return { locked: true, retryAfterSeconds: getSecondsUntil(lock.resetAt) };
+  } catch (error) {
+    console.error('⚠️ Rate limit store error (login failures):', error.message);
+    return { locked: false, retryAfterSeconds: 0 };
+  }
+};
+
+/**
+ * Clear failed logins and any lockout for an email (successful login, password reset)
+ * @param {String} email - Login email
+ */
+const clearLoginFailures = async (email) => {
+  const normalizedEmail = normalizeEmail(email);
+  const store = getRateLimitStore();
+
+  try {
+    await Promise.all([
+      store.reset(`login_failures:${normalizedEmail}`),
+      store.reset(`login_lock:${normalizedEmail}`)
+    ]);
+  } catch (error) {
+    console.error('⚠️ Rate limit store error (clear login failures):', error.message);
+  }
+};
+
+module.exports = {
+  getPolicy,
+  getThrottledSosHelperLimit,
+  formatRetryAfter,
+  consume,
+  getLoginLockout,
+  recordFailedLogin,
+  clearLoginFailures
+};
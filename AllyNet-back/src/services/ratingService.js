@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { HelpRequest, Emergency, User } = require('../models');
+
+/**
+ * Rating Service
+ * Keeps User.helperRating in sync with the ratings helpers receive
+ */
+
+/**
+ * Recompute a helper's average rating from every rating they received as a helper
+ * (ratings given by help request creators and SOS debriefs)
+ * @param {String} helperId - Helper user ID
+ * @returns {Promise<{average: Number, count: Number}>} New helperRating
+ */
+const recomputeHelperRating = async (helperId) => {
+  const helperObjectId = new mongoose.Types.ObjectId(helperId.toString());
+
+  const [[helpResult], [sosResult]] = await Promise.all([
+    HelpRequest.aggregate([
+      { $match: { 'ratings.ratee': helperObjectId } },
+      { $unwind: '$ratings' },
+      { $match: { 'ratings.ratee': helperObjectId, 'ratings.raterRole': 'creator' } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$ratings.rating' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    Emergency.aggregate([
+      { $match: { 'debrief.helperFeedback.helper': helperObjectId } },
+      { $unwind: '$debrief.helperFeedback' },
+      { $match: { 'debrief.helperFeedback.helper': helperObjectId, 'debrief.helperFeedback.rating': { $gte: 1 } } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$debrief.helperFeedback.rating' },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const total = (helpResult ? helpResult.total : 0) + (sosResult ? sosResult.total : 0);
+  const count = (helpResult ? helpResult.count : 0) + (sosResult ? sosResult.count : 0);
+
+  const helperRating = {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count
+  };
+
+  await User.updateOne({ _id: helperObjectId }, { $set: { helperRating } });
+
+  return helperRating;
+};
+
+module.exports = {
+  recomputeHelperRating
+};
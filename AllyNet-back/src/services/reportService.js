@@ -0,0 +1,391 @@
+const { Report, User, Emergency, EmergencyMessage, HelpRequest, Ad } = require('../models');
+const { getEmergencyById } = require('./emergencyService');
+const { isEmergencyParticipant } = require('./messageService');
+const { recordAdminAction } = require('./adminAuditService');
+const { setUserBlocked } = require('./adminService');
+
+/**
+ * Report Service
+ * Abuse and false-SOS reports plus the moderation queue worked by admins
+ */
+
+const OPEN_STATUSES = ['open', 'in_review'];
+
+// Targets whose content moderators can take down (users and emergencies can't be "removed")
+const REMOVABLE_TARGETS = ['emergency_message', 'help_request', 'ad'];
+
+/**
+ * Load a report target, check the reporter may see it and snapshot it as evidence
+ * @param {String} targetType - Report target type
+ * @param {String} targetId - Target ID
+ * @param {String} reporterId - Reporting user
+ * @returns {Promise<{targetUser: ObjectId, evidence: Object}>}
+ */
+const resolveTarget = async (targetType, targetId, reporterId) => {
+  switch (targetType) {
+    case 'user': {
+      const user = await User.findById(targetId).select('profile firstName lastName role trustScore');
+      if (!user) {
+        throw new Error('Reported user not found');
+      }
+      return {
+        targetUser: user._id,
+        evidence: {
+          firstName: user.profile?.firstName || user.firstName,
+          lastName: user.profile?.lastName || user.lastName,
+          role: user.role,
+          trustScore: user.trustScore
+        }
+      };
+    }
+
+    case 'emergency': {
+      // Same visibility rules as viewing the emergency
+      const emergency = await getEmergencyById(targetId, reporterId);
+      return {
+        targetUser: emergency.user._id || emergency.user,
+        evidence: {
+          type: emergency.type,
+          description: emergency.description,
+          status: emergency.status,
+          location: {
+            latitude: emergency.location?.latitude,
+            longitude: emergency.location?.longitude,
+            address: emergency.location?.address
+          },
+          activatedAt: emergency.activatedAt,
+          resolvedAt: emergency.resolvedAt,
+          resolutionType: emergency.resolutionType,
+          respondingHelpers: emergency.respondingHelpers.length
+        }
+      };
+    }
+
+    case 'emergency_message': {
+      const message = await EmergencyMessage.findById(targetId);
+      if (!message) {
+        throw new Error('Message not found');
+      }
+      const { isParticipant } = await isEmergencyParticipant(reporterId, message.emergencyId);
+      if (!isParticipant) {
+        throw new Error('Not authorized to report this message');
+      }
+      return {
+        targetUser: message.senderId,
+        evidence: {
+          emergencyId: message.emergencyId,
+          senderRole: message.senderRole,
+          message: message.message,
+          sentAt: message.createdAt
+        }
+      };
+    }
+
+    case 'help_request': {
+      const request = await HelpRequest.findById(targetId);
+      if (!request) {
+        throw new Error('Help request not found');
+      }
+      return {
+        targetUser: request.user,
+        evidence: {
+          title: request.title,
+          description: request.description,
+          category: request.category,
+          status: request.status,
+          createdAt: request.createdAt
+        }
+      };
+    }
+
+    case 'ad': {
+      const ad = await Ad.findById(targetId);
+      if (!ad) {
+        throw new Error('Ad not found');
+      }
+      return {
+        targetUser: ad.createdBy,
+        evidence: {
+          title: ad.title,
+          description: ad.description,
+          businessName: ad.businessName,
+          category: ad.category,
+          image: ad.image,
+          createdAt: ad.createdAt
+        }
+      };
+    }
+
+    default:
+      throw new Error('Invalid report target');
+  }
+};
+
+/**
+ * File a report
+ * @param {String} reporterId - Reporting user
+ * @param {Object} reportData - { targetType, targetId, reason, details? }
+ * @returns {Promise<Object>} Created report
+ */
+const createReport = async (reporterId, reportData) => {
+  const { targetType, targetId, reason, details } = reportData;
+
+  const { targetUser, evidence } = await resolveTarget(targetType, targetId, reporterId);
+
+  if (targetUser.toString() === reporterId.toString()) {
+    throw new Error('You cannot report yourself');
+  }
+
+  const duplicate = await Report.exists({
+    reporter: reporterId,
+    targetType,
+    targetId,
+    status: { $in: OPEN_STATUSES }
+  });
+  if (duplicate) {
+    throw new Error('You have already reported this');
+  }
+
+  const report = await Report.create({
+    reporter: reporterId,
+    targetType,
+    targetId,
+    targetUser,
+    reason,
+    details: details ? details.trim() : undefined,
+    evidence
+  });
+
+  console.log(`🚩 Report filed: ${targetType} ${targetId} (${reason})`);
+
+  return report;
+};
+
+/**
+ * Get reports filed by a user (newest first)
+ * @param {String} userId - Reporter
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Reports (without moderation notes)
+ */
+const getUserReports = async (userId, options = {}) => {
+  const { limit = 50 } = options;
+
+  return Report.find({ reporter: userId })
+    .select('-moderation.notes -moderation.moderatedBy')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Get the moderation queue
+ * Open reports come oldest first; each report carries how often its target has been reported
+ * @param {Object} options - { status, targetType, limit, page }
+ * @returns {Promise<{reports: Array, total: Number}>}
+ */
+const getModerationQueue = async (options = {}) => {
+  const { status = 'open', targetType = null, limit = 50, page = 1 } = options;
+
+  const query = { status };
+  if (targetType) {
+    query.targetType = targetType;
+  }
+
+  const sort = OPEN_STATUSES.includes(status) ? { createdAt: 1 } : { updatedAt: -1 };
+
+  const [reports, total] = await Promise.all([
+    Report.find(query)
+      .populate('reporter', 'profile firstName lastName email trustScore')
+      .populate('targetUser', 'profile firstName lastName email trustScore isBlocked')
+      .populate('moderation.moderatedBy', 'profile firstName lastName')
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Report.countDocuments(query)
+  ]);
+
+  const counts = await Report.aggregate([
+    { $match: { targetId: { $in: reports.map(r => r.targetId) } } },
+    { $group: { _id: '$targetId', count: { $sum: 1 } } }
+  ]);
+  const countByTarget = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  return {
+    reports: reports.map(r => ({ ...r, targetReportCount: countByTarget.get(r.targetId.toString()) || 1 })),
+    total
+  };
+};
+
+/**
+ * Get a single report (admin)
+ * @param {String} reportId - Report ID
+ * @returns {Promise<Object>} Report
+ */
+const getReportById = async (reportId) => {
+  const report = await Report.findById(reportId)
+    .populate('reporter', 'profile firstName lastName email trustScore')
+    .populate('targetUser', 'profile firstName lastName email trustScore isBlocked blockedReason warnings')
+    .populate('moderation.moderatedBy', 'profile firstName lastName');
+
+  if (!report) {
+    throw new Error('Report not found');
+  }
+
+  return report;
+};
+
+/**
+ * Take a report into review
+ * @param {String} reportId - Report ID
+ * @param {String} adminId - Moderator
+ * @param {String} ipAddress - Request IP (audit log)
+ * @returns {Promise<Object>} Updated report
+ */
+const startReview = async (reportId, adminId, ipAddress = null) => {
+  const report = await Report.findById(reportId);
+  if (!report) {
+    throw new Error('Report not found');
+  }
+  if (report.status !== 'open') {
+    throw new Error(`Report is already ${report.status}`);
+  }
+
+  report.status = 'in_review';
+  report.moderation.moderatedBy = adminId;
+  await report.save();
+
+  await recordAdminAction(adminId, 'report_review', { targetType: 'Report', targetId: report._id }, {}, ipAddress);
+
+  return report;
+};
+
+/**
+ * Remove reported content (the evidence snapshot keeps a copy)
+ * @param {Object} report - Report
+ */
+const removeTargetContent = async (report) => {
+  switch (report.targetType) {
+    case 'emergency_message': {
+      const message = await EmergencyMessage.findByIdAndDelete(report.targetId);
+      if (message) {
+        try {
+          const { getEmergencyNamespace } = require('../sockets');
+          const { emitEmergencyMessageDeleted } = require('../sockets/emergencySocket');
+          emitEmergencyMessageDeleted(getEmergencyNamespace(), message.emergencyId.toString(), message._id.toString());
+        } catch (emitError) {
+          console.error('Error emitting emergency:message:deleted:', emitError);
+        }
+      }
+      break;
+    }
+    case 'help_request':
+      await HelpRequest.deleteOne({ _id: report.targetId });
+      break;
+    case 'ad':
+      await Ad.deleteOne({ _id: report.targetId });
+      break;
+    default:
+      throw new Error('Content of this report type cannot be removed');
+  }
+};
+
+/**
+ * Resolve a report: apply a moderation action or dismiss it
+ * Actions on a target also close the other open reports against the same target
+ * @param {String} reportId - Report ID
+ * @param {String} adminId - Moderator
+ * @param {Object} resolution - { action: 'warn'|'block'|'remove_content'|'dismiss', notes? }
+ * @param {String} ipAddress - Request IP (audit log)
+ * @returns {Promise<Object>} Updated report
+ */
+const resolveReport = async (reportId, adminId, resolution, ipAddress = null) => {
+  const { action, notes } = resolution;
+
+  const report = await Report.findById(reportId);
+  if (!report) {
+    throw new Error('Report not found');
+  }
+  if (!OPEN_STATUSES.includes(report.status)) {
+    throw new Error(`Report is already ${report.status}`);
+  }
+
+  const moderation = {
+    action: action === 'dismiss' ? null : action,
+    notes: notes || undefined,
+    moderatedBy: adminId,
+    moderatedAt: new Date()
+  };
+
+  const audit = () => recordAdminAction(
+    adminId,
+    'report_resolve',
+    { targetType: 'Report', targetId: report._id },
+    { action, notes, reportedType: report.targetType, reportedId: report.targetId, targetUser: report.targetUser },
+    ipAddress
+  );
+
+  if (action === 'dismiss') {
+    report.status = 'dismissed';
+    report.moderation = moderation;
+    await report.save();
+    await audit();
+    return report;
+  }
+
+  if (action === 'remove_content' && !REMOVABLE_TARGETS.includes(report.targetType)) {
+    throw new Error('Content of this report type cannot be removed');
+  }
+
+  const targetUser = await User.findById(report.targetUser);
+  if (!targetUser && action !== 'remove_content') {
+    throw new Error('Reported user not found');
+  }
+
+  if (action === 'warn') {
+    targetUser.warnings.push({
+      reason: notes || report.reason,
+      report: report._id,
+      issuedBy: adminId,
+      issuedAt: moderation.moderatedAt
+    });
+    await targetUser.save();
+  } else if (action === 'block') {
+    // Same path as the admin console's block: refuses admins and records a user_block audit entry
+    if (!targetUser.isBlocked) {
+      await setUserBlocked(adminId, targetUser._id, true, notes || `Reported for ${report.reason}`, ipAddress);
+    }
+  } else if (action === 'remove_content') {
+    await removeTargetContent(report);
+  }
+
+  report.status = 'actioned';
+  report.moderation = moderation;
+  await report.save();
+
+  // Same target, same outcome for reports still waiting in the queue
+  await Report.updateMany(
+    {
+      _id: { $ne: report._id },
+      targetType: report.targetType,
+      targetId: report.targetId,
+      status: { $in: OPEN_STATUSES }
+    },
+    { $set: { status: 'actioned', moderation } }
+  );
+
+  await audit();
+
+  console.log(`🛡️ Report ${report._id} actioned (${action}) by ${adminId}`);
+
+  return report;
+};
+
+module.exports = {
+  createReport,
+  getUserReports,
+  getModerationQueue,
+  getReportById,
+  startReview,
+  resolveReport
+};
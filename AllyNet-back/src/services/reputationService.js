@@ -0,0 +1,193 @@
+const { User, TrustEvent } = require('../models');
+
+/**
+ * Reputation Service
+ * Single place where trust scores change. Every change is applied atomically,
+ * clamped to the trust score bounds and written to the TrustEvent ledger
+ * Scores of inactive users decay slowly (see runTrustDecayCycle)
+ */
+
+// Trust score bounds (User.trustScore)
+const TRUST_SCORE_MIN = 0;
+const TRUST_SCORE_MAX = 1000;
+
+// Fixed score changes per reason
+const TRUST_DELTAS = {
+  sos_response: 50,
+  help_accepted: 10,
+  help_reported: -50,
+  sos_misconduct: -50
+};
+
+// Score change for a rating received as a helper (1-5 stars)
+const RATING_DELTAS = { 1: -10, 2: -5, 3: 0, 4: 5, 5: 10 };
+
+/**
+ * Decay settings
+ * TRUST_DECAY_INACTIVE_DAYS: days without any trust change before the score starts decaying (default 30)
+ * TRUST_DECAY_PERCENT: share of the score lost per inactive period (default 5)
+ * @returns {{inactiveDays: Number, percent: Number}}
+ */
+const getTrustDecayConfig = () => ({
+  inactiveDays: parseInt(process.env.TRUST_DECAY_INACTIVE_DAYS) || 30,
+  percent: parseFloat(process.env.TRUST_DECAY_PERCENT) || 5
+});
+
+/**
+ * Apply a trust score change and record it in the ledger
+ * Source-linked events are only recorded once per user/reason/source
+ * @param {String} userId - User whose score changes
+ * @param {String} reason - TrustEvent reason
+ * @param {Object} options - { delta? (defaults to TRUST_DELTAS[reason]), sourceModel?, sourceId?, note? }
+ * @returns {Promise<Object|null>} TrustEvent, or null if nothing changed
+ */
+const recordTrustEvent = async (userId, reason, options = {}) => {
+  const { sourceModel = null, sourceId = null, note } = options;
+  const delta = options.delta ?? TRUST_DELTAS[reason];
+
+  if (delta === undefined) {
+    throw new Error(`No trust delta defined for ${reason}`);
+  }
+  if (delta === 0) {
+    return null;
+  }
+
+  if (sourceId && await TrustEvent.exists({ user: userId, reason, sourceId })) {
+    return null;
+  }
+
+  // Clamp in the update itself so concurrent changes can't push the score out of bounds
+  const before = await User.findOneAndUpdate(
+    { _id: userId },
+    [{
+      $set: {
+        trustScore: {
+          $min: [TRUST_SCORE_MAX, { $max: [TRUST_SCORE_MIN, { $add: [{ $ifNull: ['$trustScore', 0] }, delta] }] }]
+        },
+        trustUpdatedAt: '$$NOW'
+      }
+    }],
+    { new: false, projection: { trustScore: 1 } }
+  );
+
+  if (!before) {
+    throw new Error('User not found');
+  }
+
+  const previousScore = before.trustScore || 0;
+  const scoreAfter = Math.min(TRUST_SCORE_MAX, Math.max(TRUST_SCORE_MIN, previousScore + delta));
+
+  return TrustEvent.create({
+    user: userId,
+    reason,
+    delta: scoreAfter - previousScore,
+    scoreAfter,
+    sourceModel,
+    sourceId,
+    note
+  });
+};
+
+/**
+ * Record the trust effect of a rating a helper received
+ * @param {String} helperId - Rated helper
+ * @param {Number} rating - 1-5
+ * @param {Object} source - { sourceModel, sourceId }
+ * @returns {Promise<Object|null>} TrustEvent
+ */
+const recordRatingReceived = async (helperId, rating, source) => {
+  return recordTrustEvent(helperId, 'help_rating', {
+    ...source,
+    delta: RATING_DELTAS[rating] ?? 0,
+    note: `Rated ${rating}/5`
+  });
+};
+
+/**
+ * Get a user's trust score and ledger (newest first)
+ * @param {String} userId - User ID
+ * @param {Object} options - { limit, before (ISO date, for paging) }
+ * @returns {Promise<Object>} { trustScore, bounds, last30Days, events }
+ */
+const getTrustHistory = async (userId, options = {}) => {
+  const { limit = 20, before = null } = options;
+
+  const user = await User.findById(userId).select('trustScore');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const query = { user: userId };
+  if (before) {
+    query.createdAt = { $lt: new Date(before) };
+  }
+
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const [events, [recent]] = await Promise.all([
+    TrustEvent.find(query)
+      .select('reason delta scoreAfter sourceModel sourceId note createdAt')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean(),
+    TrustEvent.aggregate([
+      { $match: { user: user._id, createdAt: { $gte: since } } },
+      { $group: { _id: null, total: { $sum: '$delta' } } }
+    ])
+  ]);
+
+  return {
+    trustScore: user.trustScore || 0,
+    bounds: { min: TRUST_SCORE_MIN, max: TRUST_SCORE_MAX },
+    last30Days: recent ? recent.total : 0,
+    events
+  };
+};
+
+/**
+ * Decay the scores of users with no trust change for a full inactive period
+ * The decay event itself resets the clock, so decay repeats once per period while inactive
+ * @returns {Promise<{decayed: Number}>}
+ */
+const runTrustDecayCycle = async () => {
+  const { inactiveDays, percent } = getTrustDecayConfig();
+  const cutoff = new Date(Date.now() - inactiveDays * 24 * 60 * 60 * 1000);
+
+  const users = await User.find({
+    trustScore: { $gt: TRUST_SCORE_MIN },
+    $or: [
+      { trustUpdatedAt: { $lt: cutoff } },
+      { trustUpdatedAt: null, createdAt: { $lt: cutoff } }
+    ]
+  })
+    .select('trustScore')
+    .limit(500);
+
+  let decayed = 0;
+  for (const user of users) {
+    try {
+      const loss = Math.max(1, Math.round(user.trustScore * percent / 100));
+      await recordTrustEvent(user._id, 'decay', {
+        delta: -loss,
+        note: `No activity for ${inactiveDays} days`
+      });
+      decayed++;
+    } catch (error) {
+      console.error(`❌ Error decaying trust score for user ${user._id}:`, error.message);
+    }
+  }
+
+  if (decayed > 0) {
+    console.log(`📉 Trust decay applied to ${decayed} user(s)`);
+  }
+
+  return { decayed };
+};
+
+module.exports = {
+  TRUST_SCORE_MIN,
+  TRUST_SCORE_MAX,
+  recordTrustEvent,
+  recordRatingReceived,
+  getTrustHistory,
+  runTrustDecayCycle
+};
@@ -0,0 +1,264 @@
+const { SafetyTimer, User } = require('../models');
+const emergencyService = require('./emergencyService');
+const dispatchService = require('./dispatchService');
+
+/**
+ * Safety Timer Service
+ * "Check in with me" mode (dead-man's switch)
+ * If the user doesn't check in before the timer runs out, an SOS is created
+ * from their last known location - emergency contacts are notified by createEmergency
+ */
+
+// Extra time granted per extension (minutes)
+const DEFAULT_EXTENSION_MINUTES = 10;
+
+/**
+ * Store the user's current position as their last known location
+ * @param {String} userId - User ID
+ * @param {Object} location - { latitude, longitude }
+ */
+const updateLastKnownLocation = async (userId, location) => {
+  if (!location || location.latitude === undefined || location.longitude === undefined) {
+    return;
+  }
+
+  const user = await User.findById(userId);
+  if (user) {
+    user.location = {
+      type: 'Point',
+      coordinates: [location.longitude, location.latitude] // [longitude, latitude] for GeoJSON
+    };
+    await user.save();
+  }
+};
+
+/**
+ * Start a safety timer
+ * @param {String} userId - User ID
+ * @param {Object} timerData - { durationMinutes, label, location: { latitude, longitude } }
+ * @returns {Promise<Object>} Created timer
+ */
+const startTimer = async (userId, timerData) => {
+  const { durationMinutes, label, location } = timerData;
+
+  const existingTimer = await SafetyTimer.findActiveTimer(userId);
+  if (existingTimer) {
+    throw new Error('You already have a safety timer running. Check in or extend it instead.');
+  }
+
+  await updateLastKnownLocation(userId, location);
+
+  const startedAt = new Date();
+  const timer = await SafetyTimer.create({
+    user: userId,
+    label,
+    durationMinutes,
+    startedAt,
+    expiresAt: new Date(startedAt.getTime() + durationMinutes * 60 * 1000),
+    startLocation: location ? { latitude: location.latitude, longitude: location.longitude } : undefined
+  });
+
+  return timer;
+};
+
+/**
+ * Get the user's running timer
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} Active timer or null
+ */
+const getActiveTimer = async (userId) => {
+  return SafetyTimer.findActiveTimer(userId);
+};
+
+/**
+ * Check in as safe - stops the running timer
+ * Atomic on status 'active': once the scheduler has claimed the timer the check-in is refused
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} Completed timer
+ */
+const checkIn = async (userId) => {
+  const timer = await SafetyTimer.findOneAndUpdate(
+    { user: userId, status: 'active' },
+    { $set: { status: 'completed', checkedInAt: new Date() } },
+    { new: true }
+  );
+  if (!timer) {
+    throw new Error('No active safety timer found');
+  }
+
+  return timer;
+};
+
+/**
+ * Push the running timer's deadline back
+ * @param {String} userId - User ID
+ * @param {Number} minutes - Extra minutes (default: 10)
+ * @param {Object} location - Optional current position { latitude, longitude }
+ * @returns {Promise<Object>} Updated timer
+ */
+const extendTimer = async (userId, minutes = DEFAULT_EXTENSION_MINUTES, location = null) => {
+  const timer = await SafetyTimer.findActiveTimer(userId);
+  if (!timer) {
+    throw new Error('No active safety timer found');
+  }
+
+  await updateLastKnownLocation(userId, location);
+
+  // Extend from now if the deadline already passed but the scheduler hasn't fired yet
+  const base = Math.max(timer.expiresAt.getTime(), Date.now());
+
+  // Conditional on the timer still being active with the deadline we read - never revives a claimed timer
+  const extended = await SafetyTimer.findOneAndUpdate(
+    { _id: timer._id, status: 'active', expiresAt: timer.expiresAt },
+    {
+      $set: {
+        expiresAt: new Date(base + minutes * 60 * 1000),
+        durationMinutes: Math.min(720, timer.durationMinutes + minutes)
+      },
+      $inc: { extensions: 1 }
+    },
+    { new: true }
+  );
+  if (!extended) {
+    throw new Error('No active safety timer found');
+  }
+
+  return extended;
+};
+
+/**
+ * Claim a timer that ran out for triggering
+ * Atomic: only succeeds while the timer is still active and past its deadline, so a check-in or
+ * extension that lands first wins and no SOS is raised
+ * @param {String} timerId - Timer ID
+ * @returns {Promise<Object|null>} Claimed timer (status 'triggered'), or null if it was checked in or extended
+ */
+const claimExpiredTimer = async (timerId) => {
+  const now = new Date();
+  return SafetyTimer.findOneAndUpdate(
+    { _id: timerId, status: 'active', expiresAt: { $lte: now } },
+    { $set: { status: 'triggered', triggeredAt: now } },
+    { new: true }
+  );
+};
+
+/**
+ * Raise an SOS for a timer that ran out
+ * Uses the user's last known User.location, falling back to where the timer started
+ * @param {Object} timer - SafetyTimer document, already claimed (claimExpiredTimer)
+ * @returns {Promise<Object|null>} Created (or already active) emergency, null if none could be raised
+ */
+const triggerTimer = async (timer) => {
+  const user = await User.findById(timer.user).select('location');
+
+  let location = null;
+  const coordinates = user?.location?.coordinates;
+  if (Array.isArray(coordinates) && coordinates.length === 2 && (coordinates[0] !== 0 || coordinates[1] !== 0)) {
+    location = { latitude: coordinates[1], longitude: coordinates[0] };
+  } else if (timer.startLocation?.latitude !== undefined && timer.startLocation?.longitude !== undefined) {
+    location = { latitude: timer.startLocation.latitude, longitude: timer.startLocation.longitude };
+  }
+
+  if (!location) {
+    timer.triggerError = 'No known location for user';
+    await timer.save();
+    return null;
+  }
+
+  let emergency;
+  let isNew = true;
+
+  try {
+    emergency = await emergencyService.createEmergency(
+      {
+        location,
+        type: 'safety',
+        category: 'safety_timer',
+        description: `Missed safety check-in${timer.label ? `: "${timer.label}"` : ''} (${timer.durationMinutes} min timer)`,
+        priority: 'high'
+      },
+      timer.user,
+      `safety-timer-${timer._id}` // Idempotent if the scheduler retries
+    );
+  } catch (error) {
+    if (!error.message.startsWith('User already has an active emergency')) {
+      timer.triggerError = error.message;
+      await timer.save();
+      throw error;
+    }
+
+    // An SOS is already running for this user - link it instead of raising a second one
+    emergency = await emergencyService.getUserActiveEmergency(timer.user);
+    isNew = false;
+  }
+
+  timer.emergency = emergency?._id || null;
+  await timer.save();
+
+  if (emergency && isNew) {
+    // Same targeted dispatch as POST /emergencies - best effort, emergency already exists
+    try {
+      const { getEmergencyNamespace } = require('../sockets');
+      const { emitEmergencyCreated } = require('../sockets/emergencySocket');
+      const helperIds = await dispatchService.dispatchEmergency(emergency);
+      emitEmergencyCreated(getEmergencyNamespace(), emergency, helperIds);
+    } catch (dispatchError) {
+      console.error('⚠️ Error dispatching safety timer SOS to helpers (emergency still created):', dispatchError.message);
+    }
+  }
+
+  return emergency;
+};
+
+/**
+ * Run one pass over timers that ran out and raise their SOS
+ * @returns {Promise<Number>} Number of timers triggered
+ */
+const runSafetyTimerCycle = async () => {
+  const candidates = await SafetyTimer.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  let triggeredCount = 0;
+
+  for (const candidate of candidates) {
+    const timer = await claimExpiredTimer(candidate._id);
+    if (!timer) {
+      continue; // Checked in or extended since the query
+    }
+
+    try {
+      const emergency = await triggerTimer(timer);
+      triggeredCount++;
+
+      if (!emergency) {
+        console.error(`❌ Safety timer ${timer._id} ran out but no SOS could be raised: ${timer.triggerError}`);
+        continue;
+      }
+
+      console.log(`⚠️ Safety timer ${timer._id} ran out - SOS ${emergency._id} raised for user ${timer.user}`);
+
+      try {
+        const { getEmergencyNamespace } = require('../sockets');
+        const { emitSafetyTimerTriggered } = require('../sockets/emergencySocket');
+        emitSafetyTimerTriggered(getEmergencyNamespace(), timer, emergency);
+      } catch (socketError) {
+        console.error('⚠️ Error emitting safety timer event (SOS still raised):', socketError.message);
+      }
+    } catch (error) {
+      console.error(`❌ Error triggering safety timer ${timer._id}:`, error.message);
+    }
+  }
+
+  return triggeredCount;
+};
+
+module.exports = {
+  startTimer,
+  getActiveTimer,
+  checkIn,
+  extendTimer,
+  triggerTimer,
+  runSafetyTimerCycle
+};
@@ -0,0 +1,258 @@
+const { randomUUID } = require('crypto');
+const { AuthSession, User } = require('../models');
+const { generateTokenPair, verifyRefreshToken, getTokenExpiry } = require('../utils/jwt');
+const { describeDevice } = require('../utils/deviceLabel');
+
+/**
+ * Session Service
+ * Server-side login sessions backing refresh-token rotation and revocation
+ * - Each login creates an AuthSession; access and refresh tokens carry its ID
+ * - Every refresh rotates the refresh token (new jti); only the latest one is accepted
+ * - Presenting an already-rotated refresh token is treated as theft: the session is revoked
+ * - Revoking a session also disconnects its /emergencies sockets
+ */
+
+// lastUsedAt is written at most this often per session (authenticated requests are frequent)
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Get the emergency namespace and socket helpers (null when Socket.IO isn't running)
+ */
+const getSocketHelpers = () => {
+  try {
+    const { getEmergencyNamespace } = require('../sockets');
+    return {
+      namespace: getEmergencyNamespace(),
+      emitters: require('../sockets/emergencySocket')
+    };
+  } catch (socketError) {
+    return null;
+  }
+};
+
+/**
+ * Disconnect the sockets of revoked sessions (best effort)
+ */
+const disconnectSessions = (sessionIds) => {
+  const sockets = sessionIds.length > 0 ? getSocketHelpers() : null;
+  if (sockets) {
+    sockets.emitters.disconnectSessionSockets(sockets.namespace, sessionIds);
+  }
+};
+
+/**
+ * Issue a token pair for a session with a fresh refresh token ID
+ * @returns {{tokens: Object, tokenId: String, expiresAt: Date}}
+ */
+const issueTokens = (user, sessionId) => {
+  const tokenId = randomUUID();
+  const tokens = generateTokenPair(user, { sessionId, tokenId });
+
+  return { tokens, tokenId, expiresAt: getTokenExpiry(tokens.refreshToken) };
+};
+
+/**
+ * Start a session for a user (login / registration)
+ * @param {Object} user - User document
+ * @param {Object} context - { userAgent, ipAddress }
+ * @returns {Promise<{session: Object, tokens: Object}>}
+ */
+const createSession = async (user, context = {}) => {
+  const sessionId = new AuthSession()._id;
+  const { tokens, tokenId, expiresAt } = issueTokens(user, sessionId);
+
+  const session = await AuthSession.create({
+    _id: sessionId,
+    user: user._id,
+    currentTokenId: tokenId,
+    userAgent: context.userAgent ? context.userAgent.slice(0, 500) : undefined,
+    deviceLabel: describeDevice(context.userAgent),
+    ipAddress: context.ipAddress || undefined,
+    lastUsedAt: new Date(),
+    expiresAt
+  });
+
+  return { session, tokens };
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - AuthSession ID
+ * @param {String} reason - AuthSession.revokedReason
+ * @returns {Promise<Boolean>} True if the session was active
+ */
+const revokeSession = async (sessionId, reason) => {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  disconnectSessions([sessionId]);
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {String} userId - User ID
+ * @param {String} reason - AuthSession.revokedReason
+ * @param {Object} options - { exceptSessionId } keeps the caller's own session
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, options = {}) => {
+  const { exceptSessionId = null } = options;
+
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessionIds = await AuthSession.distinct('_id', query);
+  if (sessionIds.length === 0) {
+    return 0;
+  }
+
+  const result = await AuthSession.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  disconnectSessions(sessionIds);
+
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke one of the caller's sessions (sign out a device)
+ * @param {String} userId - Session owner
+ * @param {String} sessionId - Session to revoke
+ * @returns {Promise<Boolean>}
+ */
+const revokeUserSession = async (userId, sessionId) => {
+  const session = await AuthSession.findOne({ _id: sessionId, user: userId, revokedAt: null }).select('_id');
+  if (!session) {
+    throw new Error('Session not found');
+  }
+
+  return revokeSession(session._id, 'logout');
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * @param {String} refreshToken - Refresh token
+ * @param {Object} context - { userAgent, ipAddress }
+ * @returns {Promise<{user: Object, session: Object, tokens: Object}>}
+ */
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  // Throws TokenExpiredError / JsonWebTokenError for bad tokens
+  const decoded = verifyRefreshToken(refreshToken);
+
+  if (!decoded.sessionId || !decoded.jti) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  const session = await AuthSession.findById(decoded.sessionId);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+    throw new Error('Session has been revoked');
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive || user.isBlocked) {
+    throw new Error('User not found or account is inactive');
+  }
+
+  const { tokens, tokenId, expiresAt } = issueTokens(user, session._id);
+
+  // Compare-and-swap on the current token ID so two uses of the same token can't both succeed
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, currentTokenId: decoded.jti, revokedAt: null },
+    {
+      $set: {
+        currentTokenId: tokenId,
+        expiresAt,
+        lastUsedAt: new Date(),
+        ...(context.userAgent && { userAgent: context.userAgent.slice(0, 500) }),
+        ...(context.ipAddress && { ipAddress: context.ipAddress })
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // An old refresh token of this session was replayed - whoever holds it, stop them all
+    await revokeSession(session._id, 'token_reuse');
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id} (user ${user._id}) - session revoked`);
+    throw new Error('Refresh token reuse detected');
+  }
+
+  return { user, session: rotated, tokens };
+};
+
+/**
+ * Ensure a token's session is still active (used by protect and socketAuth)
+ * @param {String} sessionId - Session ID from the access token
+ * @param {String} userId - User ID from the access token
+ * @returns {Promise<Object>} Session
+ */
+const assertActiveSession = async (sessionId, userId) => {
+  if (!sessionId) {
+    throw new Error('Session has been revoked');
+  }
+
+  const session = await AuthSession.findById(sessionId);
+  if (!session || !session.isActive() || session.user.toString() !== userId.toString()) {
+    throw new Error('Session has been revoked');
+  }
+
+  // Last seen - throttled, not awaited
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    AuthSession.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('⚠️ Could not update session last seen:', error.message));
+  }
+
+  return session;
+};
+
+/**
+ * List a user's active sessions (newest activity first)
+ * with device label, IP, last seen and whether the device has a live socket
+ * @param {String} userId - User ID
+ * @param {String} currentSessionId - Caller's session (flagged as current)
+ * @returns {Promise<Array>} Sessions
+ */
+const getActiveSessions = async (userId, currentSessionId = null) => {
+  const sessions = await AuthSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent deviceLabel ipAddress lastUsedAt expiresAt createdAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  const sockets = getSocketHelpers();
+  const connectedSessions = sockets
+    ? await sockets.emitters.getConnectedSessions(sockets.namespace, userId)
+    : new Map();
+
+  return sessions.map(session => {
+    const id = session._id.toString();
+    return {
+      ...session,
+      deviceLabel: session.deviceLabel || describeDevice(session.userAgent),
+      current: !!currentSessionId && id === currentSessionId.toString(),
+      socketConnected: connectedSessions.has(id),
+      socketCount: connectedSessions.get(id) || 0
+    };
+  });
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeUserSession,
+  assertActiveSession,
+  getActiveSessions
+};
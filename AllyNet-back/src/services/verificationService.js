@@ -0,0 +1,352 @@
+const { User } = require('../models');
+const { getStorageDriver } = require('../utils/storage');
+const { recordAdminAction } = require('./adminAuditService');
+
+/**
+ * Verification Service
+ * Helper identity verification: document submission → admin review → approve/reject,
+ * expiry of verified status, and the per-emergency-type verified-helper policy used by
+ * SOS dispatch and helper ranking
+ */
+
+const DOCUMENT_TYPES = ['id_card', 'passport', 'drivers_license', 'certification', 'other'];
+const MAX_VERIFICATION_DOCUMENTS = 5;
+
+// Verified helpers can re-submit this many days before their verification expires
+const RENEWAL_WINDOW_DAYS = 30;
+
+const STORAGE_FOLDER = 'verification';
+
+// Emergency types that only alert/list verified helpers (others prefer verified helpers)
+const DEFAULT_VERIFIED_REQUIRED_TYPES = ['medical', 'assault'];
+
+const QUEUE_USER_FIELDS = 'email profile firstName lastName helper helperVerified verification trustScore helperRating createdAt';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getVerificationValidDays = () => parseInt(process.env.HELPER_VERIFICATION_VALID_DAYS) || 365;
+
+/**
+ * Get the verified-helper policy for an emergency type
+ * Required types configurable via VERIFIED_HELPERS_REQUIRED_FOR (comma separated)
+ * @param {String} emergencyType - Emergency.type
+ * @returns {String} 'require' (verified helpers only) | 'prefer' (verified helpers ranked first)
+ */
+const getVerificationPolicy = (emergencyType) => {
+  const requiredTypes = process.env.VERIFIED_HELPERS_REQUIRED_FOR !== undefined
+    ? process.env.VERIFIED_HELPERS_REQUIRED_FOR.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_VERIFIED_REQUIRED_TYPES;
+
+  return requiredTypes.includes(emergencyType) ? 'require' : 'prefer';
+};
+
+/**
+ * Shape verification data for API responses (storage keys stay server-side)
+ * @param {Object} verification - User.verification
+ * @returns {Object}
+ */
+const serializeVerification = (verification = {}) => ({
+  status: verification.status || 'unverified',
+  kycLevel: verification.kycLevel || 'none',
+  requestedLevel: verification.requestedLevel,
+  submittedAt: verification.submittedAt,
+  reviewedAt: verification.reviewedAt,
+  reviewNotes: verification.reviewNotes,
+  verifiedAt: verification.verifiedAt,
+  expiresAt: verification.expiresAt,
+  documents: (verification.documents || []).map(document => ({
+    _id: document._id,
+    documentType: document.documentType,
+    originalName: document.originalName,
+    contentType: document.contentType,
+    size: document.size,
+    uploadedAt: document.uploadedAt
+  }))
+});
+
+/**
+ * Emit a verification status change to the helper (best effort)
+ */
+const notifyVerificationUpdated = (userId, verification) => {
+  try {
+    const { getEmergencyNamespace } = require('../sockets');
+    const { emitVerificationUpdated } = require('../sockets/emergencySocket');
+    emitVerificationUpdated(getEmergencyNamespace(), userId, serializeVerification(verification));
+  } catch (socketError) {
+    console.error('⚠️ Socket.IO unavailable for verification events:', socketError.message);
+  }
+};
+
+/**
+ * Submit identity documents for review
+ * Allowed when unverified, rejected, expired, or verified and inside the renewal window
+ * @param {String} userId - Helper
+ * @param {Object} data - { files: [{ buffer, originalname, mimetype }], documentTypes: [String], requestedLevel }
+ * @returns {Promise<Object>} Serialized verification
+ */
+const submitVerification = async (userId, data) => {
+  const { files = [], documentTypes = [], requestedLevel = 'basic' } = data;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (!user.helper) {
+    throw new Error('Only helpers can request verification');
+  }
+
+  const { status, expiresAt } = user.verification || {};
+  if (status === 'pending') {
+    throw new Error('Verification is already pending review');
+  }
+  if (status === 'verified' && expiresAt && expiresAt.getTime() - Date.now() > RENEWAL_WINDOW_DAYS * DAY_MS) {
+    throw new Error('Helper is already verified');
+  }
+
+  if (files.length === 0) {
+    throw new Error('At least one verification document is required');
+  }
+  if (files.length > MAX_VERIFICATION_DOCUMENTS) {
+    throw new Error(`At most ${MAX_VERIFICATION_DOCUMENTS} verification documents are allowed`);
+  }
+
+  const storage = getStorageDriver();
+  const types = [].concat(documentTypes || []);
+  const documents = [];
+
+  try {
+    for (const [index, file] of files.entries()) {
+      const stored = await storage.save({
+        buffer: file.buffer,
+        filename: file.originalname,
+        contentType: file.mimetype,
+        folder: STORAGE_FOLDER
+      });
+      documents.push({
+        documentType: DOCUMENT_TYPES.includes(types[index]) ? types[index] : 'other',
+        key: stored.key,
+        originalName: file.originalname,
+        contentType: file.mimetype,
+        size: stored.size,
+        uploadedAt: new Date()
+      });
+    }
+  } catch (error) {
+    // Don't leave orphaned files behind from a half-stored submission
+    await Promise.all(documents.map(document => storage.remove(document.key).catch(() => null)));
+    throw error;
+  }
+
+  const previousDocuments = user.verification.documents || [];
+
+  user.verification.status = 'pending';
+  user.verification.submittedAt = new Date();
+  user.verification.requestedLevel = requestedLevel;
+  user.verification.documents = documents;
+  user.verification.reviewedAt = undefined;
+  user.verification.reviewedBy = undefined;
+  user.verification.reviewNotes = undefined;
+
+  await user.save();
+
+  // Previous submission's files are no longer referenced
+  await Promise.all(previousDocuments.map(document =>
+    storage.remove(document.key).catch(error =>
+      console.error(`⚠️ Could not remove verification document ${document.key}:`, error.message)
+    )
+  ));
+
+  console.log(`🪪 Verification submitted by helper ${user._id} (${documents.length} document(s))`);
+
+  return serializeVerification(user.verification);
+};
+
+/**
+ * Get the caller's verification status
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { helperVerified, verification }
+ */
+const getMyVerification = async (userId) => {
+  const user = await User.findById(userId).select('helper helperVerified verification').lean();
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return {
+    helperVerified: !!user.helperVerified,
+    verification: serializeVerification(user.verification)
+  };
+};
+
+/**
+ * Get verification submissions for review (oldest first)
+ * @param {Object} options - { status (default pending), page, limit }
+ * @returns {Promise<{users: Array, total: Number}>}
+ */
+const getVerificationQueue = async (options = {}) => {
+  const { status = 'pending', page = 1, limit = 20 } = options;
+
+  const query = { 'verification.status': status };
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .select(QUEUE_USER_FIELDS)
+      .sort({ 'verification.submittedAt': 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    User.countDocuments(query)
+  ]);
+
+  return {
+    users: users.map(user => ({ ...user, verification: serializeVerification(user.verification) })),
+    total
+  };
+};
+
+/**
+ * Approve or reject a helper's verification
+ * Approval sets helperVerified and an expiry (HELPER_VERIFICATION_VALID_DAYS)
+ * @param {String} adminId - Reviewing admin
+ * @param {String} userId - Helper
+ * @param {Object} data - { approved, kycLevel?, notes? }
+ * @param {String} ipAddress - Request IP (audit log)
+ * @param {Object} options - { requirePending (default true) - false lets admins verify/revoke directly }
+ * @returns {Promise<Object>} Updated user
+ */
+const reviewVerification = async (adminId, userId, data, ipAddress = null, options = {}) => {
+  const { approved, kycLevel = null, notes = null } = data;
+  const { requirePending = true } = options;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const previousStatus = user.verification?.status || 'unverified';
+  if (requirePending && previousStatus !== 'pending') {
+    throw new Error('Verification is not pending review');
+  }
+
+  const now = new Date();
+
+  if (approved) {
+    user.helperVerified = true;
+    user.verification.status = 'verified';
+    user.verification.verifiedAt = now;
+    user.verification.verifiedBy = adminId;
+    user.verification.expiresAt = new Date(now.getTime() + getVerificationValidDays() * DAY_MS);
+    user.verification.kycLevel = kycLevel || user.verification.requestedLevel || 'basic';
+  } else {
+    user.helperVerified = false;
+    user.verification.status = 'rejected';
+    user.verification.expiresAt = undefined;
+    user.verification.kycLevel = 'none';
+  }
+  user.verification.reviewedAt = now;
+  user.verification.reviewedBy = adminId;
+  user.verification.reviewNotes = notes || undefined;
+
+  await user.save();
+
+  await recordAdminAction(
+    adminId,
+    approved ? 'helper_verify' : 'helper_unverify',
+    { targetType: 'User', targetId: user._id },
+    {
+      previousStatus,
+      status: user.verification.status,
+      kycLevel: user.verification.kycLevel,
+      expiresAt: user.verification.expiresAt,
+      notes
+    },
+    ipAddress
+  );
+
+  notifyVerificationUpdated(user._id, user.verification);
+
+  return user;
+};
+
+/**
+ * Read a verification document (the helper themself or an admin)
+ * @param {String} userId - Document owner
+ * @param {String} documentId - verification.documents entry ID
+ * @param {Object} requester - { _id, role }
+ * @returns {Promise<{document: Object, buffer: Buffer}>}
+ */
+const getVerificationDocument = async (userId, documentId, requester) => {
+  if (requester.role !== 'admin' && requester._id.toString() !== userId.toString()) {
+    throw new Error('Not authorized to view this document');
+  }
+
+  const user = await User.findById(userId).select('verification.documents').lean();
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const document = (user.verification?.documents || []).find(doc => doc._id.toString() === documentId.toString());
+  if (!document) {
+    throw new Error('Verification document not found');
+  }
+
+  let buffer;
+  try {
+    buffer = await getStorageDriver().read(document.key);
+  } catch (error) {
+    console.error(`❌ Verification document ${document.key} unreadable:`, error.message);
+    throw new Error('Verification document not found');
+  }
+
+  return { document, buffer };
+};
+
+/**
+ * Lapse verified helpers whose verification has expired
+ * (pending renewals keep their review request but lose helperVerified)
+ * @returns {Promise<Number>} Number of helpers expired
+ */
+const runVerificationExpiryCycle = async () => {
+  const users = await User.find({
+    helperVerified: true,
+    'verification.expiresAt': { $ne: null, $lte: new Date() }
+  })
+    .select('verification')
+    .lean();
+
+  if (users.length === 0) {
+    return 0;
+  }
+
+  const ids = users.map(user => user._id);
+
+  await User.updateMany({ _id: { $in: ids } }, { $set: { helperVerified: false } });
+  await User.updateMany(
+    { _id: { $in: ids }, 'verification.status': 'verified' },
+    { $set: { 'verification.status': 'expired', 'verification.kycLevel': 'none' } }
+  );
+
+  users.forEach(user => {
+    const expired = user.verification.status === 'verified';
+    notifyVerificationUpdated(
+      user._id,
+      expired ? { ...user.verification, status: 'expired', kycLevel: 'none' } : user.verification
+    );
+  });
+
+  console.log(`✅ Expired verification for ${users.length} helper(s)`);
+  return users.length;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MAX_VERIFICATION_DOCUMENTS,
+  getVerificationPolicy,
+  serializeVerification,
+  submitVerification,
+  getMyVerification,
+  getVerificationQueue,
+  reviewVerification,
+  getVerificationDocument,
+  runVerificationExpiryCycle
+};
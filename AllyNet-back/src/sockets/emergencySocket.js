@@ -1,10 +1,25 @@
 const { Emergency, User } = require('../models');
+const emergencyLocationService = require('../services/emergencyLocationService');
+const rateLimitService = require('../services/rateLimitService');
 
 /**
  * Emergency Socket.IO Event Handlers
  * Handles real-time events for emergency system
  */
 
+/**
+ * Apply a per-user rate limit to an incoming socket event
+ * Excess events are dropped and the client gets 'rate_limited' with the wait
+ * @returns {Promise<Boolean>} Whether the event may be handled
+ */
+const allowSocketEvent = async (socket, policyName, event) => {
+  const result = await rateLimitService.consume(policyName, `${socket.userId}:${event}`);
+  if (!result.allowed) {
+    socket.emit('rate_limited', { event, retryAfterSeconds: result.retryAfterSeconds });
+  }
+  return result.allowed;
+};
+
 /**
  * Initialize Emergency Socket Events
  * @param {SocketIO.Server} io - Socket.IO server instance
@@ -25,6 +40,9 @@ const initializeEmergencySockets = (io) => {
     socket.join(userRoom);
     console.log(`📥 User ${socket.userId} auto-joined user room: ${userRoom}`);
 
+    // Session room - lets a revoked session's sockets be disconnected
+    socket.join(`session:${socket.sessionId}`);
+
     /**
      * Join emergency room
      * User/Helper joins a specific emergency room to receive updates
@@ -126,6 +144,8 @@ const initializeEmergencySockets = (io) => {
      */
     socket.on('location:update', async (data) => {
       try {
+        if (!(await allowSocketEvent(socket, 'location_update', 'location:update'))) return;
+
         const { latitude, longitude } = data;
 
         if (latitude === undefined || longitude === undefined) {
@@ -156,6 +176,73 @@ const initializeEmergencySockets = (io) => {
       }
     });
 
+    /**
+     * Stream live location for an active emergency (owner only)
+     * Appends to the emergency's location trail and broadcasts to the emergency room
+     */
+    socket.on('emergency:location', async (data) => {
+      try {
+        // Dropping excess points only thins the trail - the SOS itself is unaffected
+        if (!(await allowSocketEvent(socket, 'location_update', 'emergency:location'))) return;
+
+        const { emergencyId, latitude, longitude, accuracy, heading, speed, recordedAt } = data || {};
+
+        if (!emergencyId) {
+          socket.emit('error', { message: 'Emergency ID is required' });
+          return;
+        }
+
+        if (latitude === undefined || longitude === undefined) {
+          socket.emit('error', { message: 'Latitude and longitude are required' });
+          return;
+        }
+
+        const { point } = await emergencyLocationService.recordOwnerLocation(
+          emergencyId,
+          socket.userId,
+          { latitude, longitude, accuracy, heading, speed, recordedAt }
+        );
+
+        emitEmergencyLocationUpdate(emergencyNamespace, emergencyId, point);
+      } catch (error) {
+        console.error('Error recording emergency location:', error.message);
+        socket.emit('error', { message: 'Error updating emergency location: ' + error.message });
+      }
+    });
+
+    /**
+     * Stream live location from a responding helper
+     * Recalculates distance/ETA and pushes helper:status_update to the emergency room
+     */
+    socket.on('helper:location', async (data) => {
+      try {
+        if (!(await allowSocketEvent(socket, 'location_update', 'helper:location'))) return;
+
+        const { emergencyId, latitude, longitude, speed } = data || {};
+
+        if (!emergencyId) {
+          socket.emit('error', { message: 'Emergency ID is required' });
+          return;
+        }
+
+        if (latitude === undefined || longitude === undefined) {
+          socket.emit('error', { message: 'Latitude and longitude are required' });
+          return;
+        }
+
+        const { status, tracking } = await emergencyLocationService.recordHelperLocation(
+          emergencyId,
+          socket.userId,
+          { latitude, longitude, speed }
+        );
+
+        emitHelperStatusUpdate(emergencyNamespace, emergencyId, socket.userId, status, null, tracking);
+      } catch (error) {
+        console.error('Error recording helper location:', error.message);
+        socket.emit('error', { message: 'Error updating helper location: ' + error.message });
+      }
+    });
+
     /**
      * Handle disconnect
      */
@@ -168,23 +255,15 @@ const initializeEmergencySockets = (io) => {
 };
 
 /**
- * Emit emergency created event - DELIVERY-FIRST architecture
- * ALWAYS broadcasts to entire namespace unconditionally
- * Frontend filters notifications client-side
- * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * Build minimal emergency payload for helper notifications
  * @param {Object} emergency - Emergency object
+ * @returns {Object} Notification-safe emergency data
  */
-const emitEmergencyCreated = (namespace, emergency) => {
-  if (!emergency || !namespace) {
-    console.error('❌ Cannot emit emergency:created - missing emergency or namespace');
-    return;
-  }
-
-  // Extract minimal emergency data for notification
+const buildEmergencyNotification = (emergency) => {
   const emergencyId = emergency._id?.toString() || emergency._id;
   const userId = emergency.user?._id?.toString() || emergency.user?.toString() || null;
 
-  const emergencyData = {
+  return {
     id: emergencyId,
     _id: emergencyId,
     userId: userId, // Include userId for frontend filtering
@@ -199,13 +278,93 @@ const emitEmergencyCreated = (namespace, emergency) => {
     severity: emergency.severity,
     status: emergency.status || 'active'
   };
+};
+
+/**
+ * Emit emergency created event - TARGETED dispatch
+ * Delivered only to the user rooms of helpers selected by the dispatch service
+ * Frontend still validates notifications client-side
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {Object} emergency - Emergency object
+ * @param {Array<String>} helperIds - Helper user IDs selected for dispatch
+ */
+const emitEmergencyCreated = (namespace, emergency, helperIds = []) => {
+  if (!emergency || !namespace) {
+    console.error('❌ Cannot emit emergency:created - missing emergency or namespace');
+    return;
+  }
 
-  // UNCONDITIONAL BROADCAST - no filtering, no user rooms, no helper logic
-  namespace.emit('emergency:created', {
-    emergency: emergencyData
+  // Extract minimal emergency data for notification
+  const emergencyData = buildEmergencyNotification(emergency);
+  const emergencyId = emergencyData.id;
+
+  helperIds.forEach(helperId => {
+    namespace.to(`user:${helperId}`).emit('emergency:created', {
+      emergency: emergencyData
+    });
   });
   
-  console.log(`📢 Emergency created broadcasted to ALL connected sockets: ${emergencyId}`);
+  console.log(`📢 Emergency created dispatched to ${helperIds.length} helper(s): ${emergencyId}`);
+};
+
+/**
+ * Emit an organization SOS alert to org admins / members (Organization.emergencySettings)
+ * Delivered to each recipient's user room
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {Object} organization - Organization of the member who triggered the SOS
+ * @param {Object} emergency - Emergency object
+ * @param {String} memberName - Display name of the member
+ * @param {Array<Object>} recipients - [{ userId, reason: 'admin' | 'member', canViewLive }]
+ */
+const emitOrganizationEmergency = (namespace, organization, emergency, memberName, recipients) => {
+  const emergencyData = buildEmergencyNotification(emergency);
+
+  recipients.forEach(({ userId, reason, canViewLive }) => {
+    namespace.to(`user:${userId}`).emit('org:emergency_alert', {
+      organization: {
+        id: organization._id.toString(),
+        name: organization.name
+      },
+      emergency: emergencyData,
+      memberName,
+      reason,
+      canViewLive,
+      timestamp: new Date()
+    });
+  });
+
+  console.log(`📢 Organization SOS alert sent to ${recipients.length} recipient(s) in ${organization._id}: ${emergencyData.id}`);
+};
+
+/**
+ * Emit emergency escalated event to newly covered helpers
+ * Targeted delivery via each helper's user room (not a namespace broadcast)
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {Object} emergency - Escalated emergency object
+ * @param {Array<String>} helperIds - Helper user IDs to notify
+ * @param {Object} step - Escalation step recorded on the emergency
+ */
+const emitEmergencyEscalated = (namespace, emergency, helperIds, step) => {
+  if (!emergency || !namespace) {
+    console.error('❌ Cannot emit emergency:escalated - missing emergency or namespace');
+    return;
+  }
+
+  const emergencyData = buildEmergencyNotification(emergency);
+
+  helperIds.forEach(helperId => {
+    namespace.to(`user:${helperId}`).emit('emergency:escalated', {
+      emergency: emergencyData,
+      escalation: {
+        level: step.level,
+        radiusKm: step.toRadiusKm,
+        priority: step.toPriority,
+        escalatedAt: step.escalatedAt
+      }
+    });
+  });
+
+  console.log(`📢 Emergency escalated (level ${step.level}) - notified ${helperIds.length} helper(s): ${emergencyData.id}`);
 };
 
 /**
@@ -238,8 +397,9 @@ const emitHelperJoined = (namespace, emergencyId, helper) => {
  * @param {String} helperId - Helper ID
  * @param {String} status - New status
  * @param {String} notes - Optional notes
+ * @param {Object} tracking - Optional live tracking data { location, distanceKm, estimatedArrival }
  */
-const emitHelperStatusUpdate = (namespace, emergencyId, helperId, status, notes = null) => {
+const emitHelperStatusUpdate = (namespace, emergencyId, helperId, status, notes = null, tracking = null) => {
   const roomName = `emergency:${emergencyId}`;
 
   namespace.to(roomName).emit('helper:status_update', {
@@ -247,6 +407,11 @@ const emitHelperStatusUpdate = (namespace, emergencyId, helperId, status, notes
     helperId,
     status,
     notes,
+    ...(tracking && {
+      location: tracking.location,
+      distanceKm: tracking.distanceKm,
+      estimatedArrival: tracking.estimatedArrival
+    }),
     updatedAt: new Date()
   });
 
@@ -310,6 +475,7 @@ const emitEmergencyResolved = (namespace, emergencyId, emergency) => {
   namespace.emit('emergency:ended', {
     emergencyId,
     status: 'resolved',
+    resolutionType: emergency.resolutionType,
     timestamp: new Date()
   });
 
@@ -373,15 +539,213 @@ const emitEmergencyMessageDeleted = (namespace, emergencyId, messageId) => {
   console.log(`📢 Emergency message deleted event emitted to ${roomName}`);
 };
 
+/**
+ * Emit live location update to emergency room
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {String} emergencyId - Emergency ID
+ * @param {Object} point - EmergencyLocation trail point
+ */
+const emitEmergencyLocationUpdate = (namespace, emergencyId, point) => {
+  const roomName = `emergency:${emergencyId}`;
+
+  namespace.to(roomName).emit('emergency:location_update', {
+    emergencyId,
+    location: {
+      _id: point._id,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: point.accuracy,
+      heading: point.heading,
+      speed: point.speed,
+      recordedAt: point.recordedAt
+    }
+  });
+};
+
+/**
+ * Emit inactivity check-in to the emergency owner ("are you still in danger?")
+ * Targeted delivery via the owner's user room
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {Object} emergency - Emergency object (checkInSentAt set)
+ * @param {Date} expiresAt - When the SOS auto-expires without an answer
+ */
+const emitEmergencyCheckIn = (namespace, emergency, expiresAt) => {
+  const emergencyId = emergency._id.toString();
+  const userId = emergency.user?._id?.toString() || emergency.user.toString();
+
+  namespace.to(`user:${userId}`).emit('emergency:check_in', {
+    emergencyId,
+    message: 'Are you still in danger? Your SOS will close automatically if you do not answer.',
+    checkInSentAt: emergency.checkInSentAt,
+    expiresAt,
+    timestamp: new Date()
+  });
+
+  console.log(`📢 Emergency check-in sent to owner: ${emergencyId}`);
+};
+
+/**
+ * Emit emergency auto-expired event
+ * Room/helpers get the usual resolved events, the owner gets emergency:expired
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {Object} emergency - Auto-expired emergency object
+ */
+const emitEmergencyExpired = (namespace, emergency) => {
+  const emergencyId = emergency._id.toString();
+  const userId = emergency.user?._id?.toString() || emergency.user.toString();
+
+  emitEmergencyResolved(namespace, emergencyId, emergency);
+
+  namespace.to(`user:${userId}`).emit('emergency:expired', {
+    emergencyId,
+    resolvedAt: emergency.resolvedAt,
+    resolutionType: emergency.resolutionType,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Emit help request expired event to its creator
+ * @param {SocketIO.Namespace} namespace - Emergency namespace (carries user rooms)
+ * @param {Object} helpRequest - Expired help request
+ */
+const emitHelpRequestExpired = (namespace, helpRequest) => {
+  const userId = helpRequest.user?._id?.toString() || helpRequest.user.toString();
+
+  namespace.to(`user:${userId}`).emit('help_request:expired', {
+    helpRequestId: helpRequest._id.toString(),
+    title: helpRequest.title,
+    expiresAt: helpRequest.expiresAt,
+    status: 'expired',
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Emit ad expired event to its creator
+ * @param {SocketIO.Namespace} namespace - Emergency namespace (carries user rooms)
+ * @param {Object} ad - Expired ad
+ */
+const emitAdExpired = (namespace, ad) => {
+  const userId = ad.createdBy?._id?.toString() || ad.createdBy.toString();
+
+  namespace.to(`user:${userId}`).emit('ad:expired', {
+    adId: ad._id.toString(),
+    title: ad.title,
+    expiresAt: ad.expiresAt,
+    status: 'expired',
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Emit safety timer triggered event to the timer owner
+ * The owner's devices switch into the active SOS view for the raised emergency
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {Object} timer - Triggered safety timer
+ * @param {Object} emergency - Emergency raised for the timer
+ */
+const emitSafetyTimerTriggered = (namespace, timer, emergency) => {
+  const userId = timer.user?._id?.toString() || timer.user.toString();
+
+  namespace.to(`user:${userId}`).emit('safety_timer:triggered', {
+    timerId: timer._id.toString(),
+    label: timer.label,
+    triggeredAt: timer.triggeredAt,
+    emergency: buildEmergencyNotification(emergency),
+    timestamp: new Date()
+  });
+
+  console.log(`📢 Safety timer triggered event emitted: ${timer._id}`);
+};
+
+/**
+ * Emit verification status change to the helper (reviewed or expired)
+ * @param {SocketIO.Namespace} namespace - Emergency namespace (carries user rooms)
+ * @param {String} userId - Helper
+ * @param {Object} verification - Serialized verification (verificationService.serializeVerification)
+ */
+const emitVerificationUpdated = (namespace, userId, verification) => {
+  namespace.to(`user:${userId.toString()}`).emit('verification:updated', {
+    status: verification.status,
+    kycLevel: verification.kycLevel,
+    reviewNotes: verification.reviewNotes,
+    expiresAt: verification.expiresAt,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Tell a revoked session's sockets and disconnect them
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {Array<String>} sessionIds - Revoked AuthSession IDs
+ */
+const disconnectSessionSockets = (namespace, sessionIds) => {
+  sessionIds.forEach(sessionId => {
+    const sessionRoom = `session:${sessionId.toString()}`;
+    namespace.to(sessionRoom).emit('session:revoked', {
+      sessionId: sessionId.toString(),
+      timestamp: new Date()
+    });
+    namespace.in(sessionRoom).disconnectSockets(true);
+  });
+};
+
+/**
+ * Get the sessions of a user that currently have a socket connected
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {String} userId - User ID
+ * @returns {Promise<Map<String, Number>>} Session ID → connected socket count
+ */
+const getConnectedSessions = async (namespace, userId) => {
+  const sockets = await namespace.in(`user:${userId.toString()}`).fetchSockets();
+
+  const connected = new Map();
+  sockets.forEach(socket => {
+    const sessionId = socket.data?.sessionId;
+    if (sessionId) {
+      connected.set(sessionId, (connected.get(sessionId) || 0) + 1);
+    }
+  });
+  return connected;
+};
+
+/**
+ * Get which of the given users currently have a socket connected
+ * @param {SocketIO.Namespace} namespace - Emergency namespace
+ * @param {Array<String>} userIds - User IDs
+ * @returns {Promise<Set<String>>} Online user IDs
+ */
+const getOnlineUserIds = async (namespace, userIds) => {
+  if (userIds.length === 0) {
+    return new Set();
+  }
+
+  const sockets = await namespace.in(userIds.map(id => `user:${id.toString()}`)).fetchSockets();
+  return new Set(sockets.map(socket => socket.data?.userId).filter(Boolean));
+};
+
 module.exports = {
   initializeEmergencySockets,
   emitEmergencyCreated,
+  emitEmergencyEscalated,
+  emitOrganizationEmergency,
   emitHelperJoined,
   emitHelperStatusUpdate,
   emitEmergencyStatusChanged,
   emitEmergencyResolved,
   emitEmergencyCancelled,
   emitEmergencyMessage,
-  emitEmergencyMessageDeleted
+  emitEmergencyMessageDeleted,
+  emitEmergencyLocationUpdate,
+  emitEmergencyCheckIn,
+  emitEmergencyExpired,
+  emitHelpRequestExpired,
+  emitAdExpired,
+  emitSafetyTimerTriggered,
+  emitVerificationUpdated,
+  disconnectSessionSockets,
+  getConnectedSessions,
+  getOnlineUserIds
 };
 
@@ -1,5 +1,6 @@
 const { verifyAccessToken } = require('../utils/jwt');
 const { User } = require('../models');
+const { assertActiveSession } = require('../services/sessionService');
 
 /**
  * Socket.IO Authentication Middleware
@@ -28,8 +29,14 @@ const socketAuth = async (socket, next) => {
       return next(new Error('Authentication error: User account is inactive or blocked'));
     }
 
-    // Attach user to socket
+    // Tokens from revoked sessions are rejected (throws 'Session has been revoked')
+    await assertActiveSession(decoded.sessionId, user._id);
+
+    // Attach user and session to socket
     socket.user = user;
+    socket.sessionId = decoded.sessionId;
+    socket.data.sessionId = decoded.sessionId; // Visible to fetchSockets() (session connection state)
+    socket.data.userId = user._id.toString(); // Visible to fetchSockets() (who is online)
     socket.userId = user._id.toString();
     socket.userRole = user.role;
 
@@ -0,0 +1,53 @@
+/**
+ * Device Label
+ * Turns a User-Agent header into a short human label ("Chrome on Windows")
+ * for the active sessions list - a best-effort guess, never used for security decisions
+ */
+
+// First match wins (order matters: Edge and Opera also claim to be Chrome, Chrome claims Safari)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/.*Safari\//]
+];
+
+const PLATFORMS = [
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const findLabel = (list, userAgent) => {
+  const match = list.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : null;
+};
+
+/**
+ * Describe the device behind a User-Agent
+ * @param {String} userAgent - User-Agent header
+ * @returns {String} Label, e.g. "Safari on iPhone" ("Unknown device" when nothing matches)
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = findLabel(BROWSERS, userAgent);
+  const platform = findLabel(PLATFORMS, userAgent);
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+  return browser || platform || 'Unknown device';
+};
+
+module.exports = {
+  describeDevice
+};
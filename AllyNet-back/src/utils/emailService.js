@@ -1,115 +1,330 @@
+const { EmailDelivery, User } = require('../models');
+const { renderEmailTemplate } = require('./emailTemplates');
+const { sendMail, isTransientMailError } = require('./mailTransport');
+
 /**
  * Email Service
- * Handles sending email notifications for emergencies
- * Uses nodemailer (free, works with Gmail SMTP or any email provider)
+ * Renders templates (utils/emailTemplates), sends them through the SMTP transport
+ * (utils/mailTransport) and records every message in EmailDelivery
+ * Transient failures are retried with exponential backoff by the email-retry job
+ */
+
+// Templates carrying a single-use account link: their body is never stored, and a retry sends
+// a freshly issued link (accountTokenService.reissueLinkEmail) instead of replaying the old one
+const LINK_TEMPLATES = ['password_reset', 'email_verification'];
+
+/**
+ * Retry settings
+ * EMAIL_MAX_ATTEMPTS: total send attempts per message (default 3)
+ * EMAIL_RETRY_DELAY_MS: delay before the first retry, doubled each time (default 60000)
+ * @returns {{maxAttempts: Number, retryDelayMs: Number}}
+ */
+const getEmailRetryConfig = () => ({
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 3,
+  retryDelayMs: parseInt(process.env.EMAIL_RETRY_DELAY_MS) || 60 * 1000
+});
+
+const formatUserName = (user) => (user?.profile?.firstName
+  ? `${user.profile.firstName}${user.profile.lastName ? ' ' + user.profile.lastName : ''}`
+  : user?.email?.split('@')[0] || 'User');
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Make one send attempt for a delivery record (status must already be 'sending')
+ * @param {Object} delivery - EmailDelivery document
+ * @param {Object} content - { text, html } to send (defaults to the stored body)
+ * @returns {Promise<Object>} Updated delivery
+ */
+const attemptDelivery = async (delivery, content = delivery) => {
+  const { maxAttempts, retryDelayMs } = getEmailRetryConfig();
+  delivery.attempts += 1;
+
+  try {
+    const { messageId, simulated } = await sendMail({
+      to: delivery.to,
+      subject: delivery.subject,
+      text: content.text,
+      html: content.html
+    });
+    // Log-only transport (no SMTP_HOST): never report it as sent
+    delivery.status = simulated ? 'simulated' : 'sent';
+    delivery.messageId = messageId;
+    delivery.sentAt = new Date();
+    delivery.nextAttemptAt = null;
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+
+    if (isTransientMailError(error) && delivery.attempts < maxAttempts) {
+      delivery.status = 'queued';
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs * 2 ** (delivery.attempts - 1));
+      console.error(`⚠️ Email to ${delivery.to} failed (attempt ${delivery.attempts}/${maxAttempts}), will retry:`, error.message);
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.error(`❌ Email to ${delivery.to} failed permanently:`, error.message);
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Render a template, record it and send it
+ * @param {String} template - Template name
+ * @param {String} to - Recipient email
+ * @param {Object} data - Template data
+ * @param {Object} refs - Optional { recipient, emergency, helpRequest }
+ * @returns {Promise<Object>} EmailDelivery record
  */
+const sendTemplatedEmail = async (template, to, data, refs = {}) => {
+  const { subject, text, html } = renderEmailTemplate(template, data);
+
+  const delivery = await EmailDelivery.create({
+    template,
+    to,
+    subject,
+    // Link emails are sent from memory only - a stored body would be a working account link
+    ...(LINK_TEMPLATES.includes(template) ? {} : { text, html }),
+    recipient: refs.recipient || null,
+    emergency: refs.emergency || null,
+    helpRequest: refs.helpRequest || null,
+    status: 'sending'
+  });
+
+  return attemptDelivery(delivery, { text, html });
+};
+
+/**
+ * Body to retry a delivery with: the stored one, or a freshly issued link for link emails
+ * @returns {Promise<Object|null>} { text, html }, or null when the link is no longer wanted
+ */
+const getRetryContent = async (delivery) => {
+  if (!LINK_TEMPLATES.includes(delivery.template)) {
+    return delivery;
+  }
+
+  // Lazy require: accountTokenService sends its links through this module
+  const { reissueLinkEmail } = require('../services/accountTokenService');
+  return reissueLinkEmail(delivery);
+};
+
+/**
+ * Retry queued emails whose backoff has elapsed
+ * Each record is claimed (queued → sending) before sending so it is only sent once
+ * @returns {Promise<{retried: Number}>}
+ */
+const runEmailRetryCycle = async () => {
+  let retried = 0;
+
+  // Bounded per tick so a long outage doesn't turn into one huge burst
+  while (retried < 50) {
+    const delivery = await EmailDelivery.findOneAndUpdate(
+      { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'sending' } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) {
+      break;
+    }
+
+    let content = null;
+    let skipReason = 'Link no longer needed';
+    try {
+      content = await getRetryContent(delivery);
+    } catch (error) {
+      skipReason = error.message;
+    }
+
+    if (content) {
+      await attemptDelivery(delivery, content);
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.lastError = skipReason;
+      await delivery.save();
+    }
+    retried++;
+  }
+
+  return { retried };
+};
+
+/**
+ * SOS details shared by the contact and organization alert templates
+ * @param {Object} emergency - Emergency object
+ * @param {Object} user - User who triggered the emergency
+ * @returns {Object} { userName, emergencyType, description, locationText, mapsLink, time }
+ */
+const buildEmergencyEmailData = (emergency, user) => ({
+  userName: formatUserName(user),
+  emergencyType: emergency.type
+    ? emergency.type.charAt(0).toUpperCase() + emergency.type.slice(1).replace('_', ' ')
+    : 'Emergency',
+  description: emergency.description || null,
+  locationText: emergency.location?.address
+    ? emergency.location.address
+    : emergency.location?.latitude && emergency.location?.longitude
+      ? `${emergency.location.latitude}, ${emergency.location.longitude}`
+      : 'Location not available',
+  mapsLink: emergency.location?.latitude && emergency.location?.longitude
+    ? `https://www.google.com/maps?q=${emergency.location.latitude},${emergency.location.longitude}`
+    : null,
+  time: new Date(emergency.createdAt || emergency.activatedAt).toLocaleString()
+});
 
 /**
  * Send email to emergency contacts when emergency is triggered
  * @param {Array} contacts - Array of emergency contacts { name, email }
  * @param {Object} emergency - Emergency object
  * @param {Object} user - User object who triggered emergency
- * @returns {Promise<void>}
+ * @returns {Promise<Array>} EmailDelivery records
  */
 const sendEmergencyEmail = async (contacts, emergency, user) => {
   if (!contacts || contacts.length === 0) {
     console.log('📧 No emergency contacts to notify');
-    return;
+    return [];
   }
 
-  const userName = user?.profile?.firstName 
-    ? `${user.profile.firstName}${user.profile.lastName ? ' ' + user.profile.lastName : ''}`
-    : user?.email?.split('@')[0] || 'User';
+  const data = buildEmergencyEmailData(emergency, user);
 
-  const emergencyType = emergency.type 
-    ? emergency.type.charAt(0).toUpperCase() + emergency.type.slice(1).replace('_', ' ')
-    : 'Emergency';
+  const deliveries = [];
+  for (const contact of contacts) {
+    deliveries.push(await sendTemplatedEmail('sos_alert', contact.email, data, { emergency: emergency._id }));
+  }
 
-  const locationText = emergency.location?.address 
-    ? emergency.location.address
-    : emergency.location?.latitude && emergency.location?.longitude
-      ? `${emergency.location.latitude}, ${emergency.location.longitude}`
-      : 'Location not available';
+  const sentCount = deliveries.filter(delivery => delivery.status === 'sent').length;
+  console.log(`📧 SOS email: ${sentCount}/${deliveries.length} contact(s) for emergency ${emergency._id}`);
 
-  const googleMapsLink = emergency.location?.latitude && emergency.location?.longitude
-    ? `https://www.google.com/maps?q=${emergency.location.latitude},${emergency.location.longitude}`
-    : '';
-
-  const subject = `🚨 SOS ALERT: ${userName} needs help!`;
-  const htmlMessage = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .alert { background-color: #ff4444; color: white; padding: 20px; text-align: center; border-radius: 5px; }
-        .content { background-color: #f9f9f9; padding: 20px; border-radius: 5px; margin-top: 20px; }
-        .info-row { margin: 10px 0; }
-        .label { font-weight: bold; }
-        .button { display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin-top: 10px; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="alert">
-          <h1>🚨 SOS ALERT</h1>
-          <h2>${userName} needs immediate help!</h2>
-        </div>
-        <div class="content">
-          <div class="info-row"><span class="label">Emergency Type:</span> ${emergencyType}</div>
-          ${emergency.description ? `<div class="info-row"><span class="label">Description:</span> ${emergency.description}</div>` : ''}
-          <div class="info-row"><span class="label">Location:</span> ${locationText}</div>
-          ${googleMapsLink ? `<a href="${googleMapsLink}" class="button">View on Google Maps</a>` : ''}
-          <div class="info-row"><span class="label">Time:</span> ${new Date(emergency.createdAt || emergency.activatedAt).toLocaleString()}</div>
-          <p style="margin-top: 20px; font-weight: bold; color: #ff4444;">Please check on them immediately!</p>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-
-  const textMessage = `🚨 SOS ALERT from ${userName}\n\n` +
-    `Type: ${emergencyType}\n` +
-    `${emergency.description ? `Description: ${emergency.description}\n` : ''}` +
-    `Location: ${locationText}\n` +
-    `${googleMapsLink ? `Map: ${googleMapsLink}\n` : ''}` +
-    `Time: ${new Date(emergency.createdAt || emergency.activatedAt).toLocaleString()}\n\n` +
-    `Please check on them immediately!`;
-
-  // In development, log to console
-  // In production, configure nodemailer with SMTP settings
-  console.log('📧 EMAIL NOTIFICATIONS TO SEND:');
-  contacts.forEach(contact => {
-    console.log(`  To: ${contact.name} (${contact.email})`);
-    console.log(`  Subject: ${subject}`);
-    console.log(`  Message: ${textMessage}`);
-    console.log('  ---');
-    
-    // TODO: Replace with actual email sending using nodemailer
-    // Example:
-    // const nodemailer = require('nodemailer');
-    // const transporter = nodemailer.createTransport({
-    //   service: 'gmail', // or any SMTP provider
-    //   auth: {
-    //     user: process.env.EMAIL_USER,
-    //     pass: process.env.EMAIL_PASSWORD
-    //   }
-    // });
-    // await transporter.sendMail({
-    //   from: process.env.EMAIL_FROM || 'AllyNet <noreply@allynet.com>',
-    //   to: contact.email,
-    //   subject: subject,
-    //   text: textMessage,
-    //   html: htmlMessage
-    // });
+  return deliveries;
+};
+
+/**
+ * Send the all-clear to everyone that received the SOS alert for this emergency
+ * (emergency contacts and organization alert recipients)
+ * Call after the emergency is resolved or cancelled
+ * @param {Object} emergency - Resolved/cancelled emergency
+ * @returns {Promise<Array>} EmailDelivery records
+ */
+const sendEmergencyResolvedEmail = async (emergency) => {
+  const recipients = await EmailDelivery.distinct('to', {
+    emergency: emergency._id,
+    template: { $in: ['sos_alert', 'org_sos_alert'] }
   });
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  const user = await User.findById(emergency.user?._id || emergency.user).select('profile email');
+  const userName = formatUserName(user);
+
+  const outcomes = {
+    user_resolved: `${userName} marked themselves as safe.`,
+    helper_resolved: `A responding helper marked ${userName}'s emergency as resolved.`,
+    auto_expired: `${userName}'s SOS alert was closed automatically after a long period without activity.`,
+    admin_resolved: `${userName}'s SOS alert was closed by an AllyNet moderator.`
+  };
+  const outcome = emergency.status === 'cancelled'
+    ? `${userName} cancelled the SOS alert.`
+    : outcomes[emergency.resolutionType] || `${userName}'s SOS alert has been resolved.`;
 
-  // For now, return success (in production, handle errors from email provider)
-  return Promise.resolve();
+  const data = {
+    userName,
+    outcome,
+    time: new Date(emergency.resolvedAt || emergency.updatedAt || Date.now()).toLocaleString()
+  };
+
+  const deliveries = [];
+  for (const to of recipients) {
+    deliveries.push(await sendTemplatedEmail('sos_resolved', to, data, { emergency: emergency._id }));
+  }
+  return deliveries;
 };
 
-module.exports = {
-  sendEmergencyEmail
+/**
+ * Alert an organization admin or member that a member triggered an SOS
+ * @param {Object} organization - Organization
+ * @param {Object} recipient - User to alert
+ * @param {Object} emergency - Emergency object
+ * @param {Object} user - Member who triggered the emergency
+ * @param {Object} options - { includeDashboardLink } (recipients who can open the live view)
+ * @returns {Promise<Object>} EmailDelivery record
+ */
+const sendOrganizationEmergencyEmail = async (organization, recipient, emergency, user, options = {}) => {
+  return sendTemplatedEmail('org_sos_alert', recipient.email, {
+    ...buildEmergencyEmailData(emergency, user),
+    organizationName: organization.name,
+    dashboardUrl: options.includeDashboardLink ? `${getFrontendUrl()}/organization` : null
+  }, { recipient: recipient._id, emergency: emergency._id });
+};
+
+/**
+ * Tell a helper that the requester accepted their offer
+ * @param {Object} request - Help request (user populated)
+ * @param {Object} helper - Helper user
+ * @returns {Promise<Object>} EmailDelivery record
+ */
+const sendHelpRequestAcceptedEmail = async (request, helper) => {
+  return sendTemplatedEmail('help_request_accepted', helper.email, {
+    helperName: formatUserName(helper),
+    requesterName: formatUserName(request.user),
+    requestTitle: request.title,
+    requestUrl: `${getFrontendUrl()}/help-requests`
+  }, { recipient: helper._id, helpRequest: request._id });
 };
 
+/**
+ * Template data for an account link email
+ * @param {String} template - 'password_reset' | 'email_verification'
+ * @param {Object} user - Recipient
+ * @param {String} url - Link containing the token
+ * @param {Number} lifetime - Token lifetime shown in the email (minutes for resets, hours for verification)
+ */
+const buildAccountLinkData = (template, user, url, lifetime) => (template === 'password_reset'
+  ? { userName: formatUserName(user), resetUrl: url, expiresInMinutes: lifetime }
+  : { userName: formatUserName(user), verifyUrl: url, expiresInHours: lifetime });
+
+/**
+ * Render an account link email without recording it (retries of link emails)
+ * @returns {Object} { subject, text, html }
+ */
+const renderAccountLinkEmail = (template, user, url, lifetime) =>
+  renderEmailTemplate(template, buildAccountLinkData(template, user, url, lifetime));
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User requesting the reset
+ * @param {String} resetUrl - Link containing the reset token
+ * @param {Number} expiresInMinutes - Token lifetime shown in the email
+ * @returns {Promise<Object>} EmailDelivery record
+ */
+const sendPasswordResetEmail = async (user, resetUrl, expiresInMinutes) => {
+  return sendTemplatedEmail('password_reset', user.email,
+    buildAccountLinkData('password_reset', user, resetUrl, expiresInMinutes), { recipient: user._id });
+};
+
+/**
+ * Send an email address confirmation link
+ * @param {Object} user - User whose address is being confirmed
+ * @param {String} verifyUrl - Link containing the verification token
+ * @param {Number} expiresInHours - Token lifetime shown in the email
+ * @returns {Promise<Object>} EmailDelivery record
+ */
+const sendEmailVerificationEmail = async (user, verifyUrl, expiresInHours) => {
+  return sendTemplatedEmail('email_verification', user.email,
+    buildAccountLinkData('email_verification', user, verifyUrl, expiresInHours), { recipient: user._id });
+};
+
+module.exports = {
+  sendTemplatedEmail,
+  runEmailRetryCycle,
+  sendEmergencyEmail,
+  sendEmergencyResolvedEmail,
+  sendOrganizationEmergencyEmail,
+  sendHelpRequestAcceptedEmail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  renderAccountLinkEmail
+};
@@ -0,0 +1,38 @@
+const { html, renderLayout } = require('./layout');
+
+/**
+ * Email Verification
+ * Sent after registration (and on request) to confirm the account's email address
+ * Data: { userName, verifyUrl, expiresInHours }
+ */
+
+const render = ({ userName, verifyUrl, expiresInHours }) => {
+  const subject = 'Confirm your AllyNet email address';
+
+  const text = `Hi ${userName},\n\n` +
+    `Welcome to AllyNet! Please confirm your email address so we can reach you about your account and emergencies:\n` +
+    `${verifyUrl}\n\n` +
+    `The link expires in ${expiresInHours} hours. If you didn't create an AllyNet account, you can ignore this email.`;
+
+  const content = html`
+      <p>Hi ${userName},</p>
+      <p>Welcome to AllyNet! Please confirm your email address so we can reach you about your account and emergencies.</p>
+      <a href="${verifyUrl}" class="button">Confirm Email</a>
+      <p style="margin-top: 20px;">The link expires in ${expiresInHours} hours. If you didn't create an AllyNet account, you can ignore this email.</p>`;
+
+  return {
+    subject,
+    text,
+    html: renderLayout({
+      title: subject,
+      heading: 'Confirm Your Email',
+      accentColor: '#5f7f68',
+      content
+    })
+  };
+};
+
+module.exports = {
+  name: 'email_verification',
+  render
+};
@@ -0,0 +1,38 @@
+const { html, renderLayout } = require('./layout');
+
+/**
+ * Help Request Accepted
+ * Sent to a helper when the requester accepts their offer to help
+ * Data: { helperName, requesterName, requestTitle, requestUrl }
+ */
+
+const render = ({ helperName, requesterName, requestTitle, requestUrl }) => {
+  const subject = `🤝 ${requesterName} accepted your offer to help`;
+
+  const text = `Hi ${helperName},\n\n` +
+    `${requesterName} accepted your offer to help with "${requestTitle}".\n` +
+    `Open AllyNet to coordinate the details: ${requestUrl}\n\n` +
+    `Thank you for looking out for your community!`;
+
+  const content = html`
+      <p>Hi ${helperName},</p>
+      <p>${requesterName} accepted your offer to help with <strong>${requestTitle}</strong>.</p>
+      <a href="${requestUrl}" class="button">Open Help Requests</a>
+      <p style="margin-top: 20px;">Thank you for looking out for your community!</p>`;
+
+  return {
+    subject,
+    text,
+    html: renderLayout({
+      title: subject,
+      heading: '🤝 Offer Accepted',
+      accentColor: '#5f7f68',
+      content
+    })
+  };
+};
+
+module.exports = {
+  name: 'help_request_accepted',
+  render
+};
@@ -0,0 +1,39 @@
+const sosAlert = require('./sosAlert');
+const sosResolved = require('./sosResolved');
+const helpRequestAccepted = require('./helpRequestAccepted');
+const passwordReset = require('./passwordReset');
+const emailVerification = require('./emailVerification');
+const orgSosAlert = require('./orgSosAlert');
+
+/**
+ * Email Templates
+ * Every template exposes { name, render(data) → { subject, text, html } }
+ * HTML is built with the escaping `html` tag from ./layout
+ */
+
+const templates = {
+  [sosAlert.name]: sosAlert,
+  [sosResolved.name]: sosResolved,
+  [helpRequestAccepted.name]: helpRequestAccepted,
+  [passwordReset.name]: passwordReset,
+  [emailVerification.name]: emailVerification,
+  [orgSosAlert.name]: orgSosAlert
+};
+
+/**
+ * Render a template by name
+ * @param {String} name - Template name (e.g. 'sos_alert')
+ * @param {Object} data - Template data
+ * @returns {{subject: String, text: String, html: String}}
+ */
+const renderEmailTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template.render(data);
+};
+
+module.exports = {
+  renderEmailTemplate
+};
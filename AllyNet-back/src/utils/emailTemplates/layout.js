@@ -0,0 +1,103 @@
+/**
+ * Email Template Helpers
+ * `html` is a tagged template that HTML-escapes every interpolated value,
+ * so user input (names, descriptions, addresses) can't inject markup
+ * Wrap trusted markup with raw() to insert it unescaped
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+class RawHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Mark markup as trusted (not escaped by `html`)
+ * @param {String} value - Markup
+ * @returns {RawHtml}
+ */
+const raw = (value) => new RawHtml(value);
+
+/**
+ * Escape a value for use in HTML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {String}
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+
+const renderValue = (value) => {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+  if (value instanceof RawHtml) {
+    return value.value;
+  }
+  return escapeHtml(value);
+};
+
+/**
+ * Tagged template that escapes interpolations
+ * Nested html`` results are inserted as-is; null/undefined/false render as nothing
+ * @returns {RawHtml}
+ */
+const html = (strings, ...values) => raw(
+  strings.reduce((output, string, i) => output + string + (i < values.length ? renderValue(values[i]) : ''), '')
+);
+
+/**
+ * Wrap email content in the shared AllyNet layout
+ * @param {Object} options - { title, heading, subheading?, accentColor, content }
+ * @returns {String} Full HTML document
+ */
+const renderLayout = ({ title, heading, subheading = null, accentColor = '#5f7f68', content }) => html`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .banner { color: white; padding: 20px; text-align: center; border-radius: 5px; }
+    .content { background-color: #f9f9f9; padding: 20px; border-radius: 5px; margin-top: 20px; }
+    .info-row { margin: 10px 0; }
+    .label { font-weight: bold; }
+    .button { display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin-top: 10px; }
+    .footer { margin-top: 20px; font-size: 12px; color: #888; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="banner" style="background-color: ${accentColor};">
+      <h1>${heading}</h1>
+      ${subheading && html`<h2>${subheading}</h2>`}
+    </div>
+    <div class="content">
+      ${content}
+    </div>
+    <div class="footer">Sent by AllyNet</div>
+  </div>
+</body>
+</html>
+`.toString();
+
+module.exports = {
+  html,
+  raw,
+  escapeHtml,
+  renderLayout
+};
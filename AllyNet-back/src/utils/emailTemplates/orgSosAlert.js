@@ -0,0 +1,46 @@
+const { html, renderLayout } = require('./layout');
+
+/**
+ * Organization SOS Alert
+ * Sent to organization admins (alertAdmins) or all members (alertAllMembers) when a member triggers an SOS
+ * Data: { organizationName, userName, emergencyType, description?, locationText, mapsLink?, time, dashboardUrl? }
+ */
+
+const render = ({ organizationName, userName, emergencyType, description, locationText, mapsLink, time, dashboardUrl }) => {
+  const subject = `🚨 ${organizationName}: ${userName} triggered an SOS`;
+
+  const text = `🚨 SOS ALERT in ${organizationName}\n\n` +
+    `${userName}, a member of ${organizationName}, needs help.\n\n` +
+    `Type: ${emergencyType}\n` +
+    `${description ? `Description: ${description}\n` : ''}` +
+    `Location: ${locationText}\n` +
+    `${mapsLink ? `Map: ${mapsLink}\n` : ''}` +
+    `Time: ${time}\n` +
+    `${dashboardUrl ? `\nLive view: ${dashboardUrl}\n` : ''}`;
+
+  const content = html`
+      <p>${userName}, a member of ${organizationName}, needs help.</p>
+      <div class="info-row"><span class="label">Emergency Type:</span> ${emergencyType}</div>
+      ${description && html`<div class="info-row"><span class="label">Description:</span> ${description}</div>`}
+      <div class="info-row"><span class="label">Location:</span> ${locationText}</div>
+      ${mapsLink && html`<a href="${mapsLink}" class="button">View on Google Maps</a>`}
+      <div class="info-row"><span class="label">Time:</span> ${time}</div>
+      ${dashboardUrl && html`<p style="margin-top: 20px;"><a href="${dashboardUrl}">Open the organization dashboard</a> to follow it live.</p>`}`;
+
+  return {
+    subject,
+    text,
+    html: renderLayout({
+      title: subject,
+      heading: '🚨 SOS ALERT',
+      subheading: `${organizationName} member needs help`,
+      accentColor: '#ff4444',
+      content
+    })
+  };
+};
+
+module.exports = {
+  name: 'org_sos_alert',
+  render
+};
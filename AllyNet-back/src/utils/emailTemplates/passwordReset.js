@@ -0,0 +1,38 @@
+const { html, renderLayout } = require('./layout');
+
+/**
+ * Password Reset
+ * Sent when a user asks to reset their password
+ * Data: { userName, resetUrl, expiresInMinutes }
+ */
+
+const render = ({ userName, resetUrl, expiresInMinutes }) => {
+  const subject = 'Reset your AllyNet password';
+
+  const text = `Hi ${userName},\n\n` +
+    `We received a request to reset your AllyNet password. Use the link below to choose a new one:\n` +
+    `${resetUrl}\n\n` +
+    `The link expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email.`;
+
+  const content = html`
+      <p>Hi ${userName},</p>
+      <p>We received a request to reset your AllyNet password. Use the button below to choose a new one.</p>
+      <a href="${resetUrl}" class="button">Reset Password</a>
+      <p style="margin-top: 20px;">The link expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email.</p>`;
+
+  return {
+    subject,
+    text,
+    html: renderLayout({
+      title: subject,
+      heading: 'Password Reset',
+      accentColor: '#5f7f68',
+      content
+    })
+  };
+};
+
+module.exports = {
+  name: 'password_reset',
+  render
+};
@@ -0,0 +1,44 @@
+const { html, renderLayout } = require('./layout');
+
+/**
+ * SOS Alert
+ * Sent to emergency contacts when the user triggers an SOS
+ * Data: { userName, emergencyType, description?, locationText, mapsLink?, time }
+ */
+
+const render = ({ userName, emergencyType, description, locationText, mapsLink, time }) => {
+  const subject = `🚨 SOS ALERT: ${userName} needs help!`;
+
+  const text = `🚨 SOS ALERT from ${userName}\n\n` +
+    `Type: ${emergencyType}\n` +
+    `${description ? `Description: ${description}\n` : ''}` +
+    `Location: ${locationText}\n` +
+    `${mapsLink ? `Map: ${mapsLink}\n` : ''}` +
+    `Time: ${time}\n\n` +
+    `Please check on them immediately!`;
+
+  const content = html`
+      <div class="info-row"><span class="label">Emergency Type:</span> ${emergencyType}</div>
+      ${description && html`<div class="info-row"><span class="label">Description:</span> ${description}</div>`}
+      <div class="info-row"><span class="label">Location:</span> ${locationText}</div>
+      ${mapsLink && html`<a href="${mapsLink}" class="button">View on Google Maps</a>`}
+      <div class="info-row"><span class="label">Time:</span> ${time}</div>
+      <p style="margin-top: 20px; font-weight: bold; color: #ff4444;">Please check on them immediately!</p>`;
+
+  return {
+    subject,
+    text,
+    html: renderLayout({
+      title: subject,
+      heading: '🚨 SOS ALERT',
+      subheading: `${userName} needs immediate help!`,
+      accentColor: '#ff4444',
+      content
+    })
+  };
+};
+
+module.exports = {
+  name: 'sos_alert',
+  render
+};
@@ -0,0 +1,38 @@
+const { html, renderLayout } = require('./layout');
+
+/**
+ * SOS Resolved
+ * All-clear sent to the emergency contacts that received the SOS alert
+ * Data: { userName, outcome, time }
+ */
+
+const render = ({ userName, outcome, time }) => {
+  const subject = `✅ ${userName} is no longer in an active emergency`;
+
+  const text = `✅ Update on ${userName}'s SOS alert\n\n` +
+    `${outcome}\n` +
+    `Time: ${time}\n\n` +
+    `You may still want to check in with them.`;
+
+  const content = html`
+      <div class="info-row">${outcome}</div>
+      <div class="info-row"><span class="label">Time:</span> ${time}</div>
+      <p style="margin-top: 20px;">You may still want to check in with them.</p>`;
+
+  return {
+    subject,
+    text,
+    html: renderLayout({
+      title: subject,
+      heading: '✅ SOS Ended',
+      subheading: `Update on ${userName}'s alert`,
+      accentColor: '#4CAF50',
+      content
+    })
+  };
+};
+
+module.exports = {
+  name: 'sos_resolved',
+  render
+};
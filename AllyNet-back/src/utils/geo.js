@@ -0,0 +1,28 @@
+/**
+ * Geo Utilities
+ * Straight-line distance helpers shared by location-aware services
+ */
+
+/**
+ * Straight-line (haversine) distance between two points
+ * @param {Number} lat1 - Latitude of first point
+ * @param {Number} lon1 - Longitude of first point
+ * @param {Number} lat2 - Latitude of second point
+ * @param {Number} lon2 - Longitude of second point
+ * @returns {Number} Distance in km
+ */
+const calculateDistanceKm = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+module.exports = {
+  calculateDistanceKm
+};
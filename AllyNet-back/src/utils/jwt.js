@@ -7,7 +7,7 @@ const jwt = require('jsonwebtoken');
 
 /**
  * Generate Access Token (short-lived)
- * @param {Object} payload - User data to encode (userId, email, role)
+ * @param {Object} payload - User data to encode (userId, email, role, sessionId)
  * @returns {String} JWT access token
  */
 const generateAccessToken = (payload) => {
@@ -22,7 +22,8 @@ const generateAccessToken = (payload) => {
     {
       userId: payload.userId,
       email: payload.email,
-      role: payload.role
+      role: payload.role,
+      sessionId: payload.sessionId // AuthSession - revoking it invalidates the token
     },
     secret,
     { expiresIn }
@@ -31,7 +32,7 @@ const generateAccessToken = (payload) => {
 
 /**
  * Generate Refresh Token (long-lived)
- * @param {Object} payload - User data to encode
+ * @param {Object} payload - User data to encode (userId, email, role, sessionId, tokenId)
  * @returns {String} JWT refresh token
  */
 const generateRefreshToken = (payload) => {
@@ -47,10 +48,11 @@ const generateRefreshToken = (payload) => {
       userId: payload.userId,
       email: payload.email,
       role: payload.role,
+      sessionId: payload.sessionId,
       type: 'refresh' // Distinguish from access token
     },
     secret,
-    { expiresIn }
+    { expiresIn, jwtid: payload.tokenId } // jti must match AuthSession.currentTokenId
   );
 };
 
@@ -122,15 +124,18 @@ const verifyRefreshToken = (token) => {
 };
 
 /**
- * Generate both access and refresh tokens
+ * Generate both access and refresh tokens for a session
  * @param {Object} user - User object with id, email, role
+ * @param {Object} session - { sessionId, tokenId } (see services/sessionService)
  * @returns {Object} { accessToken, refreshToken }
  */
-const generateTokenPair = (user) => {
+const generateTokenPair = (user, session) => {
   const payload = {
     userId: user._id.toString(),
     email: user.email,
-    role: user.role
+    role: user.role,
+    sessionId: session.sessionId.toString(),
+    tokenId: session.tokenId
   };
 
   return {
@@ -139,11 +144,87 @@ const generateTokenPair = (user) => {
   };
 };
 
+/**
+ * Get the signing secret for an account token purpose
+ * Derived from JWT_SECRET so an emailed link can never be used as an access token (or for another purpose)
+ */
+const getAccountTokenSecret = (purpose) => {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+
+  return `${secret}:${purpose}`;
+};
+
+/**
+ * Generate Account Token (emailed link: password reset, email verification)
+ * @param {Object} payload - { userId, email, purpose, tokenId }
+ * @param {String|Number} expiresIn - Lifetime (jsonwebtoken format, e.g. '30m')
+ * @returns {String} JWT account token
+ */
+const generateAccountToken = (payload, expiresIn) => {
+  return jwt.sign(
+    {
+      userId: payload.userId,
+      email: payload.email,
+      type: payload.purpose
+    },
+    getAccountTokenSecret(payload.purpose),
+    { expiresIn, jwtid: payload.tokenId } // jti must match AccountToken.tokenId
+  );
+};
+
+/**
+ * Verify Account Token
+ * @param {String} token - JWT account token
+ * @param {String} purpose - Expected purpose ('password_reset' | 'email_verification')
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid, expired or for another purpose
+ */
+const verifyAccountToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, getAccountTokenSecret(purpose));
+
+    if (decoded.type !== purpose || !decoded.jti) {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      const expiredError = new Error('Link has expired');
+      expiredError.name = 'TokenExpiredError';
+      throw expiredError;
+    }
+    if (error.name === 'JsonWebTokenError') {
+      const invalidError = new Error('Invalid link');
+      invalidError.name = 'JsonWebTokenError';
+      throw invalidError;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get a token's expiry without verifying it (for tokens this server just signed)
+ * @param {String} token - JWT
+ * @returns {Date|null} Expiry date
+ */
+const getTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded?.exp ? new Date(decoded.exp * 1000) : null;
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
-  generateTokenPair
+  generateTokenPair,
+  getTokenExpiry,
+  generateAccountToken,
+  verifyAccountToken
 };
 
@@ -0,0 +1,98 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail Transport
+ * SMTP via nodemailer, configured with SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASSWORD
+ * Without SMTP_HOST, messages are rendered and logged instead of sent (development only - the send
+ * reports `simulated`); in production SMTP_HOST is required and sends fail without it
+ * For local testing point SMTP_HOST/SMTP_PORT at an SMTP sink (e.g. MailHog on localhost:1025)
+ */
+
+// SMTP reply codes / socket errors worth retrying (temporary failures)
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'ECONNREFUSED'];
+
+let transporter = null;
+
+/**
+ * Get (and lazily create) the configured transporter
+ * @returns {Object} nodemailer transporter
+ */
+const getMailTransport = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (!process.env.SMTP_HOST) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SMTP_HOST must be set in production (emails would only be logged)');
+    }
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+    transporter.isLogOnly = true;
+    console.log('📧 SMTP_HOST not set - emails will be logged instead of sent');
+    return transporter;
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+    connectionTimeout: 10 * 1000,
+    greetingTimeout: 10 * 1000,
+    socketTimeout: 20 * 1000
+  });
+  return transporter;
+};
+
+/**
+ * Check the mail transport at startup, so a production server without SMTP fails on boot
+ * rather than reporting emails as sent
+ * @returns {Object} nodemailer transporter
+ */
+const assertMailTransportConfigured = () => getMailTransport();
+
+/**
+ * Send one message
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<{messageId: String, simulated: Boolean}>} simulated: only logged, nothing was sent
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getMailTransport();
+  const info = await transport.sendMail({
+    from: process.env.EMAIL_FROM || 'AllyNet <noreply@allynet.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (transport.isLogOnly) {
+    console.log(`📧 EMAIL (not sent, SMTP_HOST not set) To: ${to} | Subject: ${subject}`);
+    console.log(text);
+    console.log('  ---');
+  }
+
+  return { messageId: info.messageId, simulated: Boolean(transport.isLogOnly) };
+};
+
+/**
+ * Whether a send error is temporary (4xx reply or connection problem) and worth retrying
+ * @param {Error} error - Error thrown by sendMail
+ * @returns {Boolean}
+ */
+const isTransientMailError = (error) => {
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+};
+
+module.exports = {
+  getMailTransport,
+  assertMailTransportConfigured,
+  sendMail,
+  isTransientMailError
+};
@@ -0,0 +1,41 @@
+const memoryStore = require('./memoryStore');
+
+/**
+ * Rate Limit Stores
+ * Every store exposes { name, increment(key, windowMs) → { count, resetAt }, get(key) → { count, resetAt } | null,
+ * reset(key) } - fixed-window counters that expire at resetAt
+ * Selected via RATE_LIMIT_STORE (memory), default: memory
+ */
+
+const stores = {
+  [memoryStore.name]: memoryStore
+};
+
+/**
+ * Register an additional store (e.g. Redis for multi-instance deployments, or a test double)
+ * @param {Object} store - { name, increment, get, reset }
+ */
+const registerRateLimitStore = (store) => {
+  if (!store?.name || ['increment', 'get', 'reset'].some(fn => typeof store[fn] !== 'function')) {
+    throw new Error('Rate limit store must have a name and increment, get and reset functions');
+  }
+  stores[store.name] = store;
+};
+
+/**
+ * Get the configured rate limit store
+ * @returns {Object} Store
+ */
+const getRateLimitStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || memoryStore.name;
+  const store = stores[name];
+  if (!store) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+  return store;
+};
+
+module.exports = {
+  registerRateLimitStore,
+  getRateLimitStore
+};
@@ -0,0 +1,72 @@
+/**
+ * In-memory rate limit store
+ * Fixed-window counters in a Map - per process, so counters reset on restart and aren't
+ * shared between instances (register a shared backend for multi-instance deployments)
+ */
+
+const counters = new Map(); // key → { count, resetAt }
+
+// Expired counters are dropped lazily on access and by a periodic sweep
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sweep = () => {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) {
+      counters.delete(key);
+    }
+  }
+};
+
+setInterval(sweep, SWEEP_INTERVAL_MS).unref(); // Don't keep the process alive
+
+const getLiveCounter = (key) => {
+  const counter = counters.get(key);
+  if (counter && counter.resetAt <= Date.now()) {
+    counters.delete(key);
+    return null;
+  }
+  return counter || null;
+};
+
+/**
+ * Count a hit (starts a new window when none is open)
+ * @param {String} key - Counter key
+ * @param {Number} windowMs - Window length for a new counter
+ * @returns {Promise<{count: Number, resetAt: Date}>}
+ */
+const increment = async (key, windowMs) => {
+  let counter = getLiveCounter(key);
+  if (!counter) {
+    counter = { count: 0, resetAt: Date.now() + windowMs };
+    counters.set(key, counter);
+  }
+  counter.count += 1;
+
+  return { count: counter.count, resetAt: new Date(counter.resetAt) };
+};
+
+/**
+ * Read a counter without counting
+ * @param {String} key - Counter key
+ * @returns {Promise<{count: Number, resetAt: Date}|null>}
+ */
+const get = async (key) => {
+  const counter = getLiveCounter(key);
+  return counter ? { count: counter.count, resetAt: new Date(counter.resetAt) } : null;
+};
+
+/**
+ * Delete a counter
+ * @param {String} key - Counter key
+ */
+const reset = async (key) => {
+  counters.delete(key);
+};
+
+module.exports = {
+  name: 'memory',
+  increment,
+  get,
+  reset
+};
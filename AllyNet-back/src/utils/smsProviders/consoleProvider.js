@@ -0,0 +1,25 @@
+const { randomUUID } = require('crypto');
+
+/**
+ * Console SMS Provider
+ * Logs messages instead of sending them (previous smsService behaviour)
+ */
+
+/**
+ * "Send" an SMS by logging it
+ * @param {Object} message - { to, body }
+ * @returns {Promise<{providerMessageId: String, status: String}>}
+ */
+const send = async ({ to, body }) => {
+  console.log(`📱 SMS to ${to}:`);
+  console.log(body);
+  console.log('  ---');
+
+  return { providerMessageId: `console-${randomUUID()}`, status: 'simulated' };
+};
+
+module.exports = {
+  name: 'console',
+  simulated: true,
+  send
+};
@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const { randomUUID } = require('crypto');
+
+/**
+ * File SMS Provider (development / tests)
+ * Appends each message as a JSON line to a local outbox file instead of sending it
+ * Outbox path configurable via SMS_OUTBOX_PATH
+ */
+
+const getOutboxPath = () => process.env.SMS_OUTBOX_PATH || path.join(os.tmpdir(), 'allynet-sms-outbox.log');
+
+/**
+ * "Send" an SMS by writing it to the outbox
+ * @param {Object} message - { to, body }
+ * @returns {Promise<{providerMessageId: String, status: String}>}
+ */
+const send = async ({ to, body }) => {
+  const providerMessageId = `file-${randomUUID()}`;
+  const outboxPath = getOutboxPath();
+
+  await fs.mkdir(path.dirname(outboxPath), { recursive: true });
+  await fs.appendFile(
+    outboxPath,
+    JSON.stringify({ id: providerMessageId, to, body, sentAt: new Date().toISOString() }) + '\n'
+  );
+
+  // Nothing leaves the machine - never report it as delivered
+  return { providerMessageId, status: 'simulated' };
+};
+
+module.exports = {
+  name: 'file',
+  simulated: true,
+  send
+};
@@ -0,0 +1,64 @@
+const fileProvider = require('./fileProvider');
+const consoleProvider = require('./consoleProvider');
+const twilioProvider = require('./twilioProvider');
+
+/**
+ * SMS Providers
+ * Every driver exposes { name, send({ to, body }) → { providerMessageId, status } }
+ * and throws when the message could not be handed over
+ * Selected via SMS_PROVIDER (file | console | twilio), default: file outside production
+ * - Stand-in drivers (file, console) are flagged `simulated` and report status 'simulated', never 'delivered'
+ * - In production SMS_PROVIDER must be set: there is no fallback to the file driver
+ */
+
+const providers = {
+  [fileProvider.name]: fileProvider,
+  [consoleProvider.name]: consoleProvider,
+  [twilioProvider.name]: twilioProvider
+};
+
+/**
+ * Register an additional driver (e.g. a test double or another vendor)
+ * @param {Object} provider - { name, send, simulated? }
+ */
+const registerSmsProvider = (provider) => {
+  if (!provider?.name || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must have a name and a send function');
+  }
+  providers[provider.name] = provider;
+};
+
+/**
+ * Get the configured SMS driver
+ * @returns {Object} Provider
+ */
+const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? null : fileProvider.name);
+  if (!name) {
+    throw new Error('SMS_PROVIDER must be set in production (the file driver does not send texts)');
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Check the SMS driver at startup, so a misconfigured server fails on boot rather than during an SOS
+ * @returns {Object} Provider
+ */
+const assertSmsProviderConfigured = () => {
+  const provider = getSmsProvider();
+  if (provider.simulated) {
+    console.warn(`⚠️ SMS provider "${provider.name}" does not send real texts - SOS SMS will be marked simulated`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerSmsProvider,
+  getSmsProvider,
+  assertSmsProviderConfigured
+};
@@ -0,0 +1,44 @@
+/**
+ * Twilio SMS Provider
+ * Sends through the Twilio Messages REST API (no SDK needed)
+ * Requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER
+ */
+
+const TWILIO_API_BASE = 'https://api.twilio.com/2010-04-01';
+
+/**
+ * Send an SMS
+ * @param {Object} message - { to, body }
+ * @returns {Promise<{providerMessageId: String, status: String}>}
+ */
+const send = async ({ to, body }) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_PHONE_NUMBER;
+
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio is not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER)');
+  }
+
+  const response = await fetch(`${TWILIO_API_BASE}/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ To: to, From: from, Body: body }).toString()
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Twilio error ${response.status}: ${data.message || response.statusText}`);
+  }
+
+  // Twilio accepted the message; handset delivery is reported later
+  return { providerMessageId: data.sid, status: 'sent' };
+};
+
+module.exports = {
+  name: 'twilio',
+  send
+};
@@ -1,65 +1,125 @@
+const { SmsDelivery } = require('../models');
+const { getSmsProvider } = require('./smsProviders');
+
 /**
  * SMS Service
  * Handles sending SMS notifications for emergencies
- * Currently uses console.log for development (replace with Twilio or similar in production)
+ * Delivery goes through the configured provider (see utils/smsProviders) and is
+ * tracked per emergency contact per emergency in SmsDelivery
  */
 
 /**
- * Send SMS to emergency contacts when emergency is triggered
- * @param {Array} contacts - Array of emergency contacts { name, phone }
+ * Build SOS text message
  * @param {Object} emergency - Emergency object
  * @param {Object} user - User object who triggered emergency
- * @returns {Promise<void>}
+ * @returns {String} Message body
  */
-const sendEmergencySMS = async (contacts, emergency, user) => {
-  if (!contacts || contacts.length === 0) {
-    console.log('📱 No emergency contacts to notify');
-    return;
-  }
-
-  const userName = user?.profile?.firstName 
+const buildEmergencyMessage = (emergency, user) => {
+  const userName = user?.profile?.firstName
     ? `${user.profile.firstName}${user.profile.lastName ? ' ' + user.profile.lastName : ''}`
     : user?.email?.split('@')[0] || 'User';
 
-  const emergencyType = emergency.type 
+  const emergencyType = emergency.type
     ? emergency.type.charAt(0).toUpperCase() + emergency.type.slice(1).replace('_', ' ')
     : 'Emergency';
 
-  const locationText = emergency.location?.address 
+  const locationText = emergency.location?.address
     ? emergency.location.address
     : emergency.location?.latitude && emergency.location?.longitude
       ? `${emergency.location.latitude}, ${emergency.location.longitude}`
       : 'Location not available';
 
-  const message = `🚨 SOS ALERT from ${userName}\n\n` +
+  const mapsLink = emergency.location?.latitude && emergency.location?.longitude
+    ? `https://www.google.com/maps?q=${emergency.location.latitude},${emergency.location.longitude}\n`
+    : '';
+
+  return `🚨 SOS ALERT from ${userName}\n\n` +
     `Type: ${emergencyType}\n` +
     `${emergency.description ? `Description: ${emergency.description}\n` : ''}` +
     `Location: ${locationText}\n` +
+    mapsLink +
     `Time: ${new Date(emergency.createdAt || emergency.activatedAt).toLocaleString()}\n\n` +
     `Please check on them immediately!`;
+};
 
-  // In development, log to console
-  // In production, integrate with SMS provider (Twilio, AWS SNS, etc.)
-  console.log('📱 SMS NOTIFICATIONS TO SEND:');
-  contacts.forEach(contact => {
-    console.log(`  To: ${contact.name} (${contact.phone})`);
-    console.log(`  Message: ${message}`);
-    console.log('  ---');
-    
-    // TODO: Replace with actual SMS API call
-    // Example with Twilio:
-    // await twilioClient.messages.create({
-    //   body: message,
-    //   to: contact.phone,
-    //   from: process.env.TWILIO_PHONE_NUMBER
-    // });
-  });
-
-  // For now, return success (in production, handle errors from SMS provider)
-  return Promise.resolve();
+/**
+ * Send SMS to emergency contacts when emergency is triggered
+ * Contacts without a phone number are skipped; contacts already texted for this
+ * emergency are not texted again
+ * @param {Array} contacts - Array of emergency contacts { _id, name, phone }
+ * @param {Object} emergency - Emergency object
+ * @param {Object} user - User object who triggered emergency
+ * @returns {Promise<Array>} SmsDelivery records
+ */
+const sendEmergencySMS = async (contacts, emergency, user) => {
+  const smsContacts = (contacts || []).filter(contact => contact.phone);
+  if (smsContacts.length === 0) {
+    console.log('📱 No emergency contacts with a phone number to notify');
+    return [];
+  }
+
+  const provider = getSmsProvider();
+  const body = buildEmergencyMessage(emergency, user);
+  const deliveries = [];
+
+  for (const contact of smsContacts) {
+    const delivery = await SmsDelivery.findOneAndUpdate(
+      { emergency: emergency._id, 'contact.contactId': contact._id },
+      {
+        $setOnInsert: {
+          user: user._id,
+          contact: { contactId: contact._id, name: contact.name, phone: contact.phone },
+          provider: provider.name,
+          status: 'queued'
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (['sent', 'delivered', 'simulated'].includes(delivery.status)) {
+      deliveries.push(delivery);
+      continue;
+    }
+
+    delivery.attempts += 1;
+    try {
+      const result = await provider.send({ to: contact.phone, body });
+      delivery.status = result.status;
+      delivery.providerMessageId = result.providerMessageId;
+      delivery.sentAt = new Date();
+      if (result.status === 'delivered') {
+        delivery.deliveredAt = delivery.sentAt;
+      }
+      delivery.lastError = undefined;
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.lastError = error.message;
+      console.error(`⚠️ SMS to ${contact.name} failed (${provider.name}):`, error.message);
+    }
+
+    await delivery.save();
+    deliveries.push(delivery);
+  }
+
+  const sentCount = deliveries.filter(delivery => delivery.status !== 'failed').length;
+  console.log(`📱 SOS SMS via ${provider.name}${provider.simulated ? ' (simulated)' : ''}: ${sentCount}/${deliveries.length} contact(s) for emergency ${emergency._id}`);
+
+  return deliveries;
 };
 
-module.exports = {
-  sendEmergencySMS
+/**
+ * Get SMS delivery status for an emergency
+ * @param {String} emergencyId - Emergency ID
+ * @returns {Promise<Array>} SmsDelivery records
+ */
+const getEmergencySmsDeliveries = async (emergencyId) => {
+  return SmsDelivery.find({ emergency: emergencyId })
+    .select('contact provider status attempts lastError sentAt deliveredAt createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
 };
 
+module.exports = {
+  sendEmergencySMS,
+  getEmergencySmsDeliveries
+};
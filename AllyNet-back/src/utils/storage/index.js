@@ -0,0 +1,42 @@
+const localDiskStorage = require('./localDiskStorage');
+
+/**
+ * Storage Drivers
+ * Every driver exposes { name, save({ buffer, filename, contentType, folder }) → { key, size },
+ * read(key) → Buffer, remove(key) } and throws when the file could not be stored/read
+ * Keys are opaque to callers - store them as returned
+ * Selected via STORAGE_DRIVER (local), default: local
+ */
+
+const drivers = {
+  [localDiskStorage.name]: localDiskStorage
+};
+
+/**
+ * Register an additional driver (e.g. object storage or a test double)
+ * @param {Object} driver - { name, save, read, remove }
+ */
+const registerStorageDriver = (driver) => {
+  if (!driver?.name || ['save', 'read', 'remove'].some(fn => typeof driver[fn] !== 'function')) {
+    throw new Error('Storage driver must have a name and save, read and remove functions');
+  }
+  drivers[driver.name] = driver;
+};
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} Driver
+ */
+const getStorageDriver = () => {
+  const name = process.env.STORAGE_DRIVER || localDiskStorage.name;
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+module.exports = {
+  registerStorageDriver,
+  getStorageDriver
+};
@@ -0,0 +1,72 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+/**
+ * Local Disk Storage
+ * Writes files under a local directory (not served statically - read back through the API)
+ * Directory configurable via STORAGE_LOCAL_DIR (default: ./uploads)
+ */
+
+const getRootDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'));
+
+/**
+ * Resolve a key to an absolute path inside the storage directory
+ * Rejects keys that would escape it (e.g. "../")
+ */
+const resolveKey = (key) => {
+  const rootDir = getRootDir();
+  const filePath = path.resolve(rootDir, String(key || ''));
+  if (!filePath.startsWith(rootDir + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+/**
+ * Store a file
+ * @param {Object} file - { buffer, filename, contentType, folder }
+ * @returns {Promise<{key: String, size: Number}>}
+ */
+const save = async ({ buffer, filename, folder = 'misc' }) => {
+  // Never trust the client filename beyond its extension
+  const extension = path.extname(filename || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const safeFolder = String(folder).replace(/[^a-zA-Z0-9_-]/g, '');
+  const key = `${safeFolder}/${randomUUID()}${extension}`;
+  const filePath = resolveKey(key);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer, { flag: 'wx' });
+
+  return { key, size: buffer.length };
+};
+
+/**
+ * Read a stored file
+ * @param {String} key - Storage key
+ * @returns {Promise<Buffer>}
+ */
+const read = async (key) => {
+  return fs.readFile(resolveKey(key));
+};
+
+/**
+ * Delete a stored file (missing files are ignored)
+ * @param {String} key - Storage key
+ */
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  name: 'local',
+  save,
+  read,
+  remove
+};
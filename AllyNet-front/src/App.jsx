@@ -1,4 +1,4 @@
-import { BrowserRouter, Routes, Route, Navigate, useNavigate } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, useNavigate, useLocation } from 'react-router-dom';
 import { useEffect } from 'react';
 import AppShell from './layouts/AppShell';
 import Card from './components/Card';
@@ -10,6 +10,9 @@ import CreateHelpRequest from './features/help/CreateHelpRequest';
 import Onboarding from './features/auth/Onboarding';
 import LoginPage from './features/auth/LoginPage';
 import SignupPage from './features/auth/SignupPage';
+import ForgotPasswordPage from './features/auth/ForgotPasswordPage';
+import ResetPasswordPage from './features/auth/ResetPasswordPage';
+import VerifyEmailPage from './features/auth/VerifyEmailPage';
 import { useAuthStore } from './store/useAuthStore';
 import { useThemeStore } from './store/useThemeStore';
 import ProtectedRoute from './components/ProtectedRoute';
@@ -17,13 +20,19 @@ import { api } from './api/auth';
 import { useEmergencySocket } from "./hooks/useEmergencySocket";
 import EmergencyNotification from './components/EmergencyNotification';
 import EmergencyEndedNotification from './components/EmergencyEndedNotification';
+import OrgEmergencyAlert from './components/OrgEmergencyAlert';
 import EmergencyDetails from './features/emergency/EmergencyDetails';
+import EmergencyDebrief from './features/emergency/EmergencyDebrief';
 import HelpRequestsPage from './features/help/HelpRequestsPage';
 import NearbyAdsPreview from './components/NearbyAdsPreview';
+import SafetyTimerCard from './components/SafetyTimerCard';
 import AdDetailView from './features/ads/AdDetailView';
 import EmergencyHistory from './features/profile/EmergencyHistory';
 import SafetySettings from './features/profile/SafetySettings';
 import HelpCenter from './features/profile/HelpCenter';
+import OrganizationView from './features/profile/OrganizationView';
+import MyBusinessView from './features/business/MyBusinessView';
+import BusinessPage from './features/business/BusinessPage';
 import AboutAllyNet from './features/about/AboutAllyNet';
 
 
@@ -70,6 +79,9 @@ function HomePage() {
           </Button>
         </Card>
 
+        {/* Safety Check-in Timer */}
+        <SafetyTimerCard />
+
         {/* Quick Actions */}
         <div className="grid grid-cols-2 gap-4">
           <Card 
@@ -138,6 +150,15 @@ function HomePage() {
 
 
 
+// Signed-in users opening an organization invite link join from the organization page
+function SignupRoute({ accessToken }) {
+  const location = useLocation();
+  if (!accessToken) return <SignupPage />;
+
+  const invite = new URLSearchParams(location.search).get('invite');
+  return <Navigate to={invite ? `/organization?invite=${encodeURIComponent(invite)}` : '/'} replace />;
+}
+
 function App() {
   const { 
     accessToken, 
@@ -417,6 +438,7 @@ function App() {
       {/* Helper notifications (enhancement only - shows when emergency:created event received) */}
       <EmergencyNotification />
       <EmergencyEndedNotification />
+      <OrgEmergencyAlert />
       <Routes>
         {/* Public auth routes */}
         <Route 
@@ -427,10 +449,17 @@ function App() {
         />
         <Route 
           path="/auth/signup" 
+          element={<SignupRoute accessToken={accessToken} />} 
+        />
+        <Route 
+          path="/auth/forgot-password" 
           element={
-            accessToken ? <Navigate to="/" replace /> : <SignupPage />
+            accessToken ? <Navigate to="/" replace /> : <ForgotPasswordPage />
           } 
         />
+        {/* Opened from emailed links - reachable signed in or out */}
+        <Route path="/auth/reset-password" element={<ResetPasswordPage />} />
+        <Route path="/auth/verify-email" element={<VerifyEmailPage />} />
 
         {/* Protected routes */}
         <Route
@@ -453,6 +482,14 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/emergencies/:id/debrief"
+          element={
+            <ProtectedRoute>
+              <EmergencyDebrief />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/help-requests"
           element={
@@ -493,6 +530,30 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/organization"
+          element={
+            <ProtectedRoute>
+              <OrganizationView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/business"
+          element={
+            <ProtectedRoute>
+              <MyBusinessView />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/businesses/:id"
+          element={
+            <ProtectedRoute>
+              <BusinessPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/about"
           element={
@@ -1,54 +1,25 @@
 // API utility for ad endpoints
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
-import { api as authApi } from './auth';
-import { useAuthStore } from '../store/useAuthStore';
+import { refreshAccessToken, isExpiredTokenError } from './tokenRefresh';
 
-// Get tokens from localStorage
-const getTokens = () => {
+// Get access token from localStorage
+const getAccessToken = () => {
   const token = localStorage.getItem('allynet-auth-storage');
   if (token) {
     try {
       const parsed = JSON.parse(token);
-      return {
-        accessToken: parsed.state?.accessToken,
-        refreshToken: parsed.state?.refreshToken,
-      };
-    } catch (e) {
-      return { accessToken: null, refreshToken: null };
+      return parsed.state?.accessToken;
+    } catch {
+      return null;
     }
   }
-  return { accessToken: null, refreshToken: null };
-};
-
-// Refresh access token
-const refreshAccessToken = async () => {
-  const { refreshToken } = getTokens();
-  if (!refreshToken) {
-    throw new Error('No refresh token available');
-  }
-
-  try {
-    const response = await authApi.refreshToken(refreshToken);
-    if (response?.success && response?.data?.accessToken) {
-      // Update auth store with new access token
-      const { setTokens } = useAuthStore.getState();
-      const tokens = getTokens();
-      setTokens(response.data.accessToken, tokens.refreshToken);
-      return response.data.accessToken;
-    }
-    throw new Error('Failed to refresh token');
-  } catch (error) {
-    // If refresh fails, logout user
-    const { logout } = useAuthStore.getState();
-    logout();
-    throw error;
-  }
+  return null;
 };
 
 export const adApi = {
   async request(endpoint, options = {}, retryCount = 0) {
     const url = `${API_BASE_URL}${endpoint}`;
-    const { accessToken } = getTokens();
+    const accessToken = getAccessToken();
 
     const headers = {
       'Content-Type': 'application/json',
@@ -84,19 +55,10 @@ export const adApi = {
         }
       }
       
-      // Handle token expiration - try to refresh and retry once
-      if (response.status === 401 && (errorMessage === 'Token expired' || errorMessage.includes('expired')) && retryCount === 0) {
-        try {
-          const newAccessToken = await refreshAccessToken();
-          // Retry the request with new token
-          return this.request(endpoint, options, retryCount + 1);
-        } catch (refreshError) {
-          // Refresh failed, throw original error
-          const error = new Error('Session expired. Please login again.');
-          error.status = response.status;
-          error.response = response;
-          throw error;
-        }
+      // Access token expired - refresh once (shared with other requests) and retry
+      if (isExpiredTokenError(response.status, errorMessage) && retryCount === 0) {
+        await refreshAccessToken(accessToken);
+        return this.request(endpoint, options, retryCount + 1);
       }
       
       const error = new Error(typeof errorMessage === 'string' ? errorMessage : 'Request failed');
@@ -1,8 +1,9 @@
 // API utility for auth endpoints
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+import { refreshAccessToken, isExpiredTokenError } from './tokenRefresh';
 
 export const api = {
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, retryCount = 0) {
     const url = `${API_BASE_URL}${endpoint}`;
     const token = localStorage.getItem('allynet-auth-storage');
     let accessToken = null;
@@ -45,6 +46,13 @@ export const api = {
       }));
       // Extract error message from standardized error format
       const errorMessage = errorData.error?.message || errorData.message || `Request failed with status ${response.status}`;
+
+      // Access token expired - refresh once (shared with other requests) and retry
+      if (isExpiredTokenError(response.status, errorMessage) && retryCount === 0) {
+        await refreshAccessToken(accessToken);
+        return this.request(endpoint, options, retryCount + 1);
+      }
+
       throw new Error(errorMessage);
     }
 
@@ -60,7 +68,7 @@ export const api = {
     return response;
   },
 
-  async signup(email, password, name) {
+  async signup(email, password, name, inviteCode = null) {
     const url = `${API_BASE_URL}/api/v1/auth/register`;
     
     const headers = {
@@ -72,7 +80,7 @@ export const api = {
       response = await fetch(url, {
         method: 'POST',
         headers,
-        body: JSON.stringify({ email, password, name }),
+        body: JSON.stringify({ email, password, name, ...(inviteCode ? { inviteCode } : {}) }),
       });
     } catch (networkError) {
       if (networkError instanceof TypeError && networkError.message === 'Failed to fetch') {
@@ -97,6 +105,40 @@ export const api = {
     return response.json();
   },
 
+  // Email a password reset link (same response whether or not the account exists)
+  async forgotPassword(email) {
+    const response = await this.request('/api/v1/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+    return response;
+  },
+
+  // Set a new password with the token from a reset link
+  async resetPassword(token, password) {
+    const response = await this.request('/api/v1/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+    return response;
+  },
+
+  // Confirm the email address with the token from a verification link
+  async verifyEmail(token) {
+    const response = await this.request('/api/v1/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+    return response;
+  },
+
+  async resendVerificationEmail() {
+    const response = await this.request('/api/v1/auth/verify-email/resend', {
+      method: 'POST',
+    });
+    return response;
+  },
+
   async getMe() {
     const response = await this.request('/api/v1/auth/me');
     return response;
@@ -107,15 +149,20 @@ export const api = {
     return response;
   },
 
+  async getTrustHistory(limit = 5) {
+    const response = await this.request(`/api/v1/auth/trust-history?limit=${limit}`);
+    return response;
+  },
+
   async getEmergencyContacts() {
     const response = await this.request('/api/v1/auth/emergency-contacts');
     return response;
   },
 
-  async addEmergencyContact(name, email) {
+  async addEmergencyContact(name, email, phone) {
     const response = await this.request('/api/v1/auth/emergency-contacts', {
       method: 'POST',
-      body: JSON.stringify({ name, email }),
+      body: JSON.stringify({ name, email, phone }),
     });
     return response;
   },
@@ -127,6 +174,57 @@ export const api = {
     return response;
   },
 
+  async getAvailability() {
+    const response = await this.request('/api/v1/auth/availability');
+    return response;
+  },
+
+  async updateAvailability(updates) {
+    const response = await this.request('/api/v1/auth/availability', {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+    return response;
+  },
+
+  // Revoke this device's session on the server
+  async logout() {
+    const response = await this.request('/api/v1/auth/logout', {
+      method: 'POST',
+    });
+    return response;
+  },
+
+  // Revoke every session (keepCurrent keeps this device signed in)
+  async logoutAll(keepCurrent = false) {
+    const response = await this.request('/api/v1/auth/logout-all', {
+      method: 'POST',
+      body: JSON.stringify({ keepCurrent }),
+    });
+    return response;
+  },
+
+  async getSessions() {
+    const response = await this.request('/api/v1/auth/sessions');
+    return response;
+  },
+
+  // Sign out one device
+  async revokeSession(sessionId) {
+    const response = await this.request(`/api/v1/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+    return response;
+  },
+
+  // Sign out every device except this one
+  async revokeOtherSessions() {
+    const response = await this.request('/api/v1/auth/sessions', {
+      method: 'DELETE',
+    });
+    return response;
+  },
+
   async refreshToken(refreshToken) {
     const url = `${API_BASE_URL}/api/v1/auth/refresh`;
     const response = await fetch(url, {
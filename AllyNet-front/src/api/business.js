@@ -0,0 +1,145 @@
+// API utility for business endpoints
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+import { refreshAccessToken, isExpiredTokenError } from './tokenRefresh';
+
+// Get access token from localStorage
+const getAccessToken = () => {
+  const token = localStorage.getItem('allynet-auth-storage');
+  if (token) {
+    try {
+      const parsed = JSON.parse(token);
+      return parsed.state?.accessToken;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+export const businessApi = {
+  async request(endpoint, options = {}, retryCount = 0) {
+    const url = `${API_BASE_URL}${endpoint}`;
+    const accessToken = getAccessToken();
+
+    const headers = {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    };
+
+    if (accessToken) {
+      headers.Authorization = `Bearer ${accessToken}`;
+    }
+
+    const response = await fetch(url, {
+      ...options,
+      headers,
+    });
+
+    if (!response.ok) {
+      let errorData;
+      try {
+        const text = await response.text();
+        errorData = text ? JSON.parse(text) : {};
+      } catch {
+        errorData = { error: { message: response.statusText || 'Request failed' } };
+      }
+      
+      let errorMessage = 'Request failed';
+      if (errorData && typeof errorData === 'object') {
+        if (errorData.error && typeof errorData.error === 'object') {
+          if (typeof errorData.error.message === 'string') {
+            errorMessage = errorData.error.message;
+          }
+        } else if (typeof errorData.message === 'string') {
+          errorMessage = errorData.message;
+        }
+      }
+      
+      // Access token expired - refresh once (shared with other requests) and retry
+      if (isExpiredTokenError(response.status, errorMessage) && retryCount === 0) {
+        await refreshAccessToken(accessToken);
+        return this.request(endpoint, options, retryCount + 1);
+      }
+
+      const error = new Error(typeof errorMessage === 'string' ? errorMessage : 'Request failed');
+      error.status = response.status;
+      if (errorData && errorData.error && Array.isArray(errorData.error.details)) {
+        error.details = errorData.error.details;
+      }
+      throw error;
+    }
+
+    return response.json();
+  },
+
+  // Current user's business profile (null if none)
+  async getMyBusiness() {
+    return this.request('/api/v1/businesses/me', {
+      method: 'GET',
+    });
+  },
+
+  // Nearby business directory (closest first)
+  async searchDirectory(options = {}) {
+    const { latitude, longitude, radius, q, category, openNow, verified, hasPromotion, page = 1, limit = 20 } = options;
+    const params = new URLSearchParams();
+    params.append('latitude', latitude.toString());
+    params.append('longitude', longitude.toString());
+    if (radius) params.append('radius', radius.toString());
+    if (q) params.append('q', q);
+    if (category) params.append('category', category);
+    if (openNow) params.append('openNow', 'true');
+    if (verified) params.append('verified', 'true');
+    if (hasPromotion) params.append('hasPromotion', 'true');
+    if (page) params.append('page', page.toString());
+    if (limit) params.append('limit', limit.toString());
+
+    return this.request(`/api/v1/businesses/directory?${params.toString()}`);
+  },
+
+  // Business page: profile, running promotions and active ads
+  async getBusiness(businessId) {
+    return this.request(`/api/v1/businesses/${businessId}`, {
+      method: 'GET',
+    });
+  },
+
+  // Create a business profile (the account becomes a business account)
+  async createBusiness(data) {
+    return this.request('/api/v1/businesses', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  // Update the business profile (owner)
+  async updateBusiness(businessId, data) {
+    return this.request(`/api/v1/businesses/${businessId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  // Add a time-boxed promotion (owner)
+  async addPromotion(businessId, data) {
+    return this.request(`/api/v1/businesses/${businessId}/promotions`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  // Update, pause or resume a promotion (owner)
+  async updatePromotion(businessId, promotionId, data) {
+    return this.request(`/api/v1/businesses/${businessId}/promotions/${promotionId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  // Delete a promotion (owner)
+  async deletePromotion(businessId, promotionId) {
+    return this.request(`/api/v1/businesses/${businessId}/promotions/${promotionId}`, {
+      method: 'DELETE',
+    });
+  },
+};
@@ -1,5 +1,6 @@
 // API utility for contact endpoints
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+import { refreshAccessToken, isExpiredTokenError } from './tokenRefresh';
 
 // Get access token from localStorage
 const getAccessToken = () => {
@@ -16,7 +17,7 @@ const getAccessToken = () => {
 };
 
 export const contactApi = {
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, retryCount = 0) {
     const url = `${API_BASE_URL}${endpoint}`;
     const accessToken = getAccessToken();
 
@@ -54,6 +55,12 @@ export const contactApi = {
         }
       }
       
+      // Access token expired - refresh once (shared with other requests) and retry
+      if (isExpiredTokenError(response.status, errorMessage) && retryCount === 0) {
+        await refreshAccessToken(accessToken);
+        return this.request(endpoint, options, retryCount + 1);
+      }
+
       const error = new Error(typeof errorMessage === 'string' ? errorMessage : 'Request failed');
       error.status = response.status;
       if (errorData && errorData.error && Array.isArray(errorData.error.details)) {
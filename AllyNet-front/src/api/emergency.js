@@ -1,5 +1,6 @@
 // API utility for emergency endpoints
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+import { refreshAccessToken, isExpiredTokenError } from './tokenRefresh';
 
 // Get access token from localStorage
 const getAccessToken = () => {
@@ -16,7 +17,7 @@ const getAccessToken = () => {
 };
 
 export const emergencyApi = {
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, retryCount = 0) {
     const url = `${API_BASE_URL}${endpoint}`;
     const accessToken = getAccessToken();
 
@@ -58,6 +59,12 @@ export const emergencyApi = {
         }
       }
       
+      // Access token expired - refresh once (shared with other requests) and retry
+      if (isExpiredTokenError(response.status, errorMessage) && retryCount === 0) {
+        await refreshAccessToken(accessToken);
+        return this.request(endpoint, options, retryCount + 1);
+      }
+
       // Create error with status code (defensive: ensure errorMessage is always a string)
       const error = new Error(typeof errorMessage === 'string' ? errorMessage : 'Request failed');
       error.status = response.status;
@@ -106,6 +113,22 @@ export const emergencyApi = {
     });
   },
 
+  // Submit post-emergency debrief (creator only, once)
+  // helpers: [{ helperId, arrived, rating?, comment?, misconduct?, misconductReason? }]
+  async submitDebrief(emergencyId, helpers, summary = null) {
+    return this.request(`/api/v1/emergencies/${emergencyId}/debrief`, {
+      method: 'POST',
+      body: JSON.stringify({ helpers, summary: summary || undefined }),
+    });
+  },
+
+  // Answer inactivity check-in (owner is still in danger - keep SOS active)
+  async confirmCheckIn(emergencyId) {
+    return this.request(`/api/v1/emergencies/${emergencyId}/check-in`, {
+      method: 'POST',
+    });
+  },
+
   // Respond to emergency (accept/decline)
   async respondToEmergency(emergencyId, action, estimatedArrival = null) {
     const body = { action }; // 'accept' or 'decline'
@@ -167,6 +190,19 @@ export const emergencyApi = {
     return this.request(`/api/v1/emergencies/${emergencyId}`);
   },
 
+  // Get live location trail (breadcrumb path) for an emergency
+  async getLocationTrail(emergencyId, options = {}) {
+    const { limit, since } = options;
+    const params = new URLSearchParams();
+    if (limit) params.append('limit', limit.toString());
+    if (since) params.append('since', since);
+
+    const queryString = params.toString();
+    const endpoint = `/api/v1/emergencies/${emergencyId}/location-trail${queryString ? `?${queryString}` : ''}`;
+
+    return this.request(endpoint);
+  },
+
   // Get pending emergencies for helper (for persistent notifications)
   async getPendingEmergenciesForHelper() {
     return this.request('/api/v1/emergencies/pending-for-helper');
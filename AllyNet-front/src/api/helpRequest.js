@@ -1,5 +1,6 @@
 // API utility for help request endpoints
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+import { refreshAccessToken, isExpiredTokenError } from './tokenRefresh';
 
 // Get access token from localStorage
 const getAccessToken = () => {
@@ -16,7 +17,7 @@ const getAccessToken = () => {
 };
 
 export const helpRequestApi = {
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, retryCount = 0) {
     const url = `${API_BASE_URL}${endpoint}`;
     const accessToken = getAccessToken();
 
@@ -54,6 +55,12 @@ export const helpRequestApi = {
         }
       }
       
+      // Access token expired - refresh once (shared with other requests) and retry
+      if (isExpiredTokenError(response.status, errorMessage) && retryCount === 0) {
+        await refreshAccessToken(accessToken);
+        return this.request(endpoint, options, retryCount + 1);
+      }
+
       const error = new Error(typeof errorMessage === 'string' ? errorMessage : 'Request failed');
       error.status = response.status;
       error.response = response; // Store response for further parsing
@@ -79,11 +86,12 @@ export const helpRequestApi = {
     });
   },
 
-  // Get user's help requests
+  // Get user's help requests (role: 'creator' = created by me, 'helper' = I'm an accepted helper)
   async getMyHelpRequests(options = {}) {
-    const { status, limit } = options;
+    const { status, limit, role } = options;
     const params = new URLSearchParams();
     if (status) params.append('status', status);
+    if (role) params.append('role', role);
     if (limit) params.append('limit', limit.toString());
     
     const queryString = params.toString();
@@ -156,5 +164,29 @@ export const helpRequestApi = {
       body: JSON.stringify({ message }),
     });
   },
+
+  // Mark the request as done (accepted helper) - creator still confirms
+  async proposeCompletion(requestId, notes) {
+    return this.request(`/api/v1/help-requests/${requestId}/propose-completion`, {
+      method: 'POST',
+      body: JSON.stringify({ notes }),
+    });
+  },
+
+  // Complete help request (creator confirms)
+  async completeHelpRequest(requestId, notes) {
+    return this.request(`/api/v1/help-requests/${requestId}/complete`, {
+      method: 'POST',
+      body: JSON.stringify({ notes }),
+    });
+  },
+
+  // Rate an accepted helper (creator passes helperId) or the creator (helper omits it)
+  async rateParticipant(requestId, { helperId, rating, comment }) {
+    return this.request(`/api/v1/help-requests/${requestId}/ratings`, {
+      method: 'POST',
+      body: JSON.stringify({ helperId, rating, comment }),
+    });
+  },
 };
 
@@ -0,0 +1,214 @@
+// API utility for organization endpoints
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+import { refreshAccessToken, isExpiredTokenError } from './tokenRefresh';
+
+// Get access token from localStorage
+const getAccessToken = () => {
+  const token = localStorage.getItem('allynet-auth-storage');
+  if (token) {
+    try {
+      const parsed = JSON.parse(token);
+      return parsed.state?.accessToken;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+export const organizationApi = {
+  async request(endpoint, options = {}, retryCount = 0) {
+    const url = `${API_BASE_URL}${endpoint}`;
+    const accessToken = getAccessToken();
+
+    const headers = {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    };
+
+    if (accessToken) {
+      headers.Authorization = `Bearer ${accessToken}`;
+    }
+
+    const response = await fetch(url, {
+      ...options,
+      headers,
+    });
+
+    if (!response.ok) {
+      let errorData;
+      try {
+        const text = await response.text();
+        errorData = text ? JSON.parse(text) : {};
+      } catch {
+        errorData = { error: { message: response.statusText || 'Request failed' } };
+      }
+      
+      let errorMessage = 'Request failed';
+      if (errorData && typeof errorData === 'object') {
+        if (errorData.error && typeof errorData.error === 'object') {
+          if (typeof errorData.error.message === 'string') {
+            errorMessage = errorData.error.message;
+          }
+        } else if (typeof errorData.message === 'string') {
+          errorMessage = errorData.message;
+        }
+      }
+      
+      // Access token expired - refresh once (shared with other requests) and retry
+      if (isExpiredTokenError(response.status, errorMessage) && retryCount === 0) {
+        await refreshAccessToken(accessToken);
+        return this.request(endpoint, options, retryCount + 1);
+      }
+
+      const error = new Error(typeof errorMessage === 'string' ? errorMessage : 'Request failed');
+      error.status = response.status;
+      if (errorData && errorData.error && Array.isArray(errorData.error.details)) {
+        error.details = errorData.error.details;
+      }
+      throw error;
+    }
+
+    return response.json();
+  },
+
+  // Current user's organization (null if none)
+  async getMyOrganization() {
+    return this.request('/api/v1/organizations/me', {
+      method: 'GET',
+    });
+  },
+
+  // Pending invitations for the current user's email
+  async getMyInvitations() {
+    return this.request('/api/v1/organizations/invitations', {
+      method: 'GET',
+    });
+  },
+
+  // Create an organization - data: { name, type, description }
+  async createOrganization(data) {
+    return this.request('/api/v1/organizations', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  // Update details and emergency settings (org admins)
+  async updateOrganization(organizationId, data) {
+    return this.request(`/api/v1/organizations/${organizationId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  // Members with role and online status
+  async getMembers(organizationId) {
+    return this.request(`/api/v1/organizations/${organizationId}/members`, {
+      method: 'GET',
+    });
+  },
+
+  // Live counts: members online, active emergencies, open help requests (org admins and moderators)
+  async getDashboard(organizationId) {
+    return this.request(`/api/v1/organizations/${organizationId}/dashboard`, {
+      method: 'GET',
+    });
+  },
+
+  // Live view of members' active emergencies (org admins and moderators, dashboard enabled)
+  async getMemberEmergencies(organizationId) {
+    return this.request(`/api/v1/organizations/${organizationId}/emergencies`, {
+      method: 'GET',
+    });
+  },
+
+  // Invite someone by email (org admins)
+  async inviteMember(organizationId, email, role = 'member') {
+    return this.request(`/api/v1/organizations/${organizationId}/invitations`, {
+      method: 'POST',
+      body: JSON.stringify({ email, role }),
+    });
+  },
+
+  // Invite everyone in a CSV - `email[,role]` per line (org admins)
+  async bulkInvite(organizationId, csv, role = 'member') {
+    return this.request(`/api/v1/organizations/${organizationId}/invitations/bulk`, {
+      method: 'POST',
+      body: JSON.stringify({ csv, role }),
+    });
+  },
+
+  // Cancel a pending invitation (org admins)
+  async revokeInvitation(organizationId, invitationId) {
+    return this.request(`/api/v1/organizations/${organizationId}/invitations/${invitationId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Accept an invitation
+  async joinOrganization(organizationId) {
+    return this.request(`/api/v1/organizations/${organizationId}/join`, {
+      method: 'POST',
+    });
+  },
+
+  // Create an invite code / signup link (org admins)
+  async createInviteCode(organizationId, data = {}) {
+    return this.request(`/api/v1/organizations/${organizationId}/invite-codes`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  // Revoke an invite code (org admins)
+  async revokeInviteCode(organizationId, codeId) {
+    return this.request(`/api/v1/organizations/${organizationId}/invite-codes/${codeId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Which organization an invite code joins (public - used on the signup page)
+  async previewInviteCode(code) {
+    return this.request(`/api/v1/organizations/invite-codes/${encodeURIComponent(code)}`, {
+      method: 'GET',
+    });
+  },
+
+  // Join an organization with an invite code
+  async joinWithCode(code) {
+    return this.request('/api/v1/organizations/join-code', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  // Decline an invitation
+  async declineInvitation(organizationId) {
+    return this.request(`/api/v1/organizations/${organizationId}/decline`, {
+      method: 'POST',
+    });
+  },
+
+  // Change a member's role (org admins)
+  async updateMemberRole(organizationId, userId, role) {
+    return this.request(`/api/v1/organizations/${organizationId}/members/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  // Remove a member (org admins)
+  async removeMember(organizationId, userId) {
+    return this.request(`/api/v1/organizations/${organizationId}/members/${userId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Leave the organization
+  async leaveOrganization(organizationId) {
+    return this.request(`/api/v1/organizations/${organizationId}/leave`, {
+      method: 'POST',
+    });
+  },
+};
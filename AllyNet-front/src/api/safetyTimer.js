@@ -0,0 +1,112 @@
+// API utility for safety timer ("check in with me") endpoints
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+import { refreshAccessToken, isExpiredTokenError } from './tokenRefresh';
+
+// Get access token from localStorage
+const getAccessToken = () => {
+  const token = localStorage.getItem('allynet-auth-storage');
+  if (token) {
+    try {
+      const parsed = JSON.parse(token);
+      return parsed.state?.accessToken;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+export const safetyTimerApi = {
+  async request(endpoint, options = {}, retryCount = 0) {
+    const url = `${API_BASE_URL}${endpoint}`;
+    const accessToken = getAccessToken();
+
+    const headers = {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    };
+
+    if (accessToken) {
+      headers.Authorization = `Bearer ${accessToken}`;
+    }
+
+    const response = await fetch(url, {
+      ...options,
+      headers,
+    });
+
+    if (!response.ok) {
+      let errorData;
+      try {
+        const text = await response.text();
+        errorData = text ? JSON.parse(text) : {};
+      } catch {
+        errorData = { error: { message: response.statusText || 'Request failed' } };
+      }
+      
+      let errorMessage = 'Request failed';
+      if (errorData && typeof errorData === 'object') {
+        if (errorData.error && typeof errorData.error === 'object') {
+          if (typeof errorData.error.message === 'string') {
+            errorMessage = errorData.error.message;
+          }
+        } else if (typeof errorData.message === 'string') {
+          errorMessage = errorData.message;
+        }
+      }
+      
+      // Access token expired - refresh once (shared with other requests) and retry
+      if (isExpiredTokenError(response.status, errorMessage) && retryCount === 0) {
+        await refreshAccessToken(accessToken);
+        return this.request(endpoint, options, retryCount + 1);
+      }
+
+      const error = new Error(typeof errorMessage === 'string' ? errorMessage : 'Request failed');
+      error.status = response.status;
+      if (errorData && errorData.error && Array.isArray(errorData.error.details)) {
+        error.details = errorData.error.details;
+      }
+      throw error;
+    }
+
+    return response.json();
+  },
+
+  // Get running timer (data.timer is null when none is running)
+  async getActiveTimer() {
+    return this.request('/api/v1/safety-timers/active');
+  },
+
+  // Start timer - location is required (SOS fallback if it runs out)
+  async startTimer(durationMinutes, location, label = null) {
+    const body = { durationMinutes, location };
+    if (label) {
+      body.label = label;
+    }
+
+    return this.request('/api/v1/safety-timers', {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+  },
+
+  // Check in as safe (stops the timer)
+  async checkIn() {
+    return this.request('/api/v1/safety-timers/active/check-in', {
+      method: 'POST',
+    });
+  },
+
+  // Push the deadline back
+  async extendTimer(minutes = 10, location = null) {
+    const body = { minutes };
+    if (location) {
+      body.location = location;
+    }
+
+    return this.request('/api/v1/safety-timers/active/extend', {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+  },
+};
@@ -0,0 +1,53 @@
+// Access token refresh shared by the API clients
+import { api as authApi } from './auth';
+import { useAuthStore } from '../store/useAuthStore';
+
+// Refresh tokens rotate and the server treats a second use of the same token as theft
+// (the whole session is revoked), so concurrent 401s must share one refresh
+let refreshPromise = null;
+
+const sessionExpiredError = () => {
+  const error = new Error('Session expired. Please login again.');
+  error.status = 401;
+  return error;
+};
+
+const refreshTokens = async () => {
+  const { refreshToken, setTokens, logout } = useAuthStore.getState();
+  if (!refreshToken) {
+    throw sessionExpiredError();
+  }
+
+  try {
+    const response = await authApi.refreshToken(refreshToken);
+    if (response?.success && response?.data?.accessToken) {
+      setTokens(response.data.accessToken, response.data.refreshToken || refreshToken);
+      return response.data.accessToken;
+    }
+    throw new Error('Failed to refresh token');
+  } catch {
+    // If refresh fails, logout user
+    logout();
+    throw sessionExpiredError();
+  }
+};
+
+// Whether a failed request was rejected for an expired access token
+export const isExpiredTokenError = (status, message) =>
+  status === 401 && typeof message === 'string' && message.includes('expired');
+
+// Get a fresh access token - callers pass the token their request was rejected with
+export const refreshAccessToken = async (rejectedAccessToken) => {
+  // Another request already refreshed since this one was sent
+  const { accessToken } = useAuthStore.getState();
+  if (!refreshPromise && accessToken && accessToken !== rejectedAccessToken) {
+    return accessToken;
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = refreshTokens().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
@@ -0,0 +1,97 @@
+// API utility for helper verification endpoints
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+import { refreshAccessToken, isExpiredTokenError } from './tokenRefresh';
+
+// Get access token from localStorage
+const getAccessToken = () => {
+  const token = localStorage.getItem('allynet-auth-storage');
+  if (token) {
+    try {
+      const parsed = JSON.parse(token);
+      return parsed.state?.accessToken;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+export const verificationApi = {
+  async request(endpoint, options = {}, retryCount = 0) {
+    const url = `${API_BASE_URL}${endpoint}`;
+    const accessToken = getAccessToken();
+
+    // Multipart bodies set their own Content-Type (with boundary)
+    const headers = {
+      ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+      ...options.headers,
+    };
+
+    if (accessToken) {
+      headers.Authorization = `Bearer ${accessToken}`;
+    }
+
+    const response = await fetch(url, {
+      ...options,
+      headers,
+    });
+
+    if (!response.ok) {
+      let errorData;
+      try {
+        const text = await response.text();
+        errorData = text ? JSON.parse(text) : {};
+      } catch {
+        errorData = { error: { message: response.statusText || 'Request failed' } };
+      }
+      
+      let errorMessage = 'Request failed';
+      if (errorData && typeof errorData === 'object') {
+        if (errorData.error && typeof errorData.error === 'object') {
+          if (typeof errorData.error.message === 'string') {
+            errorMessage = errorData.error.message;
+          }
+        } else if (typeof errorData.message === 'string') {
+          errorMessage = errorData.message;
+        }
+      }
+      
+      // Access token expired - refresh once (shared with other requests) and retry
+      if (isExpiredTokenError(response.status, errorMessage) && retryCount === 0) {
+        await refreshAccessToken(accessToken);
+        return this.request(endpoint, options, retryCount + 1);
+      }
+
+      const error = new Error(typeof errorMessage === 'string' ? errorMessage : 'Request failed');
+      error.status = response.status;
+      if (errorData && errorData.error && Array.isArray(errorData.error.details)) {
+        error.details = errorData.error.details;
+      }
+      throw error;
+    }
+
+    return response.json();
+  },
+
+  // Current user's verification status
+  async getMyVerification() {
+    return this.request('/api/v1/verification/me', {
+      method: 'GET',
+    });
+  },
+
+  // Submit identity documents for review - documents: [{ file, documentType }]
+  async submitVerification(documents, requestedLevel = 'basic') {
+    const formData = new FormData();
+    documents.forEach(({ file, documentType }) => {
+      formData.append('documents', file);
+      formData.append('documentTypes', documentType);
+    });
+    formData.append('requestedLevel', requestedLevel);
+
+    return this.request('/api/v1/verification', {
+      method: 'POST',
+      body: formData,
+    });
+  },
+};
@@ -9,6 +9,7 @@ import Button from './Button';
  * Emergency Ended Notification
  * Shows when a helper's emergency is resolved/cancelled
  * Automatically redirects to home after user acknowledges
+ * For the SOS owner (`debrief` set) it leads into the debrief form instead
  */
 const EmergencyEndedNotification = () => {
   const { emergencyEndedNotification, clearEmergencyEndedNotification } = useEmergencyStore();
@@ -19,8 +20,15 @@ const EmergencyEndedNotification = () => {
     navigate('/');
   }, [clearEmergencyEndedNotification, navigate]);
 
+  const handleDebrief = () => {
+    const { emergencyId } = emergencyEndedNotification;
+    clearEmergencyEndedNotification();
+    navigate(`/emergencies/${emergencyId}/debrief`);
+  };
+
   useEffect(() => {
-    if (emergencyEndedNotification) {
+    // Owner gets time to decide on the debrief - no auto-redirect
+    if (emergencyEndedNotification && !emergencyEndedNotification.debrief) {
       // Auto-redirect to home after 3 seconds
       const timer = setTimeout(() => {
         handleAcknowledge();
@@ -64,21 +72,42 @@ const EmergencyEndedNotification = () => {
             {emergencyEndedNotification.message}
           </p>
           
-          <p className="text-xs text-sage-600 mb-6 font-medium">
-            Thank you for your help! 🙏
-          </p>
-          
-          <Button
-            variant="alert"
-            className="w-full py-4 rounded-2xl"
-            onClick={handleAcknowledge}
-          >
-            Return to Home
-          </Button>
-          
-          <p className="text-xs text-charcoal-400 mt-4">
-            Redirecting automatically...
-          </p>
+          {emergencyEndedNotification.debrief ? (
+            <div className="space-y-3">
+              <Button
+                variant="alert"
+                className="w-full py-4 rounded-2xl"
+                onClick={handleDebrief}
+              >
+                Rate your responders
+              </Button>
+              <Button
+                variant="ghost"
+                className="w-full py-4"
+                onClick={handleAcknowledge}
+              >
+                Skip for now
+              </Button>
+            </div>
+          ) : (
+            <>
+              <p className="text-xs text-sage-600 mb-6 font-medium">
+                Thank you for your help! 🙏
+              </p>
+              
+              <Button
+                variant="alert"
+                className="w-full py-4 rounded-2xl"
+                onClick={handleAcknowledge}
+              >
+                Return to Home
+              </Button>
+              
+              <p className="text-xs text-charcoal-400 mt-4">
+                Redirecting automatically...
+              </p>
+            </>
+          )}
         </motion.div>
       </motion.div>
     </AnimatePresence>
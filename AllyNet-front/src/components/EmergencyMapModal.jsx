@@ -1,19 +1,23 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, MapPin, ExternalLink } from 'lucide-react';
+import LocationTrailPath from './LocationTrailPath';
 
 /**
  * Emergency Map Modal
  * Shows emergency location on a map (Google Maps embed)
  * Can be used by both creator and helper views
+ * Optional live trail: map follows the latest point, breadcrumbs shown in an inset
  */
-const EmergencyMapModal = ({ isOpen, onClose, location, emergencyType = 'Emergency' }) => {
+const EmergencyMapModal = ({ isOpen, onClose, location, emergencyType = 'Emergency', trail = [] }) => {
   if (!location || !location.latitude || !location.longitude) {
     return null;
   }
 
-  const latitude = location.latitude;
-  const longitude = location.longitude;
+  // Latest live point wins over the (possibly stale) emergency location
+  const latestPoint = trail.length > 0 ? trail[trail.length - 1] : null;
+  const latitude = latestPoint?.latitude ?? location.latitude;
+  const longitude = latestPoint?.longitude ?? location.longitude;
   const googleMapsUrl = `https://www.google.com/maps?q=${latitude},${longitude}`;
   // Use OpenStreetMap embed (free, no API key required)
   const openStreetMapUrl = `https://www.openstreetmap.org/export/embed.html?bbox=${longitude - 0.01},${latitude - 0.01},${longitude + 0.01},${latitude + 0.01}&layer=mapnik&marker=${latitude},${longitude}`;
@@ -88,6 +92,21 @@ const EmergencyMapModal = ({ isOpen, onClose, location, emergencyType = 'Emergen
                   className="absolute inset-0"
                   title="Emergency Location Map"
                 />
+
+                {/* Live trail inset (iframe embed cannot draw paths) */}
+                {trail.length > 1 && (
+                  <div className="absolute top-4 right-4 w-36 bg-white/95 dark:bg-charcoal-800/95 backdrop-blur-sm rounded-2xl p-2 shadow-lg border border-sand-200 dark:border-charcoal-700">
+                    <LocationTrailPath points={trail} showLatestMarker className="w-full h-32" />
+                    <p className="text-[10px] font-bold uppercase tracking-widest text-coral-600 text-center mt-1">
+                      Live trail · {trail.length} pts
+                    </p>
+                    {latestPoint?.recordedAt && (
+                      <p className="text-[10px] text-charcoal-400 dark:text-sand-500 text-center">
+                        Updated {new Date(latestPoint.recordedAt).toLocaleTimeString()}
+                      </p>
+                    )}
+                  </div>
+                )}
                 
                 {/* Coordinates and link overlay */}
                 <div className="absolute bottom-4 left-4 right-4 bg-white/95 dark:bg-charcoal-800/95 backdrop-blur-sm rounded-2xl p-4 shadow-lg border border-sand-200 dark:border-charcoal-700">
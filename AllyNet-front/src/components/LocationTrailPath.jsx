@@ -0,0 +1,77 @@
+import { cn } from '../utils';
+
+// Approximate meters per degree (good enough for short walking/driving trails)
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LON = 111320;
+
+// Never zoom in further than this (stops GPS jitter from filling the whole box)
+const MIN_VISIBLE_RADIUS_METERS = 25;
+
+/**
+ * Location Trail Path
+ * Draws a breadcrumb path as SVG, centered on the latest point
+ * Points are projected to meters around the latest position and scaled to fit
+ */
+const LocationTrailPath = ({ points = [], className, showLatestMarker = false }) => {
+  const validPoints = points.filter(
+    p => p && typeof p.latitude === 'number' && typeof p.longitude === 'number'
+  );
+
+  if (validPoints.length < 2 && !showLatestMarker) {
+    return null;
+  }
+
+  if (validPoints.length === 0) {
+    return null;
+  }
+
+  const latest = validPoints[validPoints.length - 1];
+  const cosLat = Math.cos((latest.latitude * Math.PI) / 180);
+
+  // Project to meters relative to latest point (y grows downward in SVG)
+  const projected = validPoints.map(p => ({
+    x: (p.longitude - latest.longitude) * METERS_PER_DEGREE_LON * cosLat,
+    y: -(p.latitude - latest.latitude) * METERS_PER_DEGREE_LAT
+  }));
+
+  const maxDistance = projected.reduce(
+    (max, p) => Math.max(max, Math.sqrt(p.x * p.x + p.y * p.y)),
+    MIN_VISIBLE_RADIUS_METERS
+  );
+  const scale = 90 / maxDistance; // viewBox is -100..100, keep a small margin
+
+  const scaled = projected.map(p => ({ x: p.x * scale, y: p.y * scale }));
+  const polylinePoints = scaled.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+  const start = scaled[0];
+
+  return (
+    <svg
+      viewBox="-100 -100 200 200"
+      preserveAspectRatio="xMidYMid meet"
+      className={cn('pointer-events-none', className)}
+    >
+      {scaled.length > 1 && (
+        <>
+          <polyline
+            points={polylinePoints}
+            fill="none"
+            strokeWidth="2"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeDasharray="4 3"
+            className="stroke-coral-500"
+          />
+          {scaled.slice(0, -1).map((p, index) => (
+            <circle key={index} cx={p.x} cy={p.y} r="1.8" className="fill-coral-400" />
+          ))}
+          <circle cx={start.x} cy={start.y} r="3" className="fill-white stroke-coral-500" strokeWidth="1.5" />
+        </>
+      )}
+      {showLatestMarker && (
+        <circle cx="0" cy="0" r="4" className="fill-sage-500 stroke-white" strokeWidth="2" />
+      )}
+    </svg>
+  );
+};
+
+export default LocationTrailPath;
@@ -0,0 +1,71 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { ShieldAlert, X } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { useEmergencyStore } from '../store/useEmergencyStore';
+import Button from './Button';
+
+const MotionDiv = motion.div;
+
+const formatType = (type) => (type ? type.charAt(0).toUpperCase() + type.slice(1).replace('_', ' ') : 'Emergency');
+
+/**
+ * Organization SOS Alert
+ * Banner shown when a member of the user's organization triggers an SOS (org:emergency_alert)
+ * Org admins and moderators can open the live view on the organization page
+ */
+const OrgEmergencyAlert = () => {
+  const { orgEmergencyAlert, clearOrgEmergencyAlert } = useEmergencyStore();
+  const navigate = useNavigate();
+
+  const handleView = () => {
+    clearOrgEmergencyAlert();
+    navigate('/organization');
+  };
+
+  return (
+    <AnimatePresence>
+      {orgEmergencyAlert && (
+        <MotionDiv
+          initial={{ opacity: 0, y: -40 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -40 }}
+          className="fixed top-4 left-4 right-4 z-[110] max-w-md mx-auto"
+        >
+          <div className="bg-white dark:bg-charcoal-800 rounded-3xl shadow-2xl border-l-4 border-l-coral-500 p-4">
+            <div className="flex items-start gap-3">
+              <div className="p-2 bg-coral-50 dark:bg-coral-900/20 text-coral-500 rounded-2xl">
+                <ShieldAlert size={20} />
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="text-[10px] font-bold uppercase tracking-wider text-coral-500">
+                  {orgEmergencyAlert.organization?.name}
+                </p>
+                <p className="text-sm font-bold text-charcoal-500 dark:text-sand-50">
+                  {orgEmergencyAlert.memberName} triggered an SOS
+                </p>
+                <p className="text-xs text-charcoal-300 dark:text-sand-400 truncate">
+                  {formatType(orgEmergencyAlert.emergency.type)}
+                  {orgEmergencyAlert.emergency.description && ` · ${orgEmergencyAlert.emergency.description}`}
+                </p>
+              </div>
+              <button
+                onClick={clearOrgEmergencyAlert}
+                className="p-1 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+                title="Dismiss"
+              >
+                <X size={16} className="text-charcoal-400 dark:text-sand-400" />
+              </button>
+            </div>
+            {orgEmergencyAlert.canViewLive && (
+              <Button variant="alert" className="w-full mt-3 py-2 rounded-xl" onClick={handleView}>
+                Open live view
+              </Button>
+            )}
+          </div>
+        </MotionDiv>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default OrgEmergencyAlert;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Flag, X } from 'lucide-react';
+import { reportApi } from '../api/report';
+import Button from './Button';
+import { cn } from '../utils';
+
+const MotionDiv = motion.div;
+
+const REASONS = {
+  false_alarm: 'False alarm',
+  harassment: 'Harassment',
+  spam: 'Spam',
+  scam: 'Scam or fraud',
+  inappropriate: 'Inappropriate content',
+  unsafe_behavior: 'Unsafe behavior',
+  other: 'Something else'
+};
+
+// Reasons that make sense per target (false alarm only applies to SOS)
+const REASONS_BY_TARGET = {
+  user: ['harassment', 'scam', 'unsafe_behavior', 'inappropriate', 'other'],
+  emergency: ['false_alarm', 'harassment', 'scam', 'other'],
+  emergency_message: ['harassment', 'inappropriate', 'spam', 'other'],
+  help_request: ['scam', 'spam', 'inappropriate', 'other'],
+  ad: ['scam', 'spam', 'inappropriate', 'other']
+};
+
+/**
+ * Report Modal
+ * Files a report for moderators - used for users, SOS false alarms, chat messages, help requests and ads
+ */
+const ReportModal = ({ isOpen, onClose, targetType, targetId, title = 'Report' }) => {
+  const [reason, setReason] = useState(null);
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleClose = () => {
+    setReason(null);
+    setDetails('');
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    if (!reason || submitting) return;
+
+    setSubmitting(true);
+    try {
+      const response = await reportApi.createReport(targetType, targetId, reason, details.trim());
+      if (!response?.success) {
+        throw new Error(response?.error?.message || 'Failed to send report');
+      }
+      alert(response.message || 'Thank you. Our moderators will review your report.');
+      handleClose();
+    } catch (error) {
+      console.error('Error sending report:', error);
+      alert(error.message || 'Failed to send report. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <MotionDiv
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-charcoal-900/60 backdrop-blur-md z-[130] flex items-center justify-center px-6"
+          onClick={handleClose}
+        >
+          <MotionDiv
+            initial={{ scale: 0.9, opacity: 0, y: 20 }}
+            animate={{ scale: 1, opacity: 1, y: 0 }}
+            exit={{ scale: 0.9, opacity: 0, y: 20 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white dark:bg-charcoal-800 rounded-[2rem] p-6 w-full max-w-sm shadow-2xl"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center gap-2">
+                <Flag size={18} className="text-coral-500" />
+                <h3 className="text-lg font-display text-charcoal-500 dark:text-sand-50">{title}</h3>
+              </div>
+              <button
+                onClick={handleClose}
+                className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+              >
+                <X size={18} className="text-charcoal-400 dark:text-sand-400" />
+              </button>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mb-4">
+              {(REASONS_BY_TARGET[targetType] || Object.keys(REASONS)).map((value) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setReason(value)}
+                  className={cn(
+                    "px-3 py-1.5 rounded-lg text-xs font-bold transition-colors",
+                    reason === value
+                      ? "bg-coral-500 text-white"
+                      : "bg-sand-100 dark:bg-charcoal-700 text-charcoal-400 dark:text-sand-300"
+                  )}
+                >
+                  {REASONS[value]}
+                </button>
+              ))}
+            </div>
+
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              placeholder="Tell us what happened (optional)"
+              className="w-full bg-white dark:bg-charcoal-700 border border-sand-200 dark:border-charcoal-600 rounded-lg px-3 py-2 text-sm text-charcoal-500 dark:text-sand-300 placeholder-charcoal-300 dark:placeholder-sand-500 focus:outline-none focus:ring-2 focus:ring-coral-500/20 resize-none mb-4"
+              rows={3}
+              maxLength={1000}
+            />
+
+            <Button
+              variant="alert"
+              className="w-full py-3 rounded-2xl"
+              onClick={handleSubmit}
+              disabled={!reason || submitting}
+            >
+              {submitting ? 'Sending...' : 'Send Report'}
+            </Button>
+          </MotionDiv>
+        </MotionDiv>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ReportModal;
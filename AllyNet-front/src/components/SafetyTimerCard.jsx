@@ -0,0 +1,249 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Timer, ShieldCheck, Plus } from 'lucide-react';
+import Card from './Card';
+import Button from './Button';
+import { safetyTimerApi } from '../api/safetyTimer';
+import { emergencyApi } from '../api/emergency';
+import { useAuthStore } from '../store/useAuthStore';
+import { useEmergencyStore } from '../store/useEmergencyStore';
+import { useEmergencyLocationStream } from '../hooks/useEmergencyLocationStream';
+import { cn } from '../utils';
+
+const DURATION_PRESETS = [15, 25, 45, 60]; // minutes
+
+// How often to re-check the backend once the countdown has run out
+const EXPIRED_POLL_MS = 5000;
+
+/**
+ * Format remaining seconds as m:ss (or h:mm:ss)
+ */
+const formatCountdown = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => value.toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+};
+
+/**
+ * Safety Check-in Timer Card - API-FIRST
+ * - "Check in with me": start a countdown (e.g. walking home)
+ * - Backend raises an SOS and alerts emergency contacts if it runs out
+ * - Streams position while running so the SOS uses the latest known location
+ */
+const SafetyTimerCard = ({ className }) => {
+  const user = useAuthStore((state) => state.user);
+  const [timer, setTimer] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [duration, setDuration] = useState(25);
+  const [label, setLabel] = useState('');
+  const [now, setNow] = useState(Date.now());
+
+  // Keep last known location fresh while the timer runs (location:update ignores the timer ID)
+  useEmergencyLocationStream(timer?._id || null, 'location:update');
+
+  const fetchTimer = useCallback(async () => {
+    try {
+      const response = await safetyTimerApi.getActiveTimer();
+      if (response?.success) {
+        setTimer(response.data?.timer || null);
+      }
+    } catch (err) {
+      console.error('Error fetching safety timer:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTimer();
+  }, [fetchTimer]);
+
+  // Tick every second while a timer is running
+  useEffect(() => {
+    if (!timer) {
+      return;
+    }
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  const remainingSeconds = timer
+    ? Math.max(0, Math.round((new Date(timer.expiresAt).getTime() - now) / 1000))
+    : 0;
+  const isExpired = !!timer && remainingSeconds === 0;
+
+  // Countdown ran out: wait for the backend to raise the SOS, then show it (API-first)
+  useEffect(() => {
+    if (!isExpired) {
+      return;
+    }
+
+    const checkForSOS = async () => {
+      await fetchTimer();
+      try {
+        const response = await emergencyApi.getActiveEmergency();
+        if (response?.success && response?.data?.emergency) {
+          useEmergencyStore.getState().updateFromEmergency(response.data.emergency);
+        }
+      } catch (err) {
+        console.error('Error checking for safety timer SOS:', err);
+      }
+    };
+
+    const interval = setInterval(checkForSOS, EXPIRED_POLL_MS);
+    return () => clearInterval(interval);
+  }, [isExpired, fetchTimer]);
+
+  const getCurrentLocation = async () => {
+    if (navigator.geolocation) {
+      const position = await new Promise((resolve, reject) => {
+        navigator.geolocation.getCurrentPosition(resolve, reject, {
+          timeout: 10000,
+          maximumAge: 60000
+        });
+      });
+      return { latitude: position.coords.latitude, longitude: position.coords.longitude };
+    }
+    if (user?.location?.latitude && user?.location?.longitude) {
+      return { latitude: user.location.latitude, longitude: user.location.longitude };
+    }
+    throw new Error('Location is required. Please enable location services.');
+  };
+
+  const runAction = async (action) => {
+    try {
+      setBusy(true);
+      setError(null);
+      const response = await action();
+      if (!response?.success) {
+        throw new Error(response?.error?.message || 'Request failed');
+      }
+      setTimer(response.data?.timer?.status === 'active' ? response.data.timer : null);
+      setNow(Date.now());
+    } catch (err) {
+      console.error('Safety timer error:', err);
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () => runAction(async () => {
+    const location = await getCurrentLocation();
+    return safetyTimerApi.startTimer(duration, location, label.trim() || null);
+  });
+
+  const handleExtend = () => runAction(async () => {
+    const location = await getCurrentLocation().catch(() => null);
+    return safetyTimerApi.extendTimer(10, location);
+  });
+
+  const handleCheckIn = () => runAction(() => safetyTimerApi.checkIn());
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <Card className={cn("dark:bg-charcoal-800 dark:border-charcoal-700", className)}>
+      <div className="flex items-start justify-between mb-4">
+        <div className={cn(
+          "p-3 rounded-2xl",
+          timer ? "bg-amber-100 dark:bg-amber-900/30 text-amber-600 dark:text-amber-400" : "bg-sand-100 dark:bg-charcoal-700 text-charcoal-300 dark:text-sand-400"
+        )}>
+          <Timer size={24} />
+        </div>
+        {timer && (
+          <span className="text-[10px] font-bold text-amber-600 dark:text-amber-400 uppercase tracking-widest bg-amber-50 dark:bg-amber-900/20 px-2 py-1 rounded-full">
+            Check-in Active
+          </span>
+        )}
+      </div>
+
+      {timer ? (
+        <>
+          <h3 className="text-lg mb-1 text-charcoal-500 dark:text-sand-50">{timer.label || 'Check in with me'}</h3>
+          <p className="text-sm text-charcoal-300 dark:text-sand-400 mb-4 leading-relaxed">
+            {isExpired
+              ? 'Time is up - alerting helpers and your emergency contacts...'
+              : 'If you do not check in before the timer ends, an SOS is sent with your location.'}
+          </p>
+          <p className={cn(
+            "text-5xl font-display text-center mb-6 tabular-nums",
+            remainingSeconds <= 60 ? "text-coral-500" : "text-charcoal-500 dark:text-sand-50"
+          )}>
+            {formatCountdown(remainingSeconds)}
+          </p>
+          <div className="flex gap-2">
+            <Button
+              className="flex-1 py-4"
+              onClick={handleCheckIn}
+              disabled={busy || isExpired}
+            >
+              <ShieldCheck size={18} className="mr-2" />
+              I am safe
+            </Button>
+            <Button
+              variant="ghost"
+              className="py-4"
+              onClick={handleExtend}
+              disabled={busy || isExpired}
+              title="Add 10 minutes"
+            >
+              <Plus size={18} className="mr-1" />
+              10 min
+            </Button>
+          </div>
+        </>
+      ) : (
+        <>
+          <h3 className="text-lg mb-1 text-charcoal-500 dark:text-sand-50">Check in with me</h3>
+          <p className="text-sm text-charcoal-300 dark:text-sand-400 mb-4 leading-relaxed">
+            Walking home or meeting someone new? Start a timer - if you do not check in, we raise an SOS for you.
+          </p>
+          <div className="grid grid-cols-4 gap-2 mb-3">
+            {DURATION_PRESETS.map((minutes) => (
+              <button
+                key={minutes}
+                onClick={() => setDuration(minutes)}
+                className={cn(
+                  "py-2 rounded-xl text-sm font-semibold transition-colors",
+                  duration === minutes
+                    ? "bg-sage-500 text-white"
+                    : "bg-sand-100 dark:bg-charcoal-700 text-charcoal-400 dark:text-sand-300"
+                )}
+              >
+                {minutes}m
+              </button>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            maxLength={100}
+            placeholder="What are you doing? (optional)"
+            className="w-full px-4 py-2 mb-4 border border-sand-300 dark:border-charcoal-600 rounded-lg bg-white dark:bg-charcoal-700 text-sm text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500"
+          />
+          <Button
+            className="w-full py-4"
+            onClick={handleStart}
+            disabled={busy}
+          >
+            {busy ? 'Starting...' : `Start ${duration} min timer`}
+          </Button>
+        </>
+      )}
+
+      {error && (
+        <p className="text-xs text-coral-600 dark:text-coral-400 mt-3">{error}</p>
+      )}
+    </Card>
+  );
+};
+
+export default SafetyTimerCard;
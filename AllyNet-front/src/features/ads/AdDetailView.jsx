@@ -1,11 +1,12 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { ArrowLeft, Star, MapPin, Phone, Mail, Globe, Facebook, Instagram, Twitter, Clock } from 'lucide-react';
+import { ArrowLeft, Star, MapPin, Phone, Mail, Globe, Facebook, Instagram, Twitter, Clock, Flag, Store, BadgeCheck, ChevronRight } from 'lucide-react';
 import { adApi } from '../../api/ad';
 import { useAuthStore } from '../../store/useAuthStore';
 import Button from '../../components/Button';
 import Card from '../../components/Card';
+import ReportModal from '../../components/ReportModal';
 import { cn } from '../../utils';
 
 /**
@@ -24,6 +25,7 @@ const AdDetailView = ({ adId: propAdId = null, onClose = null }) => {
   const [rating, setRating] = useState(0);
   const [review, setReview] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [showReport, setShowReport] = useState(false);
 
   // Use prop adId if provided (modal mode), otherwise use route param (route mode)
   const adId = propAdId || routeId;
@@ -151,7 +153,16 @@ const AdDetailView = ({ adId: propAdId = null, onClose = null }) => {
           >
             <ArrowLeft size={20} className="text-charcoal-500 dark:text-sand-300" />
           </button>
-          <h1 className="text-xl font-display text-charcoal-500 dark:text-sand-50">Ad Details</h1>
+          <h1 className="text-xl font-display text-charcoal-500 dark:text-sand-50 flex-1">Ad Details</h1>
+          {(ad.createdBy?._id?.toString() || ad.createdBy?.toString()) !== currentUser?._id?.toString() && (
+            <button
+              onClick={() => setShowReport(true)}
+              className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+              title="Report ad"
+            >
+              <Flag size={18} className="text-charcoal-300 dark:text-sand-400" />
+            </button>
+          )}
         </div>
       </div>
 
@@ -168,8 +179,11 @@ const AdDetailView = ({ adId: propAdId = null, onClose = null }) => {
         <Card className="p-6">
           <div className="flex items-start justify-between mb-4">
             <div className="flex-1">
-              <h2 className="text-2xl font-display text-charcoal-500 dark:text-sand-50 mb-2">
-                {ad.businessName}
+              <h2 className="text-2xl font-display text-charcoal-500 dark:text-sand-50 mb-2 flex items-center gap-2">
+                {ad.business?.name || ad.businessName}
+                {ad.business?.isVerified && (
+                  <BadgeCheck size={20} className="text-sage-500 shrink-0" title="Verified business" />
+                )}
               </h2>
               <p className="text-sm text-charcoal-400 dark:text-sand-400 mb-3">{ad.title}</p>
               <div className="flex items-center gap-2 flex-wrap">
@@ -210,6 +224,25 @@ const AdDetailView = ({ adId: propAdId = null, onClose = null }) => {
             </div>
           )}
 
+          {/* Business Page */}
+          {ad.business && (
+            <button
+              onClick={() => {
+                if (onClose) {
+                  onClose();
+                }
+                navigate(`/businesses/${ad.business._id}`);
+              }}
+              className="mt-4 w-full flex items-center gap-3 p-3 rounded-xl bg-sand-50 dark:bg-charcoal-700 hover:bg-sand-100 dark:hover:bg-charcoal-600 transition-colors text-left"
+            >
+              <Store size={18} className="text-sage-500 shrink-0" />
+              <span className="flex-1 text-sm font-medium text-charcoal-500 dark:text-sand-50">
+                Visit business page
+              </span>
+              <ChevronRight size={16} className="text-charcoal-300 dark:text-sand-400" />
+            </button>
+          )}
+
           {/* Location */}
           {ad.location && (
             <div className="mt-4 pt-4 border-t border-sand-200 dark:border-charcoal-700">
@@ -431,6 +464,14 @@ const AdDetailView = ({ adId: propAdId = null, onClose = null }) => {
           )}
         </Card>
       </div>
+
+      <ReportModal
+        isOpen={showReport}
+        onClose={() => setShowReport(false)}
+        targetType="ad"
+        targetId={ad._id}
+        title="Report ad"
+      />
     </div>
   );
 };
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { KeyRound, Mail } from 'lucide-react';
+import Button from '../../components/Button';
+import Card from '../../components/Card';
+import { api } from '../../api/auth';
+
+const MotionDiv = motion.div;
+
+const ForgotPasswordPage = () => {
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      await api.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.message || 'Failed to send reset link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 flex items-center justify-center p-6">
+      <MotionDiv
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        <div className="text-center mb-8">
+          <div className="w-20 h-20 bg-sage-500 rounded-[2rem] shadow-xl flex items-center justify-center mx-auto mb-6">
+            <KeyRound size={40} className="text-white" />
+          </div>
+          <h1 className="text-3xl font-display font-bold text-charcoal-500 dark:text-sand-50 mb-2">
+            Forgot Password
+          </h1>
+          <p className="text-charcoal-300 dark:text-sand-400">
+            We'll email you a link to choose a new password
+          </p>
+        </div>
+
+        <Card className="p-8">
+          {sent ? (
+            <div className="space-y-6 text-center">
+              <p className="text-sm text-charcoal-400 dark:text-sand-300">
+                If an account exists for <span className="font-bold">{email}</span>, a reset link is on its way.
+                The link works once and expires soon - check your spam folder if it doesn't arrive.
+              </p>
+              <Button
+                variant="secondary"
+                className="w-full py-3"
+                onClick={() => setSent(false)}
+              >
+                Send Again
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {error && (
+                <div className="p-4 bg-coral-50 dark:bg-coral-900/20 border border-coral-200 dark:border-coral-800 rounded-2xl text-sm text-coral-600 dark:text-coral-400">
+                  {error}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-xs font-bold uppercase tracking-widest text-sage-600 dark:text-sage-400 mb-2">
+                  Email
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-4 top-1/2 -translate-y-1/2 text-charcoal-300 dark:text-sand-500" size={18} />
+                  <input
+                    type="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="w-full pl-12 pr-4 py-3 bg-white dark:bg-charcoal-800 border border-sand-200 dark:border-charcoal-700 rounded-2xl text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500/20"
+                    placeholder="you@example.com"
+                  />
+                </div>
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full py-4 text-lg"
+                isLoading={isLoading}
+              >
+                Send Reset Link
+              </Button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <p className="text-sm text-charcoal-300 dark:text-sand-400">
+              Remembered it?{' '}
+              <button
+                onClick={() => navigate('/auth/login')}
+                className="text-sage-600 dark:text-sage-400 font-bold hover:underline"
+              >
+                Sign In
+              </button>
+            </p>
+          </div>
+        </Card>
+      </MotionDiv>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Shield, Mail, Lock, User } from 'lucide-react';
 import Button from '../../components/Button';
@@ -9,6 +9,8 @@ import { api } from '../../api/auth';
 
 const LoginPage = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const notice = location.state?.message; // e.g. after a password reset
   const login = useAuthStore((state) => state.login);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -72,6 +74,12 @@ const LoginPage = () => {
 
         <Card className="p-8">
           <form onSubmit={handleSubmit} className="space-y-6">
+            {notice && !error && (
+              <div className="p-4 bg-sage-50 dark:bg-sage-900/20 border border-sage-200 dark:border-sage-800 rounded-2xl text-sm text-sage-700 dark:text-sage-400">
+                {notice}
+              </div>
+            )}
+
             {error && (
               <div className="p-4 bg-coral-50 dark:bg-coral-900/20 border border-coral-200 dark:border-coral-800 rounded-2xl text-sm text-coral-600 dark:text-coral-400">
                 {error}
@@ -96,9 +104,18 @@ const LoginPage = () => {
             </div>
 
             <div>
-              <label className="block text-xs font-bold uppercase tracking-widest text-sage-600 dark:text-sage-400 mb-2">
-                Password
-              </label>
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-xs font-bold uppercase tracking-widest text-sage-600 dark:text-sage-400">
+                  Password
+                </label>
+                <button
+                  type="button"
+                  onClick={() => navigate('/auth/forgot-password')}
+                  className="text-xs text-sage-600 dark:text-sage-400 font-bold hover:underline"
+                >
+                  Forgot password?
+                </button>
+              </div>
               <div className="relative">
                 <Lock className="absolute left-4 top-1/2 -translate-y-1/2 text-charcoal-300 dark:text-sand-500" size={18} />
                 <input
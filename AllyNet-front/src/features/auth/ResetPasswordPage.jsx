@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { KeyRound, Lock } from 'lucide-react';
+import Button from '../../components/Button';
+import Card from '../../components/Card';
+import { useAuthStore } from '../../store/useAuthStore';
+import { api } from '../../api/auth';
+
+const MotionDiv = motion.div;
+
+// Same rules as the backend (routes/auth.js)
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
+
+const ResetPasswordPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const logout = useAuthStore((state) => state.logout);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(token ? '' : 'This reset link is incomplete. Please request a new one.');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!PASSWORD_PATTERN.test(password)) {
+      setError('Password must be at least 8 characters and contain an uppercase letter, a lowercase letter and a number.');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await api.resetPassword(token, password);
+      // Every session was revoked - including this device's if it was signed in
+      if (useAuthStore.getState().accessToken) {
+        logout();
+      }
+      navigate('/auth/login', {
+        replace: true,
+        state: { message: response?.message || 'Password has been reset. Please log in with your new password' }
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to reset password. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 flex items-center justify-center p-6">
+      <MotionDiv
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        <div className="text-center mb-8">
+          <div className="w-20 h-20 bg-sage-500 rounded-[2rem] shadow-xl flex items-center justify-center mx-auto mb-6">
+            <KeyRound size={40} className="text-white" />
+          </div>
+          <h1 className="text-3xl font-display font-bold text-charcoal-500 dark:text-sand-50 mb-2">
+            Choose a New Password
+          </h1>
+          <p className="text-charcoal-300 dark:text-sand-400">
+            You'll be signed out on every device
+          </p>
+        </div>
+
+        <Card className="p-8">
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {error && (
+              <div className="p-4 bg-coral-50 dark:bg-coral-900/20 border border-coral-200 dark:border-coral-800 rounded-2xl text-sm text-coral-600 dark:text-coral-400">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-xs font-bold uppercase tracking-widest text-sage-600 dark:text-sage-400 mb-2">
+                New Password
+              </label>
+              <div className="relative">
+                <Lock className="absolute left-4 top-1/2 -translate-y-1/2 text-charcoal-300 dark:text-sand-500" size={18} />
+                <input
+                  type="password"
+                  required
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full pl-12 pr-4 py-3 bg-white dark:bg-charcoal-800 border border-sand-200 dark:border-charcoal-700 rounded-2xl text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500/20"
+                  placeholder="••••••••"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-xs font-bold uppercase tracking-widest text-sage-600 dark:text-sage-400 mb-2">
+                Confirm Password
+              </label>
+              <div className="relative">
+                <Lock className="absolute left-4 top-1/2 -translate-y-1/2 text-charcoal-300 dark:text-sand-500" size={18} />
+                <input
+                  type="password"
+                  required
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="w-full pl-12 pr-4 py-3 bg-white dark:bg-charcoal-800 border border-sand-200 dark:border-charcoal-700 rounded-2xl text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500/20"
+                  placeholder="••••••••"
+                />
+              </div>
+            </div>
+
+            <Button
+              type="submit"
+              className="w-full py-4 text-lg"
+              isLoading={isLoading}
+              disabled={!token}
+            >
+              Reset Password
+            </Button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <p className="text-sm text-charcoal-300 dark:text-sand-400">
+              Link expired?{' '}
+              <button
+                onClick={() => navigate('/auth/forgot-password')}
+                className="text-sage-600 dark:text-sage-400 font-bold hover:underline"
+              >
+                Request a new one
+              </button>
+            </p>
+          </div>
+        </Card>
+      </MotionDiv>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -1,28 +1,60 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Shield, Mail, Lock, User } from 'lucide-react';
+import { Shield, Mail, Lock, User, Building2 } from 'lucide-react';
 import Button from '../../components/Button';
 import Card from '../../components/Card';
 import { useAuthStore } from '../../store/useAuthStore';
 import { api } from '../../api/auth';
+import { organizationApi } from '../../api/organization';
+import { cn } from '../../utils';
+
+// Invite codes are 8 characters; dashes and spaces are ignored
+const normalizeInviteCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
 
 const SignupPage = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const login = useAuthStore((state) => state.login);
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [inviteCode, setInviteCode] = useState(searchParams.get('invite') || '');
+  const [invitePreview, setInvitePreview] = useState(null);
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
 
+  // Show which organization the invite code joins
+  useEffect(() => {
+    const code = normalizeInviteCode(inviteCode);
+    if (code.length < 8) {
+      setInvitePreview(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await organizationApi.previewInviteCode(code);
+        if (!cancelled) setInvitePreview(response?.data?.invite || null);
+      } catch (err) {
+        if (!cancelled) setInvitePreview({ error: err.message || 'Invalid or expired invite code' });
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [inviteCode]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setIsLoading(true);
 
     try {
-      const response = await api.signup(email, password, name);
+      const response = await api.signup(email, password, name, normalizeInviteCode(inviteCode) || null);
       
       // Extract user and tokens from nested response structure
       // Backend returns: { success: true, data: { user, tokens: { accessToken, refreshToken } } }
@@ -33,7 +65,7 @@ const SignupPage = () => {
       // Only auto-login if backend returns tokens
       if (accessToken && user) {
         login(accessToken, refreshToken || null, user);
-        navigate('/', { replace: true });
+        navigate(response.data.organization ? '/organization' : '/', { replace: true });
       } else {
         // If no tokens, redirect to login
         setError('Account created successfully. Please sign in.');
@@ -140,6 +172,31 @@ const SignupPage = () => {
               </div>
             </div>
 
+            <div>
+              <label className="block text-xs font-bold uppercase tracking-widest text-sage-600 dark:text-sage-400 mb-2">
+                Organization Invite Code <span className="normal-case tracking-normal font-normal text-charcoal-300 dark:text-sand-400">(optional)</span>
+              </label>
+              <div className="relative">
+                <Building2 className="absolute left-4 top-1/2 -translate-y-1/2 text-charcoal-300 dark:text-sand-500" size={18} />
+                <input
+                  type="text"
+                  value={inviteCode}
+                  onChange={(e) => setInviteCode(e.target.value)}
+                  className="w-full pl-12 pr-4 py-3 bg-white dark:bg-charcoal-800 border border-sand-200 dark:border-charcoal-700 rounded-2xl text-charcoal-500 dark:text-sand-50 uppercase tracking-widest focus:outline-none focus:ring-2 focus:ring-sage-500/20"
+                  placeholder="ABCD2345"
+                  maxLength={16}
+                />
+              </div>
+              {invitePreview && (
+                <p className={cn(
+                  "mt-2 text-xs",
+                  invitePreview.error ? "text-coral-600 dark:text-coral-400" : "text-sage-600 dark:text-sage-400"
+                )}>
+                  {invitePreview.error || `You'll join ${invitePreview.organization.name} as ${invitePreview.role}`}
+                </p>
+              )}
+            </div>
+
             <Button
               type="submit"
               className="w-full py-4 text-lg"
@@ -147,6 +204,10 @@ const SignupPage = () => {
             >
               Create Account
             </Button>
+
+            <p className="text-xs text-center text-charcoal-300 dark:text-sand-400">
+              We'll email you a link to confirm your address - a confirmed email lets you recover your account if you're ever locked out.
+            </p>
           </form>
 
           <div className="mt-6 text-center">
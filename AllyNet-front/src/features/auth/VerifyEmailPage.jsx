@@ -0,0 +1,107 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { MailCheck, MailX } from 'lucide-react';
+import Button from '../../components/Button';
+import Card from '../../components/Card';
+import { useAuthStore } from '../../store/useAuthStore';
+import { api } from '../../api/auth';
+
+const MotionDiv = motion.div;
+
+/**
+ * Verify Email - opened from the confirmation link
+ * Works signed in or out; verification links are single use
+ */
+const VerifyEmailPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const accessToken = useAuthStore((state) => state.accessToken);
+  const [status, setStatus] = useState(token ? 'verifying' : 'error'); // 'verifying' | 'verified' | 'error'
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const [isResending, setIsResending] = useState(false);
+  // The token can only be used once - don't submit it twice (StrictMode runs effects twice)
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    api.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(`${response?.data?.email || 'Your email'} is confirmed.`);
+
+        // Update the signed-in user if this is their address
+        const { user, setUser } = useAuthStore.getState();
+        if (user && user.email === response?.data?.email) {
+          setUser({ ...user, emailVerified: true });
+        }
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.message || 'Failed to verify email.');
+      });
+  }, [token]);
+
+  const handleResend = async () => {
+    setIsResending(true);
+    try {
+      const response = await api.resendVerificationEmail();
+      alert(response?.message || 'Verification link sent.');
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      alert(error.message || 'Failed to send verification link. Please try again.');
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  const Icon = status === 'error' ? MailX : MailCheck;
+
+  return (
+    <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 flex items-center justify-center p-6">
+      <MotionDiv
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        <div className="text-center mb-8">
+          <div className={`w-20 h-20 ${status === 'error' ? 'bg-coral-500' : 'bg-sage-500'} rounded-[2rem] shadow-xl flex items-center justify-center mx-auto mb-6`}>
+            <Icon size={40} className="text-white" />
+          </div>
+          <h1 className="text-3xl font-display font-bold text-charcoal-500 dark:text-sand-50 mb-2">
+            {status === 'verifying' ? 'Confirming Email...' : status === 'verified' ? 'Email Confirmed' : 'Link Not Valid'}
+          </h1>
+          <p className="text-charcoal-300 dark:text-sand-400">
+            {status === 'error' ? `${message} Links expire and work only once.` : message}
+          </p>
+        </div>
+
+        {status !== 'verifying' && (
+          <Card className="p-8 space-y-4">
+            <Button
+              className="w-full py-4 text-lg"
+              onClick={() => navigate(accessToken ? '/' : '/auth/login', { replace: true })}
+            >
+              {accessToken ? 'Continue to AllyNet' : 'Sign In'}
+            </Button>
+            {status === 'error' && accessToken && (
+              <Button
+                variant="secondary"
+                className="w-full py-3"
+                onClick={handleResend}
+                isLoading={isResending}
+              >
+                Send a New Link
+              </Button>
+            )}
+          </Card>
+        )}
+      </MotionDiv>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -0,0 +1,235 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, BadgeCheck, MapPin, Phone, Mail, Globe, Tag, Star, Settings, Clock } from 'lucide-react';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import { businessApi } from '../../api/business';
+import { BUSINESS_CATEGORIES, formatShortDate, formatAddress, formatHours } from './businessFormat';
+import { cn } from '../../utils';
+
+/**
+ * Business Page - API-FIRST
+ * - Business profile (verified badge, contact, address) opened from an ad or the directory
+ * - Promotions running now and the business's active ads
+ * - The owner gets a shortcut to manage the profile
+ */
+const BusinessPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [business, setBusiness] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchBusiness = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await businessApi.getBusiness(id);
+        if (response?.success && response?.data?.business) {
+          setBusiness(response.data.business);
+        } else {
+          setError('Business not found');
+        }
+      } catch (err) {
+        console.error('Error fetching business:', err);
+        setError(err.message || 'Failed to load business');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBusiness();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sage-500 mx-auto mb-4"></div>
+          <p className="text-charcoal-500 dark:text-sand-300">Loading business...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !business) {
+    return (
+      <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 flex items-center justify-center">
+        <Card className="p-8 text-center max-w-md">
+          <p className="text-charcoal-500 dark:text-sand-300 mb-4">{error || 'Business not found'}</p>
+          <Button onClick={() => navigate(-1)}>Go Back</Button>
+        </Card>
+      </div>
+    );
+  }
+
+  const address = formatAddress(business.location?.address);
+  const promotions = business.promotions.filter((promotion) => promotion.status === 'active');
+
+  return (
+    <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 pb-24">
+      {/* Header */}
+      <div className="bg-white dark:bg-charcoal-800 border-b border-sand-200 dark:border-charcoal-700 sticky top-0 z-10">
+        <div className="px-6 py-4 flex items-center gap-4">
+          <button
+            onClick={() => navigate(-1)}
+            className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+          >
+            <ArrowLeft size={20} className="text-charcoal-500 dark:text-sand-300" />
+          </button>
+          <h1 className="text-xl font-display text-charcoal-500 dark:text-sand-50 flex-1">Business</h1>
+          {business.canManage && (
+            <button
+              onClick={() => navigate('/business')}
+              className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+              title="Manage business"
+            >
+              <Settings size={18} className="text-charcoal-300 dark:text-sand-400" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="px-6 py-6 space-y-6">
+        {/* Profile */}
+        <Card className="p-6 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+          <div className="flex items-center gap-2 mb-2">
+            <h2 className="text-2xl font-display text-charcoal-500 dark:text-sand-50">{business.name}</h2>
+            {business.isVerified && (
+              <BadgeCheck size={20} className="text-sage-500 shrink-0" title="Verified business" />
+            )}
+          </div>
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className="px-3 py-1 bg-sage-100 dark:bg-sage-900/20 text-sage-600 dark:text-sage-400 text-xs font-bold rounded-full uppercase">
+              {BUSINESS_CATEGORIES[business.category] || business.category}
+            </span>
+            {business.isOpenNow !== null && (
+              <span className={cn(
+                'px-3 py-1 text-xs font-bold rounded-full uppercase',
+                business.isOpenNow
+                  ? 'bg-sage-500 text-white'
+                  : 'bg-sand-200 dark:bg-charcoal-700 text-charcoal-400 dark:text-sand-400'
+              )}>
+                {business.isOpenNow ? 'Open now' : 'Closed'}
+              </span>
+            )}
+          </div>
+
+          {business.description && (
+            <p className="mt-4 text-sm text-charcoal-600 dark:text-sand-300 leading-relaxed">{business.description}</p>
+          )}
+
+          <div className="mt-4 pt-4 border-t border-sand-200 dark:border-charcoal-700 space-y-2">
+            <a
+              href={`https://www.google.com/maps?q=${business.location.latitude},${business.location.longitude}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center gap-2 text-sm text-charcoal-600 dark:text-sand-300 hover:underline"
+            >
+              <MapPin size={16} className="text-sage-500 shrink-0" />
+              {address || 'View on map'}
+            </a>
+            {business.contact?.phone && (
+              <a href={`tel:${business.contact.phone}`} className="flex items-center gap-2 text-sm text-charcoal-600 dark:text-sand-300 hover:underline">
+                <Phone size={16} className="text-sage-500 shrink-0" />
+                {business.contact.phone}
+              </a>
+            )}
+            {business.contact?.email && (
+              <a href={`mailto:${business.contact.email}`} className="flex items-center gap-2 text-sm text-charcoal-600 dark:text-sand-300 hover:underline">
+                <Mail size={16} className="text-sage-500 shrink-0" />
+                {business.contact.email}
+              </a>
+            )}
+            {business.contact?.website && (
+              <a href={business.contact.website} target="_blank" rel="noopener noreferrer" className="flex items-center gap-2 text-sm text-charcoal-600 dark:text-sand-300 hover:underline">
+                <Globe size={16} className="text-sage-500 shrink-0" />
+                {business.contact.website}
+              </a>
+            )}
+          </div>
+        </Card>
+
+        {/* Opening Hours */}
+        {business.hours.length > 0 && (
+          <Card className="p-4 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+            <div className="flex items-center gap-2 mb-3">
+              <Clock size={16} className="text-sage-500" />
+              <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Opening Hours</h3>
+            </div>
+            <div className="space-y-1">
+              {formatHours(business.hours).map((row) => (
+                <div key={row.label} className="flex justify-between text-sm">
+                  <span className="text-charcoal-400 dark:text-sand-400">{row.label}</span>
+                  <span className="text-charcoal-500 dark:text-sand-50">{row.text}</span>
+                </div>
+              ))}
+            </div>
+            <p className="text-[10px] text-charcoal-200 dark:text-sand-500 mt-2">Times in {business.timezone}</p>
+          </Card>
+        )}
+
+        {/* Promotions */}
+        {promotions.length > 0 && (
+          <section className="space-y-3">
+            <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Current Promotions</h3>
+            {promotions.map((promotion) => (
+              <Card key={promotion._id} className="p-4 flex gap-4 items-center border-l-4 border-l-amber-500 dark:bg-charcoal-800 dark:border-charcoal-700 bg-white shadow-sm">
+                <div className="p-3 bg-amber-50 dark:bg-amber-900/20 text-amber-600 dark:text-amber-400 rounded-2xl">
+                  <Tag size={20} />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <h4 className="text-sm font-bold text-charcoal-500 dark:text-sand-50">
+                    {promotion.title}
+                    {promotion.discount > 0 && (
+                      <span className="ml-2 text-amber-600 dark:text-amber-400">{promotion.discount}% off</span>
+                    )}
+                  </h4>
+                  {promotion.description && (
+                    <p className="text-xs text-charcoal-300 dark:text-sand-400">{promotion.description}</p>
+                  )}
+                  <p className="text-[10px] text-charcoal-200 dark:text-sand-500 mt-1">Until {formatShortDate(promotion.validUntil)}</p>
+                </div>
+              </Card>
+            ))}
+          </section>
+        )}
+
+        {/* Ads */}
+        <section className="space-y-3">
+          <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Ads</h3>
+          {business.ads.length === 0 ? (
+            <Card className="p-4 text-center dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+              <p className="text-xs text-charcoal-300 dark:text-sand-400">No active ads right now.</p>
+            </Card>
+          ) : (
+            business.ads.map((ad) => (
+              <Card
+                key={ad._id}
+                className="p-4 flex gap-4 items-center cursor-pointer hover:shadow-md transition-shadow dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm"
+                onClick={() => navigate(`/ads/${ad._id}`)}
+              >
+                {ad.image && (
+                  <img src={ad.image} alt={ad.title} className="w-14 h-14 rounded-xl object-cover shrink-0" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <h4 className="text-sm font-bold text-charcoal-500 dark:text-sand-50 truncate">{ad.title}</h4>
+                  <p className="text-xs text-charcoal-300 dark:text-sand-400 truncate">{ad.description}</p>
+                </div>
+                {ad.averageRating > 0 && (
+                  <div className="flex items-center gap-1 shrink-0">
+                    <Star size={12} className="text-amber-500 fill-amber-500" />
+                    <span className="text-xs font-bold text-amber-600 dark:text-amber-400">{ad.averageRating}</span>
+                  </div>
+                )}
+              </Card>
+            ))
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default BusinessPage;
@@ -0,0 +1,559 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, Store, Tag, MapPin, Pause, Play, Trash2, ExternalLink } from 'lucide-react';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import { businessApi } from '../../api/business';
+import { BUSINESS_CATEGORIES, WEEKDAYS, formatShortDate } from './businessFormat';
+import { cn } from '../../utils';
+
+const PROMOTION_STATUS_STYLES = {
+  active: 'bg-sage-100 dark:bg-sage-900/30 text-sage-600 dark:text-sage-400',
+  scheduled: 'bg-blue-100 dark:bg-blue-900/20 text-blue-600 dark:text-blue-400',
+  paused: 'bg-amber-100 dark:bg-amber-900/20 text-amber-600 dark:text-amber-400',
+  ended: 'bg-sand-200 dark:bg-charcoal-700 text-charcoal-400 dark:text-sand-400'
+};
+
+const EMPTY_PROFILE = {
+  name: '',
+  category: 'restaurant',
+  description: '',
+  phone: '',
+  email: '',
+  website: '',
+  street: '',
+  city: '',
+  state: '',
+  zipCode: ''
+};
+
+const EMPTY_PROMOTION = { title: '', description: '', discount: '', validFrom: '', validUntil: '' };
+
+// One slot per weekday in the editor (00:00 - 00:00 means open all day)
+const toHoursForm = (hours = []) => WEEKDAYS.map((_, day) => {
+  const slot = hours.find((entry) => entry.day === day);
+  return slot
+    ? { open: true, opens: slot.opens, closes: slot.closes }
+    : { open: false, opens: '09:00', closes: '17:00' };
+});
+
+const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const inputClassName = "w-full px-4 py-2 border border-sand-300 dark:border-charcoal-600 rounded-lg bg-white dark:bg-charcoal-700 text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500";
+
+const toProfileForm = (business) => ({
+  name: business.name || '',
+  category: business.category,
+  description: business.description || '',
+  phone: business.contact?.phone || '',
+  email: business.contact?.email || '',
+  website: business.contact?.website || '',
+  street: business.location?.address?.street || '',
+  city: business.location?.address?.city || '',
+  state: business.location?.address?.state || '',
+  zipCode: business.location?.address?.zipCode || ''
+});
+
+const getCurrentPosition = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new Error('Location is required. Please enable location services.'));
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    (position) => resolve({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+    () => reject(new Error('Location is required. Please enable location services.')),
+    { timeout: 10000, maximumAge: 60000 }
+  );
+});
+
+/**
+ * My Business - API-FIRST
+ * - Without a business: create a profile at the current location (the account becomes a business account
+ *   and existing ads are linked to it)
+ * - Edit the profile (contact, address, map location) and weekly opening hours
+ * - Time-boxed promotions: add, pause/resume and delete
+ */
+const MyBusinessView = () => {
+  const navigate = useNavigate();
+  const [business, setBusiness] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [profileForm, setProfileForm] = useState(EMPTY_PROFILE);
+  const [promotionForm, setPromotionForm] = useState(EMPTY_PROMOTION);
+  const [hoursForm, setHoursForm] = useState(toHoursForm());
+
+  const fetchBusiness = async () => {
+    try {
+      setLoading(true);
+      const response = await businessApi.getMyBusiness();
+      const current = response?.data?.business || null;
+      setBusiness(current);
+      setProfileForm(current ? toProfileForm(current) : EMPTY_PROFILE);
+      setHoursForm(toHoursForm(current?.hours));
+    } catch (err) {
+      console.error('Error fetching business:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchBusiness();
+  }, []);
+
+  // Runs an action, alerts on failure and reloads the business on success
+  const runAction = async (action, failureMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      await fetchBusiness();
+      return true;
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(error.message || failureMessage);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const buildProfile = () => ({
+    name: profileForm.name.trim(),
+    category: profileForm.category,
+    description: profileForm.description.trim(),
+    contact: {
+      phone: profileForm.phone.trim() || null,
+      email: profileForm.email.trim() || null,
+      website: profileForm.website.trim() || null
+    }
+  });
+
+  const buildAddress = () => ({
+    street: profileForm.street.trim() || null,
+    city: profileForm.city.trim() || null,
+    state: profileForm.state.trim() || null,
+    zipCode: profileForm.zipCode.trim() || null
+  });
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!profileForm.name.trim()) return;
+
+    runAction(async () => {
+      const position = await getCurrentPosition();
+      await businessApi.createBusiness({
+        ...buildProfile(),
+        timezone: localTimeZone(),
+        location: { ...position, address: buildAddress() }
+      });
+    }, 'Failed to create business profile. Please try again.');
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    runAction(
+      () => businessApi.updateBusiness(business._id, {
+        ...buildProfile(),
+        location: { address: buildAddress() }
+      }),
+      'Failed to update business profile. Please try again.'
+    );
+  };
+
+  const updateHoursDay = (day, changes) => {
+    setHoursForm(hoursForm.map((entry, index) => (index === day ? { ...entry, ...changes } : entry)));
+  };
+
+  // Hours are saved in this device's time zone
+  const handleSaveHours = () => {
+    runAction(
+      () => businessApi.updateBusiness(business._id, {
+        hours: hoursForm.flatMap((entry, day) => (
+          entry.open ? [{ day, opens: entry.opens, closes: entry.closes }] : []
+        )),
+        timezone: localTimeZone()
+      }),
+      'Failed to update opening hours. Please try again.'
+    );
+  };
+
+  const handleMoveToHere = () => {
+    if (!window.confirm('Move your business to your current location?')) return;
+    runAction(async () => {
+      const position = await getCurrentPosition();
+      await businessApi.updateBusiness(business._id, { location: position });
+    }, 'Failed to update location. Please try again.');
+  };
+
+  const handleAddPromotion = async (e) => {
+    e.preventDefault();
+    if (!promotionForm.title.trim() || !promotionForm.validUntil) return;
+
+    const added = await runAction(
+      () => businessApi.addPromotion(business._id, {
+        title: promotionForm.title.trim(),
+        description: promotionForm.description.trim() || undefined,
+        discount: promotionForm.discount ? parseFloat(promotionForm.discount) : undefined,
+        validFrom: promotionForm.validFrom ? new Date(promotionForm.validFrom).toISOString() : undefined,
+        // Runs through the end of the chosen day
+        validUntil: new Date(`${promotionForm.validUntil}T23:59:59`).toISOString()
+      }),
+      'Failed to add promotion. Please try again.'
+    );
+    if (added) {
+      setPromotionForm(EMPTY_PROMOTION);
+    }
+  };
+
+  const handleDeletePromotion = (promotion) => {
+    if (!window.confirm(`Delete the promotion "${promotion.title}"?`)) return;
+    runAction(
+      () => businessApi.deletePromotion(business._id, promotion._id),
+      'Failed to delete promotion. Please try again.'
+    );
+  };
+
+  if (loading && !business) {
+    return (
+      <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sage-500 mx-auto mb-4"></div>
+          <p className="text-charcoal-500 dark:text-sand-300">Loading business...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const profileFields = (
+    <>
+      <input
+        type="text"
+        value={profileForm.name}
+        onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+        className={inputClassName}
+        placeholder="Business name"
+        maxLength={100}
+        required
+      />
+      <select
+        value={profileForm.category}
+        onChange={(e) => setProfileForm({ ...profileForm, category: e.target.value })}
+        className={inputClassName}
+      >
+        {Object.entries(BUSINESS_CATEGORIES).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <textarea
+        value={profileForm.description}
+        onChange={(e) => setProfileForm({ ...profileForm, description: e.target.value })}
+        className={inputClassName}
+        placeholder="Description (optional)"
+        rows={3}
+        maxLength={2000}
+      />
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          type="tel"
+          value={profileForm.phone}
+          onChange={(e) => setProfileForm({ ...profileForm, phone: e.target.value })}
+          className={inputClassName}
+          placeholder="Phone"
+        />
+        <input
+          type="email"
+          value={profileForm.email}
+          onChange={(e) => setProfileForm({ ...profileForm, email: e.target.value })}
+          className={inputClassName}
+          placeholder="Email"
+        />
+      </div>
+      <input
+        type="url"
+        value={profileForm.website}
+        onChange={(e) => setProfileForm({ ...profileForm, website: e.target.value })}
+        className={inputClassName}
+        placeholder="Website (https://...)"
+      />
+      <input
+        type="text"
+        value={profileForm.street}
+        onChange={(e) => setProfileForm({ ...profileForm, street: e.target.value })}
+        className={inputClassName}
+        placeholder="Street address"
+      />
+      <div className="grid grid-cols-3 gap-2">
+        <input
+          type="text"
+          value={profileForm.city}
+          onChange={(e) => setProfileForm({ ...profileForm, city: e.target.value })}
+          className={inputClassName}
+          placeholder="City"
+        />
+        <input
+          type="text"
+          value={profileForm.state}
+          onChange={(e) => setProfileForm({ ...profileForm, state: e.target.value })}
+          className={inputClassName}
+          placeholder="State"
+        />
+        <input
+          type="text"
+          value={profileForm.zipCode}
+          onChange={(e) => setProfileForm({ ...profileForm, zipCode: e.target.value })}
+          className={inputClassName}
+          placeholder="ZIP"
+        />
+      </div>
+    </>
+  );
+
+  return (
+    <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 pb-24">
+      {/* Header */}
+      <div className="bg-white dark:bg-charcoal-800 border-b border-sand-200 dark:border-charcoal-700 sticky top-0 z-10">
+        <div className="px-6 py-4 flex items-center gap-4">
+          <button
+            onClick={() => navigate(-1)}
+            className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+          >
+            <ArrowLeft size={20} className="text-charcoal-500 dark:text-sand-300" />
+          </button>
+          <h1 className="text-xl font-display text-charcoal-500 dark:text-sand-50 flex-1">My Business</h1>
+          {business && (
+            <button
+              onClick={() => navigate(`/businesses/${business._id}`)}
+              className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+              title="View business page"
+            >
+              <ExternalLink size={18} className="text-charcoal-300 dark:text-sand-400" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="px-6 py-6 space-y-6">
+        {!business && (
+          <Card className="p-6 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+            <div className="flex items-center gap-3 mb-4">
+              <div className="p-2 bg-sage-50 dark:bg-sage-900/30 text-sage-600 dark:text-sage-400 rounded-xl">
+                <Store size={20} />
+              </div>
+              <div>
+                <h2 className="text-lg font-bold text-charcoal-500 dark:text-sand-50">Create a business profile</h2>
+                <p className="text-xs text-charcoal-300 dark:text-sand-400">
+                  Your ads link to your business page, and you can run promotions for people nearby.
+                </p>
+              </div>
+            </div>
+            <form onSubmit={handleCreate} className="space-y-3">
+              {profileFields}
+              <p className="text-[10px] text-charcoal-300 dark:text-sand-400">Your business is placed on the map at your current location.</p>
+              <Button type="submit" className="w-full py-2 rounded-xl" disabled={busy || !profileForm.name.trim()}>
+                {busy ? 'Creating...' : 'Create Business Profile'}
+              </Button>
+            </form>
+          </Card>
+        )}
+
+        {business && (
+          <>
+            <div className="flex justify-between items-center">
+              <div>
+                <h2 className="text-2xl font-display text-charcoal-500 dark:text-sand-50">{business.name}</h2>
+                <p className="text-xs text-charcoal-300 dark:text-sand-400">
+                  {BUSINESS_CATEGORIES[business.category]} · {business.adCount} ad{business.adCount === 1 ? '' : 's'}
+                  {business.isVerified && ' · Verified'}
+                </p>
+              </div>
+              <div className="px-3 py-1 bg-sage-50 dark:bg-sage-900/30 text-sage-600 dark:text-sage-400 text-[10px] font-bold rounded-full uppercase">
+                {business.subscription?.tier} Plan
+              </div>
+            </div>
+
+            {/* Promotions */}
+            <section className="space-y-3">
+              <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Promotions</h3>
+              <Card className="p-4 space-y-3 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+                <form onSubmit={handleAddPromotion} className="space-y-2">
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={promotionForm.title}
+                      onChange={(e) => setPromotionForm({ ...promotionForm, title: e.target.value })}
+                      className={cn(inputClassName, "flex-1 min-w-0")}
+                      placeholder="Promotion title"
+                      maxLength={100}
+                      required
+                    />
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      value={promotionForm.discount}
+                      onChange={(e) => setPromotionForm({ ...promotionForm, discount: e.target.value })}
+                      className={cn(inputClassName, "w-24")}
+                      placeholder="% off"
+                    />
+                  </div>
+                  <input
+                    type="text"
+                    value={promotionForm.description}
+                    onChange={(e) => setPromotionForm({ ...promotionForm, description: e.target.value })}
+                    className={inputClassName}
+                    placeholder="Details (optional)"
+                    maxLength={500}
+                  />
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="text-[10px] font-bold uppercase text-charcoal-300 dark:text-sand-400">
+                      Starts (optional)
+                      <input
+                        type="date"
+                        value={promotionForm.validFrom}
+                        onChange={(e) => setPromotionForm({ ...promotionForm, validFrom: e.target.value })}
+                        className={cn(inputClassName, "mt-1")}
+                      />
+                    </label>
+                    <label className="text-[10px] font-bold uppercase text-charcoal-300 dark:text-sand-400">
+                      Ends
+                      <input
+                        type="date"
+                        value={promotionForm.validUntil}
+                        onChange={(e) => setPromotionForm({ ...promotionForm, validUntil: e.target.value })}
+                        className={cn(inputClassName, "mt-1")}
+                        required
+                      />
+                    </label>
+                  </div>
+                  <Button
+                    type="submit"
+                    className="w-full py-2 rounded-xl"
+                    disabled={busy || !promotionForm.title.trim() || !promotionForm.validUntil}
+                  >
+                    Add Promotion
+                  </Button>
+                </form>
+
+                {business.promotions.map((promotion) => (
+                  <div key={promotion._id} className="flex items-center gap-3 pt-3 border-t border-sand-200 dark:border-charcoal-700">
+                    <Tag size={16} className="text-amber-500 shrink-0" />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-charcoal-500 dark:text-sand-50 truncate">
+                        {promotion.title}
+                        {promotion.discount > 0 && ` · ${promotion.discount}% off`}
+                      </p>
+                      <p className="text-[10px] text-charcoal-300 dark:text-sand-400">
+                        {formatShortDate(promotion.validFrom)} - {formatShortDate(promotion.validUntil)}
+                      </p>
+                    </div>
+                    <span className={cn("px-2 py-0.5 text-[10px] font-bold rounded-full uppercase shrink-0", PROMOTION_STATUS_STYLES[promotion.status])}>
+                      {promotion.status}
+                    </span>
+                    {promotion.status !== 'ended' && (
+                      <button
+                        onClick={() => runAction(
+                          () => businessApi.updatePromotion(business._id, promotion._id, { isActive: !promotion.isActive }),
+                          'Failed to update promotion. Please try again.'
+                        )}
+                        disabled={busy}
+                        className="p-1 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors disabled:opacity-50"
+                        title={promotion.isActive ? 'Pause promotion' : 'Resume promotion'}
+                      >
+                        {promotion.isActive
+                          ? <Pause size={14} className="text-charcoal-400 dark:text-sand-400" />
+                          : <Play size={14} className="text-charcoal-400 dark:text-sand-400" />}
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDeletePromotion(promotion)}
+                      disabled={busy}
+                      className="p-1 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors disabled:opacity-50"
+                      title="Delete promotion"
+                    >
+                      <Trash2 size={14} className="text-coral-500" />
+                    </button>
+                  </div>
+                ))}
+              </Card>
+            </section>
+
+            {/* Opening Hours */}
+            <section className="space-y-3">
+              <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Opening Hours</h3>
+              <Card className="p-4 space-y-2 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+                {hoursForm.map((entry, day) => (
+                  <div key={WEEKDAYS[day]} className="flex items-center gap-2">
+                    <label className="flex items-center gap-2 w-20 text-sm text-charcoal-500 dark:text-sand-50">
+                      <input
+                        type="checkbox"
+                        checked={entry.open}
+                        onChange={(e) => updateHoursDay(day, { open: e.target.checked })}
+                        className="accent-sage-500"
+                      />
+                      {WEEKDAYS[day]}
+                    </label>
+                    {entry.open ? (
+                      <>
+                        <input
+                          type="time"
+                          value={entry.opens}
+                          onChange={(e) => updateHoursDay(day, { opens: e.target.value })}
+                          className={cn(inputClassName, "flex-1 min-w-0 py-1")}
+                          required
+                        />
+                        <span className="text-xs text-charcoal-300 dark:text-sand-400">to</span>
+                        <input
+                          type="time"
+                          value={entry.closes}
+                          onChange={(e) => updateHoursDay(day, { closes: e.target.value })}
+                          className={cn(inputClassName, "flex-1 min-w-0 py-1")}
+                          required
+                        />
+                      </>
+                    ) : (
+                      <span className="text-xs text-charcoal-300 dark:text-sand-400">Closed</span>
+                    )}
+                  </div>
+                ))}
+                <p className="text-[10px] text-charcoal-300 dark:text-sand-400">
+                  Times in {localTimeZone()}. Closing before opening runs past midnight; 00:00 to 00:00 is open all day.
+                </p>
+                <Button
+                  className="w-full py-2 rounded-xl"
+                  onClick={handleSaveHours}
+                  disabled={busy || hoursForm.some((entry) => entry.open && (!entry.opens || !entry.closes))}
+                >
+                  Save Hours
+                </Button>
+              </Card>
+            </section>
+
+            {/* Profile */}
+            <section className="space-y-3">
+              <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Profile</h3>
+              <Card className="p-4 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+                <form onSubmit={handleSave} className="space-y-3">
+                  {profileFields}
+                  <Button type="submit" className="w-full py-2 rounded-xl" disabled={busy || !profileForm.name.trim()}>
+                    {busy ? 'Saving...' : 'Save Profile'}
+                  </Button>
+                </form>
+                <Button
+                  variant="ghost"
+                  className="w-full mt-2 py-2 rounded-xl"
+                  onClick={handleMoveToHere}
+                  disabled={busy}
+                >
+                  <MapPin size={16} className="mr-2" />
+                  Move map pin to my current location
+                </Button>
+              </Card>
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MyBusinessView;
@@ -0,0 +1,35 @@
+// Shared business labels and formatting (business page, owner view, directory)
+
+export const BUSINESS_CATEGORIES = {
+  restaurant: 'Restaurant',
+  retail: 'Retail',
+  services: 'Services',
+  healthcare: 'Healthcare',
+  education: 'Education',
+  entertainment: 'Entertainment',
+  automotive: 'Automotive',
+  home_improvement: 'Home Improvement',
+  other: 'Other'
+};
+
+export const formatShortDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+export const formatAddress = (address) =>
+  address ? [address.street, address.city, address.state, address.zipCode].filter(Boolean).join(', ') : '';
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// One row per weekday: { label, text } ("Closed" when the day has no slots)
+export const formatHours = (hours = []) =>
+  WEEKDAYS.map((label, day) => {
+    const slots = hours.filter((slot) => slot.day === day);
+    return {
+      label,
+      text: slots.length === 0
+        ? 'Closed'
+        : slots
+          .map((slot) => (slot.opens === '00:00' && slot.closes === '00:00' ? 'Open 24 hours' : `${slot.opens} - ${slot.closes}`))
+          .join(', ')
+    };
+  });
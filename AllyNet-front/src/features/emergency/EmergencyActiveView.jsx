@@ -4,6 +4,7 @@ import {
   ShieldCheck, 
   MapPin, 
   AlertCircle,
+  ShieldAlert,
   MessageSquare
 } from 'lucide-react';
 import { useEmergencyStore } from '../../store/useEmergencyStore';
@@ -13,23 +14,33 @@ import Button from '../../components/Button';
 import Card from '../../components/Card';
 import EmergencyChat from './EmergencyChat';
 import EmergencyMapModal from '../../components/EmergencyMapModal';
-import { cn } from '../../utils';
+import LocationTrailPath from '../../components/LocationTrailPath';
+import { useEmergencyLocationStream } from '../../hooks/useEmergencyLocationStream';
+import { cn, formatEta } from '../../utils';
 
 /**
  * EMERGENCY ACTIVE VIEW - API-FIRST
  * - Displays emergency status for creator
  * - Includes chat access for creator
  * - Stop button calls API
+ * - Streams live location while active (trail shown on map)
+ * - Helper markers follow live helper positions with ETA when available
+ * - Shows widened search radius when the SOS has been escalated
+ * - Asks "are you still in danger?" when the backend sends an inactivity check-in
  */
 const EmergencyActiveView = () => {
-  const { status, emergencyId, emergencyType, clearEmergency } = useEmergencyStore();
-  const { chatAvailable, chatOpen, setChatOpen, emergencyId: sessionEmergencyId, role } = useEmergencySessionStore();
+  const { status, emergencyId, emergencyType, clearEmergency, checkInRequest, clearCheckInRequest } = useEmergencyStore();
+  const { chatAvailable, chatOpen, setChatOpen, emergencyId: sessionEmergencyId, role, locationTrail, helperTracking } = useEmergencySessionStore();
   const [showStopConfirm, setShowStopConfirm] = useState(false);
   const [isResolving, setIsResolving] = useState(false);
   const [respondingHelpers, setRespondingHelpers] = useState([]);
   const [loadingHelpers, setLoadingHelpers] = useState(false);
   const [emergencyData, setEmergencyData] = useState(null); // Store full emergency data for map
   const [showMap, setShowMap] = useState(false); // Map modal state
+  const [isConfirmingCheckIn, setIsConfirmingCheckIn] = useState(false);
+
+  // Stream owner's live position over the socket while the emergency is live
+  useEmergencyLocationStream(emergencyId);
   
   // Fetch full emergency data with responding helpers (API-first)
   useEffect(() => {
@@ -90,6 +101,75 @@ const EmergencyActiveView = () => {
     }
   }, [emergencyId, sessionEmergencyId, role]);
 
+  // Load existing location trail once session is ready (API-first, socket appends live points)
+  useEffect(() => {
+    if (!emergencyId || !sessionEmergencyId || sessionEmergencyId.toString() !== emergencyId.toString()) {
+      return;
+    }
+
+    const loadTrail = async () => {
+      try {
+        const response = await emergencyApi.getLocationTrail(emergencyId);
+        if (response?.success && Array.isArray(response?.data?.trail)) {
+          useEmergencySessionStore.getState().loadLocationTrail(response.data.trail);
+        }
+      } catch (error) {
+        console.error('Error fetching location trail:', error);
+      }
+    };
+
+    loadTrail();
+  }, [emergencyId, sessionEmergencyId]);
+
+  // Merge polled helper data with live socket updates (sockets fill the gaps between polls)
+  const trackedHelpers = respondingHelpers.map(helperData => {
+    const helperId = helperData.helper?._id?.toString() || helperData.helper?.toString();
+    return { ...helperData, ...(helperId && helperTracking[helperId]) };
+  });
+
+  // Creator position: latest trail point, falling back to emergency location
+  const origin = locationTrail[locationTrail.length - 1] || emergencyData?.location;
+
+  // Project helper positions to meters around creator (same approximation as trail)
+  const offsets = trackedHelpers.map(helperData => {
+    const helperLocation = helperData.lastLocation;
+    if (!origin?.latitude || !helperLocation?.latitude) return null;
+    return {
+      x: (helperLocation.longitude - origin.longitude) * 111320 * Math.cos((origin.latitude * Math.PI) / 180),
+      y: -(helperLocation.latitude - origin.latitude) * 110540
+    };
+  });
+  const maxOffset = offsets.reduce(
+    (max, o) => (o ? Math.max(max, Math.sqrt(o.x * o.x + o.y * o.y)) : max),
+    0
+  );
+
+  // Pending check-in: pushed over socket, or restored from API data after a reload
+  const checkInPending = (checkInRequest?.emergencyId && emergencyId && checkInRequest.emergencyId.toString() === emergencyId.toString()) ||
+    !!emergencyData?.checkInSentAt;
+
+  const handleConfirmCheckIn = async () => {
+    if (!emergencyId || isConfirmingCheckIn) return;
+
+    setIsConfirmingCheckIn(true);
+    try {
+      // API-FIRST: Tell backend the SOS is still needed (resets auto-expiry)
+      const response = await emergencyApi.confirmCheckIn(emergencyId);
+
+      if (!response?.success) {
+        throw new Error(response?.error?.message || 'Failed to confirm check-in');
+      }
+
+      clearCheckInRequest();
+      setEmergencyData((current) => current && { ...current, checkInSentAt: null });
+    } catch (error) {
+      console.error('Failed to confirm check-in:', error);
+      alert(error?.message || 'Failed to confirm check-in. Please try again.');
+    } finally {
+      setIsConfirmingCheckIn(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-sand-100 z-[100] flex flex-col overflow-hidden">
       {/* Background Breathing Animation */}
@@ -132,6 +212,11 @@ const EmergencyActiveView = () => {
                   {respondingHelpers.length} Helper{respondingHelpers.length !== 1 ? 's' : ''} responding
                 </p>
               )}
+              {respondingHelpers.length === 0 && emergencyData?.escalationLevel > 0 && (
+                <p className="text-xs text-charcoal-400 mt-1">
+                  Search widened to {emergencyData.avoidRadiusKm} km
+                </p>
+              )}
             </div>
           </div>
           <div className="flex items-center gap-2">
@@ -157,6 +242,9 @@ const EmergencyActiveView = () => {
             style={{ backgroundImage: 'radial-gradient(#7D9D85 1px, transparent 1px)', backgroundSize: '24px 24px' }} 
           />
           
+          {/* Location Trail (breadcrumbs, centered on creator's latest position) */}
+          <LocationTrailPath points={locationTrail} className="absolute inset-0 w-full h-full" />
+
           {/* Creator Marker (Center) */}
           <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2">
             <div className="relative">
@@ -169,8 +257,8 @@ const EmergencyActiveView = () => {
             </div>
           </div>
 
-          {/* Helper Markers - Positioned around creator in circular pattern */}
-          {respondingHelpers.map((helperData, index) => {
+          {/* Helper Markers - Live position relative to creator, circular pattern as fallback */}
+          {trackedHelpers.map((helperData, index) => {
             const helper = helperData.helper;
             if (!helper) return null;
             
@@ -179,8 +267,16 @@ const EmergencyActiveView = () => {
             const angle = (index * 360) / totalHelpers; // Distribute evenly in circle
             const radius = Math.min(120, 80 + (totalHelpers * 10)); // Adjust radius based on count
             const radians = (angle * Math.PI) / 180;
-            const x = Math.cos(radians) * radius;
-            const y = Math.sin(radians) * radius;
+            let x = Math.cos(radians) * radius;
+            let y = Math.sin(radians) * radius;
+
+            // Live position: farthest helper sits at the edge, others scaled by distance
+            const offset = offsets[index];
+            if (offset && maxOffset > 0) {
+              x = (offset.x / maxOffset) * 120;
+              y = (offset.y / maxOffset) * 120;
+            }
+            const eta = formatEta(helperData.estimatedArrival);
             
             // Get helper initials
             const firstName = helper.profile?.firstName || helper.firstName || '';
@@ -219,6 +315,16 @@ const EmergencyActiveView = () => {
                   />
                   {/* Helper status indicator */}
                   <div className="absolute -bottom-1 -right-1 w-3 h-3 bg-green-500 rounded-full border-2 border-white shadow-sm" />
+                  {/* ETA / distance badge */}
+                  {(eta || helperData.status === 'arrived') && (
+                    <div className="absolute top-full left-1/2 -translate-x-1/2 mt-1 px-2 py-0.5 bg-white/90 rounded-full shadow-sm whitespace-nowrap">
+                      <span className="text-[10px] font-bold text-coral-600">
+                        {helperData.status === 'arrived'
+                          ? 'Arrived'
+                          : `${eta}${helperData.distanceKm !== undefined ? ` · ${helperData.distanceKm.toFixed(1)} km` : ''}`}
+                      </span>
+                    </div>
+                  )}
                 </div>
               </motion.div>
             );
@@ -309,6 +415,16 @@ const EmergencyActiveView = () => {
                       useEmergencyStore.getState().clearNotifications();
                       useEmergencyStore.getState().clearHelperEmergency();
                       useEmergencySessionStore.getState().clearSession();
+
+                      // Ask the owner to debrief responders (rate them, confirm who arrived)
+                      if (respondingHelpers.length > 0) {
+                        useEmergencyStore.getState().setEmergencyEndedNotification({
+                          emergencyId,
+                          status: 'resolved',
+                          message: 'We are glad you are safe. Take a moment to tell us how your responders did.',
+                          debrief: true
+                        });
+                      }
                       
                       setShowStopConfirm(false);
                     } catch (error) {
@@ -336,6 +452,50 @@ const EmergencyActiveView = () => {
         )}
       </AnimatePresence>
 
+      {/* Inactivity Check-in Overlay */}
+      <AnimatePresence>
+        {checkInPending && !showStopConfirm && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-charcoal-900/60 backdrop-blur-md z-[110] flex items-center justify-center px-8"
+          >
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.9, opacity: 0 }}
+              className="bg-white rounded-[3rem] p-8 w-full max-w-sm text-center"
+            >
+              <div className="w-20 h-20 bg-amber-50 text-amber-500 rounded-3xl flex items-center justify-center mx-auto mb-6">
+                <ShieldAlert size={40} />
+              </div>
+              <h3 className="text-2xl font-display text-charcoal-500 mb-2">Are you still in danger?</h3>
+              <p className="text-sm text-charcoal-300 mb-8 leading-relaxed">
+                {checkInRequest?.message || 'Your SOS will close automatically if you do not answer.'}
+              </p>
+              <div className="space-y-3">
+                <Button 
+                  variant="alert" 
+                  className="w-full py-4 rounded-2xl"
+                  onClick={handleConfirmCheckIn}
+                  disabled={isConfirmingCheckIn}
+                >
+                  {isConfirmingCheckIn ? 'Confirming...' : 'Yes, I still need help'}
+                </Button>
+                <Button 
+                  variant="ghost" 
+                  className="w-full py-4"
+                  onClick={() => setShowStopConfirm(true)}
+                >
+                  No, I am safe now
+                </Button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Emergency Chat - Always available for creator when emergency is active */}
       {chatAvailable && chatOpen && <EmergencyChat />}
 
@@ -346,6 +506,7 @@ const EmergencyActiveView = () => {
           onClose={() => setShowMap(false)}
           location={emergencyData.location}
           emergencyType={emergencyData.type}
+          trail={locationTrail}
         />
       )}
     </div>
@@ -1,11 +1,12 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Send, AlertCircle, Trash2, Phone, MapPin } from 'lucide-react';
+import { X, Send, AlertCircle, Trash2, Phone, MapPin, Flag } from 'lucide-react';
 import { useEmergencySessionStore } from '../../store/useEmergencySessionStore';
 import { emergencyApi } from '../../api/emergency';
 import { useAuthStore } from '../../store/useAuthStore';
 import { useEmergencyStore } from '../../store/useEmergencyStore';
 import Button from '../../components/Button';
+import ReportModal from '../../components/ReportModal';
 import { cn } from '../../utils';
 
 const EmergencyChat = () => {
@@ -32,6 +33,7 @@ const EmergencyChat = () => {
   const [messageText, setMessageText] = useState('');
   const [sending, setSending] = useState(false);
   const [deletingMessageId, setDeletingMessageId] = useState(null);
+  const [reportMessageId, setReportMessageId] = useState(null);
   const [sharingLocation, setSharingLocation] = useState(false);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
@@ -433,6 +435,16 @@ const EmergencyChat = () => {
                           <Trash2 size={14} />
                         </button>
                       )}
+
+                      {!isMine && (
+                        <button
+                          onClick={() => setReportMessageId(message._id || message.id)}
+                          className="p-1 rounded-full text-charcoal-300 hover:text-coral-500 hover:bg-sand-100 transition-all"
+                          title="Report message"
+                        >
+                          <Flag size={12} />
+                        </button>
+                      )}
                     </div>
                   </div>
                   
@@ -503,6 +515,14 @@ const EmergencyChat = () => {
           </div>
         )}
       </motion.div>
+
+      <ReportModal
+        isOpen={!!reportMessageId}
+        onClose={() => setReportMessageId(null)}
+        targetType="emergency_message"
+        targetId={reportMessageId}
+        title="Report message"
+      />
     </motion.div>
   );
 };
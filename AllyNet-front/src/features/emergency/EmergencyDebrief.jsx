@@ -0,0 +1,273 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { AlertCircle, ArrowLeft, CheckCircle, Flag, MapPin, Star } from 'lucide-react';
+import { emergencyApi } from '../../api/emergency';
+import Button from '../../components/Button';
+import Card from '../../components/Card';
+import { cn } from '../../utils';
+
+const getHelperName = (helper) => {
+  const firstName = helper?.profile?.firstName || helper?.firstName || '';
+  const lastName = helper?.profile?.lastName || helper?.lastName || '';
+  return `${firstName} ${lastName}`.trim() || 'Helper';
+};
+
+const getHelperId = (helper) => helper?._id?.toString() || helper?.toString();
+
+/**
+ * Post-Emergency Debrief
+ * - SOS owner marks which responders arrived, rates them and can flag misconduct
+ * - Submitted once; ratings feed into each helper's rating and trust score
+ */
+const EmergencyDebrief = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [emergency, setEmergency] = useState(null);
+  const [feedback, setFeedback] = useState({}); // helperId -> { arrived, rating, comment, misconduct, misconductReason }
+  const [summary, setSummary] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchEmergency = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await emergencyApi.getEmergencyById(id);
+
+        if (response?.success && response?.data?.emergency) {
+          const emergencyData = response.data.emergency;
+          setEmergency(emergencyData);
+
+          // Pre-fill "arrived" from the status helpers reported themselves
+          const initial = {};
+          (emergencyData.respondingHelpers || []).forEach(h => {
+            initial[getHelperId(h.helper)] = {
+              arrived: h.status === 'arrived' || h.status === 'completed',
+              rating: 0,
+              comment: '',
+              misconduct: false,
+              misconductReason: ''
+            };
+          });
+          setFeedback(initial);
+        } else {
+          setError('Emergency not found');
+        }
+      } catch (err) {
+        console.error('Error fetching emergency:', err);
+        setError(err.message || 'Failed to load emergency');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEmergency();
+  }, [id]);
+
+  const updateFeedback = (helperId, changes) => {
+    setFeedback(prev => ({ ...prev, [helperId]: { ...prev[helperId], ...changes } }));
+  };
+
+  const handleSubmit = async () => {
+    const missingReason = Object.values(feedback).some(f => f.misconduct && !f.misconductReason.trim());
+    if (missingReason) {
+      alert('Please describe what happened for every helper you flag.');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const helpers = Object.entries(feedback).map(([helperId, f]) => ({
+        helperId,
+        arrived: f.arrived,
+        rating: f.rating || null,
+        comment: f.comment.trim() || undefined,
+        misconduct: f.misconduct,
+        misconductReason: f.misconduct ? f.misconductReason.trim() : undefined
+      }));
+
+      const response = await emergencyApi.submitDebrief(id, helpers, summary.trim());
+      if (!response?.success) {
+        throw new Error(response?.error?.message || 'Failed to submit debrief');
+      }
+
+      navigate('/');
+    } catch (err) {
+      console.error('Error submitting debrief:', err);
+      alert(err.message || 'Failed to submit debrief. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-coral-500"></div>
+      </div>
+    );
+  }
+
+  if (error || !emergency) {
+    return (
+      <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 flex items-center justify-center px-6">
+        <Card className="max-w-md w-full p-8 text-center">
+          <AlertCircle className="text-coral-500 mx-auto mb-4" size={48} />
+          <h2 className="text-xl font-display text-charcoal-500 dark:text-sand-50 mb-2">Error</h2>
+          <p className="text-charcoal-300 dark:text-sand-400 mb-6">{error || 'Emergency not found'}</p>
+          <Button variant="outline" onClick={() => navigate('/')}>
+            Go Home
+          </Button>
+        </Card>
+      </div>
+    );
+  }
+
+  const alreadySubmitted = !!emergency.debrief?.submittedAt;
+  const helpers = emergency.respondingHelpers || [];
+
+  return (
+    <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 pb-24">
+      {/* Header */}
+      <div className="bg-white dark:bg-charcoal-800 border-b border-sand-200 dark:border-charcoal-700 sticky top-0 z-10">
+        <div className="px-6 py-4 flex items-center gap-4">
+          <button
+            onClick={() => navigate(-1)}
+            className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+          >
+            <ArrowLeft size={20} className="text-charcoal-500 dark:text-sand-300" />
+          </button>
+          <h1 className="text-xl font-display text-charcoal-500 dark:text-sand-50">Emergency Debrief</h1>
+        </div>
+      </div>
+
+      <div className="px-6 py-6 space-y-4">
+        {alreadySubmitted ? (
+          <Card className="p-6 bg-sage-50 dark:bg-sage-900/20 border-2 border-sage-300 dark:border-sage-700">
+            <div className="flex items-center gap-3">
+              <CheckCircle className="text-sage-600 dark:text-sage-400" size={24} />
+              <div>
+                <h3 className="font-bold text-sage-900 dark:text-sage-100">Debrief submitted</h3>
+                <p className="text-sm text-sage-700 dark:text-sage-300">Thank you for telling us how it went.</p>
+              </div>
+            </div>
+          </Card>
+        ) : helpers.length === 0 ? (
+          <Card className="p-6 text-center">
+            <p className="text-charcoal-300 dark:text-sand-400">No helpers responded to this emergency.</p>
+          </Card>
+        ) : (
+          <>
+            <p className="text-sm text-charcoal-300 dark:text-sand-400">
+              Let us know who made it to you and how they did. Ratings help other people in need find reliable helpers.
+            </p>
+
+            {helpers.map(h => {
+              const helperId = getHelperId(h.helper);
+              const f = feedback[helperId];
+              if (!f) return null;
+
+              return (
+                <Card key={helperId} className="p-6 space-y-4">
+                  <h3 className="font-bold text-charcoal-500 dark:text-sand-50">{getHelperName(h.helper)}</h3>
+
+                  {/* Arrived toggle */}
+                  <button
+                    type="button"
+                    onClick={() => updateFeedback(helperId, { arrived: !f.arrived })}
+                    className={cn(
+                      "flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors",
+                      f.arrived
+                        ? "bg-sage-100 dark:bg-sage-900/30 text-sage-700 dark:text-sage-300"
+                        : "bg-sand-200 dark:bg-charcoal-700 text-charcoal-400 dark:text-sand-400"
+                    )}
+                  >
+                    <MapPin size={16} />
+                    {f.arrived ? 'Arrived' : 'Did not arrive'}
+                  </button>
+
+                  {/* Rating */}
+                  <div className="flex items-center gap-1">
+                    {[1, 2, 3, 4, 5].map((value) => (
+                      <button
+                        key={value}
+                        type="button"
+                        onClick={() => updateFeedback(helperId, { rating: value === f.rating ? 0 : value })}
+                        className="p-0.5"
+                        aria-label={`${value} star${value !== 1 ? 's' : ''}`}
+                      >
+                        <Star
+                          size={22}
+                          className={value <= f.rating ? 'text-amber-500' : 'text-sand-300 dark:text-charcoal-600'}
+                          fill={value <= f.rating ? 'currentColor' : 'none'}
+                        />
+                      </button>
+                    ))}
+                  </div>
+
+                  <textarea
+                    value={f.comment}
+                    onChange={(e) => updateFeedback(helperId, { comment: e.target.value })}
+                    placeholder="Add a comment (optional)"
+                    className="w-full bg-white dark:bg-charcoal-700 border border-sand-200 dark:border-charcoal-600 rounded-lg px-3 py-2 text-sm text-charcoal-500 dark:text-sand-300 placeholder-charcoal-300 dark:placeholder-sand-500 focus:outline-none focus:ring-2 focus:ring-sage-500/20 resize-none"
+                    rows={2}
+                    maxLength={500}
+                  />
+
+                  {/* Misconduct flag */}
+                  <label className="flex items-center gap-2 text-sm text-coral-600 dark:text-coral-400 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={f.misconduct}
+                      onChange={(e) => updateFeedback(helperId, { misconduct: e.target.checked })}
+                      className="accent-coral-500"
+                    />
+                    <Flag size={14} />
+                    Report misconduct
+                  </label>
+                  {f.misconduct && (
+                    <textarea
+                      value={f.misconductReason}
+                      onChange={(e) => updateFeedback(helperId, { misconductReason: e.target.value })}
+                      placeholder="What happened?"
+                      className="w-full bg-white dark:bg-charcoal-700 border border-coral-200 dark:border-coral-800 rounded-lg px-3 py-2 text-sm text-charcoal-500 dark:text-sand-300 placeholder-charcoal-300 dark:placeholder-sand-500 focus:outline-none focus:ring-2 focus:ring-coral-500/20 resize-none"
+                      rows={2}
+                      maxLength={500}
+                    />
+                  )}
+                </Card>
+              );
+            })}
+
+            <Card className="p-6 space-y-3">
+              <h3 className="text-sm font-bold uppercase tracking-widest text-sage-600 dark:text-sage-400">
+                What happened? (optional)
+              </h3>
+              <textarea
+                value={summary}
+                onChange={(e) => setSummary(e.target.value)}
+                placeholder="A few words about how the emergency ended"
+                className="w-full bg-white dark:bg-charcoal-700 border border-sand-200 dark:border-charcoal-600 rounded-lg px-3 py-2 text-sm text-charcoal-500 dark:text-sand-300 placeholder-charcoal-300 dark:placeholder-sand-500 focus:outline-none focus:ring-2 focus:ring-sage-500/20 resize-none"
+                rows={3}
+                maxLength={1000}
+              />
+            </Card>
+
+            <Button
+              variant="alert"
+              className="w-full py-4 rounded-2xl"
+              onClick={handleSubmit}
+              disabled={submitting}
+            >
+              {submitting ? 'Submitting...' : 'Submit Debrief'}
+            </Button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmergencyDebrief;
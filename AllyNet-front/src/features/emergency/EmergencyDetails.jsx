@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { AlertCircle, MapPin, Clock, ShieldAlert, ArrowLeft, CheckCircle, MessageSquare } from 'lucide-react';
+import { AlertCircle, MapPin, Clock, ShieldAlert, ArrowLeft, CheckCircle, MessageSquare, Navigation, Star, Flag } from 'lucide-react';
 import { emergencyApi } from '../../api/emergency';
 import { useAuthStore } from '../../store/useAuthStore';
 import { useEmergencySessionStore } from '../../store/useEmergencySessionStore';
@@ -8,12 +8,16 @@ import Button from '../../components/Button';
 import Card from '../../components/Card';
 import EmergencyChat from './EmergencyChat';
 import EmergencyMapModal from '../../components/EmergencyMapModal';
+import ReportModal from '../../components/ReportModal';
+import { useEmergencyLocationStream } from '../../hooks/useEmergencyLocationStream';
+import { formatEta } from '../../utils';
 
 /**
  * Emergency Details Page with Helper Acceptance
  * - Displays emergency information for helpers
  * - Allows helpers to accept emergency via API
  * - No socket emits, no auto-join, API-first
+ * - Accepted helpers stream live location (victim sees distance/ETA)
  */
 const EmergencyDetails = () => {
   const { id } = useParams();
@@ -28,6 +32,7 @@ const EmergencyDetails = () => {
   const [acceptSuccess, setAcceptSuccess] = useState(false);
   const [isHelper, setIsHelper] = useState(false); // Track if current user is already a helper
   const [showMap, setShowMap] = useState(false); // Map modal state
+  const [showReport, setShowReport] = useState(false);
 
   // Initial fetch
   useEffect(() => {
@@ -85,6 +90,17 @@ const EmergencyDetails = () => {
     return () => clearInterval(pollInterval);
   }, [id, isHelper, acceptSuccess]);
 
+  // Current user's entry in respondingHelpers (distance/ETA come from the live stream)
+  const myHelperEntry = emergency?.respondingHelpers?.find(
+    h => (h.helper?._id?.toString() || h.helper?.toString()) === currentUser?._id?.toString()
+  );
+  const isSharingLocation = (isHelper || acceptSuccess) &&
+    (emergency?.status === 'active' || emergency?.status === 'responding') &&
+    !['arrived', 'completed', 'cancelled'].includes(myHelperEntry?.status);
+
+  // Stream helper position while en route (stops once arrived or emergency ends)
+  useEmergencyLocationStream(isSharingLocation ? id : null, 'helper:location');
+
   const getEmergencyTypeLabel = (type) => {
     const typeLabels = {
       medical: 'Medical Emergency',
@@ -313,6 +329,23 @@ const EmergencyDetails = () => {
           </Card>
         )}
 
+        {/* Debrief (creator only, once the emergency has ended) */}
+        {isCreator() && (emergency.status === 'resolved' || emergency.status === 'cancelled') &&
+          emergency.respondingHelpers?.length > 0 && !emergency.debrief?.submittedAt && (
+          <Card className="p-6">
+            <Button
+              variant="outline"
+              className="w-full py-3"
+              onClick={() => navigate(`/emergencies/${id}/debrief`)}
+            >
+              <div className="flex items-center justify-center gap-2">
+                <Star size={20} />
+                <span>Rate your responders</span>
+              </div>
+            </Button>
+          </Card>
+        )}
+
         {/* Accept & Help Button (for helpers only, if emergency is active) */}
         {shouldShowAcceptButton() && (
           <Card className="p-6">
@@ -412,6 +445,46 @@ const EmergencyDetails = () => {
             </div>
           </Card>
         )}
+
+        {/* Report a false alarm / abuse (anyone but the creator) */}
+        {!isCreator() && (
+          <button
+            onClick={() => setShowReport(true)}
+            className="w-full flex items-center justify-center gap-2 py-3 text-sm text-charcoal-300 dark:text-sand-400 hover:text-coral-500 transition-colors"
+          >
+            <Flag size={14} />
+            Report false alarm or abuse
+          </button>
+        )}
+
+        {/* Live location sharing (while en route) */}
+        {isSharingLocation && (
+          <Card className="p-6">
+            <div className="flex items-start gap-3">
+              <div className="p-2 bg-coral-50 dark:bg-coral-900/20 rounded-lg mt-1">
+                <Navigation className="text-coral-600 dark:text-coral-400" size={20} />
+              </div>
+              <div className="flex-1">
+                <h3 className="text-sm font-bold uppercase tracking-widest text-coral-600 dark:text-coral-400 mb-2">
+                  Sharing Live Location
+                </h3>
+                {myHelperEntry?.distanceKm !== undefined ? (
+                  <p className="text-charcoal-500 dark:text-sand-300">
+                    {myHelperEntry.distanceKm.toFixed(2)} km away
+                    {formatEta(myHelperEntry.estimatedArrival) && ` · ETA ${formatEta(myHelperEntry.estimatedArrival)}`}
+                  </p>
+                ) : (
+                  <p className="text-charcoal-500 dark:text-sand-300">
+                    Waiting for your location...
+                  </p>
+                )}
+                <p className="text-xs text-charcoal-300 dark:text-sand-400 mt-2">
+                  The person in need can see you approaching on their map.
+                </p>
+              </div>
+            </div>
+          </Card>
+        )}
       </div>
 
       {/* Emergency Chat - Renders when chat is open */}
@@ -424,6 +497,14 @@ const EmergencyDetails = () => {
         location={emergency.location}
         emergencyType={emergency.type}
       />
+
+      <ReportModal
+        isOpen={showReport}
+        onClose={() => setShowReport(false)}
+        targetType="emergency"
+        targetId={emergency._id}
+        title="Report emergency"
+      />
     </div>
   );
 };
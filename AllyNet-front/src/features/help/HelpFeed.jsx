@@ -5,6 +5,7 @@ import { Clock, MapPin, CircleDollarSign, ChevronRight, Send, X, CheckCircle, Fl
 import { helpRequestApi } from '../../api/helpRequest';
 import { useAuthStore } from '../../store/useAuthStore';
 import Button from '../../components/Button';
+import ReportModal from '../../components/ReportModal';
 import { cn } from '../../utils';
 
 const HelpFeed = () => {
@@ -121,6 +122,7 @@ const HelpRequestCard = ({ request, onRefresh }) => {
   const [responseMessage, setResponseMessage] = useState('');
   const [isResponding, setIsResponding] = useState(false);
   const [responseError, setResponseError] = useState('');
+  const [showReport, setShowReport] = useState(false);
 
   const priorityColors = {
     high: 'text-coral-500 bg-coral-50 dark:bg-coral-900/20',
@@ -212,9 +214,18 @@ const HelpRequestCard = ({ request, onRefresh }) => {
             </div>
           </div>
         </div>
-        <span className={cn('px-2 py-1 rounded-lg text-[10px] font-bold uppercase tracking-wider', priorityColors[request.priority])}>
-          {request.priority}
-        </span>
+        <div className="flex items-center gap-1">
+          <span className={cn('px-2 py-1 rounded-lg text-[10px] font-bold uppercase tracking-wider', priorityColors[request.priority])}>
+            {request.priority}
+          </span>
+          <button
+            onClick={() => setShowReport(true)}
+            className="p-1.5 text-charcoal-300 dark:text-sand-500 hover:text-coral-500 transition-colors"
+            title="Report request"
+          >
+            <Flag size={14} />
+          </button>
+        </div>
       </div>
 
       <h3 className="text-md font-semibold text-charcoal-500 dark:text-sand-50 mb-2">{request.title}</h3>
@@ -390,6 +401,14 @@ const HelpRequestCard = ({ request, onRefresh }) => {
           </motion.div>
         )}
       </AnimatePresence>
+
+      <ReportModal
+        isOpen={showReport}
+        onClose={() => setShowReport(false)}
+        targetType="help_request"
+        targetId={request._id}
+        title="Report request"
+      />
     </Card>
   );
 };
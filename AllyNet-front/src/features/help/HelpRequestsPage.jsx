@@ -6,12 +6,15 @@ import { helpRequestApi } from '../../api/helpRequest';
 import { useAuthStore } from '../../store/useAuthStore';
 import Button from '../../components/Button';
 import Card from '../../components/Card';
+import RatingForm from './RatingForm';
 import { cn } from '../../utils';
 
 /**
  * Help Requests Page
  * Shows user's sent help requests with replies from helpers
  * Creator can accept/deny/report helpers and reply to accepted helpers inline
+ * "Helping" tab lists requests where the user is an accepted helper
+ * Once completed, creator and each accepted helper rate each other
  */
 const HelpRequestsPage = () => {
   const navigate = useNavigate();
@@ -25,13 +28,14 @@ const HelpRequestsPage = () => {
   const [sendingReply, setSendingReply] = useState({}); // Track sending state
   const [reportInputs, setReportInputs] = useState({}); // Track report reason inputs: { 'requestId-helperId': 'reason text' }
   const [showReportInput, setShowReportInput] = useState({}); // Track which response shows report input: { 'requestId-helperId': true/false }
+  const [view, setView] = useState('creator'); // 'creator' (my requests) | 'helper' (requests I'm helping with)
 
   useEffect(() => {
     const fetchRequests = async () => {
       try {
         setLoading(true);
         setError(null);
-        const response = await helpRequestApi.getMyHelpRequests();
+        const response = await helpRequestApi.getMyHelpRequests({ role: view });
         
         if (response?.success && response?.data?.requests) {
           setRequests(response.data.requests);
@@ -51,9 +55,96 @@ const HelpRequestsPage = () => {
     
     // Poll for updates every 5 seconds to get new replies
     const interval = setInterval(fetchRequests, 5000);
-    
+
     return () => clearInterval(interval);
-  }, []);
+  }, [view]);
+
+  const refreshRequests = async () => {
+    const refreshResponse = await helpRequestApi.getMyHelpRequests({ role: view });
+    if (refreshResponse?.success && refreshResponse?.data?.requests) {
+      setRequests(refreshResponse.data.requests);
+    }
+  };
+
+  const switchView = (nextView) => {
+    if (nextView === view) return;
+    setRequests([]);
+    setView(nextView);
+  };
+
+  const handleComplete = async (requestId) => {
+    if (!window.confirm('Mark this request as completed? You can then rate your helpers.')) {
+      return;
+    }
+
+    const actionKey = `${requestId}-complete`;
+    setActionLoading({ ...actionLoading, [actionKey]: true });
+
+    try {
+      const response = await helpRequestApi.completeHelpRequest(requestId);
+      if (response?.success) {
+        await refreshRequests();
+      } else {
+        throw new Error('Failed to complete help request');
+      }
+    } catch (err) {
+      console.error('Error completing help request:', err);
+      alert(err.message || 'Failed to complete help request. Please try again.');
+    } finally {
+      setActionLoading({ ...actionLoading, [actionKey]: false });
+    }
+  };
+
+  const handleProposeCompletion = async (requestId) => {
+    const actionKey = `${requestId}-propose`;
+    setActionLoading({ ...actionLoading, [actionKey]: true });
+
+    try {
+      const response = await helpRequestApi.proposeCompletion(requestId);
+      if (response?.success) {
+        await refreshRequests();
+      } else {
+        throw new Error('Failed to mark as done');
+      }
+    } catch (err) {
+      console.error('Error proposing completion:', err);
+      alert(err.message || 'Failed to mark as done. Please try again.');
+    } finally {
+      setActionLoading({ ...actionLoading, [actionKey]: false });
+    }
+  };
+
+  const handleRate = async (requestId, helperId, rating, comment) => {
+    const actionKey = `${requestId}-rate-${helperId || 'creator'}`;
+    setActionLoading({ ...actionLoading, [actionKey]: true });
+
+    try {
+      const response = await helpRequestApi.rateParticipant(requestId, {
+        helperId: helperId || undefined,
+        rating,
+        comment: comment || undefined,
+      });
+      if (response?.success) {
+        await refreshRequests();
+      } else {
+        throw new Error('Failed to submit rating');
+      }
+    } catch (err) {
+      console.error('Error submitting rating:', err);
+      alert(err.message || 'Failed to submit rating. Please try again.');
+    } finally {
+      setActionLoading({ ...actionLoading, [actionKey]: false });
+    }
+  };
+
+  // Rating the current user already gave to `rateeId` on this request (if any)
+  const findMyRating = (request, rateeId) => request.ratings?.find(
+    (r) => r.rater?.toString() === currentUserId && r.ratee?.toString() === rateeId?.toString()
+  );
+
+  const getDisplayName = (person, fallback) => (person?.profile?.firstName
+    ? `${person.profile.firstName} ${person.profile.lastName || ''}`.trim()
+    : person?.email?.split('@')[0] || fallback);
 
   const handleDelete = async (requestId) => {
     if (!window.confirm('Are you sure you want to delete this help request? It will be removed from all helpers.')) {
@@ -247,6 +338,25 @@ const HelpRequestsPage = () => {
           </button>
           <h1 className="text-xl font-display text-charcoal-500 dark:text-sand-50">My Requests</h1>
         </div>
+        <div className="px-6 pb-3 flex gap-2">
+          {[
+            { key: 'creator', label: 'Requested' },
+            { key: 'helper', label: 'Helping' },
+          ].map((tab) => (
+            <button
+              key={tab.key}
+              onClick={() => switchView(tab.key)}
+              className={cn(
+                "px-4 py-1.5 rounded-full text-xs font-bold transition-colors",
+                view === tab.key
+                  ? "bg-sage-500 text-white"
+                  : "bg-sand-100 dark:bg-charcoal-700 text-charcoal-400 dark:text-sand-400 hover:bg-sand-200 dark:hover:bg-charcoal-600"
+              )}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* Content */}
@@ -257,7 +367,72 @@ const HelpRequestsPage = () => {
           </Card>
         )}
 
-        {requests.length === 0 ? (
+        {view === 'helper' ? (
+          requests.length === 0 ? (
+            <Card className="p-8 text-center">
+              <p className="text-charcoal-500 dark:text-sand-300 mb-4">You're not helping with any requests yet.</p>
+              <p className="text-sm text-charcoal-300 dark:text-sand-400">
+                Requests where your offer to help was accepted show up here.
+              </p>
+            </Card>
+          ) : (
+            requests.map((request) => {
+              const creatorName = getDisplayName(request.user, 'Requester');
+              const proposedByMe = request.completionProposal?.proposedBy?.toString() === currentUserId;
+
+              return (
+                <Card key={request._id} className="p-6">
+                  <div className="flex items-center gap-2 mb-2">
+                    <h3 className="text-lg font-display text-charcoal-500 dark:text-sand-50">
+                      {request.title}
+                    </h3>
+                    <span className={cn('px-2 py-1 rounded-lg text-[10px] font-bold uppercase', getStatusColor(request.status))}>
+                      {request.status}
+                    </span>
+                  </div>
+                  <p className="text-xs text-charcoal-300 dark:text-sand-500 mb-3">
+                    Requested by {creatorName} · {formatDate(request.createdAt)}
+                  </p>
+                  {request.description && (
+                    <p className="text-sm text-charcoal-400 dark:text-sand-400 mb-3">
+                      {request.description}
+                    </p>
+                  )}
+
+                  {request.status === 'open' && (
+                    <div className="mt-4 pt-4 border-t border-sand-200 dark:border-charcoal-700">
+                      {proposedByMe ? (
+                        <p className="text-sm text-charcoal-400 dark:text-sand-400 text-center">
+                          Marked as done. Waiting for {creatorName} to confirm.
+                        </p>
+                      ) : (
+                        <Button
+                          onClick={() => handleProposeCompletion(request._id)}
+                          isLoading={actionLoading[`${request._id}-propose`]}
+                          className="w-full py-2 text-sm"
+                        >
+                          <CheckCircle size={16} />
+                          Mark as done
+                        </Button>
+                      )}
+                    </div>
+                  )}
+
+                  {request.status === 'completed' && (
+                    <div className="mt-4 pt-4 border-t border-sand-200 dark:border-charcoal-700">
+                      <RatingForm
+                        label={`How was helping ${creatorName}?`}
+                        existingRating={findMyRating(request, request.user?._id)}
+                        submitting={actionLoading[`${request._id}-rate-creator`]}
+                        onSubmit={(rating, comment) => handleRate(request._id, null, rating, comment)}
+                      />
+                    </div>
+                  )}
+                </Card>
+              );
+            })
+          )
+        ) : requests.length === 0 ? (
           <Card className="p-8 text-center">
             <p className="text-charcoal-500 dark:text-sand-300 mb-4">No help requests yet.</p>
             <p className="text-sm text-charcoal-300 dark:text-sand-400">
@@ -306,6 +481,34 @@ const HelpRequestsPage = () => {
                 )}
               </div>
 
+              {/* Completion - creator confirms once an accepted helper has done the job */}
+              {request.status === 'open' && request.responses?.some(r => r.status === 'accepted') && (
+                <div className="mt-4 p-4 rounded-2xl bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-700 flex items-center justify-between gap-3">
+                  <p className="text-xs text-charcoal-500 dark:text-sand-300">
+                    {request.completionProposal?.proposedBy
+                      ? `${getDisplayName(
+                          request.responses.find(r => r.helper?._id?.toString() === request.completionProposal.proposedBy.toString())?.helper,
+                          'Your helper'
+                        )} marked this as done. Got the help you needed?`
+                      : 'Got the help you needed? Complete the request to rate your helpers.'}
+                  </p>
+                  <button
+                    onClick={() => handleComplete(request._id)}
+                    disabled={actionLoading[`${request._id}-complete`]}
+                    className="px-3 py-2 rounded-lg text-xs font-bold bg-green-500 hover:bg-green-600 text-white disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1 whitespace-nowrap"
+                  >
+                    {actionLoading[`${request._id}-complete`] ? (
+                      <div className="w-3 h-3 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                    ) : (
+                      <>
+                        <CheckCircle size={14} />
+                        Complete
+                      </>
+                    )}
+                  </button>
+                </div>
+              )}
+
               {/* Helper Responses */}
               {request.responses && request.responses.length > 0 && (
                 <div className="mt-4 pt-4 border-t border-sand-200 dark:border-charcoal-700">
@@ -415,8 +618,20 @@ const HelpRequestsPage = () => {
                             </div>
                           )}
 
-                          {/* Reply Input - Show for accepted responses */}
-                          {isAccepted && (
+                          {/* Rating - creator rates each accepted helper once the request is completed */}
+                          {isAccepted && request.status === 'completed' && (
+                            <div className="mt-3 pt-3 border-t border-green-200 dark:border-green-700">
+                              <RatingForm
+                                label={`Rate ${helperName}`}
+                                existingRating={findMyRating(request, helper._id)}
+                                submitting={actionLoading[`${request._id}-rate-${helper._id}`]}
+                                onSubmit={(rating, comment) => handleRate(request._id, helper._id, rating, comment)}
+                              />
+                            </div>
+                          )}
+
+                          {/* Reply Input - Show for accepted responses until the request is completed */}
+                          {isAccepted && request.status !== 'completed' && (
                             <div className="mt-3 pt-3 border-t border-green-200 dark:border-green-700">
                               <div className="flex items-center gap-2">
                                 <input
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+import { cn } from '../../utils';
+
+/**
+ * Star rating + optional comment
+ * Shows the submitted rating read-only when `existingRating` is set
+ */
+const RatingForm = ({ label, existingRating, onSubmit, submitting }) => {
+  const [rating, setRating] = useState(0);
+  const [hovered, setHovered] = useState(0);
+  const [comment, setComment] = useState('');
+
+  if (existingRating) {
+    return (
+      <div className="space-y-1">
+        <p className="text-xs font-bold text-charcoal-500 dark:text-sand-50">{label}</p>
+        <div className="flex items-center gap-1">
+          {[1, 2, 3, 4, 5].map((value) => (
+            <Star
+              key={value}
+              size={16}
+              className={value <= existingRating.rating ? 'text-amber-500' : 'text-sand-300 dark:text-charcoal-600'}
+              fill={value <= existingRating.rating ? 'currentColor' : 'none'}
+            />
+          ))}
+          <span className="text-xs text-charcoal-300 dark:text-sand-400 ml-1">Rated</span>
+        </div>
+        {existingRating.comment && (
+          <p className="text-xs text-charcoal-400 dark:text-sand-400 italic">"{existingRating.comment}"</p>
+        )}
+      </div>
+    );
+  }
+
+  const activeValue = hovered || rating;
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs font-bold text-charcoal-500 dark:text-sand-50">{label}</p>
+      <div className="flex items-center gap-1" onMouseLeave={() => setHovered(0)}>
+        {[1, 2, 3, 4, 5].map((value) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setRating(value)}
+            onMouseEnter={() => setHovered(value)}
+            className="p-0.5"
+            aria-label={`${value} star${value !== 1 ? 's' : ''}`}
+          >
+            <Star
+              size={22}
+              className={value <= activeValue ? 'text-amber-500' : 'text-sand-300 dark:text-charcoal-600'}
+              fill={value <= activeValue ? 'currentColor' : 'none'}
+            />
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Add a comment (optional)"
+        className="w-full bg-white dark:bg-charcoal-700 border border-sand-200 dark:border-charcoal-600 rounded-lg px-3 py-2 text-sm text-charcoal-500 dark:text-sand-300 placeholder-charcoal-300 dark:placeholder-sand-500 focus:outline-none focus:ring-2 focus:ring-sage-500/20 resize-none"
+        rows={2}
+        maxLength={500}
+      />
+      <button
+        type="button"
+        onClick={() => onSubmit(rating, comment.trim())}
+        disabled={!rating || submitting}
+        className={cn(
+          "px-3 py-1.5 rounded-lg text-xs font-bold transition-colors",
+          rating && !submitting
+            ? "bg-sage-500 hover:bg-sage-600 text-white"
+            : "bg-sand-200 dark:bg-charcoal-700 text-charcoal-300 dark:text-sand-500 cursor-not-allowed"
+        )}
+      >
+        {submitting ? (
+          <div className="w-3 h-3 border-2 border-white border-t-transparent rounded-full animate-spin mx-auto" />
+        ) : (
+          'Submit Rating'
+        )}
+      </button>
+    </div>
+  );
+};
+
+export default RatingForm;
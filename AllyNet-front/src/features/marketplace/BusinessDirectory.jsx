@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, MapPin, BadgeCheck, Tag, Clock, Megaphone } from 'lucide-react';
+import { businessApi } from '../../api/business';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import { cn } from '../../utils';
+import { BUSINESS_CATEGORIES } from '../business/businessFormat';
+import BusinessDirectoryMap from './BusinessDirectoryMap';
+
+const PAGE_SIZE = 20;
+
+const RADIUS_OPTIONS = [
+  { meters: 2000, label: '2 km' },
+  { meters: 5000, label: '5 km' },
+  { meters: 10000, label: '10 km' },
+  { meters: 25000, label: '25 km' },
+  { meters: 50000, label: '50 km' }
+];
+
+const TOGGLE_FILTERS = [
+  { key: 'openNow', label: 'Open now' },
+  { key: 'verified', label: 'Verified' },
+  { key: 'hasPromotion', label: 'Deals' }
+];
+
+/**
+ * Business Directory (Explore tab) - API-FIRST
+ * - Nearby businesses, closest first, around the user's current location
+ * - Search by name, category, open now, verified only and running promotions
+ * - List and map side by side; "Load more" pages through the results
+ */
+const BusinessDirectory = () => {
+  const navigate = useNavigate();
+  const [origin, setOrigin] = useState(null);
+  const [locationError, setLocationError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({
+    q: '',
+    category: null,
+    radius: 10000,
+    openNow: false,
+    verified: false,
+    hasPromotion: false
+  });
+  const [businesses, setBusinesses] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    if (!navigator.geolocation) {
+      setLocationError('Location is required to find nearby businesses. Please enable location services.');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => setOrigin({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+      () => setLocationError('Location is required to find nearby businesses. Please enable location services.'),
+      { timeout: 10000, maximumAge: 60000 }
+    );
+  }, []);
+
+  const fetchPage = useCallback(async (pageToLoad) => {
+    if (!origin) return;
+
+    try {
+      setLoading(true);
+      const response = await businessApi.searchDirectory({
+        ...origin,
+        ...filters,
+        page: pageToLoad,
+        limit: PAGE_SIZE
+      });
+      const results = response?.data?.businesses || [];
+
+      setBusinesses((current) => (pageToLoad === 1 ? results : [...current, ...results]));
+      setTotal(response?.data?.total || 0);
+      setPage(pageToLoad);
+    } catch (err) {
+      console.error('Error searching businesses:', err);
+      if (pageToLoad === 1) {
+        setBusinesses([]);
+        setTotal(0);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [origin, filters]);
+
+  // New search whenever the location or a filter changes
+  useEffect(() => {
+    setSelectedId(null);
+    fetchPage(1);
+  }, [fetchPage]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters({ ...filters, q: search.trim() });
+  };
+
+  if (locationError) {
+    return (
+      <Card className="p-8 text-center">
+        <MapPin size={24} className="text-charcoal-300 mx-auto mb-2" />
+        <p className="text-charcoal-500 dark:text-sand-300">{locationError}</p>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Search */}
+      <form onSubmit={handleSearch} className="flex gap-2">
+        <div className="relative flex-1">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-charcoal-300 dark:text-sand-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="w-full pl-9 pr-4 py-2 border border-sand-300 dark:border-charcoal-600 rounded-xl bg-white dark:bg-charcoal-800 text-sm text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500"
+            placeholder="Search businesses"
+            maxLength={100}
+          />
+        </div>
+        <select
+          value={filters.radius}
+          onChange={(e) => setFilters({ ...filters, radius: parseInt(e.target.value, 10) })}
+          className="px-3 py-2 border border-sand-300 dark:border-charcoal-600 rounded-xl bg-white dark:bg-charcoal-800 text-xs font-bold text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500"
+        >
+          {RADIUS_OPTIONS.map((option) => (
+            <option key={option.meters} value={option.meters}>{option.label}</option>
+          ))}
+        </select>
+      </form>
+
+      {/* Category Filter */}
+      <div className="flex flex-wrap gap-2">
+        {[[null, 'All'], ...Object.entries(BUSINESS_CATEGORIES)].map(([value, label]) => (
+          <button
+            key={value || 'all'}
+            onClick={() => setFilters({ ...filters, category: value })}
+            className={cn(
+              'px-4 py-2 rounded-xl text-xs font-bold transition-all',
+              filters.category === value
+                ? 'bg-sage-500 text-white'
+                : 'bg-white dark:bg-charcoal-800 text-charcoal-300 dark:text-sand-400 border border-sand-200 dark:border-charcoal-700'
+            )}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Toggles */}
+      <div className="flex flex-wrap gap-2">
+        {TOGGLE_FILTERS.map((toggle) => (
+          <button
+            key={toggle.key}
+            onClick={() => setFilters({ ...filters, [toggle.key]: !filters[toggle.key] })}
+            className={cn(
+              'px-3 py-1.5 rounded-full text-[10px] font-bold uppercase tracking-widest transition-all',
+              filters[toggle.key]
+                ? 'bg-charcoal-500 dark:bg-sand-200 text-white dark:text-charcoal-900'
+                : 'bg-white dark:bg-charcoal-800 text-charcoal-300 dark:text-sand-400 border border-sand-200 dark:border-charcoal-700'
+            )}
+          >
+            {toggle.label}
+          </button>
+        ))}
+      </div>
+
+      {!origin ? (
+        <div className="text-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sage-500 mx-auto mb-4"></div>
+          <p className="text-charcoal-300 dark:text-sand-400">Finding your location...</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 items-start">
+          {/* Map */}
+          <div className="lg:sticky lg:top-4 lg:order-2">
+            <BusinessDirectoryMap
+              origin={origin}
+              businesses={businesses}
+              selectedId={selectedId}
+              onSelect={setSelectedId}
+            />
+          </div>
+
+          {/* Results */}
+          <div className="space-y-3 lg:order-1">
+            {loading && businesses.length === 0 ? (
+              <div className="text-center py-12">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sage-500 mx-auto mb-4"></div>
+                <p className="text-charcoal-300 dark:text-sand-400">Loading businesses...</p>
+              </div>
+            ) : businesses.length === 0 ? (
+              <Card className="p-8 text-center">
+                <p className="text-charcoal-500 dark:text-sand-300">No businesses found nearby.</p>
+              </Card>
+            ) : (
+              <>
+                <p className="text-xs text-charcoal-300 dark:text-sand-400">
+                  {total} business{total === 1 ? '' : 'es'} within {filters.radius / 1000} km
+                </p>
+                {businesses.map((business) => (
+                  <BusinessCard
+                    key={business._id}
+                    business={business}
+                    selected={business._id === selectedId}
+                    onSelect={() => setSelectedId(business._id)}
+                    onOpen={() => navigate(`/businesses/${business._id}`)}
+                  />
+                ))}
+                {businesses.length < total && (
+                  <Button
+                    variant="outline"
+                    className="w-full py-2 rounded-xl"
+                    onClick={() => fetchPage(page + 1)}
+                    disabled={loading}
+                  >
+                    {loading ? 'Loading...' : 'Load more'}
+                  </Button>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const BusinessCard = ({ business, selected, onSelect, onOpen }) => {
+  const promotion = business.promotions[0];
+
+  return (
+    <Card
+      className={cn(
+        'p-4 cursor-pointer transition-all',
+        selected ? 'border-coral-300 dark:border-coral-700' : 'hover:border-sage-200 dark:hover:border-sage-700'
+      )}
+      onClick={onSelect}
+    >
+      <div className="flex items-start justify-between gap-3">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-1.5">
+            <h3 className="text-base font-display text-charcoal-500 dark:text-sand-50 truncate">{business.name}</h3>
+            {business.isVerified && (
+              <BadgeCheck size={16} className="text-sage-500 shrink-0" title="Verified business" />
+            )}
+          </div>
+          <span className="text-[10px] font-bold text-sage-600 dark:text-sage-400 uppercase tracking-widest">
+            {BUSINESS_CATEGORIES[business.category] || business.category}
+          </span>
+        </div>
+        <span className="text-xs text-charcoal-300 dark:text-sand-400 shrink-0">{business.distanceKm} km</span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-2 text-[10px] font-bold uppercase">
+        {business.isOpenNow !== null && (
+          <span className={cn('flex items-center gap-1', business.isOpenNow ? 'text-sage-600 dark:text-sage-400' : 'text-charcoal-300 dark:text-sand-500')}>
+            <Clock size={12} />
+            {business.isOpenNow ? 'Open now' : 'Closed'}
+          </span>
+        )}
+        {business.adCount > 0 && (
+          <span className="flex items-center gap-1 text-charcoal-400 dark:text-sand-400">
+            <Megaphone size={12} />
+            {business.adCount} ad{business.adCount === 1 ? '' : 's'}
+          </span>
+        )}
+      </div>
+
+      {promotion && (
+        <p className="flex items-center gap-1.5 mt-2 text-xs text-amber-600 dark:text-amber-400 truncate">
+          <Tag size={12} className="shrink-0" />
+          {promotion.title}
+          {promotion.discount > 0 && ` · ${promotion.discount}% off`}
+        </p>
+      )}
+
+      {selected && (
+        <Button
+          className="w-full mt-3 py-2 rounded-xl"
+          onClick={(e) => {
+            e.stopPropagation();
+            onOpen();
+          }}
+        >
+          View business page
+        </Button>
+      )}
+    </Card>
+  );
+};
+
+export default BusinessDirectory;
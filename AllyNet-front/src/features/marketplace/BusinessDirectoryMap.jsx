@@ -0,0 +1,92 @@
+import React from 'react';
+import { ExternalLink } from 'lucide-react';
+import { cn } from '../../utils';
+
+// Approximate meters per degree (fine for a neighbourhood-sized directory)
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LON = 111320;
+
+const MIN_VISIBLE_RADIUS_METERS = 200;
+
+/**
+ * Business Directory Map
+ * - OpenStreetMap embed centered on the selected business (or the user)
+ * - Inset with every listed business plotted around the user; tap a dot to select it
+ *   (the free embed can only show one marker)
+ */
+const BusinessDirectoryMap = ({ origin, businesses, selectedId, onSelect }) => {
+  const selected = businesses.find((business) => business._id === selectedId);
+  const center = selected ? selected.location : origin;
+  const span = selected ? 0.005 : 0.02;
+  const openStreetMapUrl = `https://www.openstreetmap.org/export/embed.html?bbox=${center.longitude - span},${center.latitude - span},${center.longitude + span},${center.latitude + span}&layer=mapnik&marker=${center.latitude},${center.longitude}`;
+  const googleMapsUrl = `https://www.google.com/maps?q=${center.latitude},${center.longitude}`;
+
+  // Project to meters around the user (y grows downward in SVG) and scale to fit
+  const cosLat = Math.cos((origin.latitude * Math.PI) / 180);
+  const projected = businesses.map((business) => ({
+    id: business._id,
+    name: business.name,
+    x: (business.location.longitude - origin.longitude) * METERS_PER_DEGREE_LON * cosLat,
+    y: -(business.location.latitude - origin.latitude) * METERS_PER_DEGREE_LAT
+  }));
+  const maxDistance = projected.reduce(
+    (max, p) => Math.max(max, Math.sqrt(p.x * p.x + p.y * p.y)),
+    MIN_VISIBLE_RADIUS_METERS
+  );
+  const scale = 90 / maxDistance; // viewBox is -100..100, keep a small margin
+
+  return (
+    <div className="relative h-64 rounded-2xl overflow-hidden bg-sage-50 dark:bg-charcoal-700 border border-sand-200 dark:border-charcoal-700">
+      <iframe
+        width="100%"
+        height="100%"
+        style={{ border: 0 }}
+        loading="lazy"
+        referrerPolicy="no-referrer-when-downgrade"
+        src={openStreetMapUrl}
+        className="absolute inset-0"
+        title="Business Directory Map"
+      />
+
+      {projected.length > 0 && (
+        <div className="absolute top-3 right-3 w-32 bg-white/95 dark:bg-charcoal-800/95 backdrop-blur-sm rounded-2xl p-2 shadow-lg border border-sand-200 dark:border-charcoal-700">
+          <svg viewBox="-100 -100 200 200" preserveAspectRatio="xMidYMid meet" className="w-full h-28">
+            <circle cx="0" cy="0" r="90" fill="none" strokeDasharray="3 4" className="stroke-sand-300 dark:stroke-charcoal-600" />
+            {projected.map((p) => (
+              <circle
+                key={p.id}
+                cx={(p.x * scale).toFixed(1)}
+                cy={(p.y * scale).toFixed(1)}
+                r={p.id === selectedId ? 7 : 5}
+                strokeWidth="2"
+                className={cn(
+                  'cursor-pointer stroke-white',
+                  p.id === selectedId ? 'fill-coral-500' : 'fill-amber-500'
+                )}
+                onClick={() => onSelect(p.id)}
+              >
+                <title>{p.name}</title>
+              </circle>
+            ))}
+            <circle cx="0" cy="0" r="5" className="fill-sage-500 stroke-white" strokeWidth="2" />
+          </svg>
+          <p className="text-[10px] font-bold uppercase tracking-widest text-charcoal-400 dark:text-sand-400 text-center">
+            You · {projected.length} nearby
+          </p>
+        </div>
+      )}
+
+      <a
+        href={googleMapsUrl}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="absolute bottom-3 left-3 px-3 py-1.5 bg-white/95 dark:bg-charcoal-800/95 rounded-xl text-xs font-bold text-charcoal-500 dark:text-sand-50 shadow flex items-center gap-1.5"
+      >
+        <ExternalLink size={12} />
+        {selected ? selected.name : 'Open in Google Maps'}
+      </a>
+    </div>
+  );
+};
+
+export default BusinessDirectoryMap;
@@ -10,6 +10,12 @@ import { cn } from '../../utils';
 import CreateAdForm from './CreateAdForm';
 import AdHistory from '../ads/AdHistory';
 import AdDetailView from '../ads/AdDetailView';
+import BusinessDirectory from './BusinessDirectory';
+
+const TABS = [
+  { id: 'ads', label: 'Ads' },
+  { id: 'businesses', label: 'Businesses' }
+];
 
 const DiscoveryView = () => {
   const navigate = useNavigate();
@@ -20,6 +26,7 @@ const DiscoveryView = () => {
   const [showAdHistory, setShowAdHistory] = useState(false);
   const [selectedAdId, setSelectedAdId] = useState(null);
   const [category, setCategory] = useState(null);
+  const [tab, setTab] = useState('ads');
 
   const fetchAds = useCallback(async () => {
     try {
@@ -41,11 +48,12 @@ const DiscoveryView = () => {
   }, [category]);
 
   useEffect(() => {
+    if (tab !== 'ads') return;
     fetchAds();
     // Refresh ads every 10 seconds to get newly created ads
     const interval = setInterval(fetchAds, 10000);
     return () => clearInterval(interval);
-  }, [fetchAds]);
+  }, [fetchAds, tab]);
 
   const categories = [
     { id: null, label: 'All' },
@@ -80,43 +88,69 @@ const DiscoveryView = () => {
     <div className="space-y-6 pb-6">
       {/* Header with Create and History Buttons */}
       <div className="flex items-center justify-between">
-        <h2 className="text-xl font-display text-charcoal-500 dark:text-sand-50">Explore Ads</h2>
-        <div className="flex gap-2">
-          <Button
-            onClick={() => setShowAdHistory(true)}
-            className="flex items-center gap-2 text-sm py-2 px-4 bg-charcoal-500 dark:bg-charcoal-700 hover:bg-charcoal-600 dark:hover:bg-charcoal-600"
-          >
-            <History size={16} />
-            Ad History
-          </Button>
-          <Button
-            onClick={() => setShowCreateForm(true)}
-            className="flex items-center gap-2 text-sm py-2 px-4"
-          >
-            <Plus size={16} />
-            Create Ad
-          </Button>
-        </div>
+        <h2 className="text-xl font-display text-charcoal-500 dark:text-sand-50">
+          {tab === 'ads' ? 'Explore Ads' : 'Nearby Businesses'}
+        </h2>
+        {tab === 'ads' && (
+          <div className="flex gap-2">
+            <Button
+              onClick={() => setShowAdHistory(true)}
+              className="flex items-center gap-2 text-sm py-2 px-4 bg-charcoal-500 dark:bg-charcoal-700 hover:bg-charcoal-600 dark:hover:bg-charcoal-600"
+            >
+              <History size={16} />
+              Ad History
+            </Button>
+            <Button
+              onClick={() => setShowCreateForm(true)}
+              className="flex items-center gap-2 text-sm py-2 px-4"
+            >
+              <Plus size={16} />
+              Create Ad
+            </Button>
+          </div>
+        )}
       </div>
 
-      {/* Category Filter */}
-      <div className="flex flex-wrap gap-2">
-        {categories.map((cat) => (
+      {/* Tabs */}
+      <div className="flex gap-1 p-1 bg-sand-200/60 dark:bg-charcoal-800 rounded-xl">
+        {TABS.map((item) => (
           <button
-            key={cat.id || 'all'}
-            onClick={() => setCategory(cat.id)}
+            key={item.id}
+            onClick={() => setTab(item.id)}
             className={cn(
-              'px-4 py-2 rounded-xl text-xs font-bold transition-all',
-              category === cat.id
-                ? 'bg-sage-500 text-white'
-                : 'bg-white dark:bg-charcoal-800 text-charcoal-300 dark:text-sand-400 border border-sand-200 dark:border-charcoal-700'
+              'flex-1 py-2 rounded-lg text-xs font-bold transition-all',
+              tab === item.id
+                ? 'bg-white dark:bg-charcoal-700 text-charcoal-500 dark:text-sand-50 shadow-sm'
+                : 'text-charcoal-300 dark:text-sand-400'
             )}
           >
-            {cat.label}
+            {item.label}
           </button>
         ))}
       </div>
 
+      {tab === 'businesses' && <BusinessDirectory />}
+
+      {/* Category Filter */}
+      {tab === 'ads' && (
+        <div className="flex flex-wrap gap-2">
+          {categories.map((cat) => (
+            <button
+              key={cat.id || 'all'}
+              onClick={() => setCategory(cat.id)}
+              className={cn(
+                'px-4 py-2 rounded-xl text-xs font-bold transition-all',
+                category === cat.id
+                  ? 'bg-sage-500 text-white'
+                  : 'bg-white dark:bg-charcoal-800 text-charcoal-300 dark:text-sand-400 border border-sand-200 dark:border-charcoal-700'
+              )}
+            >
+              {cat.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Create Ad Form Modal */}
       <AnimatePresence>
         {showCreateForm && (
@@ -139,7 +173,7 @@ const DiscoveryView = () => {
       />
 
       {/* Ads Grid */}
-      {loading ? (
+      {tab !== 'ads' ? null : loading ? (
         <div className="text-center py-12">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sage-500 mx-auto mb-4"></div>
           <p className="text-charcoal-300 dark:text-sand-400">Loading ads...</p>
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import { api } from '../../api/auth';
+import { useAuthStore } from '../../store/useAuthStore';
+import { cn } from '../../utils';
+
+const MOBILE_PATTERN = /iPhone|iPad|Android/;
+
+const formatLastSeen = (dateString) => {
+  const date = new Date(dateString);
+  if (!dateString || Number.isNaN(date.getTime())) return 'unknown';
+
+  const diffMins = Math.floor((Date.now() - date.getTime()) / 60000);
+  const diffHours = Math.floor(diffMins / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffMins < 1) return 'just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffDays < 7) return `${diffDays}d ago`;
+
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Active Sessions - API-FIRST
+ * - Lists devices signed in to this account (device, IP, last seen, live connection)
+ * - Signs out a single device or every other device (their SOS sockets are disconnected too)
+ */
+const ActiveSessions = () => {
+  const logout = useAuthStore((state) => state.logout);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getSessions();
+      if (response?.success && response?.data) {
+        setSessions(response.data.sessions || []);
+      }
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+
+    setRevokingId(session._id);
+    try {
+      await api.revokeSession(session._id);
+      setSessions((current) => current.filter((s) => s._id !== session._id));
+    } catch (error) {
+      console.error('Error signing out device:', error);
+      alert(error.message || 'Failed to sign out device. Please try again.');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of all other devices?')) return;
+
+    setRevokingId('others');
+    try {
+      await api.revokeOtherSessions();
+      setSessions((current) => current.filter((s) => s.current));
+    } catch (error) {
+      console.error('Error signing out other devices:', error);
+      alert(error.message || 'Failed to sign out other devices. Please try again.');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const otherSessions = sessions.filter((session) => !session.current);
+
+  return (
+    <Card className="p-4 space-y-3 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+      {loading && sessions.length === 0 && (
+        <p className="text-xs text-charcoal-300 dark:text-sand-400">Loading...</p>
+      )}
+
+      {sessions.map((session) => {
+        const DeviceIcon = MOBILE_PATTERN.test(session.deviceLabel || '') ? Smartphone : Monitor;
+
+        return (
+          <div key={session._id} className="flex items-center gap-3">
+            <div className="relative p-2 rounded-xl bg-sand-100 dark:bg-charcoal-700 text-charcoal-400 dark:text-sand-300">
+              <DeviceIcon size={18} />
+              <span
+                className={cn(
+                  "absolute -top-0.5 -right-0.5 w-2.5 h-2.5 rounded-full border-2 border-white dark:border-charcoal-800",
+                  session.socketConnected ? "bg-sage-500" : "bg-sand-300 dark:bg-charcoal-500"
+                )}
+                title={session.socketConnected ? 'Connected now' : 'Not connected'}
+              />
+            </div>
+            <div className="flex-1 min-w-0">
+              <span className="block text-sm font-medium text-charcoal-500 dark:text-sand-50 truncate">
+                {session.deviceLabel}
+                {session.current && (
+                  <span className="ml-2 text-[10px] font-bold uppercase tracking-wider text-sage-600 dark:text-sage-400">This device</span>
+                )}
+              </span>
+              <span className="block text-xs text-charcoal-300 dark:text-sand-400 truncate">
+                {[session.ipAddress, session.socketConnected ? 'Online' : `Last seen ${formatLastSeen(session.lastUsedAt)}`]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </span>
+            </div>
+            <button
+              onClick={() => handleRevoke(session)}
+              disabled={revokingId !== null}
+              className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors disabled:opacity-50"
+              title={session.current ? 'Log out' : 'Sign out this device'}
+            >
+              <LogOut size={16} className="text-coral-500" />
+            </button>
+          </div>
+        );
+      })}
+
+      {otherSessions.length > 0 && (
+        <Button
+          variant="secondary"
+          className="w-full py-2 rounded-xl"
+          onClick={handleRevokeOthers}
+          disabled={revokingId !== null}
+        >
+          {revokingId === 'others' ? 'Signing out...' : 'Sign out other devices'}
+        </Button>
+      )}
+    </Card>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,272 @@
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Radio, CalendarClock, ChevronDown, Plus, Trash2 } from 'lucide-react';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import { api } from '../../api/auth';
+import { cn } from '../../utils';
+
+const MotionDiv = motion.div;
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const inputClassName = "px-3 py-2 border border-sand-300 dark:border-charcoal-600 rounded-lg bg-white dark:bg-charcoal-700 text-sm text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500";
+
+/**
+ * Helper Availability Control - API-FIRST
+ * - On-duty toggle (saved immediately)
+ * - Quiet hours, weekly schedule, max concurrent emergencies (saved together)
+ * - Backend matching and SOS dispatch skip helpers who aren't available
+ */
+const AvailabilityControl = () => {
+  const [availability, setAvailability] = useState(null);
+  const [availableNow, setAvailableNow] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    const fetchAvailability = async () => {
+      try {
+        setLoading(true);
+        const response = await api.getAvailability();
+        if (response?.success && response?.data) {
+          setAvailability(response.data.availability);
+          setAvailableNow(response.data.availableNow);
+        }
+      } catch (err) {
+        console.error('Error fetching availability:', err);
+        setError(err.message || 'Failed to load availability');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAvailability();
+  }, []);
+
+  const saveAvailability = async (updates) => {
+    try {
+      setSaving(true);
+      setError(null);
+      // Schedule is evaluated in the device's timezone
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+      const response = await api.updateAvailability({ ...updates, timezone });
+      if (response?.success && response?.data) {
+        setAvailability(response.data.availability);
+        setAvailableNow(response.data.availableNow);
+        return true;
+      }
+      throw new Error('Failed to update availability');
+    } catch (err) {
+      console.error('Error updating availability:', err);
+      setError(err.message || 'Failed to update availability');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateDraft = (changes) => {
+    setAvailability((current) => ({ ...current, ...changes }));
+  };
+
+  const updateSlot = (index, changes) => {
+    const weeklySchedule = (availability.weeklySchedule || []).map((slot, i) =>
+      i === index ? { ...slot, ...changes } : slot
+    );
+    updateDraft({ weeklySchedule });
+  };
+
+  const onDuty = availability?.onDuty !== false;
+  const quietHours = availability?.quietHours || { enabled: false, start: '22:00', end: '07:00' };
+  const weeklySchedule = availability?.weeklySchedule || [];
+
+  return (
+    <>
+      <Card className="flex items-center justify-between p-4 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+        <div className="flex items-center gap-4">
+          <div className={cn(
+            "p-2 rounded-xl",
+            onDuty ? "bg-sage-100 dark:bg-sage-900/30 text-sage-600 dark:text-sage-400" : "bg-sand-100 dark:bg-charcoal-700 text-charcoal-300 dark:text-sand-400"
+          )}>
+            <Radio size={20} />
+          </div>
+          <div>
+            <span className="block text-sm font-medium text-charcoal-500 dark:text-sand-50">On Duty</span>
+            <span className="block text-xs text-charcoal-300 dark:text-sand-400">
+              {loading ? 'Loading...' : !onDuty ? 'Not receiving SOS alerts' : availableNow ? 'Receiving SOS alerts' : 'On duty, outside your schedule'}
+            </span>
+          </div>
+        </div>
+        <button
+          onClick={() => saveAvailability({ onDuty: !onDuty })}
+          disabled={loading || saving}
+          className={cn(
+            "relative flex items-center w-14 h-8 p-1 rounded-full transition-colors duration-300 focus:outline-none ring-offset-2 focus:ring-2 ring-sage-500/20 disabled:opacity-50",
+            onDuty ? "bg-sage-500" : "bg-sand-200 dark:bg-charcoal-700"
+          )}
+          title={onDuty ? 'Go off duty' : 'Go on duty'}
+        >
+          <MotionDiv
+            layout
+            transition={{ type: "spring", stiffness: 500, damping: 30 }}
+            className={cn(
+              "w-6 h-6 rounded-full shadow-sm bg-white",
+              onDuty ? "ml-auto" : "mr-auto"
+            )}
+          />
+        </button>
+      </Card>
+
+      <Card
+        className="p-4 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm"
+      >
+        <button
+          onClick={() => setExpanded(!expanded)}
+          disabled={loading || !availability}
+          className="w-full flex items-center justify-between"
+        >
+          <div className="flex items-center gap-4">
+            <div className="p-2 bg-sand-100 dark:bg-charcoal-700 text-charcoal-300 dark:text-sand-400 rounded-xl">
+              <CalendarClock size={20} />
+            </div>
+            <span className="text-sm font-medium text-charcoal-500 dark:text-sand-50">Availability Schedule</span>
+          </div>
+          <ChevronDown
+            size={18}
+            className={cn("text-charcoal-200 transition-transform", expanded && "rotate-180")}
+          />
+        </button>
+
+        <AnimatePresence>
+          {expanded && availability && (
+            <MotionDiv
+              initial={{ height: 0, opacity: 0 }}
+              animate={{ height: 'auto', opacity: 1 }}
+              exit={{ height: 0, opacity: 0 }}
+              className="overflow-hidden"
+            >
+              <div className="pt-4 space-y-5">
+                {/* Quiet Hours */}
+                <div>
+                  <label className="flex items-center gap-2 text-sm font-medium text-charcoal-500 dark:text-sand-300 mb-2">
+                    <input
+                      type="checkbox"
+                      checked={quietHours.enabled}
+                      onChange={(e) => updateDraft({ quietHours: { ...quietHours, enabled: e.target.checked } })}
+                      className="accent-sage-500"
+                    />
+                    Quiet hours (no SOS alerts)
+                  </label>
+                  {quietHours.enabled && (
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="time"
+                        value={quietHours.start}
+                        onChange={(e) => updateDraft({ quietHours: { ...quietHours, start: e.target.value } })}
+                        className={inputClassName}
+                      />
+                      <span className="text-xs text-charcoal-300 dark:text-sand-400">to</span>
+                      <input
+                        type="time"
+                        value={quietHours.end}
+                        onChange={(e) => updateDraft({ quietHours: { ...quietHours, end: e.target.value } })}
+                        className={inputClassName}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                {/* Weekly Schedule */}
+                <div>
+                  <p className="text-sm font-medium text-charcoal-500 dark:text-sand-300 mb-1">Weekly schedule</p>
+                  <p className="text-xs text-charcoal-300 dark:text-sand-400 mb-2">
+                    {weeklySchedule.length === 0 ? 'No schedule - available any time you are on duty.' : 'Only available during these times.'}
+                  </p>
+                  <div className="space-y-2">
+                    {weeklySchedule.map((slot, index) => (
+                      <div key={slot._id || index} className="flex items-center gap-2">
+                        <select
+                          value={slot.day}
+                          onChange={(e) => updateSlot(index, { day: parseInt(e.target.value) })}
+                          className={inputClassName}
+                        >
+                          {DAYS.map((day, dayIndex) => (
+                            <option key={day} value={dayIndex}>{day}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="time"
+                          value={slot.start}
+                          onChange={(e) => updateSlot(index, { start: e.target.value })}
+                          className={cn(inputClassName, "flex-1 min-w-0")}
+                        />
+                        <input
+                          type="time"
+                          value={slot.end}
+                          onChange={(e) => updateSlot(index, { end: e.target.value })}
+                          className={cn(inputClassName, "flex-1 min-w-0")}
+                        />
+                        <button
+                          onClick={() => updateDraft({ weeklySchedule: weeklySchedule.filter((_, i) => i !== index) })}
+                          className="p-2 hover:bg-coral-50 dark:hover:bg-coral-900/20 rounded-lg transition-colors"
+                          title="Remove slot"
+                        >
+                          <Trash2 size={16} className="text-coral-500" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => updateDraft({ weeklySchedule: [...weeklySchedule, { day: new Date().getDay(), start: '09:00', end: '17:00' }] })}
+                    className="mt-2 flex items-center gap-1 text-xs font-bold text-sage-600 dark:text-sage-400"
+                  >
+                    <Plus size={14} />
+                    Add time slot
+                  </button>
+                </div>
+
+                {/* Max Concurrent */}
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-charcoal-500 dark:text-sand-300">Max emergencies at once</span>
+                  <select
+                    value={availability.maxConcurrentEmergencies || 1}
+                    onChange={(e) => updateDraft({ maxConcurrentEmergencies: parseInt(e.target.value) })}
+                    className={inputClassName}
+                  >
+                    {[1, 2, 3, 4, 5].map(value => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <Button
+                  className="w-full"
+                  disabled={saving}
+                  onClick={async () => {
+                    const saved = await saveAvailability({
+                      quietHours,
+                      weeklySchedule: weeklySchedule.map(({ day, start, end }) => ({ day, start, end })),
+                      maxConcurrentEmergencies: availability.maxConcurrentEmergencies || 1
+                    });
+                    if (saved) setExpanded(false);
+                  }}
+                >
+                  {saving ? 'Saving...' : 'Save Availability'}
+                </Button>
+              </div>
+            </MotionDiv>
+          )}
+        </AnimatePresence>
+      </Card>
+
+      {error && (
+        <p className="text-xs text-coral-600 dark:text-coral-400 ml-4">{error}</p>
+      )}
+    </>
+  );
+};
+
+export default AvailabilityControl;
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react';
+import { ShieldCheck, FileText, Upload, X } from 'lucide-react';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import { verificationApi } from '../../api/verification';
+import { cn } from '../../utils';
+
+const DOCUMENT_TYPES = {
+  id_card: 'ID card',
+  passport: 'Passport',
+  drivers_license: "Driver's license",
+  certification: 'Certification',
+  other: 'Other'
+};
+
+const STATUS_LABELS = {
+  unverified: 'Not verified',
+  pending: 'Under review',
+  verified: 'Verified helper',
+  rejected: 'Not approved',
+  expired: 'Verification expired'
+};
+
+const MAX_DOCUMENTS = 5;
+
+// Verified helpers can renew this many days before expiry (matches the backend)
+const RENEWAL_WINDOW_DAYS = 30;
+
+const selectClassName = "px-2 py-1 border border-sand-300 dark:border-charcoal-600 rounded-lg bg-white dark:bg-charcoal-700 text-xs text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500";
+
+/**
+ * Helper Verification - API-FIRST
+ * - Shows verification status, reviewer notes and expiry
+ * - Uploads identity documents (JPEG, PNG or PDF) for admin review
+ * - Some emergency types only alert verified helpers; others rank them first
+ */
+const HelperVerification = () => {
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [documents, setDocuments] = useState([]);
+
+  useEffect(() => {
+    const fetchVerification = async () => {
+      try {
+        setLoading(true);
+        const response = await verificationApi.getMyVerification();
+        if (response?.success && response?.data) {
+          setVerification(response.data.verification);
+        }
+      } catch (err) {
+        console.error('Error fetching verification:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchVerification();
+  }, []);
+
+  const handleFilesSelected = (event) => {
+    const files = Array.from(event.target.files || []);
+    setDocuments((current) => [
+      ...current,
+      ...files.map((file) => ({ file, documentType: 'id_card' }))
+    ].slice(0, MAX_DOCUMENTS));
+    event.target.value = '';
+  };
+
+  const handleSubmit = async () => {
+    if (documents.length === 0 || submitting) return;
+
+    setSubmitting(true);
+    try {
+      const response = await verificationApi.submitVerification(documents);
+      if (!response?.success) {
+        throw new Error(response?.error?.message || 'Failed to submit verification');
+      }
+      setVerification(response.data.verification);
+      setDocuments([]);
+      alert(response.message || 'Verification submitted.');
+    } catch (error) {
+      console.error('Error submitting verification:', error);
+      alert(error.message || 'Failed to submit verification. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const status = verification?.status || 'unverified';
+  const expiresAt = verification?.expiresAt ? new Date(verification.expiresAt) : null;
+  const canRenew = status === 'verified' && expiresAt &&
+    expiresAt.getTime() - Date.now() <= RENEWAL_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const canSubmit = ['unverified', 'rejected', 'expired'].includes(status) || canRenew;
+
+  return (
+    <Card className="p-4 space-y-4 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+      <div className="flex items-center gap-4">
+        <div className={cn(
+          "p-2 rounded-xl",
+          status === 'verified'
+            ? "bg-sage-100 dark:bg-sage-900/30 text-sage-600 dark:text-sage-400"
+            : status === 'pending'
+              ? "bg-amber-100 dark:bg-amber-900/30 text-amber-600 dark:text-amber-400"
+              : "bg-sand-100 dark:bg-charcoal-700 text-charcoal-300 dark:text-sand-400"
+        )}>
+          <ShieldCheck size={20} />
+        </div>
+        <div>
+          <span className="block text-sm font-medium text-charcoal-500 dark:text-sand-50">
+            {loading ? 'Loading...' : STATUS_LABELS[status]}
+          </span>
+          <span className="block text-xs text-charcoal-300 dark:text-sand-400">
+            {status === 'verified' && expiresAt
+              ? `Valid until ${expiresAt.toLocaleDateString()}`
+              : status === 'pending'
+                ? 'We will notify you once your documents are reviewed'
+                : 'Verified helpers are alerted first - some SOS types only alert verified helpers'}
+          </span>
+        </div>
+      </div>
+
+      {verification?.reviewNotes && status !== 'pending' && (
+        <p className="text-xs text-charcoal-400 dark:text-sand-300 bg-sand-50 dark:bg-charcoal-700 rounded-lg px-3 py-2">
+          Reviewer notes: {verification.reviewNotes}
+        </p>
+      )}
+
+      {canSubmit && (
+        <div className="space-y-3">
+          {documents.map((document, index) => (
+            <div key={`${document.file.name}-${index}`} className="flex items-center gap-2">
+              <FileText size={16} className="text-charcoal-300 dark:text-sand-400 shrink-0" />
+              <span className="flex-1 truncate text-xs text-charcoal-500 dark:text-sand-300">{document.file.name}</span>
+              <select
+                value={document.documentType}
+                onChange={(e) => setDocuments((current) => current.map((doc, i) =>
+                  i === index ? { ...doc, documentType: e.target.value } : doc
+                ))}
+                className={selectClassName}
+              >
+                {Object.entries(DOCUMENT_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setDocuments((current) => current.filter((_, i) => i !== index))}
+                className="p-1 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+                title="Remove document"
+              >
+                <X size={14} className="text-charcoal-400 dark:text-sand-400" />
+              </button>
+            </div>
+          ))}
+
+          {documents.length < MAX_DOCUMENTS && (
+            <label className="flex items-center justify-center gap-2 w-full py-2 border border-dashed border-sand-300 dark:border-charcoal-600 rounded-lg text-xs font-bold text-charcoal-400 dark:text-sand-300 cursor-pointer hover:bg-sand-50 dark:hover:bg-charcoal-700 transition-colors">
+              <Upload size={14} />
+              Add ID or certificate (JPEG, PNG or PDF)
+              <input
+                type="file"
+                accept="image/jpeg,image/png,application/pdf"
+                multiple
+                onChange={handleFilesSelected}
+                className="hidden"
+              />
+            </label>
+          )}
+
+          <Button
+            className="w-full py-2 rounded-xl"
+            onClick={handleSubmit}
+            disabled={documents.length === 0 || submitting}
+          >
+            {submitting ? 'Uploading...' : canRenew ? 'Renew Verification' : 'Submit for Verification'}
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default HelperVerification;
@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { Link2, Copy, X, Upload, Globe } from 'lucide-react';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import { organizationApi } from '../../api/organization';
+import { cn } from '../../utils';
+
+// Invite codes and auto-join never grant admin - admins are promoted from the member list
+const JOIN_ROLES = {
+  member: 'Member',
+  moderator: 'Moderator'
+};
+
+const EXPIRY_OPTIONS = [1, 7, 30, 90];
+
+const selectClassName = "px-2 py-1 border border-sand-300 dark:border-charcoal-600 rounded-lg bg-white dark:bg-charcoal-700 text-xs text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500";
+const inputClassName = "w-full px-4 py-2 border border-sand-300 dark:border-charcoal-600 rounded-lg bg-white dark:bg-charcoal-700 text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500";
+
+/**
+ * Organization Invite Tools (org admins) - API-FIRST
+ * - Invite codes / signup links that expire (optionally limited to a number of uses)
+ * - Bulk invitations from a CSV file (`email[,role]` per line)
+ * - Email-domain auto-join for company and campus organizations
+ */
+const OrganizationInviteTools = ({ organization, onChange }) => {
+  const [busy, setBusy] = useState(false);
+  const [codeForm, setCodeForm] = useState({ role: 'member', expiresInDays: 7, maxUses: '' });
+  const [bulkResult, setBulkResult] = useState(null);
+  const [domains, setDomains] = useState((organization.autoJoin?.domains || []).join(', '));
+
+  const autoJoin = organization.autoJoin || {};
+
+  // Runs an action, alerts on failure and reloads the organization on success
+  const runAction = async (action, failureMessage) => {
+    setBusy(true);
+    try {
+      const response = await action();
+      await onChange();
+      return response;
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(error.message || failureMessage);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreateCode = (e) => {
+    e.preventDefault();
+    runAction(
+      () => organizationApi.createInviteCode(organization._id, {
+        role: codeForm.role,
+        expiresInDays: codeForm.expiresInDays,
+        maxUses: codeForm.maxUses ? parseInt(codeForm.maxUses, 10) : null
+      }),
+      'Failed to create invite code. Please try again.'
+    );
+  };
+
+  const handleCopy = async (inviteCode) => {
+    try {
+      await navigator.clipboard.writeText(inviteCode.link);
+      alert('Invite link copied.');
+    } catch {
+      window.prompt('Copy this invite link:', inviteCode.link);
+    }
+  };
+
+  const handleCsvSelected = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const csv = await file.text();
+    const response = await runAction(
+      () => organizationApi.bulkInvite(organization._id, csv),
+      'Failed to import invitations. Please check the file and try again.'
+    );
+    if (response?.success) {
+      setBulkResult(response.data);
+    }
+  };
+
+  const handleSaveAutoJoin = (enabled) => {
+    runAction(
+      () => organizationApi.updateOrganization(organization._id, {
+        autoJoin: {
+          enabled,
+          domains: domains.split(/[\s,]+/).filter(Boolean)
+        }
+      }),
+      'Failed to update auto-join. Please try again.'
+    );
+  };
+
+  return (
+    <>
+      {/* Invite Codes */}
+      <Card className="p-4 space-y-3 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+        <div>
+          <span className="block text-sm font-medium text-charcoal-500 dark:text-sand-50">Invite links</span>
+          <span className="block text-xs text-charcoal-300 dark:text-sand-400">
+            Anyone with the link or code can join - new users enter it when they sign up
+          </span>
+        </div>
+
+        <form onSubmit={handleCreateCode} className="flex flex-wrap items-center gap-2">
+          <select
+            value={codeForm.role}
+            onChange={(e) => setCodeForm({ ...codeForm, role: e.target.value })}
+            className={selectClassName}
+          >
+            {Object.entries(JOIN_ROLES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={codeForm.expiresInDays}
+            onChange={(e) => setCodeForm({ ...codeForm, expiresInDays: parseInt(e.target.value, 10) })}
+            className={selectClassName}
+          >
+            {EXPIRY_OPTIONS.map((days) => (
+              <option key={days} value={days}>{days === 1 ? '1 day' : `${days} days`}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min={1}
+            value={codeForm.maxUses}
+            onChange={(e) => setCodeForm({ ...codeForm, maxUses: e.target.value })}
+            className={cn(selectClassName, "w-24")}
+            placeholder="Max uses"
+          />
+          <Button type="submit" className="px-4 py-1 rounded-xl" disabled={busy}>
+            Create
+          </Button>
+        </form>
+
+        {organization.inviteCodes?.map((inviteCode) => (
+          <div key={inviteCode._id} className="flex items-center gap-3">
+            <Link2 size={16} className="text-charcoal-300 dark:text-sand-400 shrink-0" />
+            <div className="flex-1 min-w-0">
+              <span className="block text-xs font-bold tracking-widest text-charcoal-500 dark:text-sand-50">{inviteCode.code}</span>
+              <span className="block text-[10px] text-charcoal-300 dark:text-sand-400 truncate">
+                {[
+                  JOIN_ROLES[inviteCode.role],
+                  `Expires ${new Date(inviteCode.expiresAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
+                  inviteCode.maxUses ? `${inviteCode.uses}/${inviteCode.maxUses} used` : `${inviteCode.uses} used`
+                ].join(' · ')}
+              </span>
+            </div>
+            <button
+              onClick={() => handleCopy(inviteCode)}
+              className="p-1 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+              title="Copy invite link"
+            >
+              <Copy size={14} className="text-charcoal-400 dark:text-sand-400" />
+            </button>
+            <button
+              onClick={() => runAction(
+                () => organizationApi.revokeInviteCode(organization._id, inviteCode._id),
+                'Failed to revoke invite code. Please try again.'
+              )}
+              disabled={busy}
+              className="p-1 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors disabled:opacity-50"
+              title="Revoke invite code"
+            >
+              <X size={14} className="text-charcoal-400 dark:text-sand-400" />
+            </button>
+          </div>
+        ))}
+      </Card>
+
+      {/* Bulk CSV Invite */}
+      <Card className="p-4 space-y-3 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+        <div>
+          <span className="block text-sm font-medium text-charcoal-500 dark:text-sand-50">Invite from a CSV</span>
+          <span className="block text-xs text-charcoal-300 dark:text-sand-400">
+            One person per line: email, role (optional - member, moderator or admin)
+          </span>
+        </div>
+        <label className={cn(
+          "flex items-center justify-center gap-2 w-full py-2 border border-dashed border-sand-300 dark:border-charcoal-600 rounded-lg text-xs font-bold text-charcoal-400 dark:text-sand-300 cursor-pointer hover:bg-sand-50 dark:hover:bg-charcoal-700 transition-colors",
+          busy && "opacity-50 pointer-events-none"
+        )}>
+          <Upload size={14} />
+          {busy ? 'Importing...' : 'Upload CSV'}
+          <input
+            type="file"
+            accept=".csv,text/csv,text/plain"
+            onChange={handleCsvSelected}
+            className="hidden"
+          />
+        </label>
+        {bulkResult && (
+          <div className="text-xs text-charcoal-400 dark:text-sand-300 bg-sand-50 dark:bg-charcoal-700 rounded-lg px-3 py-2 space-y-1">
+            <p>
+              {bulkResult.invited.length} invited · {bulkResult.updated.length} updated · {bulkResult.skipped.length} skipped
+            </p>
+            {bulkResult.skipped.map((row, index) => (
+              <p key={`${row.email}-${index}`} className="text-[10px] text-coral-600 dark:text-coral-400 truncate">
+                {row.email}: {row.reason}
+              </p>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      {/* Email-Domain Auto-Join (company and campus organizations) */}
+      {autoJoin.available && (
+        <Card className="p-4 space-y-3 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+          <div className="flex items-start gap-3">
+            <Globe size={18} className="text-sage-600 dark:text-sage-400 shrink-0 mt-0.5" />
+            <div>
+              <span className="block text-sm font-medium text-charcoal-500 dark:text-sand-50">
+                Email-domain auto-join {autoJoin.enabled ? 'on' : 'off'}
+              </span>
+              <span className="block text-xs text-charcoal-300 dark:text-sand-400">
+                People who verify an email on these domains join as {JOIN_ROLES[autoJoin.role]?.toLowerCase() || 'member'}
+              </span>
+              {!organization.isVerified && (
+                <span className="block text-xs text-amber-600 dark:text-amber-400 mt-1">
+                  Auto-join can be turned on once AllyNet has verified that your organization owns these domains - contact support.
+                </span>
+              )}
+            </div>
+          </div>
+          <input
+            type="text"
+            value={domains}
+            onChange={(e) => setDomains(e.target.value)}
+            className={inputClassName}
+            placeholder="example.com, campus.example.edu"
+          />
+          <div className="flex gap-2">
+            <Button
+              className="flex-1 py-2 rounded-xl"
+              onClick={() => handleSaveAutoJoin(organization.isVerified)}
+              disabled={busy || !domains.trim()}
+            >
+              {autoJoin.enabled || !organization.isVerified ? 'Save Domains' : 'Turn On'}
+            </Button>
+            {autoJoin.enabled && (
+              <Button
+                variant="secondary"
+                className="flex-1 py-2 rounded-xl"
+                onClick={() => handleSaveAutoJoin(false)}
+                disabled={busy}
+              >
+                Turn Off
+              </Button>
+            )}
+          </div>
+        </Card>
+      )}
+    </>
+  );
+};
+
+export default OrganizationInviteTools;
@@ -1,108 +1,639 @@
-import React from 'react';
-import Card from '../../components/Card';
-import { 
-  Users, 
-  ShieldAlert, 
-  BarChart3, 
-  CreditCard, 
-  ChevronRight,
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Users,
+  ShieldAlert,
+  BarChart3,
+  CreditCard,
+  Building2,
+  Mail,
+  X,
+  Trash2,
+  LogOut,
   MapPin,
-  Clock
+  KeyRound
 } from 'lucide-react';
+import Card from '../../components/Card';
 import Button from '../../components/Button';
+import { organizationApi } from '../../api/organization';
+import OrganizationInviteTools from './OrganizationInviteTools';
+import { useAuthStore } from '../../store/useAuthStore';
+import { useEmergencyStore } from '../../store/useEmergencyStore';
+import { cn } from '../../utils';
+
+const ORGANIZATION_TYPES = {
+  apartment: 'Apartment',
+  college: 'College',
+  university: 'University',
+  ngo: 'NGO',
+  community_center: 'Community Center',
+  company: 'Company',
+  government: 'Government',
+  other: 'Other'
+};
+
+const ROLE_LABELS = {
+  member: 'Member',
+  moderator: 'Moderator',
+  admin: 'Admin'
+};
+
+const EMERGENCY_SETTINGS = [
+  { key: 'enableDashboard', label: 'Live emergency view', description: 'Admins and moderators can follow member SOS alerts here' },
+  { key: 'alertAdmins', label: 'Alert admins', description: 'Org admins get an in-app alert and an email when a member triggers SOS' },
+  { key: 'alertAllMembers', label: 'Alert all members', description: 'Every member gets an in-app alert and an email' }
+];
+
+// Dashboard counts and member emergencies refresh while the page is open (and on every org SOS alert)
+const DASHBOARD_REFRESH_MS = 15000;
 
+const formatType = (type) => (type ? type.charAt(0).toUpperCase() + type.slice(1).replace('_', ' ') : 'Emergency');
+
+const formatTimeAgo = (dateString) => {
+  const diffMins = Math.floor((Date.now() - new Date(dateString).getTime()) / 60000);
+  if (diffMins < 1) return 'just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  return `${Math.floor(diffMins / 60)}h ago`;
+};
+
+const inputClassName = "w-full px-4 py-2 border border-sand-300 dark:border-charcoal-600 rounded-lg bg-white dark:bg-charcoal-700 text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500";
+const selectClassName = "px-2 py-1 border border-sand-300 dark:border-charcoal-600 rounded-lg bg-white dark:bg-charcoal-700 text-xs text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500";
+
+/**
+ * Organization Dashboard - API-FIRST
+ * - Without an organization: pending invitations (join/decline), joining with an invite code
+ *   (prefilled from ?invite= links) and a create form
+ * - Members see the member list; org admins and moderators also get live counts
+ *   (members online, active member emergencies, open member help requests)
+ * - With the live emergency view enabled, admins and moderators follow members' active SOS alerts (read-only)
+ * - Org admins invite by email, invite link or CSV, set up email-domain auto-join,
+ *   change roles and remove members, and choose who SOS alerts go to
+ */
 const OrganizationView = () => {
-  const stats = [
-    { label: 'Total Members', value: '1,240', icon: Users, color: 'text-sage-600' },
-    { label: 'Active Alerts', value: '0', icon: ShieldAlert, color: 'text-coral-500' },
-    { label: 'Help Requests', value: '12', icon: BarChart3, color: 'text-amber-500' },
-  ];
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const authUser = useAuthStore((state) => state.user);
+  const orgEmergencyAlert = useEmergencyStore((state) => state.orgEmergencyAlert);
+  const [organization, setOrganization] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [dashboard, setDashboard] = useState(null);
+  const [memberEmergencies, setMemberEmergencies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [createForm, setCreateForm] = useState({ name: '', type: 'apartment', description: '' });
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'member' });
+  const [joinCode, setJoinCode] = useState(searchParams.get('invite') || '');
+
+  const myRole = organization?.myRole;
+  const isAdmin = myRole === 'admin';
+  const canViewDashboard = isAdmin || myRole === 'moderator';
+  const canViewLive = canViewDashboard && organization?.emergencySettings?.enableDashboard;
+
+  const fetchOrganization = async () => {
+    try {
+      setLoading(true);
+      const response = await organizationApi.getMyOrganization();
+      const current = response?.data?.organization || null;
+      setOrganization(current);
+
+      if (current) {
+        const membersResponse = await organizationApi.getMembers(current._id);
+        setMembers(membersResponse?.data?.members || []);
+      } else {
+        const invitationsResponse = await organizationApi.getMyInvitations();
+        setInvitations(invitationsResponse?.data?.invitations || []);
+      }
+    } catch (err) {
+      console.error('Error fetching organization:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchOrganization();
+  }, []);
+
+  useEffect(() => {
+    if (!organization?._id || !canViewDashboard) return undefined;
+
+    const fetchDashboard = async () => {
+      try {
+        const response = await organizationApi.getDashboard(organization._id);
+        if (response?.success && response?.data) {
+          setDashboard(response.data.dashboard);
+        }
+      } catch (err) {
+        console.error('Error fetching organization dashboard:', err);
+      }
+    };
+
+    const fetchMemberEmergencies = async () => {
+      if (!canViewLive) return;
+      try {
+        const response = await organizationApi.getMemberEmergencies(organization._id);
+        if (response?.success && response?.data) {
+          setMemberEmergencies(response.data.emergencies || []);
+        }
+      } catch (err) {
+        console.error('Error fetching member emergencies:', err);
+      }
+    };
+
+    const refresh = () => {
+      fetchDashboard();
+      fetchMemberEmergencies();
+    };
+
+    refresh();
+    const interval = setInterval(refresh, DASHBOARD_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [organization?._id, canViewDashboard, canViewLive, orgEmergencyAlert]);
+
+  // Runs an action, alerts on failure and reloads the organization on success
+  const runAction = async (action, failureMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      await fetchOrganization();
+      return true;
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(error.message || failureMessage);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!createForm.name.trim()) return;
+
+    await runAction(
+      () => organizationApi.createOrganization({
+        name: createForm.name.trim(),
+        type: createForm.type,
+        description: createForm.description.trim() || undefined
+      }),
+      'Failed to create organization. Please try again.'
+    );
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteForm.email.trim()) return;
+
+    const sent = await runAction(
+      () => organizationApi.inviteMember(organization._id, inviteForm.email.trim(), inviteForm.role),
+      'Failed to send invitation. Please try again.'
+    );
+    if (sent) {
+      setInviteForm({ email: '', role: 'member' });
+    }
+  };
+
+  const handleJoinWithCode = async (e) => {
+    e.preventDefault();
+    if (!joinCode.trim()) return;
+
+    const joined = await runAction(
+      () => organizationApi.joinWithCode(joinCode.trim()),
+      'Failed to join organization. Please check the code and try again.'
+    );
+    if (joined) {
+      setJoinCode('');
+    }
+  };
+
+  const handleToggleSetting = (key) => {
+    runAction(
+      () => organizationApi.updateOrganization(organization._id, {
+        emergencySettings: { [key]: !organization.emergencySettings[key] }
+      }),
+      'Failed to update emergency settings. Please try again.'
+    );
+  };
+
+  const handleRemoveMember = (member) => {
+    if (!window.confirm(`Remove ${member.name} from ${organization.name}?`)) return;
+    runAction(
+      () => organizationApi.removeMember(organization._id, member.userId),
+      'Failed to remove member. Please try again.'
+    );
+  };
 
-  const members = [
-    { name: 'Alex Rivera', role: 'Security Lead', status: 'Online', id: 'm1' },
-    { name: 'Sarah Jenkins', role: 'Safety Officer', status: 'Offline', id: 'm2' },
+  const handleLeave = () => {
+    if (!window.confirm(`Leave ${organization.name}?`)) return;
+    runAction(
+      () => organizationApi.leaveOrganization(organization._id),
+      'Failed to leave organization. Please try again.'
+    );
+  };
+
+  if (loading && !organization && invitations.length === 0) {
+    return (
+      <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sage-500 mx-auto mb-4"></div>
+          <p className="text-charcoal-500 dark:text-sand-300">Loading organization...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const stats = [
+    { label: 'Members', value: dashboard ? dashboard.members : members.length, icon: Users, color: 'text-sage-600' },
+    { label: 'Active Alerts', value: dashboard?.activeEmergencies ?? '-', icon: ShieldAlert, color: 'text-coral-500' },
+    { label: 'Help Requests', value: dashboard?.openHelpRequests ?? '-', icon: BarChart3, color: 'text-amber-500' },
   ];
 
   return (
-    <div className="space-y-6">
-      <div className="flex justify-between items-center">
-        <div>
-          <h2 className="text-2xl font-display text-charcoal-500">Org Dashboard</h2>
-          <p className="text-xs text-charcoal-300">Oakridge Apartment Complex</p>
+    <div className="min-h-screen bg-sand-100 dark:bg-charcoal-900 pb-24">
+      {/* Header */}
+      <div className="bg-white dark:bg-charcoal-800 border-b border-sand-200 dark:border-charcoal-700 sticky top-0 z-10">
+        <div className="px-6 py-4 flex items-center gap-4">
+          <button
+            onClick={() => navigate(-1)}
+            className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors"
+          >
+            <ArrowLeft size={20} className="text-charcoal-500 dark:text-sand-300" />
+          </button>
+          <h1 className="text-xl font-display text-charcoal-500 dark:text-sand-50">Organization</h1>
         </div>
-        <div className="px-3 py-1 bg-sage-50 text-sage-600 text-[10px] font-bold rounded-full uppercase">Premium Plan</div>
       </div>
 
-      {/* Stats Grid */}
-      <div className="grid grid-cols-3 gap-3">
-        {stats.map((stat, i) => (
-          <Card key={i} className="p-3 flex flex-col items-center text-center">
-            <stat.icon size={18} className={stat.color} />
-            <p className="text-[10px] font-bold text-charcoal-200 mt-2 uppercase">{stat.label}</p>
-            <p className="text-lg font-bold text-charcoal-500">{stat.value}</p>
-          </Card>
-        ))}
-      </div>
+      <div className="px-6 py-6 space-y-6">
+        {!organization && (
+          <>
+            {/* Pending Invitations */}
+            {invitations.length > 0 && (
+              <section className="space-y-3">
+                <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Invitations</h3>
+                {invitations.map((invitation) => (
+                  <Card key={invitation.organization._id} className="p-4 space-y-3 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+                    <div className="flex items-center gap-3">
+                      <div className="p-2 bg-sage-50 dark:bg-sage-900/30 text-sage-600 dark:text-sage-400 rounded-xl">
+                        <Building2 size={20} />
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-bold text-charcoal-500 dark:text-sand-50 truncate">{invitation.organization.name}</p>
+                        <p className="text-[10px] text-charcoal-300 dark:text-sand-400">
+                          {ORGANIZATION_TYPES[invitation.organization.type]} · {invitation.organization.memberCount} members · {invitation.via === 'domain'
+                            ? `Your email domain can join as ${ROLE_LABELS[invitation.role]}`
+                            : `Invited as ${ROLE_LABELS[invitation.role]}`}
+                        </p>
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button
+                        className="flex-1 py-2 rounded-xl"
+                        disabled={busy}
+                        onClick={() => runAction(
+                          () => organizationApi.joinOrganization(invitation.organization._id),
+                          'Failed to join organization. Please try again.'
+                        )}
+                      >
+                        Join
+                      </Button>
+                      {invitation.via !== 'domain' && (
+                        <Button
+                          variant="secondary"
+                          className="flex-1 py-2 rounded-xl"
+                          disabled={busy}
+                          onClick={() => runAction(
+                            () => organizationApi.declineInvitation(invitation.organization._id),
+                            'Failed to decline invitation. Please try again.'
+                          )}
+                        >
+                          Decline
+                        </Button>
+                      )}
+                    </div>
+                  </Card>
+                ))}
+              </section>
+            )}
 
-      {/* Subscription Card */}
-      <Card className="bg-sand-200 border-0 flex items-center justify-between p-4">
-        <div className="flex items-center gap-3">
-          <div className="p-2 bg-white rounded-xl text-charcoal-500">
-            <CreditCard size={20} />
-          </div>
-          <div>
-            <p className="text-sm font-bold text-charcoal-500">Subscription Status</p>
-            <p className="text-[10px] text-charcoal-300">Next renewal: Jan 12, 2026</p>
-          </div>
-        </div>
-        <Button variant="ghost" className="text-xs p-2">Manage</Button>
-      </Card>
-
-      {/* Emergency Overview */}
-      <section className="space-y-3">
-        <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200">Recent Emergencies</h3>
-        <Card className="p-4 flex gap-4 items-center border-l-4 border-l-coral-500">
-          <div className="p-3 bg-coral-50 text-coral-500 rounded-2xl">
-            <ShieldAlert size={20} />
-          </div>
-          <div className="flex-1">
-            <h4 className="text-sm font-bold text-charcoal-500">Medical - Unit 402</h4>
-            <p className="text-xs text-charcoal-300">Resolved by First Aid Team</p>
-          </div>
-          <span className="text-[10px] text-charcoal-200">2h ago</span>
-        </Card>
-      </section>
-
-      {/* Members List */}
-      <section className="space-y-3">
-        <div className="flex justify-between items-center">
-          <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200">Safety Team</h3>
-          <button className="text-sage-600 text-xs font-bold">Add Member</button>
-        </div>
-        <div className="space-y-2">
-          {members.map(member => (
-            <div key={member.id} className="flex items-center justify-between p-4 bg-white rounded-2xl border border-sand-200">
+            {/* Join with an Invite Code */}
+            <Card className="p-6 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+              <h2 className="text-lg font-bold text-charcoal-500 dark:text-sand-50 mb-1">Have an invite code?</h2>
+              <p className="text-xs text-charcoal-300 dark:text-sand-400 mb-4">
+                Enter the code or open the invite link your organization shared with you.
+              </p>
+              <form onSubmit={handleJoinWithCode} className="flex gap-2">
+                <div className="relative flex-1 min-w-0">
+                  <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 text-charcoal-300 dark:text-sand-500" size={16} />
+                  <input
+                    type="text"
+                    value={joinCode}
+                    onChange={(e) => setJoinCode(e.target.value)}
+                    className={cn(inputClassName, "pl-9 uppercase tracking-widest")}
+                    placeholder="ABCD2345"
+                    maxLength={16}
+                  />
+                </div>
+                <Button type="submit" className="px-4 rounded-xl" disabled={busy || !joinCode.trim()}>
+                  Join
+                </Button>
+              </form>
+            </Card>
+
+            {/* Create Organization */}
+            <Card className="p-6 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+              <h2 className="text-lg font-bold text-charcoal-500 dark:text-sand-50 mb-1">Create an organization</h2>
+              <p className="text-xs text-charcoal-300 dark:text-sand-400 mb-4">
+                Bring your building, campus or team together - admins see live emergencies and help requests from their members.
+              </p>
+              <form onSubmit={handleCreate} className="space-y-4">
+                <input
+                  type="text"
+                  value={createForm.name}
+                  onChange={(e) => setCreateForm({ ...createForm, name: e.target.value })}
+                  className={inputClassName}
+                  placeholder="Organization name"
+                  maxLength={200}
+                  required
+                />
+                <select
+                  value={createForm.type}
+                  onChange={(e) => setCreateForm({ ...createForm, type: e.target.value })}
+                  className={inputClassName}
+                >
+                  {Object.entries(ORGANIZATION_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <textarea
+                  value={createForm.description}
+                  onChange={(e) => setCreateForm({ ...createForm, description: e.target.value })}
+                  className={inputClassName}
+                  placeholder="Description (optional)"
+                  rows={3}
+                  maxLength={2000}
+                />
+                <Button type="submit" className="w-full py-2 rounded-xl" disabled={busy || !createForm.name.trim()}>
+                  {busy ? 'Creating...' : 'Create Organization'}
+                </Button>
+              </form>
+            </Card>
+          </>
+        )}
+
+        {organization && (
+          <>
+            <div className="flex justify-between items-center">
+              <div>
+                <h2 className="text-2xl font-display text-charcoal-500 dark:text-sand-50">{organization.name}</h2>
+                <p className="text-xs text-charcoal-300 dark:text-sand-400">
+                  {ORGANIZATION_TYPES[organization.type]} · {ROLE_LABELS[myRole]}
+                </p>
+              </div>
+              <div className="px-3 py-1 bg-sage-50 dark:bg-sage-900/30 text-sage-600 dark:text-sage-400 text-[10px] font-bold rounded-full uppercase">
+                {organization.subscription.tier} Plan
+              </div>
+            </div>
+
+            {/* Stats Grid */}
+            {canViewDashboard && (
+              <div className="grid grid-cols-3 gap-3">
+                {stats.map((stat) => (
+                  <Card key={stat.label} className="p-3 flex flex-col items-center text-center dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+                    <stat.icon size={18} className={stat.color} />
+                    <p className="text-[10px] font-bold text-charcoal-200 dark:text-sand-500 mt-2 uppercase">{stat.label}</p>
+                    <p className="text-lg font-bold text-charcoal-500 dark:text-sand-50">{stat.value}</p>
+                  </Card>
+                ))}
+              </div>
+            )}
+
+            {/* Live Member Emergencies (read-only) */}
+            {canViewLive && (
+              <section className="space-y-3">
+                <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Live Member Emergencies</h3>
+                {memberEmergencies.length === 0 ? (
+                  <Card className="p-4 text-center dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+                    <p className="text-xs text-charcoal-300 dark:text-sand-400">No active emergencies - everyone is safe.</p>
+                  </Card>
+                ) : (
+                  memberEmergencies.map((emergency) => (
+                    <Card key={emergency._id} className="p-4 flex gap-4 items-center border-l-4 border-l-coral-500 dark:bg-charcoal-800 dark:border-charcoal-700 bg-white shadow-sm">
+                      <div className="p-3 bg-coral-50 dark:bg-coral-900/20 text-coral-500 rounded-2xl">
+                        <ShieldAlert size={20} />
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <h4 className="text-sm font-bold text-charcoal-500 dark:text-sand-50 truncate">
+                          {formatType(emergency.type)} - {emergency.member.name}
+                        </h4>
+                        <p className="text-xs text-charcoal-300 dark:text-sand-400 truncate">
+                          {emergency.status === 'responding'
+                            ? `${emergency.responders} helper${emergency.responders === 1 ? '' : 's'} responding`
+                            : 'Waiting for helpers'}
+                          {emergency.description && ` · ${emergency.description}`}
+                        </p>
+                        {emergency.location && (
+                          <a
+                            href={`https://www.google.com/maps?q=${emergency.location.latitude},${emergency.location.longitude}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-flex items-center gap-1 text-[10px] font-bold text-sage-600 dark:text-sage-400 mt-1"
+                          >
+                            <MapPin size={10} />
+                            {emergency.location.address || 'View on map'}
+                          </a>
+                        )}
+                      </div>
+                      <span className="text-[10px] text-charcoal-200 dark:text-sand-500 shrink-0">{formatTimeAgo(emergency.createdAt)}</span>
+                    </Card>
+                  ))
+                )}
+              </section>
+            )}
+
+            {/* Subscription Card */}
+            <Card className="bg-sand-200 dark:bg-charcoal-800 border-0 flex items-center justify-between p-4">
               <div className="flex items-center gap-3">
-                <div className="w-10 h-10 rounded-full bg-sand-100 flex items-center justify-center text-xs font-bold text-charcoal-300">
-                  {member.name.split(' ').map(n => n[0]).join('')}
+                <div className="p-2 bg-white dark:bg-charcoal-700 rounded-xl text-charcoal-500 dark:text-sand-300">
+                  <CreditCard size={20} />
                 </div>
                 <div>
-                  <p className="text-sm font-bold text-charcoal-500">{member.name}</p>
-                  <p className="text-[10px] text-charcoal-300">{member.role}</p>
+                  <p className="text-sm font-bold text-charcoal-500 dark:text-sand-50">
+                    Subscription {organization.subscription.status}
+                  </p>
+                  <p className="text-[10px] text-charcoal-300 dark:text-sand-400">
+                    {organization.memberCount} of {organization.subscription.maxMembers} members
+                    {organization.subscription.expiresAt &&
+                      ` · Renews ${new Date(organization.subscription.expiresAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`}
+                  </p>
                 </div>
               </div>
-              <div className="flex items-center gap-2">
-                <div className={`w-2 h-2 rounded-full ${member.status === 'Online' ? 'bg-sage-500' : 'bg-sand-300'}`} />
-                <span className="text-[10px] font-bold text-charcoal-200">{member.status}</span>
+            </Card>
+
+            {/* Members List */}
+            <section className="space-y-3">
+              <div className="flex justify-between items-center">
+                <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Members</h3>
+                {dashboard?.onlineMembers != null && (
+                  <span className="text-[10px] font-bold text-sage-600 dark:text-sage-400">{dashboard.onlineMembers} online</span>
+                )}
               </div>
-            </div>
-          ))}
-        </div>
-      </section>
+              <div className="space-y-2">
+                {members.map((member) => {
+                  const isMe = member.userId === authUser?._id;
+
+                  return (
+                    <div key={member.userId} className="flex items-center justify-between gap-3 p-4 bg-white dark:bg-charcoal-800 rounded-2xl border border-sand-200 dark:border-charcoal-700">
+                      <div className="flex items-center gap-3 min-w-0">
+                        <div className="relative w-10 h-10 shrink-0 rounded-full bg-sand-100 dark:bg-charcoal-700 flex items-center justify-center text-xs font-bold text-charcoal-300 dark:text-sand-300">
+                          {member.name.split(' ').map((n) => n[0]).join('').slice(0, 2).toUpperCase()}
+                          {member.online !== null && (
+                            <span
+                              className={cn(
+                                "absolute -top-0.5 -right-0.5 w-2.5 h-2.5 rounded-full border-2 border-white dark:border-charcoal-800",
+                                member.online ? "bg-sage-500" : "bg-sand-300 dark:bg-charcoal-500"
+                              )}
+                              title={member.online ? 'Online' : 'Offline'}
+                            />
+                          )}
+                        </div>
+                        <div className="min-w-0">
+                          <p className="text-sm font-bold text-charcoal-500 dark:text-sand-50 truncate">
+                            {member.name}{isMe && ' (you)'}
+                          </p>
+                          <p className="text-[10px] text-charcoal-300 dark:text-sand-400 truncate">
+                            {[member.owner ? 'Owner' : ROLE_LABELS[member.role], member.helperVerified ? 'Verified helper' : null, member.email]
+                              .filter(Boolean)
+                              .join(' · ')}
+                          </p>
+                        </div>
+                      </div>
+
+                      {isAdmin && !member.owner && !isMe && (
+                        <div className="flex items-center gap-1 shrink-0">
+                          <select
+                            value={member.role}
+                            disabled={busy}
+                            onChange={(e) => runAction(
+                              () => organizationApi.updateMemberRole(organization._id, member.userId, e.target.value),
+                              'Failed to change role. Please try again.'
+                            )}
+                            className={selectClassName}
+                          >
+                            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => handleRemoveMember(member)}
+                            disabled={busy}
+                            className="p-2 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors disabled:opacity-50"
+                            title="Remove member"
+                          >
+                            <Trash2 size={16} className="text-coral-500" />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </section>
+
+            {/* Invitations (org admins) */}
+            {isAdmin && (
+              <section className="space-y-3">
+                <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Invite Members</h3>
+                <Card className="p-4 space-y-3 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+                  <form onSubmit={handleInvite} className="flex gap-2">
+                    <input
+                      type="email"
+                      value={inviteForm.email}
+                      onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                      className={cn(inputClassName, "flex-1 min-w-0")}
+                      placeholder="name@example.com"
+                      required
+                    />
+                    <select
+                      value={inviteForm.role}
+                      onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+                      className={selectClassName}
+                    >
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <Button type="submit" className="px-4 rounded-xl" disabled={busy || !inviteForm.email.trim()}>
+                      Invite
+                    </Button>
+                  </form>
+
+                  {organization.invitations?.map((invitation) => (
+                    <div key={invitation._id} className="flex items-center gap-3">
+                      <Mail size={16} className="text-charcoal-300 dark:text-sand-400 shrink-0" />
+                      <span className="flex-1 truncate text-xs text-charcoal-500 dark:text-sand-300">
+                        {invitation.email} · {ROLE_LABELS[invitation.role]}
+                      </span>
+                      <button
+                        onClick={() => runAction(
+                          () => organizationApi.revokeInvitation(organization._id, invitation._id),
+                          'Failed to cancel invitation. Please try again.'
+                        )}
+                        disabled={busy}
+                        className="p-1 hover:bg-sand-100 dark:hover:bg-charcoal-700 rounded-full transition-colors disabled:opacity-50"
+                        title="Cancel invitation"
+                      >
+                        <X size={14} className="text-charcoal-400 dark:text-sand-400" />
+                      </button>
+                    </div>
+                  ))}
+                </Card>
+
+                <OrganizationInviteTools organization={organization} onChange={fetchOrganization} />
+              </section>
+            )}
+
+            {/* Emergency Settings (org admins) */}
+            {isAdmin && (
+              <section className="space-y-3">
+                <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-500">Emergency Settings</h3>
+                <Card className="p-4 space-y-4 dark:bg-charcoal-800 dark:border-charcoal-700 border-transparent bg-white shadow-sm">
+                  {EMERGENCY_SETTINGS.map((setting) => (
+                    <label key={setting.key} className="flex items-center justify-between gap-4 cursor-pointer">
+                      <div>
+                        <span className="block text-sm font-medium text-charcoal-500 dark:text-sand-50">{setting.label}</span>
+                        <span className="block text-xs text-charcoal-300 dark:text-sand-400">{setting.description}</span>
+                      </div>
+                      <input
+                        type="checkbox"
+                        checked={!!organization.emergencySettings?.[setting.key]}
+                        onChange={() => handleToggleSetting(setting.key)}
+                        disabled={busy}
+                        className="w-5 h-5 accent-sage-600 shrink-0"
+                      />
+                    </label>
+                  ))}
+                </Card>
+              </section>
+            )}
+
+            {organization.admin !== authUser?._id && (
+              <Button
+                variant="ghost"
+                className="w-full text-coral-500 hover:bg-coral-50 dark:hover:bg-coral-900/10"
+                onClick={handleLeave}
+                disabled={busy}
+              >
+                <LogOut size={18} className="mr-2" />
+                Leave Organization
+              </Button>
+            )}
+          </>
+        )}
+      </div>
     </div>
   );
 };
 
 export default OrganizationView;
-
-
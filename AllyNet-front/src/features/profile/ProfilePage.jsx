@@ -8,11 +8,16 @@ import {
   BadgeCheck, 
   HelpCircle, 
   History,
+  Building2,
+  Store,
   ArrowRight
 } from 'lucide-react';
 import Card from '../../components/Card';
 import Button from '../../components/Button';
 import TrustScoreRing from './TrustScoreRing';
+import AvailabilityControl from './AvailabilityControl';
+import HelperVerification from './HelperVerification';
+import ActiveSessions from './ActiveSessions';
 import ThemeToggle from '../../components/ThemeToggle';
 import { useAuthStore } from '../../store/useAuthStore';
 import { api } from '../../api/auth';
@@ -28,8 +33,10 @@ const ProfilePage = () => {
     requested: { general: 0, emergency: 0, total: 0 },
     reports: 0
   });
+  const [trust, setTrust] = useState({ max: 1000, last30Days: null, events: [] });
   const [showBreakdown, setShowBreakdown] = useState(null); // 'helped' | 'requested' | null
   const [loading, setLoading] = useState(true);
+  const [resendingVerification, setResendingVerification] = useState(false);
 
   // Derive name from user profile
   const firstName = user?.profile?.firstName || '';
@@ -67,11 +74,41 @@ const ProfilePage = () => {
       }
     };
 
+    const fetchTrustHistory = async () => {
+      try {
+        const response = await api.getTrustHistory(5);
+        if (response?.success && response?.data) {
+          setStats((prev) => ({ ...prev, trustScore: response.data.trustScore || 0 }));
+          setTrust({
+            max: response.data.bounds?.max || 1000,
+            last30Days: response.data.last30Days ?? null,
+            events: response.data.events || []
+          });
+        }
+      } catch (err) {
+        console.error('Error fetching trust history:', err);
+      }
+    };
+
     if (user) {
       fetchStats();
+      fetchTrustHistory();
     }
   }, [user]);
 
+  const handleResendVerification = async () => {
+    setResendingVerification(true);
+    try {
+      const response = await api.resendVerificationEmail();
+      alert(response?.message || 'Verification link sent.');
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      alert(error.message || 'Failed to send verification link. Please try again.');
+    } finally {
+      setResendingVerification(false);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     navigate('/auth/login');
@@ -116,11 +153,20 @@ const ProfilePage = () => {
         <p className="text-sm text-charcoal-300 dark:text-sand-400">
           {user?.email || 'Ally since Dec 2024'}
         </p>
+        {user?.emailVerified === false && (
+          <button
+            onClick={handleResendVerification}
+            disabled={resendingVerification}
+            className="mt-2 px-3 py-1 rounded-full bg-amber-100 dark:bg-amber-900/30 text-xs font-bold text-amber-700 dark:text-amber-400 hover:bg-amber-200 dark:hover:bg-amber-900/50 transition-colors disabled:opacity-50"
+          >
+            {resendingVerification ? 'Sending...' : 'Email not verified · Resend link'}
+          </button>
+        )}
       </section>
 
       {/* Trust Dashboard */}
       <Card className="flex flex-col items-center py-10 dark:bg-charcoal-800 dark:border-charcoal-700">
-        <TrustScoreRing score={stats.trustScore} />
+        <TrustScoreRing score={stats.trustScore} max={trust.max} recentChange={trust.last30Days} />
         <div className="mt-6 grid grid-cols-3 gap-4 w-full max-w-md">
           {statsDisplay.map((stat, i) => (
             <div 
@@ -138,6 +184,26 @@ const ProfilePage = () => {
             </div>
           ))}
         </div>
+
+        {/* Recent trust changes */}
+        {trust.events.length > 0 && (
+          <div className="mt-6 w-full max-w-md px-6 space-y-2">
+            <h4 className="text-[10px] font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-400">
+              Recent Trust Activity
+            </h4>
+            {trust.events.map((event) => (
+              <div key={event._id} className="flex items-center justify-between text-xs">
+                <span className="text-charcoal-400 dark:text-sand-300">
+                  {TRUST_REASON_LABELS[event.reason] || event.reason}
+                  {event.note && <span className="text-charcoal-200 dark:text-sand-500"> · {event.note}</span>}
+                </span>
+                <span className={cn('font-bold', event.delta >= 0 ? 'text-sage-500' : 'text-coral-500')}>
+                  {event.delta >= 0 ? '+' : ''}{event.delta}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
       </Card>
 
       {/* Breakdown Modal */}
@@ -151,6 +217,19 @@ const ProfilePage = () => {
         )}
       </AnimatePresence>
 
+      {/* Helper Availability */}
+      <div className="space-y-3">
+        <h3 className="text-xs font-bold uppercase tracking-[0.2em] text-charcoal-200 dark:text-sand-500 ml-4 mb-2">Helper Availability</h3>
+        <AvailabilityControl />
+        {user?.helper && <HelperVerification />}
+      </div>
+
+      {/* Active Sessions */}
+      <div className="space-y-3">
+        <h3 className="text-xs font-bold uppercase tracking-[0.2em] text-charcoal-200 dark:text-sand-500 ml-4 mb-2">Sessions</h3>
+        <ActiveSessions />
+      </div>
+
       {/* Settings List */}
       <div className="space-y-3">
         <h3 className="text-xs font-bold uppercase tracking-[0.2em] text-charcoal-200 dark:text-sand-500 ml-4 mb-2">Preferences</h3>
@@ -175,6 +254,20 @@ const ProfilePage = () => {
           onClick={() => navigate('/safety-settings')}
         />
         
+        <SettingsItem 
+          icon={Building2} 
+          label="Organization" 
+          action={<ArrowRight size={18} className="text-charcoal-200" />}
+          onClick={() => navigate('/organization')}
+        />
+        
+        <SettingsItem 
+          icon={Store} 
+          label="My Business" 
+          action={<ArrowRight size={18} className="text-charcoal-200" />}
+          onClick={() => navigate('/business')}
+        />
+        
         <SettingsItem 
           icon={HelpCircle} 
           label="Help Center" 
@@ -196,6 +289,16 @@ const ProfilePage = () => {
   );
 };
 
+const TRUST_REASON_LABELS = {
+  sos_response: 'Responded to an SOS',
+  help_accepted: 'Offer to help accepted',
+  help_reported: 'Reported by a requester',
+  help_rating: 'Rating received',
+  sos_misconduct: 'Misconduct reported after an SOS',
+  decay: 'Inactivity',
+  admin_adjustment: 'Adjusted by moderator'
+};
+
 const SettingsItem = ({ icon: Icon, label, action, onClick }) => (
   <Card 
     className={cn(
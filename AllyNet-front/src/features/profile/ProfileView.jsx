@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import Card from '../../components/Card';
 import Button from '../../components/Button';
 import { 
@@ -15,13 +16,13 @@ import {
   ArrowLeft
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
-import OrganizationView from './OrganizationView';
 import PaymentsView from './PaymentsView';
 import { useAuthStore } from '../../store/useAuthStore';
 import { cn } from '../../utils';
 
 const ProfileView = () => {
-  const [subView, setSubView] = useState(null); // null, 'org', 'payments'
+  const navigate = useNavigate();
+  const [subView, setSubView] = useState(null); // null, 'payments'
   const authUser = useAuthStore((state) => state.user);
 
   // Derive name from user profile
@@ -54,7 +55,6 @@ const ProfileView = () => {
           <ArrowLeft size={20} />
           <span className="text-sm font-bold">Back to Profile</span>
         </button>
-        {subView === 'org' && <OrganizationView />}
         {subView === 'payments' && <PaymentsView />}
       </div>
     );
@@ -130,7 +130,7 @@ const ProfileView = () => {
       <div className="space-y-3">
         <h3 className="text-xs font-bold uppercase tracking-widest text-charcoal-200 mt-4 mb-2">Activities & Settings</h3>
         <ProfileActionItem icon={History} label="Emergency History" count={3} />
-        <ProfileActionItem icon={Building2} label="Organization Dashboard" onClick={() => setSubView('org')} />
+        <ProfileActionItem icon={Building2} label="Organization Dashboard" onClick={() => navigate('/organization')} />
         <ProfileActionItem icon={CreditCard} label="Payments & Plans" onClick={() => setSubView('payments')} />
         <ProfileActionItem icon={Settings} label="Safety Settings" />
       </div>
@@ -1,8 +1,9 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ArrowLeft, Plus, Trash2, Mail, User as UserIcon } from 'lucide-react';
+import { ArrowLeft, Plus, Trash2, Mail, Phone, User as UserIcon } from 'lucide-react';
 import Card from '../../components/Card';
 import Button from '../../components/Button';
+import SafetyTimerCard from '../../components/SafetyTimerCard';
 import { api } from '../../api/auth';
 import { cn } from '../../utils';
 
@@ -13,7 +14,7 @@ const SafetySettings = () => {
   const [error, setError] = useState(null);
   const [showAddForm, setShowAddForm] = useState(false);
   const [adding, setAdding] = useState(false);
-  const [formData, setFormData] = useState({ name: '', email: '' });
+  const [formData, setFormData] = useState({ name: '', email: '', phone: '' });
   const [deleteLoading, setDeleteLoading] = useState({});
 
   useEffect(() => {
@@ -54,12 +55,19 @@ const SafetySettings = () => {
       return;
     }
 
+    // Phone is optional; when given it must be in international format for SMS
+    const phone = formData.phone.trim();
+    if (phone && !/^\+[1-9]\d{7,14}$/.test(phone.replace(/[\s\-()]/g, ''))) {
+      setError('Phone number must be in international format, e.g. +14155550123');
+      return;
+    }
+
     try {
       setAdding(true);
       setError(null);
-      const response = await api.addEmergencyContact(formData.name.trim(), formData.email.trim());
+      const response = await api.addEmergencyContact(formData.name.trim(), formData.email.trim(), phone || undefined);
       if (response?.success) {
-        setFormData({ name: '', email: '' });
+        setFormData({ name: '', email: '', phone: '' });
         setShowAddForm(false);
         fetchContacts(); // Refresh list
       } else {
@@ -126,10 +134,13 @@ const SafetySettings = () => {
         {/* Info Card */}
         <Card className="p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800">
           <p className="text-sm text-amber-800 dark:text-amber-200">
-            <strong>Emergency Contacts:</strong> Add trusted contacts who will receive email notifications with your location when you trigger an emergency. These contacts will be notified regardless of distance.
+            <strong>Emergency Contacts:</strong> Add trusted contacts who will receive email notifications (and an SMS if you add their phone number) with your location when you trigger an emergency. These contacts will be notified regardless of distance.
           </p>
         </Card>
 
+        {/* Safety Check-in Timer */}
+        <SafetyTimerCard />
+
         {error && (
           <Card className="p-4 bg-coral-50 dark:bg-coral-900/20 border border-coral-200 dark:border-coral-800">
             <p className="text-sm text-coral-600 dark:text-coral-400">{error}</p>
@@ -180,6 +191,18 @@ const SafetySettings = () => {
                   required
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-charcoal-500 dark:text-sand-400 mb-2">
+                  Phone Number <span className="text-charcoal-300 dark:text-sand-500">(optional, for SMS)</span>
+                </label>
+                <input
+                  type="tel"
+                  value={formData.phone}
+                  onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+                  placeholder="+14155550123"
+                  className="w-full px-4 py-2 border border-sand-300 dark:border-charcoal-600 rounded-lg bg-white dark:bg-charcoal-700 text-charcoal-500 dark:text-sand-50 focus:outline-none focus:ring-2 focus:ring-sage-500"
+                />
+              </div>
               <div className="flex gap-2">
                 <Button
                   type="submit"
@@ -193,7 +216,7 @@ const SafetySettings = () => {
                   variant="ghost"
                   onClick={() => {
                     setShowAddForm(false);
-                    setFormData({ name: '', email: '' });
+                    setFormData({ name: '', email: '', phone: '' });
                     setError(null);
                   }}
                   disabled={adding}
@@ -237,6 +260,14 @@ const SafetySettings = () => {
                             {contact.email}
                           </p>
                         </div>
+                        {contact.phone && (
+                          <div className="flex items-center gap-1 mt-1">
+                            <Phone size={14} className="text-charcoal-300 dark:text-sand-500" />
+                            <p className="text-sm text-charcoal-400 dark:text-sand-400">
+                              {contact.phone}
+                            </p>
+                          </div>
+                        )}
                       </div>
                     </div>
                     <button
@@ -1,10 +1,10 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 
-const TrustScoreRing = ({ score = 0, size = 200 }) => {
+const TrustScoreRing = ({ score = 0, max = 1000, recentChange = null, size = 200 }) => {
   const radius = (size - 20) / 2;
   const circumference = 2 * Math.PI * radius;
-  const progress = (score / 1000) * circumference;
+  const progress = (Math.min(score, max) / max) * circumference;
 
   return (
     <div className="relative flex items-center justify-center" style={{ width: size, height: size }}>
@@ -47,6 +47,11 @@ const TrustScoreRing = ({ score = 0, size = 200 }) => {
         <span className="text-[10px] font-bold uppercase tracking-widest text-charcoal-200 dark:text-sand-400">
           Trust Score
         </span>
+        {recentChange !== null && recentChange !== 0 && (
+          <span className={`block mt-1 text-[10px] font-bold ${recentChange > 0 ? 'text-sage-500' : 'text-coral-500'}`}>
+            {recentChange > 0 ? '+' : ''}{recentChange} in 30 days
+          </span>
+        )}
       </div>
     </div>
   );
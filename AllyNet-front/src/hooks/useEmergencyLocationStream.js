@@ -0,0 +1,63 @@
+// src/hooks/useEmergencyLocationStream.js
+import { useEffect, useRef } from "react";
+import { getCurrentSocket } from "../api/socket";
+
+// Minimum time between two emitted positions (watchPosition can fire several times per second)
+const MIN_EMIT_INTERVAL_MS = 5000;
+
+/**
+ * LIVE LOCATION STREAM - SOS owner side (real-time enhancement)
+ * - Watches the device position while an emergency is active
+ * - Emits throttled positions over the /emergencies socket
+ * - Backend appends each point to the location trail and broadcasts to the emergency room
+ * @param {string|null} emergencyId - Emergency to stream for (null disables streaming)
+ * @param {string} eventName - Socket event to emit positions on
+ */
+export const useEmergencyLocationStream = (emergencyId, eventName = "emergency:location") => {
+  const lastEmitRef = useRef(0);
+
+  useEffect(() => {
+    if (!emergencyId || !navigator.geolocation) {
+      return;
+    }
+
+    const handlePosition = (position) => {
+      const now = Date.now();
+      if (now - lastEmitRef.current < MIN_EMIT_INTERVAL_MS) {
+        return;
+      }
+
+      const socket = getCurrentSocket();
+      if (!socket || !socket.connected) {
+        return; // Socket is enhancement only - next position will retry
+      }
+
+      const { latitude, longitude, accuracy, heading, speed } = position.coords;
+      socket.emit(eventName, {
+        emergencyId,
+        latitude,
+        longitude,
+        accuracy,
+        heading,
+        speed,
+        recordedAt: new Date(position.timestamp || now).toISOString()
+      });
+      lastEmitRef.current = now;
+    };
+
+    const handleError = (error) => {
+      console.warn("Live location unavailable:", error?.message || error);
+    };
+
+    const watchId = navigator.geolocation.watchPosition(handlePosition, handleError, {
+      enableHighAccuracy: true,
+      maximumAge: 0,
+      timeout: 15000
+    });
+
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+      lastEmitRef.current = 0;
+    };
+  }, [emergencyId, eventName]);
+};
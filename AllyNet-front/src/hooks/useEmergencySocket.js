@@ -3,6 +3,7 @@ import { useEffect, useRef, useState } from "react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useEmergencyStore } from "../store/useEmergencyStore";
 import { useEmergencySessionStore } from "../store/useEmergencySessionStore";
+import { useHelpStore } from "../store/useHelpStore";
 
 /**
  * SIMPLIFIED SOCKET HOOK - Helper notifications (real-time enhancement)
@@ -54,8 +55,9 @@ export const useEmergencySocket = () => {
         return;
       }
 
-      // Helper notifications only: Listen for emergency:created (enhancement only, not source of truth)
-      socket.on("emergency:created", (payload) => {
+      // Helper notifications: emergency:created and emergency:escalated share the same validation
+      // (enhancement only, not source of truth)
+      const handleIncomingEmergency = (payload) => {
         try {
           const { emergency } = payload || {};
           
@@ -109,9 +111,14 @@ export const useEmergencySocket = () => {
           emergencyStore.showNearbyEmergency(emergency);
           console.log('🔔 Real-time notification received via socket');
         } catch (error) {
-          console.error("Error handling emergency:created notification:", error);
+          console.error("Error handling emergency notification:", error);
         }
-      });
+      };
+
+      socket.on("emergency:created", handleIncomingEmergency);
+
+      // Escalation: search radius widened and this helper is newly in range
+      socket.on("emergency:escalated", handleIncomingEmergency);
 
       // Chat messages: Listen for emergency:message (enhancement only, API is source of truth)
       socket.on("emergency:message", (payload) => {
@@ -155,10 +162,54 @@ export const useEmergencySocket = () => {
         }
       });
 
+      // Live location: Listen for emergency:location_update (owner's breadcrumb trail)
+      socket.on("emergency:location_update", (payload) => {
+        try {
+          const { emergencyId: eventEmergencyId, location } = payload || {};
+
+          if (!eventEmergencyId || !location) {
+            return;
+          }
+
+          const sessionStore = useEmergencySessionStore.getState();
+
+          // Only track location if it's for the current session
+          if (sessionStore.emergencyId && sessionStore.emergencyId.toString() === eventEmergencyId.toString()) {
+            sessionStore.addLocationPoint(location);
+          }
+        } catch (error) {
+          console.error("Error handling emergency:location_update:", error);
+        }
+      });
+
+      // Helper updates: Listen for helper:status_update (status changes and live position/ETA)
+      socket.on("helper:status_update", (payload) => {
+        try {
+          const { emergencyId: eventEmergencyId, helperId, status, location, distanceKm, estimatedArrival, updatedAt } = payload || {};
+
+          if (!eventEmergencyId || !helperId) {
+            return;
+          }
+
+          const sessionStore = useEmergencySessionStore.getState();
+
+          // Only track helpers for the current session
+          if (sessionStore.emergencyId && sessionStore.emergencyId.toString() === eventEmergencyId.toString()) {
+            sessionStore.updateHelperTracking(helperId.toString(), {
+              status,
+              ...(location && { lastLocation: location, distanceKm, estimatedArrival }),
+              updatedAt
+            });
+          }
+        } catch (error) {
+          console.error("Error handling helper:status_update:", error);
+        }
+      });
+
       // Emergency resolved/cancelled: Clear chat and helper state, show notification
       socket.on("emergency:ended", (payload) => {
         try {
-          const { emergencyId: eventEmergencyId, status } = payload || {};
+          const { emergencyId: eventEmergencyId, status, resolutionType } = payload || {};
           
           if (!eventEmergencyId) {
             return;
@@ -173,7 +224,9 @@ export const useEmergencySocket = () => {
           
           if (isHelperForThisEmergency) {
             // User is a helper for this emergency - show notification
-            const statusMessage = status === 'resolved' 
+            const statusMessage = resolutionType === 'auto_expired'
+              ? 'The emergency was closed automatically after the person who requested help stopped responding.'
+              : status === 'resolved' 
               ? 'The person who requested help has confirmed they are safe. The emergency has been resolved.'
               : status === 'cancelled'
               ? 'The emergency has been cancelled by the person who requested help.'
@@ -204,6 +257,107 @@ export const useEmergencySocket = () => {
         }
       });
 
+      // Inactivity check-in for creator: "are you still in danger?" (answered via API)
+      socket.on("emergency:check_in", (payload) => {
+        try {
+          const { emergencyId: eventEmergencyId, message, expiresAt } = payload || {};
+
+          if (!eventEmergencyId) {
+            return;
+          }
+
+          const emergencyStore = useEmergencyStore.getState();
+
+          // Only prompt for the creator's current emergency
+          if (emergencyStore.emergencyId && emergencyStore.emergencyId.toString() === eventEmergencyId.toString()) {
+            emergencyStore.setCheckInRequest({ emergencyId: eventEmergencyId, message, expiresAt });
+            console.log('⏰ Emergency check-in received via socket');
+          }
+        } catch (error) {
+          console.error("Error handling emergency:check_in:", error);
+        }
+      });
+
+      // Creator's emergency auto-expired (check-in went unanswered): clear SOS state
+      socket.on("emergency:expired", (payload) => {
+        try {
+          const { emergencyId: eventEmergencyId } = payload || {};
+
+          if (!eventEmergencyId) {
+            return;
+          }
+
+          const emergencyStore = useEmergencyStore.getState();
+
+          if (emergencyStore.emergencyId && emergencyStore.emergencyId.toString() === eventEmergencyId.toString()) {
+            emergencyStore.clearEmergency();
+            useEmergencySessionStore.getState().clearSession();
+            console.log('🛑 Emergency auto-expired - creator state cleared');
+          }
+        } catch (error) {
+          console.error("Error handling emergency:expired:", error);
+        }
+      });
+
+      // Safety timer ran out: backend raised an SOS for this user - show the active SOS view
+      socket.on("safety_timer:triggered", (payload) => {
+        try {
+          const { emergency } = payload || {};
+
+          if (!emergency) {
+            return;
+          }
+
+          const emergencyStore = useEmergencyStore.getState();
+          if (!emergencyStore.emergencyId) {
+            emergencyStore.updateFromEmergency(emergency);
+            console.log('⏰ Safety timer ran out - SOS raised');
+          }
+        } catch (error) {
+          console.error("Error handling safety_timer:triggered:", error);
+        }
+      });
+
+      // Help request expired (creator's request passed its expiry date)
+      socket.on("help_request:expired", (payload) => {
+        try {
+          const { helpRequestId } = payload || {};
+
+          if (!helpRequestId) {
+            return;
+          }
+
+          useHelpStore.getState().updateRequestStatus(helpRequestId.toString(), 'expired');
+        } catch (error) {
+          console.error("Error handling help_request:expired:", error);
+        }
+      });
+
+      // A member of the user's organization triggered an SOS (org admins, or everyone with alertAllMembers)
+      socket.on("org:emergency_alert", (payload) => {
+        try {
+          if (!payload?.emergency) {
+            return;
+          }
+
+          useEmergencyStore.getState().setOrgEmergencyAlert(payload);
+          console.log(`🏢 Organization SOS alert: ${payload.memberName} (${payload.organization?.name})`);
+        } catch (error) {
+          console.error("Error handling org:emergency_alert:", error);
+        }
+      });
+
+      // This device was signed out from another device - drop local auth state
+      socket.on("session:revoked", () => {
+        console.log('🔒 Session revoked - signing out');
+        useAuthStore.getState().logout();
+      });
+
+      // Location updates sent too fast are dropped by the server (the next one goes through)
+      socket.on("rate_limited", (payload) => {
+        console.warn(`🚦 ${payload?.event} rate limited - retry in ${payload?.retryAfterSeconds}s`);
+      });
+
       // Join emergency room for chat (if user is participant)
       const joinEmergencyRoom = (emergencyIdToJoin) => {
         if (emergencyIdToJoin && socket.connected) {
@@ -240,9 +394,19 @@ export const useEmergencySocket = () => {
         if (socket) {
           // Clean up all listeners
           socket.off("emergency:created");
+          socket.off("emergency:escalated");
           socket.off("emergency:message");
           socket.off("emergency:message:deleted");
+          socket.off("emergency:location_update");
+          socket.off("helper:status_update");
           socket.off("emergency:ended");
+          socket.off("emergency:check_in");
+          socket.off("emergency:expired");
+          socket.off("safety_timer:triggered");
+          socket.off("help_request:expired");
+          socket.off("org:emergency_alert");
+          socket.off("session:revoked");
+          socket.off("rate_limited");
           socket.off("connect");
           socket.off("disconnect");
           socket.off("connect_error");
@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { api } from '../api/auth';
 
 export const useAuthStore = create(
   persist(
@@ -23,6 +24,11 @@ export const useAuthStore = create(
         hasCompletedOnboarding: true // Auto-complete onboarding on login
       }),
       logout: () => {
+        // Revoke the server-side session (best effort - reads the token before it is cleared below)
+        if (get().accessToken) {
+          api.logout().catch(() => {});
+        }
+
         // Clear all auth state
         set({ 
           accessToken: null, 
@@ -16,6 +16,8 @@ export const useEmergencySessionStore = create((set) => ({
   loading: false,
   error: null,
   isResolved: false, // Chat becomes read-only when emergency is resolved
+  locationTrail: [], // Live location breadcrumbs streamed by the SOS owner (oldest first)
+  helperTracking: {}, // Live helper position/ETA keyed by helper ID (from helper:status_update)
 
   // Initialize session (API-first)
   initializeSession: (emergencyId, role) => set({ 
@@ -26,7 +28,9 @@ export const useEmergencySessionStore = create((set) => ({
     error: null,
     chatOpen: false,
     chatAvailable: true, // Session initialized means chat is available
-    isResolved: false
+    isResolved: false,
+    locationTrail: [],
+    helperTracking: {}
   }),
 
   // Load messages from API
@@ -52,6 +56,29 @@ export const useEmergencySessionStore = create((set) => ({
     messages: state.messages.filter(m => m._id !== messageId)
   })),
 
+  // Load location trail from API
+  loadLocationTrail: (points) => set({ locationTrail: points || [] }),
+
+  // Append live location point (from socket enhancement)
+  addLocationPoint: (point) => set((state) => {
+    // Prevent duplicates (check by _id)
+    if (point?._id && state.locationTrail.some(p => p._id === point._id)) {
+      return state;
+    }
+
+    return {
+      locationTrail: [...state.locationTrail, point]
+    };
+  }),
+
+  // Merge live helper status/position update (from socket enhancement)
+  updateHelperTracking: (helperId, update) => set((state) => ({
+    helperTracking: {
+      ...state.helperTracking,
+      [helperId]: { ...state.helperTracking[helperId], ...update }
+    }
+  })),
+
   // Set loading state
   setLoading: (loading) => set({ loading }),
 
@@ -77,7 +104,9 @@ export const useEmergencySessionStore = create((set) => ({
     chatAvailable: false,
     loading: false,
     error: null,
-    isResolved: false
+    isResolved: false,
+    locationTrail: [],
+    helperTracking: {}
   }),
 
   // Update participants
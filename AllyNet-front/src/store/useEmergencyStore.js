@@ -60,8 +60,14 @@ export const useEmergencyStore = create((set) => ({
     isActive: false,
     emergencyId: null,
     status: 'idle',
-    emergencyType: null
+    emergencyType: null,
+    checkInRequest: null
   }),
+
+  // Inactivity check-in for creator ("are you still in danger?") - from emergency:check_in
+  checkInRequest: null, // { emergencyId, message, expiresAt }
+  setCheckInRequest: (checkInRequest) => set({ checkInRequest }),
+  clearCheckInRequest: () => set({ checkInRequest: null }),
   
   // UI-only: Set radius for slider (not sent to backend until SOS is created)
   setRadius: (radius) => set({ radius }),
@@ -137,9 +143,14 @@ export const useEmergencyStore = create((set) => ({
   }),
 
   // Emergency ended notification (for helpers)
-  emergencyEndedNotification: null, // { emergencyId, status, message }
+  emergencyEndedNotification: null, // { emergencyId, status, message, debrief? (owner - leads to debrief form) }
   setEmergencyEndedNotification: (notification) => set({ emergencyEndedNotification: notification }),
   clearEmergencyEndedNotification: () => set({ emergencyEndedNotification: null }),
+
+  // Organization SOS alert: a member of the user's organization triggered an SOS
+  orgEmergencyAlert: null, // { organization: { id, name }, emergency, memberName, reason, canViewLive }
+  setOrgEmergencyAlert: (alert) => set({ orgEmergencyAlert: alert }),
+  clearOrgEmergencyAlert: () => set({ orgEmergencyAlert: null }),
 }));
 
 
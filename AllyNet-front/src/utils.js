@@ -5,4 +5,14 @@ export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
 
+// Human-readable ETA from an estimatedArrival date (e.g. "4 min"), null if unknown
+export function formatEta(estimatedArrival) {
+  if (!estimatedArrival) return null;
+  const minutes = Math.round((new Date(estimatedArrival).getTime() - Date.now()) / 60000);
+  if (isNaN(minutes)) return null;
+  if (minutes <= 0) return 'Arriving';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
 